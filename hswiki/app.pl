@@ -12,13 +12,25 @@ use HSWiki::Auth;
 use HSWiki::Controller::Auth;
 use HSWiki::Controller::Space;
 use HSWiki::Controller::Page;
+use HSWiki::Controller::Attachment;
 use HSWiki::Controller::Admin;
 use HSWiki::Controller::OpenAPI;
+use HSWiki::Controller::Search;
+use HSWiki::Controller::Realtime;
+use HSWiki::Controller::Notification;
+use HSWiki::Controller::Template;
+use HSWiki::Controller::Comment;
 use HSWiki::Middleware::Auth;
 use HSWiki::Middleware::RBAC;
-
-# Create server instance
-my $server = Hypersonic->new();
+use HSWiki::Upload;
+
+# Create server instance (rooms back the /ws presence channel). The whole
+# request is read into one buffer, so it must fit the largest upload or
+# import archive.
+my $server = Hypersonic->new(
+    websocket_rooms  => 1,
+    max_request_size => HSWiki::Upload->max_request_size,
+);
 
 # NOTE: session_config disabled due to Hypersonic bug where after_middleware
 # doesn't receive $res parameter, causing $res->cookie() to fail.
@@ -63,15 +75,15 @@ HSWiki::Controller::Auth->register($server);
 # ===========================================
 
 # /api/render (separate path, no conflict)
-$server->post('/api/render' => sub {
+$server->post('/api/render' => HSWiki::Middleware::Auth->wrap(sub {
     HSWiki::Controller::Page->render_preview(@_);
-}, { dynamic => 1, parse_json => 1 });
+}, optional => 1), { dynamic => 1, parse_json => 1 });
 
 # ===== SPACE ROUTES =====
 # /api/spaces - list spaces (static path)
 $server->get('/api/spaces' => HSWiki::Middleware::Auth->wrap(sub {
     HSWiki::Controller::Space->list(@_);
-}, optional => 1), { dynamic => 1 });
+}, optional => 1), { dynamic => 1, parse_query => 1 });
 
 $server->post('/api/spaces' => HSWiki::Middleware::Auth->wrap(sub {
     HSWiki::Controller::Space->create(@_);
@@ -103,12 +115,26 @@ $server->del('/api/spaces/:key/permissions/:user_id' => HSWiki::Middleware::Auth
     HSWiki::Controller::Space->revoke_permission(@_);
 }), { dynamic => 1 });
 
+# /api/spaces/:key/export - zip of every page; /import - rebuild pages from one
+$server->get('/api/spaces/:key/export' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Space->export(@_);
+}, optional => 1), { dynamic => 1 });
+
+$server->post('/api/spaces/:key/import' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Space->import_pages(@_);
+}), { dynamic => 1 });
+
 # ===== PAGE ROUTES - Using literal segments to avoid Hypersonic routing issues =====
 # Each route has unique literal prefix: /list/, /view/, /edit/, /versions/, /restore/
 
 # GET /api/pages/list/:space_key - list pages in space
 $server->get('/api/pages/list/:space_key' => HSWiki::Middleware::Auth->wrap(sub {
     HSWiki::Controller::Page->list(@_);
+}, optional => 1), { dynamic => 1, parse_query => 1 });
+
+# GET /api/pages/tree/:space_key - every page with its parent, for the page tree
+$server->get('/api/pages/tree/:space_key' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->tree(@_);
 }, optional => 1), { dynamic => 1 });
 
 # POST /api/pages/create/:space_key - create page
@@ -131,6 +157,41 @@ $server->del('/api/pages/delete/:space_key/:slug' => HSWiki::Middleware::Auth->w
     HSWiki::Controller::Page->delete(@_);
 }), { dynamic => 1 });
 
+# PUT /api/pages/rename/:space_key/:slug - rename page (optionally new slug)
+$server->put('/api/pages/rename/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->rename(@_);
+}), { dynamic => 1, parse_json => 1 });
+
+# POST /api/pages/move/:space_key/:slug - move page to another space
+$server->post('/api/pages/move/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->move(@_);
+}), { dynamic => 1, parse_json => 1 });
+
+# PUT /api/pages/parent/:space_key/:slug - reorder or reparent in the page tree
+$server->put('/api/pages/parent/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->reparent(@_);
+}), { dynamic => 1, parse_json => 1 });
+
+# GET /api/pages/backlinks/:space_key/:slug - pages linking to a page
+$server->get('/api/pages/backlinks/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->backlinks(@_);
+}, optional => 1), { dynamic => 1 });
+
+# GET /api/pages/labels/:space_key - labels used in a space, with page counts
+$server->get('/api/pages/labels/:space_key' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->labels(@_);
+}, optional => 1), { dynamic => 1 });
+
+# GET /api/pages/report/:space_key - orphan and wanted pages
+$server->get('/api/pages/report/:space_key' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->link_report(@_);
+}, optional => 1), { dynamic => 1 });
+
+# GET /api/pages/export/:space_key/:slug?format=markdown|html - download a page
+$server->get('/api/pages/export/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+    HSWiki::Controller::Page->export(@_);
+}, optional => 1), { dynamic => 1, parse_query => 1 });
+
 # GET /api/pages/versions/:space_key/:slug - get version history
 $server->get('/api/pages/versions/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
     HSWiki::Controller::Page->versions(@_);
@@ -146,6 +207,36 @@ $server->post('/api/pages/restore/:space_key/:slug' => HSWiki::Middleware::Auth-
     HSWiki::Controller::Page->restore(@_);
 }), { dynamic => 1, parse_json => 1 });
 
+# ===========================================
+# Attachment routes (/api/attachments)
+# ===========================================
+HSWiki::Controller::Attachment->register($server);
+
+# ===========================================
+# Search routes (/api/search)
+# ===========================================
+HSWiki::Controller::Search->register($server);
+
+# ===========================================
+# Realtime presence and page updates (/ws)
+# ===========================================
+HSWiki::Controller::Realtime->register($server);
+
+# ===========================================
+# Watches and notifications (/api/watch, /api/notifications)
+# ===========================================
+HSWiki::Controller::Notification->register($server);
+
+# ===========================================
+# Page templates (/api/templates)
+# ===========================================
+HSWiki::Controller::Template->register($server);
+
+# ===========================================
+# Page comments (/api/comments)
+# ===========================================
+HSWiki::Controller::Comment->register($server);
+
 # ===========================================
 # Admin routes (/api/admin)
 # ===========================================
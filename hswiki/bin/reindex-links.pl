@@ -0,0 +1,38 @@
+#!/usr/bin/env perl
+# Rebuild the page link graph (backlinks, orphan/wanted report) from page content
+# Usage: perl bin/reindex-links.pl [space_key]
+
+use strict;
+use warnings;
+use lib 'lib';
+use HSWiki::DB;
+use HSWiki::Model::Page;
+use HSWiki::Model::Space;
+
+my $space_key = shift;
+
+my $spaces;
+if ($space_key) {
+    my $space = HSWiki::Model::Space->find_by_key($space_key);
+    die "Space '$space_key' not found\n" unless $space;
+    $spaces = [$space];
+} else {
+    $spaces = HSWiki::DB->fetch_all("SELECT space_id, space_key FROM spaces");
+}
+
+my $total = 0;
+for my $space (@$spaces) {
+    my $pages = HSWiki::DB->fetch_all(
+        "SELECT page_id, content FROM pages WHERE space_id = ?",
+        $space->{space_id}
+    );
+
+    for my $page (@$pages) {
+        HSWiki::Model::Page->record_links($space->{space_id}, $page->{page_id}, $page->{content});
+    }
+
+    printf "%-20s %d page(s)\n", $space->{space_key}, scalar @$pages;
+    $total += @$pages;
+}
+
+print "\nIndexed links of $total page(s)\n";
@@ -4,23 +4,203 @@ const app = {
 
     // Current state
     currentUser: null,
+    currentRole: null,
     currentSpace: null,
     currentPage: null,
+    pageTitle: null,
+    pageAncestors: [],
     editingPage: null,
+    renameSlugSuggestion: '',
+    linkReport: null,
+    attachments: [],
+    attachmentMaxSize: 10 * 1024 * 1024,
+
+    // Page tree sidebar
+    treeSpace: null,
+    treePages: [],
+    treeExpanded: new Set(JSON.parse(localStorage.getItem('hswiki:tree-expanded') || '[]')),
+    treeDrag: null,
+    pendingParent: null,
+    createParent: null,
+    versions: [],
+    currentDiff: null,
+    restoreTarget: null,
+    conflict: null,
+    searchQuery: '',
+    searchSpace: '',
+    spaceAccess: null,
+    spaceAccessKey: null,
+    spaceSettings: null,
+    spaceMembers: [],
+
+    // Paged spaces and pages lists
+    listView: null,
+    listSeq: 0,
+    listPageSize: 50,
+    listFilterDelay: 300,
+    listFilterTimer: null,
+    listObserver: null,
+
+    // Account settings
+    passwordRules: null,
+    apiKey: null,
+    apiKeyVisible: false,
+
+    // What each role permission allows (see HSWiki::Middleware::RBAC)
+    permissionLabels: {
+        'user:read': 'View user profiles',
+        'user:write': 'Edit user profiles',
+        'user:delete': 'Deactivate users',
+        'role:manage': 'Manage roles',
+        'space:read': 'View spaces',
+        'space:write': 'Create and edit spaces',
+        'space:delete': 'Delete spaces',
+        'space:admin': 'Manage space permissions',
+        'page:read': 'View pages',
+        'page:write': 'Create and edit pages',
+        'page:delete': 'Delete pages'
+    },
+
+    // Site administration
+    adminTab: 'users',
+    adminUsers: [],
+    adminUsersPage: 1,
+    adminUsersQuery: '',
+    adminUsersPerPage: 25,
+    adminRoles: [],
+    adminPermissions: [],
+    editingRole: null,
+
+    // Diff view settings
+    diffLayout: localStorage.getItem('hswiki:diff-layout') || 'split',
+    diffShowAll: false,
+    diffContextLines: 3,
+    diffMaxCells: 4000000,
+
+    // Editor settings
+    previewEnabled: localStorage.getItem('hswiki:editor-preview') !== 'off',
+    previewDelay: 400,
+    previewTimer: null,
+    previewSeq: 0,
+
+    // Wiki link autocomplete
+    linkSuggest: null,
+    linkPages: null,
+    linkSuggestLimit: 8,
+
+    // Drafts and unsaved-changes protection
+    draftDelay: 1000,
+    draftTimer: null,
+    editBaseline: null,
+    editorUrl: null,
+    pendingPageTitle: null,
+
+    // Realtime presence and page updates
+    socket: null,
+    socketId: null,
+    realtimeRoom: null,
+    realtimeJoined: null,
+    realtimeSeq: 0,
+    realtimeHeartbeat: 15000,
+    realtimeTimer: null,
+    realtimeFlush: null,
+    realtimeRetry: 1000,
+    pagesList: [],
+    pageVersion: null,
+
+    // Path and query last routed; a popstate that only changes the #hash
+    // scrolls instead of reloading the view
+    routedPath: null,
+
+    // Headings needed before a page gets a table of contents
+    tocMinHeadings: 3,
+
+    // Watch state of the current space and page, and the notification inbox
+    spaceWatching: false,
+    pageWatching: { page: false, space: false },
+    unreadCount: 0,
+    notifications: [],
+    notificationIds: new Set(),
+
+    // Offline mode: the page cache name must match PAGE_CACHE in sw.js
+    offlinePageCache: 'hswiki-pages-v1',
+    offlineQueueKey: 'hswiki:offline-edits',
+    online: true,
+    offlineReplaying: false,
+    offlineConflicts: [],
+
+    // Templates being managed per scope ('space', 'global'), and the ones
+    // offered by the create-page picker
+    templates: { space: [], global: [] },
+    templateEditing: { space: null, global: null },
+    pageTemplates: [],
+    appliedTemplate: null,
+    templateSeq: 0,
+    templateTimer: null,
+    templateDelay: 400,
+
+    // Command palette: the space and page index (fetched again when older
+    // than paletteIndexAge or loaded for another user), the rows matching
+    // the query and the highlighted one
+    paletteIndex: null,
+    paletteIndexAge: 60000,
+    paletteItems: [],
+    paletteSelected: 0,
+    paletteLimit: 30,
+
+    // First key of a two-key shortcut ("g s") and how long it waits for the second
+    pendingShortcut: null,
+    shortcutTimer: null,
+    shortcutDelay: 1000,
+
+    // Comments on the page being viewed, what the user may do with them and
+    // the open reply or edit form ({ mode: 'reply'|'edit', id })
+    comments: [],
+    commentAccess: { comment: false, moderate: false },
+    commentForm: null,
 
     // Initialize
     init() {
         this.checkAuth().then(() => {
             // Handle initial route based on URL
             this.handleRoute();
+            this.resumeOfflineEdits();
         });
 
         // Handle browser back/forward
-        window.addEventListener('popstate', () => this.handleRoute());
+        window.addEventListener('popstate', () => {
+            if (!this.confirmLeaveEditor()) {
+                // Stay in the editor: put its URL back on top of the history
+                history.pushState(null, '', this.editorUrl);
+                return;
+            }
+            if (window.location.pathname + window.location.search === this.routedPath) {
+                this.scrollToHash();
+                return;
+            }
+            this.handleRoute();
+        });
+
+        // Keep a draft and ask before closing or reloading with unsaved changes
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.isEditorDirty()) return;
+            this.saveDraft();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+
+        // Command palette and single-key shortcuts
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+
+        this.initEditor();
+        this.initOffline();
+        this.connectRealtime();
     },
 
     // URL Routing
     navigate(path, pushState = true) {
+        if (!this.confirmLeaveEditor()) return;
+
         if (pushState) {
             history.pushState(null, '', path);
         }
@@ -30,6 +210,10 @@ const app = {
     handleRoute() {
         const path = window.location.pathname;
         const parts = path.split('/').filter(p => p);
+        this.routedPath = path + window.location.search;
+
+        // Views that want live updates join their room again below
+        this.setRealtimeRoom(null);
 
         // Route: / - Spaces list
         if (parts.length === 0) {
@@ -49,12 +233,52 @@ const app = {
             return;
         }
 
+        // Route: /account
+        if (parts[0] === 'account' && parts.length === 1) {
+            this.showAccount(false);
+            return;
+        }
+
+        // Route: /notifications
+        if (parts[0] === 'notifications' && parts.length === 1) {
+            this.showNotifications(false);
+            return;
+        }
+
+        // Route: /admin, /admin/users?page=...&q=..., /admin/roles, /admin/stats
+        if (parts[0] === 'admin' && parts.length <= 2) {
+            const params = new URLSearchParams(window.location.search);
+            const page = parseInt(params.get('page'), 10) || 1;
+            this.showAdmin(parts[1] || 'users', page, params.get('q') || '', false);
+            return;
+        }
+
+        // Route: /search?q=...&space=...
+        if (parts[0] === 'search' && parts.length === 1) {
+            const params = new URLSearchParams(window.location.search);
+            this.showSearch(params.get('q') || '', params.get('space') || '', false);
+            return;
+        }
+
         // Route: /:space_key
         if (parts.length === 1) {
             this.showSpace(parts[0], false);
             return;
         }
 
+        // Route: /:space_key/_report - Orphan and wanted pages
+        if (parts.length === 2 && parts[1] === '_report') {
+            this.showLinkReport(parts[0], false);
+            return;
+        }
+
+        // Route: /:space_key/settings - Space settings (like "new", the
+        // server refuses it as a page slug)
+        if (parts.length === 2 && parts[1] === 'settings') {
+            this.showSpaceSettings(parts[0], false);
+            return;
+        }
+
         // Route: /:space_key/new - Create page
         if (parts.length === 2 && parts[1] === 'new') {
             this.currentSpace = parts[0];
@@ -85,6 +309,32 @@ const app = {
             return;
         }
 
+        // Route: /:space_key/labels/:label - Pages with a label (after the
+        // routes above so a page slugged "labels" can still be edited)
+        if (parts.length === 3 && parts[1] === 'labels') {
+            this.showSpace(parts[0], false, decodeURIComponent(parts[2]));
+            return;
+        }
+
+        // Route: /:space_key/:slug/diff/:from..:to
+        if (parts.length === 4 && parts[2] === 'diff') {
+            const range = parts[3].match(/^(\d+)\.\.(\d+)$/);
+            if (range) {
+                this.currentSpace = parts[0];
+                this.currentPage = parts[1];
+                this.showDiff(parseInt(range[1]), parseInt(range[2]), false);
+                return;
+            }
+        }
+
+        // Route: /:space_key/:slug/restore/:version
+        if (parts.length === 4 && parts[2] === 'restore' && /^\d+$/.test(parts[3])) {
+            this.currentSpace = parts[0];
+            this.currentPage = parts[1];
+            this.showRestoreVersion(parseInt(parts[3]), false);
+            return;
+        }
+
         // Default: show spaces
         this.showSpaces(false);
     },
@@ -101,7 +351,8 @@ const app = {
             ...options
         };
 
-        if (options.body && typeof options.body === 'object') {
+        // Files go up as they are; everything else as JSON
+        if (options.body && typeof options.body === 'object' && !(options.body instanceof Blob)) {
             config.body = JSON.stringify(options.body);
         }
 
@@ -110,13 +361,23 @@ const app = {
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || data.message || 'Request failed');
+                const error = new Error(data.error || data.message || 'Request failed');
+                error.status = response.status;
+                error.data = data;
+                throw error;
             }
 
+            // A live answer (not sw.js's cached copy) means we are back online
+            if (!this.online && !data.offline) this.setOnline(true);
+
             return data;
         } catch (error) {
-            if (error.message === 'Failed to fetch') {
-                throw new Error('Network error - please check your connection');
+            // fetch rejects with a TypeError when the request never reached the server
+            if (error instanceof TypeError || error.message === 'Failed to fetch') {
+                this.setOnline(false);
+                const offline = new Error('Network error - please check your connection');
+                offline.offline = true;
+                throw offline;
             }
             throw error;
         }
@@ -131,6 +392,11 @@ const app = {
         if (section) {
             section.style.display = 'block';
         }
+
+        // Page tree sits beside the space and page views
+        const withTree = sectionId === 'space-section' || sectionId === 'page-section';
+        document.querySelector('main').classList.toggle('with-tree', withTree);
+        document.getElementById('page-tree').style.display = withTree ? 'block' : 'none';
     },
 
     showError(message) {
@@ -160,9 +426,12 @@ const app = {
             navUser.style.display = 'inline';
             navGuest.style.display = 'none';
             usernameDisplay.textContent = this.currentUser.username;
+            document.getElementById('nav-admin-link').style.display = this.isAdmin() ? 'inline' : 'none';
+            this.loadUnreadCount();
         } else {
             navUser.style.display = 'none';
             navGuest.style.display = 'inline';
+            this.setUnreadCount(0);
         }
     },
 
@@ -171,9 +440,13 @@ const app = {
         try {
             const data = await this.api('/auth/me');
             this.currentUser = data.user;
+            this.currentRole = data.role || null;
+            this.setSpaceAccess(null, null);
             this.updateNav();
         } catch (error) {
             this.currentUser = null;
+            this.currentRole = null;
+            this.setSpaceAccess(null, null);
             this.updateNav();
         }
     },
@@ -207,7 +480,9 @@ const app = {
             });
 
             this.currentUser = data.user;
-            this.updateNav();
+            await this.checkAuth();
+            this.reconnectRealtime();
+            this.resumeOfflineEdits();
             this.showSuccess('Login successful!');
             this.navigate('/');
         } catch (error) {
@@ -231,7 +506,9 @@ const app = {
             });
 
             this.currentUser = data.user;
-            this.updateNav();
+            await this.checkAuth();
+            this.reconnectRealtime();
+            this.resumeOfflineEdits();
             this.showSuccess('Registration successful!');
             this.navigate('/');
         } catch (error) {
@@ -249,304 +526,4251 @@ const app = {
         }
 
         this.currentUser = null;
+        this.currentRole = null;
+        this.apiKey = null;
+        this.setSpaceAccess(null, null);
         this.updateNav();
+        this.reconnectRealtime();
+
+        // Pages cached for offline reading belong to the signed-out user.
+        // Their queued edits stay parked until they sign in again.
+        if (window.caches) caches.delete(this.offlinePageCache);
+        this.offlineConflicts = [];
+        this.renderOfflineIndicator();
+
         this.navigate('/');
     },
 
-    // Spaces
-    async showSpaces(updateUrl = true) {
-        if (updateUrl) {
-            this.navigate('/', true);
-            return;
+    isAdmin() {
+        return !!(this.currentUser && this.currentRole && this.currentRole.role_name === 'admin');
+    },
+
+    // Role permission check, same rules as RBAC->has_permission
+    can(permission) {
+        if (!this.currentUser) return false;
+        if (this.isAdmin()) return true;
+        return !!(this.currentRole && (this.currentRole.permissions || []).includes(permission));
+    },
+
+    // Access level in the current space ('read', 'write', 'admin', 'delete_pages'
+    // or 'delete_space'), from the last space or page response for that space
+    canInSpace(level) {
+        return !!(this.spaceAccess && this.spaceAccessKey === this.currentSpace && this.spaceAccess[level]);
+    },
+
+    setSpaceAccess(spaceKey, access) {
+        this.spaceAccessKey = spaceKey;
+        this.spaceAccess = access || null;
+    },
+
+    async loadSpaceAccess(spaceKey) {
+        if (this.spaceAccessKey !== spaceKey || !this.spaceAccess) {
+            const data = await this.api(`/spaces/${spaceKey}`);
+            this.setSpaceAccess(spaceKey, data.access);
         }
+        return this.spaceAccess;
+    },
 
-        this.currentSpace = null;
-        this.currentPage = null;
-        this.showSection('spaces-section');
-        this.showLoading(true);
+    // Replace the current URL without adding a history entry
+    redirect(path) {
+        history.replaceState(null, '', path);
+        this.handleRoute();
+    },
 
-        const createBtn = document.getElementById('create-space-btn');
-        createBtn.style.display = this.currentUser ? 'inline-block' : 'none';
+    // Watches and notifications
+    renderWatchButton(button, watching, title) {
+        button.style.display = this.currentUser ? 'inline-block' : 'none';
+        button.textContent = watching ? 'Watching' : 'Watch';
+        button.classList.toggle('active', !!watching);
+        button.setAttribute('aria-pressed', watching ? 'true' : 'false');
+        button.title = title || (watching ? 'Stop getting notifications' : 'Get notified when this changes');
+    },
+
+    renderPageWatch() {
+        const { page, space } = this.pageWatching;
+        this.renderWatchButton(document.getElementById('page-watch-btn'), page,
+            !page && space ? 'You are notified through watching this space' : '');
+    },
 
+    async toggleWatchSpace() {
         try {
-            const data = await this.api('/spaces');
-            this.renderSpacesList(data.spaces);
+            const data = await this.api(`/watch/space/${this.currentSpace}`, {
+                method: 'PUT',
+                body: { watching: !this.spaceWatching }
+            });
+            this.spaceWatching = !!data.watching;
+            this.renderWatchButton(document.getElementById('space-watch-btn'), this.spaceWatching);
+            this.showSuccess(data.message);
         } catch (error) {
             this.showError(error.message);
-        } finally {
-            this.showLoading(false);
         }
     },
 
-    renderSpacesList(spaces) {
-        const container = document.getElementById('spaces-list');
-
-        if (!spaces || spaces.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <p>No spaces found.</p>
-                    ${this.currentUser ? '<p>Create your first space to get started!</p>' : '<p>Login to create spaces.</p>'}
-                </div>
-            `;
-            return;
+    async toggleWatchPage() {
+        try {
+            const data = await this.api(`/watch/page/${this.currentSpace}/${this.currentPage}`, {
+                method: 'PUT',
+                body: { watching: !this.pageWatching.page }
+            });
+            this.pageWatching.page = !!data.watching;
+            this.renderPageWatch();
+            this.showSuccess(data.message);
+        } catch (error) {
+            this.showError(error.message);
         }
+    },
 
-        container.innerHTML = spaces.map(space => `
-            <div class="card">
-                <h3><a href="/${space.space_key}">${this.escapeHtml(space.name)}</a></h3>
-                <p>${this.escapeHtml(space.description || '')}</p>
-                <div class="card-meta">
-                    ${space.is_public ? 'Public' : 'Private'}
-                </div>
-            </div>
-        `).join('');
+    setUnreadCount(count) {
+        this.unreadCount = count || 0;
+        const badge = document.getElementById('nav-inbox-badge');
+        badge.textContent = this.unreadCount > 99 ? '99+' : this.unreadCount;
+        badge.style.display = this.unreadCount > 0 ? 'inline-block' : 'none';
     },
 
-    showCreateSpace() {
+    async loadUnreadCount() {
+        try {
+            const data = await this.api('/notifications?unread=1');
+            this.setUnreadCount(data.unread);
+        } catch (error) {
+            // The badge just stays as it was
+        }
+    },
+
+    async showNotifications(updateUrl = true) {
+        if (updateUrl) {
+            this.navigate('/notifications', true);
+            return;
+        }
+
         if (!this.currentUser) {
             this.showLogin();
             return;
         }
-        this.showSection('create-space-section');
-        document.getElementById('create-space-form').reset();
-    },
 
-    async createSpace(event) {
-        event.preventDefault();
+        this.currentSpace = null;
+        this.currentPage = null;
+        this.showSection('notifications-section');
+        await this.loadNotifications();
+    },
 
-        const name = document.getElementById('space-name').value;
-        const description = document.getElementById('space-description').value;
-        const is_public = document.getElementById('space-public').checked;
+    async loadNotifications() {
+        const unreadOnly = document.getElementById('notifications-unread-only').checked;
 
         try {
-            const data = await this.api('/spaces', {
-                method: 'POST',
-                body: { name, description, is_public }
-            });
-
-            this.showSuccess('Space created!');
-            this.navigate(`/${data.space.space_key}`);
+            const data = await this.api(`/notifications${unreadOnly ? '?unread=1' : ''}`);
+            this.notifications = data.notifications;
+            this.notifications.forEach(n => this.notificationIds.add(n.notification_id));
+            this.setUnreadCount(data.unread);
+            this.renderNotifications();
         } catch (error) {
             this.showError(error.message);
         }
+    },
 
-        return false;
+    notificationVerbs: {
+        page_updated: 'updated',
+        page_restored: 'restored',
+        page_deleted: 'deleted',
+        comment_mention: 'mentioned you on'
     },
 
-    async showSpace(spaceKey, updateUrl = true) {
-        if (updateUrl) {
-            this.navigate(`/${spaceKey}`, true);
-            return;
-        }
+    renderNotifications() {
+        const list = document.getElementById('notifications-list');
+        document.getElementById('notifications-read-all-btn').disabled = this.unreadCount === 0;
 
-        this.currentSpace = spaceKey;
-        this.currentPage = null;
-        this.showSection('space-section');
-        this.showLoading(true);
+        list.innerHTML = this.notifications.map(n => {
+            const id = this.escapeHtml(n.notification_id);
+            const title = this.escapeHtml(n.title);
+            const mention = n.type === 'comment_mention';
+            const href = `/${encodeURIComponent(n.space_key)}/${encodeURIComponent(n.slug)}${mention ? '#page-comments' : ''}`;
+            const target = n.type === 'page_deleted'
+                ? `<span class="notification-title">${title}</span>`
+                : `<a href="${href}" onclick="app.markNotificationsRead(['${id}'])">${title}</a>`;
 
-        const createBtn = document.getElementById('create-page-btn');
-        createBtn.style.display = this.currentUser ? 'inline-block' : 'none';
+            return `
+                <li class="notification${n.is_read ? '' : ' unread'}">
+                    <div class="notification-body">
+                        <strong>${this.escapeHtml(n.actor_name || 'Someone')}</strong>
+                        ${this.notificationVerbs[n.type] || 'changed'} ${target}
+                        ${n.type === 'page_deleted' || mention ? '' : `to version ${n.version}`}
+                        <span class="backlink-space">in ${this.escapeHtml(n.space_key)}</span>
+                        ${n.change_summary ? `<div class="notification-summary">${this.escapeHtml(n.change_summary)}</div>` : ''}
+                        <div class="notification-meta">
+                            ${this.formatDate(n.created_at)} &middot; ${mention ? 'you were mentioned' : `you watch this ${n.reason === 'space' ? 'space' : 'page'}`}
+                        </div>
+                    </div>
+                    ${n.is_read ? '' : `<button class="btn" onclick="app.markNotificationsRead(['${id}'])">Mark read</button>`}
+                </li>
+            `;
+        }).join('') || '<li class="notifications-empty">Nothing here yet.</li>';
+    },
 
+    // Mark the given notification ids read, or all of them without ids
+    async markNotificationsRead(ids) {
         try {
-            const spaceData = await this.api(`/spaces/${spaceKey}`);
-            const pagesData = await this.api(`/pages/list/${spaceKey}`);
+            const data = await this.api('/notifications/read', {
+                method: 'POST',
+                body: ids ? { ids } : {}
+            });
 
-            document.getElementById('space-name-breadcrumb').textContent = spaceData.space.name;
-            document.getElementById('space-title').textContent = spaceData.space.name;
-            document.getElementById('space-description-text').textContent = spaceData.space.description || '';
+            const unreadOnly = document.getElementById('notifications-unread-only').checked;
+            this.notifications.forEach(n => {
+                if (!ids || ids.includes(n.notification_id)) n.is_read = 1;
+            });
+            if (unreadOnly) this.notifications = this.notifications.filter(n => !n.is_read);
 
-            this.renderPagesList(pagesData.pages);
+            this.setUnreadCount(data.unread);
+            this.renderNotifications();
         } catch (error) {
             this.showError(error.message);
-        } finally {
-            this.showLoading(false);
         }
     },
 
-    renderPagesList(pages) {
-        const container = document.getElementById('pages-list');
+    // Pushed over the realtime socket when a watched page changes
+    receiveNotification(msg) {
+        const n = msg.notification;
+        if (!n || this.notificationIds.has(n.notification_id)) return;
+        this.notificationIds.add(n.notification_id);
+        this.setUnreadCount(msg.unread);
 
-        if (!pages || pages.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <p>No pages in this space yet.</p>
-                    ${this.currentUser ? '<p>Create your first page!</p>' : ''}
-                </div>
-            `;
+        if (document.getElementById('notifications-section').style.display === 'block') {
+            this.notifications.unshift(n);
+            this.renderNotifications();
             return;
         }
 
-        container.innerHTML = pages.map(page => `
-            <div class="card">
-                <h3><a href="/${this.currentSpace}/${page.slug}">${this.escapeHtml(page.title)}</a></h3>
-                <div class="card-meta">
-                    Version ${page.version} &bull; Updated ${this.formatDate(page.updated_at)}
-                </div>
-            </div>
-        `).join('');
+        // The page view shows its own update banner
+        const room = this.realtimeRoom;
+        if (room && room.room === 'page' && room.space === n.space_key && room.slug === n.slug) return;
+
+        this.showSuccess(`${n.actor_name || 'Someone'} ${this.notificationVerbs[n.type] || 'changed'} "${n.title}"`);
     },
 
-    // Pages
-    showCreatePage(prefillTitle = null, updateUrl = true) {
-        if (!this.currentUser) {
-            this.showLogin();
+    // Account settings
+    async showAccount(updateUrl = true) {
+        if (updateUrl) {
+            this.navigate('/account', true);
             return;
         }
 
-        if (updateUrl) {
-            this.navigate(`/${this.currentSpace}/new`, true);
+        if (!this.currentUser) {
+            this.showLogin();
             return;
         }
 
-        this.editingPage = null;
-        this.showSection('edit-page-section');
+        this.currentSpace = null;
+        this.currentPage = null;
+        this.apiKey = null;
+        this.apiKeyVisible = false;
+        this.showSection('account-section');
+        document.getElementById('password-form').reset();
 
-        document.getElementById('edit-space-breadcrumb').textContent = this.currentSpace;
-        document.getElementById('edit-page-breadcrumb').textContent = 'New Page';
-        document.getElementById('edit-page-title').textContent = 'Create Page';
-        document.getElementById('edit-page-form').reset();
-        document.getElementById('preview-area').style.display = 'none';
+        document.getElementById('account-username').textContent = this.currentUser.username;
+        document.getElementById('account-email').textContent = this.currentUser.email || '';
+        document.getElementById('account-role').textContent = this.currentRole ? this.currentRole.role_name : 'None';
+        this.renderAccountPermissions();
+        this.renderApiKey();
 
-        // Pre-fill title if provided (e.g., from clicking a missing wiki link)
-        if (prefillTitle) {
-            document.getElementById('page-title').value = prefillTitle;
-        }
+        await this.loadPasswordRules();
+        this.checkPasswordRules();
     },
 
-    async showPage(slug, updateUrl = true) {
-        if (updateUrl) {
-            this.navigate(`/${this.currentSpace}/${slug}`, true);
+    renderAccountPermissions() {
+        const list = document.getElementById('account-permissions');
+        const permissions = (this.currentRole && this.currentRole.permissions) || [];
+
+        if (this.isAdmin()) {
+            list.innerHTML = '<li><span>Administrators have every permission.</span></li>';
             return;
         }
 
-        this.currentPage = slug;
-        this.showSection('page-section');
-        this.showLoading(true);
+        list.innerHTML = permissions.map(perm => `
+            <li>
+                <code>${this.escapeHtml(perm)}</code>
+                <span class="permission-label">${this.escapeHtml(this.permissionLabels[perm] || '')}</span>
+            </li>
+        `).join('') || '<li><span>Your role has no permissions.</span></li>';
+    },
 
-        const actionsEl = document.getElementById('page-actions');
-        actionsEl.style.display = this.currentUser ? 'flex' : 'none';
+    async loadPasswordRules() {
+        if (this.passwordRules) return;
 
         try {
-            const data = await this.api(`/pages/view/${this.currentSpace}/${slug}`);
-            const page = data.page;
-
-            document.getElementById('page-space-breadcrumb').textContent = this.currentSpace;
-            document.getElementById('page-title-breadcrumb').textContent = page.title;
-            document.getElementById('page-title-display').textContent = page.title;
-            document.getElementById('page-version').textContent = page.version;
-            document.getElementById('page-updated').textContent = this.formatDate(page.updated_at);
-            document.getElementById('page-content-display').innerHTML = page.content_html || '<p>No content</p>';
+            const data = await this.api('/auth/password-rules');
+            this.passwordRules = data.rules;
         } catch (error) {
-            this.showError(error.message);
-        } finally {
-            this.showLoading(false);
+            // Fall back to the server default
+            this.passwordRules = { min_length: 8 };
         }
     },
 
-    editPage() {
-        if (!this.currentUser) {
-            this.showLogin();
-            return;
-        }
-        this.navigate(`/${this.currentSpace}/${this.currentPage}/edit`);
+    // Show which password requirements the new password meets
+    checkPasswordRules() {
+        const password = document.getElementById('new-password').value;
+        const confirmation = document.getElementById('confirm-password').value;
+        const minLength = (this.passwordRules && this.passwordRules.min_length) || 8;
+
+        const rules = [
+            [`At least ${minLength} characters`, password.length >= minLength],
+            ['Matches the confirmation', password.length > 0 && password === confirmation]
+        ];
+
+        document.getElementById('password-rules').innerHTML = rules.map(([label, met]) => `
+            <li class="${met ? 'met' : ''}">${label}</li>
+        `).join('');
+
+        const valid = rules.every(([, met]) => met);
+        document.getElementById('password-submit').disabled = !valid;
+        return valid;
     },
 
-    async editPageByUrl() {
-        this.showLoading(true);
+    async changePassword(event) {
+        event.preventDefault();
 
-        try {
-            const data = await this.api(`/pages/view/${this.currentSpace}/${this.currentPage}`);
-            const page = data.page;
+        if (!this.checkPasswordRules()) return false;
 
-            this.editingPage = page;
-            this.showSection('edit-page-section');
+        const current_password = document.getElementById('current-password').value;
+        const new_password = document.getElementById('new-password').value;
 
-            document.getElementById('edit-space-breadcrumb').textContent = this.currentSpace;
-            document.getElementById('edit-page-breadcrumb').textContent = page.title;
-            document.getElementById('edit-page-title').textContent = 'Edit Page';
-            document.getElementById('page-title').value = page.title;
-            document.getElementById('page-content').value = page.content || '';
-            document.getElementById('preview-area').style.display = 'none';
+        try {
+            await this.api('/auth/password', {
+                method: 'PUT',
+                body: { current_password, new_password }
+            });
+
+            document.getElementById('password-form').reset();
+            this.checkPasswordRules();
+            this.showSuccess('Password changed');
         } catch (error) {
-            this.showError(error.message);
-        } finally {
-            this.showLoading(false);
+            const errors = error.data && error.data.errors;
+            this.showError(errors ? errors.join('. ') : error.message);
         }
+
+        return false;
     },
 
-    async savePage(event) {
-        event.preventDefault();
+    async loadApiKey() {
+        if (this.apiKey) return this.apiKey;
 
-        const title = document.getElementById('page-title').value;
-        const content = document.getElementById('page-content').value;
+        const data = await this.api('/auth/api-key');
+        this.apiKey = data.api_key;
+        return this.apiKey;
+    },
+
+    renderApiKey() {
+        const visible = this.apiKeyVisible && this.apiKey;
+        document.getElementById('api-key-value').textContent = visible ? this.apiKey : '•'.repeat(32);
+        document.getElementById('api-key-toggle').textContent = visible ? 'Hide' : 'Reveal';
+    },
 
+    async toggleApiKey() {
         try {
-            if (this.editingPage) {
-                // Update existing page
-                await this.api(`/pages/edit/${this.currentSpace}/${this.editingPage.slug}`, {
+            if (!this.apiKeyVisible) await this.loadApiKey();
+            this.apiKeyVisible = !this.apiKeyVisible;
+            this.renderApiKey();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    async copyApiKey() {
+        try {
+            if (!navigator.clipboard) {
+                throw new Error('Clipboard not available - reveal the key and copy it by hand');
+            }
+            const key = await this.loadApiKey();
+            await navigator.clipboard.writeText(key);
+            this.showSuccess('API key copied to clipboard');
+        } catch (error) {
+            this.showError(error.message || 'Could not copy the API key');
+        }
+    },
+
+    async regenerateApiKey() {
+        if (!confirm('Regenerate your API key? Scripts using the current key will stop working.')) return;
+
+        try {
+            const data = await this.api('/auth/api-key', { method: 'POST' });
+            this.apiKey = data.api_key;
+            this.apiKeyVisible = true;
+            this.renderApiKey();
+            this.showSuccess(data.message || 'API key regenerated');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // Site administration (admin role only)
+    async showAdmin(tab = 'users', page = 1, query = '', updateUrl = true) {
+        if (!['users', 'roles', 'stats', 'templates'].includes(tab)) tab = 'users';
+
+        if (updateUrl) {
+            const params = new URLSearchParams();
+            if (tab === 'users' && page > 1) params.set('page', page);
+            if (tab === 'users' && query) params.set('q', query);
+            const search = params.toString();
+            this.navigate(`/admin/${tab}${search ? `?${search}` : ''}`, true);
+            return;
+        }
+
+        if (!this.isAdmin()) {
+            this.showError('Admin access required');
+            this.redirect('/');
+            return;
+        }
+
+        this.currentSpace = null;
+        this.currentPage = null;
+        this.adminTab = tab;
+        this.showSection('admin-section');
+
+        document.querySelectorAll('.admin-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tab);
+        });
+        ['users', 'roles', 'stats', 'templates'].forEach(name => {
+            document.getElementById(`admin-${name}-panel`).style.display = name === tab ? 'block' : 'none';
+        });
+
+        if (tab === 'users') {
+            await this.loadAdminUsers(page, query);
+        } else if (tab === 'roles') {
+            await this.loadAdminRoles();
+        } else if (tab === 'templates') {
+            await this.loadTemplates('global');
+        } else {
+            await this.loadAdminStats();
+        }
+    },
+
+    async loadAdminUsers(page = 1, query = '') {
+        this.adminUsersPage = page;
+        this.adminUsersQuery = query;
+        document.getElementById('admin-users-filter').value = query;
+        this.showLoading(true);
+
+        try {
+            const params = new URLSearchParams({ page, per_page: this.adminUsersPerPage });
+            if (query) params.set('q', query);
+
+            const [usersData, rolesData] = await Promise.all([
+                this.api(`/admin/users?${params.toString()}`),
+                this.api('/admin/roles')
+            ]);
+
+            this.adminRoles = rolesData.roles || [];
+            this.adminPermissions = rolesData.permissions || [];
+            this.adminUsers = usersData.users || [];
+            this.renderAdminUsers(usersData);
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    renderAdminUsers(data) {
+        const tbody = document.getElementById('admin-users');
+        const pager = document.getElementById('admin-users-pager');
+
+        if (this.adminUsers.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="members-empty">No users found.</td></tr>';
+        } else {
+            tbody.innerHTML = this.adminUsers.map((user, i) => {
+                const self = user.user_id === this.currentUser.user_id;
+                const roleOptions = this.adminRoles.map(role => `
+                    <option value="${this.escapeHtml(role.role_id)}"${role.role_id === user.role_id ? ' selected' : ''}>${this.escapeHtml(role.role_name)}</option>
+                `).join('');
+
+                return `
+                    <tr class="${user.is_active ? '' : 'user-inactive'}">
+                        <td>${this.escapeHtml(user.username)}${self ? ' <span class="user-self">(you)</span>' : ''}</td>
+                        <td>${this.escapeHtml(user.email || '')}</td>
+                        <td>
+                            <select onchange="app.setUserRole(${i}, this.value)"${self ? ' disabled' : ''}>
+                                ${roleOptions}
+                            </select>
+                        </td>
+                        <td>
+                            <button class="btn" onclick="app.toggleUserActive(${i})"${self ? ' disabled' : ''}>
+                                ${user.is_active ? 'Deactivate' : 'Reactivate'}
+                            </button>
+                        </td>
+                        <td>${this.formatDate(user.created_at)}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        const page = data.page || 1;
+        const pages = data.pages || 1;
+        pager.innerHTML = `
+            <button class="btn" onclick="app.showAdmin('users', ${page - 1}, app.adminUsersQuery)"${page <= 1 ? ' disabled' : ''}>&larr; Previous</button>
+            <span>Page ${page} of ${pages} &bull; ${data.total || 0} user${data.total === 1 ? '' : 's'}</span>
+            <button class="btn" onclick="app.showAdmin('users', ${page + 1}, app.adminUsersQuery)"${page >= pages ? ' disabled' : ''}>Next &rarr;</button>
+        `;
+    },
+
+    filterAdminUsers(event) {
+        event.preventDefault();
+        const query = document.getElementById('admin-users-filter').value.trim();
+        this.showAdmin('users', 1, query);
+        return false;
+    },
+
+    async setUserRole(index, roleId) {
+        const user = this.adminUsers[index];
+        if (!user) return;
+
+        try {
+            const data = await this.api(`/admin/users/${encodeURIComponent(user.user_id)}`, {
+                method: 'PUT',
+                body: { role_id: roleId }
+            });
+            this.adminUsers[index] = data.user;
+            const role = this.adminRoles.find(r => r.role_id === roleId);
+            this.showSuccess(`${user.username} is now ${role ? role.role_name : 'updated'}`);
+        } catch (error) {
+            this.showError(error.message);
+            await this.loadAdminUsers(this.adminUsersPage, this.adminUsersQuery);
+        }
+    },
+
+    async toggleUserActive(index) {
+        const user = this.adminUsers[index];
+        if (!user) return;
+
+        const path = `/admin/users/${encodeURIComponent(user.user_id)}`;
+
+        try {
+            if (user.is_active) {
+                if (!confirm(`Deactivate ${user.username}? They will no longer be able to log in.`)) return;
+                await this.api(path, { method: 'DELETE' });
+                this.showSuccess(`${user.username} deactivated`);
+            } else {
+                await this.api(`${path}/reactivate`, { method: 'POST' });
+                this.showSuccess(`${user.username} reactivated`);
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        await this.loadAdminUsers(this.adminUsersPage, this.adminUsersQuery);
+    },
+
+    async loadAdminRoles(selectRoleId = null) {
+        this.showLoading(true);
+
+        try {
+            const data = await this.api('/admin/roles');
+            this.adminRoles = data.roles || [];
+            this.adminPermissions = data.permissions || [];
+
+            const selected = this.adminRoles.find(r => r.role_id === (selectRoleId || (this.editingRole && this.editingRole.role_id)));
+            this.editRole(selected ? this.adminRoles.indexOf(selected) : -1);
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    renderAdminRoles() {
+        const list = document.getElementById('admin-roles-list');
+
+        list.innerHTML = this.adminRoles.map((role, i) => `
+            <li class="${this.editingRole && this.editingRole.role_id === role.role_id ? 'active' : ''}" onclick="app.editRole(${i})">
+                <strong>${this.escapeHtml(role.role_name)}</strong>
+                ${role.builtin ? '<span class="role-badge">built-in</span>' : ''}
+                <div class="card-meta">${(role.permissions || []).length} permission${(role.permissions || []).length === 1 ? '' : 's'}</div>
+            </li>
+        `).join('') + `
+            <li class="${this.editingRole ? '' : 'active'}" onclick="app.editRole(-1)"><strong>+ New role</strong></li>
+        `;
+    },
+
+    // Fill the role form; index -1 starts a new role
+    editRole(index) {
+        const role = this.adminRoles[index] || null;
+        this.editingRole = role;
+
+        const nameInput = document.getElementById('role-name');
+        const locked = !!(role && role.builtin);
+        const granted = new Set(role ? role.permissions || [] : []);
+
+        document.getElementById('role-form-title').textContent = role ? `Role: ${role.role_name}` : 'New Role';
+        nameInput.value = role ? role.role_name : '';
+        nameInput.disabled = !!role;
+        document.getElementById('role-description').value = role ? role.description || '' : '';
+        document.getElementById('role-description').disabled = !!role;
+
+        document.getElementById('role-permissions').innerHTML = this.adminPermissions.map(perm => `
+            <label class="permission-option">
+                <input type="checkbox" value="${this.escapeHtml(perm)}"${granted.has(perm) ? ' checked' : ''}${locked ? ' disabled' : ''}>
+                <code>${this.escapeHtml(perm)}</code>
+                <span class="permission-label">${this.escapeHtml(this.permissionLabels[perm] || '')}</span>
+            </label>
+        `).join('');
+
+        document.getElementById('role-builtin-note').style.display = locked ? 'block' : 'none';
+        document.getElementById('role-save-btn').style.display = locked ? 'none' : 'inline-block';
+        document.getElementById('role-delete-btn').style.display = role && !locked ? 'inline-block' : 'none';
+
+        this.renderAdminRoles();
+    },
+
+    async saveRole(event) {
+        event.preventDefault();
+
+        const permissions = Array.from(document.querySelectorAll('#role-permissions input:checked'))
+            .map(input => input.value);
+        const role = this.editingRole;
+
+        try {
+            let data;
+            if (role) {
+                data = await this.api(`/admin/roles/${encodeURIComponent(role.role_id)}`, {
                     method: 'PUT',
-                    body: { title, content }
+                    body: { permissions }
                 });
-                this.showSuccess('Page updated!');
-                this.navigate(`/${this.currentSpace}/${this.editingPage.slug}`);
             } else {
-                // Create new page
-                const data = await this.api(`/pages/create/${this.currentSpace}`, {
+                data = await this.api('/admin/roles', {
                     method: 'POST',
-                    body: { title, content }
+                    body: {
+                        role_name: document.getElementById('role-name').value.trim(),
+                        description: document.getElementById('role-description').value.trim(),
+                        permissions
+                    }
                 });
-                this.showSuccess('Page created!');
-                this.navigate(`/${this.currentSpace}/${data.page.slug}`);
             }
+
+            this.showSuccess(role ? 'Role updated' : 'Role created');
+            await this.loadAdminRoles(data.role.role_id);
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    async deleteRole() {
+        const role = this.editingRole;
+        if (!role || !confirm(`Delete the role "${role.role_name}"?`)) return;
+
+        try {
+            await this.api(`/admin/roles/${encodeURIComponent(role.role_id)}`, { method: 'DELETE' });
+            this.editingRole = null;
+            this.showSuccess('Role deleted');
+            await this.loadAdminRoles();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    async loadAdminStats() {
+        this.showLoading(true);
+
+        try {
+            const stats = await this.api('/admin/stats');
+
+            const tiles = [
+                ['Users', stats.users_count],
+                ['Active users', stats.active_users],
+                ['Spaces', stats.spaces_count],
+                ['Pages', stats.pages_count],
+                ['Roles', stats.roles_count]
+            ];
+            document.getElementById('admin-stats').innerHTML = tiles.map(([label, value]) => `
+                <div class="stat-tile">
+                    <div class="stat-value">${Number(value) || 0}</div>
+                    <div class="stat-label">${label}</div>
+                </div>
+            `).join('');
+
+            const byRole = Object.entries(stats.users_by_role || {}).sort((a, b) => b[1] - a[1]);
+            document.getElementById('admin-stats-roles').innerHTML = byRole.map(([name, count]) => `
+                <li><span>${this.escapeHtml(name)}</span><span>${Number(count) || 0}</span></li>
+            `).join('') || '<li>No roles</li>';
+
+            document.getElementById('admin-stats-recent').innerHTML = (stats.recent_users || []).map(user => `
+                <li><span>${this.escapeHtml(user.username)}</span><span>${this.formatDate(user.created_at)}</span></li>
+            `).join('') || '<li>No users</li>';
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    // Spaces
+    async showSpaces(updateUrl = true) {
+        if (updateUrl) {
+            this.navigate('/', true);
+            return;
+        }
+
+        this.currentSpace = null;
+        this.currentPage = null;
+        this.showSection('spaces-section');
+        this.showLoading(true);
+
+        const createBtn = document.getElementById('create-space-btn');
+        createBtn.style.display = this.can('space:write') ? 'inline-block' : 'none';
+
+        const { sort, q } = this.listParams();
+        this.listView = {
+            kind: 'spaces',
+            path: '/',
+            endpoint: '/spaces',
+            defaultSort: 'name',
+            sort: sort || 'name',
+            q,
+            items: [],
+            nextCursor: null,
+            total: 0,
+            loading: false
+        };
+
+        try {
+            await this.loadList();
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    renderSpacesList(spaces) {
+        const container = document.getElementById('spaces-list');
+
+        if ((!spaces || spaces.length === 0) && this.listView && this.listView.q) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No spaces match &ldquo;${this.escapeHtml(this.listView.q)}&rdquo;.</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (!spaces || spaces.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No spaces found.</p>
+                    ${this.can('space:write') ? '<p>Create your first space to get started!</p>' : ''}
+                    ${this.currentUser ? '' : '<p>Login to create spaces.</p>'}
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = spaces.map(space => `
+            <div class="card">
+                <h3><a href="/${space.space_key}">${this.escapeHtml(space.name)}</a></h3>
+                <p>${this.escapeHtml(space.description || '')}</p>
+                <div class="card-meta">
+                    ${space.is_public ? 'Public' : 'Private'}
+                </div>
+            </div>
+        `).join('');
+    },
+
+    showCreateSpace() {
+        if (!this.currentUser) {
+            this.showLogin();
+            return;
+        }
+        if (!this.can('space:write')) {
+            this.showError('Your role does not allow creating spaces');
+            return;
+        }
+        this.showSection('create-space-section');
+        document.getElementById('create-space-form').reset();
+    },
+
+    async createSpace(event) {
+        event.preventDefault();
+
+        const name = document.getElementById('space-name').value;
+        const description = document.getElementById('space-description').value;
+        const is_public = document.getElementById('space-public').checked;
+        const archive = document.getElementById('space-import-file').files[0];
+
+        try {
+            const data = await this.api('/spaces', {
+                method: 'POST',
+                body: { name, description, is_public }
+            });
+            const spaceKey = data.space.space_key;
+
+            if (archive) {
+                await this.importSpaceArchive(spaceKey, archive);
+            } else {
+                this.showSuccess('Space created!');
+            }
+            this.navigate(`/${spaceKey}`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    // Rebuild pages in a new space from an export archive. The space exists
+    // either way, so a failed import is reported without undoing it.
+    async importSpaceArchive(spaceKey, archive) {
+        this.showLoading(true);
+
+        try {
+            const result = await this.api(`/spaces/${spaceKey}/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/zip' },
+                body: archive
+            });
+
+            this.showSuccess(`Space created. ${result.message}.`);
+            const skipped = result.skipped
+                .map(page => `${page.slug || '(no slug)'} (${page.reason})`)
+                .concat((result.skipped_attachments || [])
+                    .map(file => `${file.slug}/${file.filename} (${file.reason})`));
+            if (skipped.length) {
+                this.showError('Skipped: ' + skipped.join(', '));
+            }
+        } catch (error) {
+            this.showError(`Space created, but the import failed: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    async showSpace(spaceKey, updateUrl = true, label = '') {
+        if (updateUrl) {
+            this.navigate(label ? this.labelUrl(spaceKey, label) : `/${spaceKey}`, true);
+            return;
+        }
+
+        this.currentSpace = spaceKey;
+        this.currentPage = null;
+        this.showSection('space-section');
+        this.setRealtimeRoom({ room: 'space', space: spaceKey });
+        this.showLoading(true);
+
+        const createBtn = document.getElementById('create-page-btn');
+        const settingsBtn = document.getElementById('space-settings-btn');
+        createBtn.style.display = 'none';
+        settingsBtn.style.display = 'none';
+
+        const { sort, q } = this.listParams();
+        this.listView = {
+            kind: 'pages',
+            path: label ? this.labelUrl(spaceKey, label) : `/${spaceKey}`,
+            endpoint: `/pages/list/${spaceKey}`,
+            defaultSort: 'title',
+            sort: sort || 'title',
+            q,
+            label,
+            items: [],
+            nextCursor: null,
+            total: 0,
+            loading: false
+        };
+
+        try {
+            const spaceData = await this.api(`/spaces/${spaceKey}`);
+
+            this.setSpaceAccess(spaceKey, spaceData.access);
+            document.getElementById('space-export-btn').href = `${this.apiBase}/spaces/${spaceKey}/export`;
+            createBtn.style.display = this.canInSpace('write') ? 'inline-block' : 'none';
+            settingsBtn.style.display = this.canInSpace('admin') ? 'inline-block' : 'none';
+
+            document.getElementById('space-name-breadcrumb').textContent = spaceData.space.name;
+            document.getElementById('space-title').textContent = spaceData.space.name;
+            document.getElementById('space-description-text').textContent = spaceData.space.description || '';
+            this.spaceWatching = !!spaceData.watching;
+            this.renderWatchButton(document.getElementById('space-watch-btn'), this.spaceWatching);
+            this.renderLabelFilter(spaceKey, label);
+            this.loadSpaceLabels(spaceKey, label);
+
+            await this.loadList();
+            this.loadTree(true);
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    renderPagesList(pages, highlightSlug = null) {
+        const container = document.getElementById('pages-list');
+        this.pagesList = pages || [];
+
+        if ((!pages || pages.length === 0) && this.listView && this.listView.q) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No pages match &ldquo;${this.escapeHtml(this.listView.q)}&rdquo;.</p>
+                </div>
+            `;
+            return;
+        }
+
+        if ((!pages || pages.length === 0) && this.listView && this.listView.label) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No pages are labelled &ldquo;${this.escapeHtml(this.listView.label)}&rdquo;.</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (!pages || pages.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No pages in this space yet.</p>
+                    ${this.canInSpace('write') ? '<p>Create your first page!</p>' : ''}
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = pages.map(page => `
+            <div class="card${page.slug === highlightSlug ? ' card-updated' : ''}">
+                <h3><a href="/${this.currentSpace}/${page.slug}">${this.escapeHtml(page.title)}</a></h3>
+                <div class="card-meta">
+                    Version ${page.version} &bull; Updated ${this.formatDate(page.updated_at)}
+                    ${page.comment_count ? `&bull; ${page.comment_count} comment${page.comment_count === 1 ? '' : 's'}` : ''}
+                </div>
+                ${this.renderLabels(page.labels, this.currentSpace)}
+            </div>
+        `).join('');
+    },
+
+    // Labels
+    labelUrl(spaceKey, label) {
+        return `/${spaceKey}/labels/${encodeURIComponent(label)}`;
+    },
+
+    // Label chips linking to the pages that share each label
+    renderLabels(labels, spaceKey, activeLabel = null) {
+        if (!labels || labels.length === 0) return '';
+
+        return `<div class="labels">${labels.map(label => {
+            const text = typeof label === 'string' ? label : label.label;
+            const count = typeof label === 'string' ? '' : ` <span class="label-count">${label.count}</span>`;
+            return `<a class="label-chip${text === activeLabel ? ' active' : ''}" href="${this.labelUrl(spaceKey, text)}">${this.escapeHtml(text)}${count}</a>`;
+        }).join('')}</div>`;
+    },
+
+    // Every label in the space, for browsing
+    async loadSpaceLabels(spaceKey, activeLabel) {
+        const container = document.getElementById('space-labels');
+        container.innerHTML = '';
+
+        try {
+            const data = await this.api(`/pages/labels/${spaceKey}`);
+            if (this.currentSpace !== spaceKey) return;
+            container.innerHTML = this.renderLabels(data.labels, spaceKey, activeLabel);
+        } catch (error) {
+            // The list still works without the label overview
+        }
+    },
+
+    renderLabelFilter(spaceKey, label) {
+        document.getElementById('space-label-filter').style.display = label ? 'block' : 'none';
+        if (!label) return;
+
+        document.getElementById('space-label-filter-chip').innerHTML =
+            `<span class="label-chip active">${this.escapeHtml(label)}</span>`;
+        document.getElementById('space-label-filter-clear').setAttribute('href', `/${spaceKey}`);
+    },
+
+    // "runbook, On Call" -> ['runbook', 'on call']; the server normalizes the rest
+    parseLabels(text) {
+        return [...new Set((text || '').split(',').map(label => label.trim().toLowerCase()).filter(Boolean))];
+    },
+
+    // Sort and filter for the spaces and pages lists live in the URL query
+    listParams() {
+        const params = new URLSearchParams(window.location.search);
+        return { sort: params.get('sort') || '', q: params.get('q') || '' };
+    },
+
+    // Fetch the first page of the current list, or the next one when more is set
+    async loadList(more = false) {
+        const view = this.listView;
+        if (!view || (more && (!view.nextCursor || view.loading))) return;
+
+        document.getElementById(`${view.kind}-filter`).value = view.q;
+        document.getElementById(`${view.kind}-sort`).value = view.sort;
+
+        const params = new URLSearchParams({ sort: view.sort, limit: this.listPageSize });
+        if (view.q) params.set('q', view.q);
+        if (view.label) params.set('label', view.label);
+        if (more) params.set('cursor', view.nextCursor);
+
+        // A newer sort or filter wins over a response still in flight
+        const seq = ++this.listSeq;
+        view.loading = true;
+        this.renderListMore();
+
+        try {
+            const data = await this.api(`${view.endpoint}?${params.toString()}`);
+            if (seq !== this.listSeq || this.listView !== view) return;
+
+            const items = data[view.kind] || [];
+            view.items = more ? view.items.concat(items) : items;
+            view.nextCursor = data.next_cursor || null;
+            view.total = data.total || 0;
+
+            if (view.kind === 'spaces') {
+                this.renderSpacesList(view.items);
+            } else {
+                this.renderPagesList(view.items);
+            }
+        } finally {
+            if (seq === this.listSeq) view.loading = false;
+            if (this.listView === view) this.renderListMore();
+        }
+    },
+
+    renderListMore() {
+        const view = this.listView;
+        const footer = document.getElementById(`${view.kind}-more`);
+
+        if (!view.nextCursor && (view.loading || view.items.length === 0)) {
+            footer.innerHTML = '';
+            return;
+        }
+
+        footer.innerHTML = `
+            <span>Showing ${view.items.length} of ${view.total}</span>
+            ${view.nextCursor ? `<button class="btn" onclick="app.loadMoreList()"${view.loading ? ' disabled' : ''}>${view.loading ? 'Loading...' : 'Load more'}</button>` : ''}
+        `;
+        this.observeListMore(footer);
+    },
+
+    // Infinite scroll: load the next page once the footer scrolls into view
+    observeListMore(footer) {
+        if (!('IntersectionObserver' in window)) return;
+
+        if (!this.listObserver) {
+            this.listObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMoreList();
+            }, { rootMargin: '200px' });
+        }
+        this.listObserver.disconnect();
+        if (this.listView.nextCursor) this.listObserver.observe(footer);
+    },
+
+    async loadMoreList() {
+        try {
+            await this.loadList(true);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    sortList(sort) {
+        if (!this.listView) return;
+
+        this.listView.sort = sort;
+        this.updateListUrl();
+        this.loadList().catch(error => this.showError(error.message));
+    },
+
+    filterList(query) {
+        clearTimeout(this.listFilterTimer);
+        this.listFilterTimer = setTimeout(() => {
+            const view = this.listView;
+            if (!view || view.q === query.trim()) return;
+
+            view.q = query.trim();
+            this.updateListUrl();
+            this.loadList().catch(error => this.showError(error.message));
+        }, this.listFilterDelay);
+    },
+
+    // Keep the address bar in step without adding a history entry per keystroke
+    updateListUrl() {
+        const view = this.listView;
+        const params = new URLSearchParams();
+        if (view.sort !== view.defaultSort) params.set('sort', view.sort);
+        if (view.q) params.set('q', view.q);
+
+        const search = params.toString();
+        history.replaceState(null, '', `${view.path}${search ? `?${search}` : ''}`);
+    },
+
+    // Every space the user can see, following next_cursor to the end
+    async fetchAllSpaces() {
+        let spaces = [];
+        let cursor = null;
+
+        do {
+            const params = new URLSearchParams({ limit: 200 });
+            if (cursor) params.set('cursor', cursor);
+
+            const data = await this.api(`/spaces?${params.toString()}`);
+            spaces = spaces.concat(data.spaces || []);
+            cursor = data.next_cursor;
+        } while (cursor);
+
+        return spaces;
+    },
+
+    // Space settings (space admins only)
+    async showSpaceSettings(spaceKey = this.currentSpace, updateUrl = true) {
+        if (updateUrl) {
+            this.navigate(`/${spaceKey}/settings`, true);
+            return;
+        }
+
+        if (!this.currentUser) {
+            this.showLogin();
+            return;
+        }
+
+        this.currentSpace = spaceKey;
+        this.currentPage = null;
+        this.spaceSettings = null;
+        this.showLoading(true);
+
+        try {
+            const data = await this.api(`/spaces/${spaceKey}`);
+            this.setSpaceAccess(spaceKey, data.access);
+
+            if (!this.canInSpace('admin')) {
+                this.showError('Only space admins can change space settings');
+                this.redirect(`/${spaceKey}`);
+                return;
+            }
+
+            const space = data.space;
+            this.spaceSettings = space;
+            this.showSection('space-settings-section');
+
+            document.getElementById('settings-space-breadcrumb').textContent = space.name;
+            document.getElementById('settings-space-name').value = space.name;
+            document.getElementById('settings-space-description').value = space.description || '';
+            document.getElementById('settings-space-public').checked = !!space.is_public;
+            document.getElementById('delete-space-key').textContent = space.space_key;
+            document.getElementById('delete-space-confirm').value = '';
+            document.getElementById('grant-username').value = '';
+            this.checkDeleteSpaceConfirm();
+
+            await this.loadSpaceMembers();
+            await this.loadTemplates('space');
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    async saveSpaceSettings(event) {
+        event.preventDefault();
+
+        const name = document.getElementById('settings-space-name').value.trim();
+        const description = document.getElementById('settings-space-description').value;
+        const is_public = document.getElementById('settings-space-public').checked;
+
+        try {
+            const data = await this.api(`/spaces/${this.currentSpace}`, {
+                method: 'PUT',
+                body: { name, description, is_public }
+            });
+
+            this.spaceSettings = data.space;
+            document.getElementById('settings-space-breadcrumb').textContent = data.space.name;
+            this.showSuccess('Space settings saved');
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    async loadSpaceMembers() {
+        const tbody = document.getElementById('space-members');
+
+        try {
+            const data = await this.api(`/spaces/${this.currentSpace}/permissions`);
+            this.renderSpaceMembers(data);
+        } catch (error) {
+            tbody.innerHTML = `<tr><td colspan="4" class="members-empty">${this.escapeHtml(error.message)}</td></tr>`;
+        }
+    },
+
+    renderSpaceMembers(data) {
+        const tbody = document.getElementById('space-members');
+        const levels = ['read', 'write', 'admin'];
+
+        this.spaceMembers = (data.permissions || []).filter(p => p.user_id !== data.owner_id);
+
+        const owner = data.owner_id ? `
+            <tr>
+                <td>${this.escapeHtml(data.owner_username || data.owner_id)}</td>
+                <td>Owner</td>
+                <td></td>
+                <td></td>
+            </tr>
+        ` : '';
+
+        const members = this.spaceMembers.map((p, i) => `
+            <tr>
+                <td>${this.escapeHtml(p.username || p.user_id)}</td>
+                <td>
+                    <select onchange="app.changeSpacePermission(${i}, this.value)">
+                        ${levels.map(level => `<option value="${level}"${p.permission === level ? ' selected' : ''}>${level.charAt(0).toUpperCase() + level.slice(1)}</option>`).join('')}
+                    </select>
+                </td>
+                <td>${p.granted_at ? this.formatDate(p.granted_at) : ''}</td>
+                <td><button class="btn" onclick="app.revokeSpacePermission(${i})">Remove</button></td>
+            </tr>
+        `).join('');
+
+        tbody.innerHTML = owner + (members || '<tr><td colspan="4" class="members-empty">No other members yet.</td></tr>');
+    },
+
+    async grantSpacePermission(event) {
+        event.preventDefault();
+
+        const username = document.getElementById('grant-username').value.trim();
+        const permission = document.getElementById('grant-permission').value;
+        if (!username) return false;
+
+        try {
+            await this.api(`/spaces/${this.currentSpace}/permissions`, {
+                method: 'POST',
+                body: { username, permission }
+            });
+            document.getElementById('grant-username').value = '';
+            this.showSuccess(`Granted ${permission} access to ${username}`);
+            await this.loadSpaceMembers();
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    async changeSpacePermission(index, permission) {
+        const member = this.spaceMembers[index];
+        if (!member) return;
+
+        try {
+            await this.api(`/spaces/${this.currentSpace}/permissions`, {
+                method: 'POST',
+                body: { user_id: member.user_id, permission }
+            });
+            this.showSuccess('Access updated');
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        await this.loadSpaceMembers();
+    },
+
+    async revokeSpacePermission(index) {
+        const member = this.spaceMembers[index];
+        if (!member) return;
+        if (!confirm(`Remove ${member.username || 'this user'} from the space?`)) return;
+
+        try {
+            await this.api(`/spaces/${this.currentSpace}/permissions/${encodeURIComponent(member.user_id)}`, {
+                method: 'DELETE'
+            });
+            this.showSuccess('Access removed');
+            await this.loadSpaceMembers();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    checkDeleteSpaceConfirm() {
+        const typed = document.getElementById('delete-space-confirm').value.trim();
+        const key = this.spaceSettings ? this.spaceSettings.space_key : null;
+        document.getElementById('delete-space-btn').disabled = !key || typed !== key;
+    },
+
+    async deleteSpace(event) {
+        event.preventDefault();
+
+        const space = this.spaceSettings;
+        const typed = document.getElementById('delete-space-confirm').value.trim();
+        if (!space || typed !== space.space_key) {
+            this.showError('Type the space key to confirm');
+            return false;
+        }
+
+        try {
+            await this.api(`/spaces/${space.space_key}`, { method: 'DELETE' });
+            this.spaceSettings = null;
+            this.showSuccess(`Space "${space.name}" deleted`);
+            this.navigate('/');
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    // Templates, managed in space settings ('space') and on the admin page ('global')
+    templateEndpoint(scope) {
+        return scope === 'global' ? '/templates/global' : `/templates/space/${this.currentSpace}`;
+    },
+
+    async loadTemplates(scope) {
+        const list = document.getElementById(`${scope}-templates-list`);
+        this.resetTemplateForm(scope);
+
+        try {
+            const data = await this.api(this.templateEndpoint(scope));
+            // A space's list also has the global templates; those are managed elsewhere
+            this.templates[scope] = (data.templates || []).filter(t => t.scope === scope);
+            this.renderTemplates(scope);
+        } catch (error) {
+            list.innerHTML = `<li class="template-empty">${this.escapeHtml(error.message)}</li>`;
+        }
+    },
+
+    renderTemplates(scope) {
+        const templates = this.templates[scope];
+
+        document.getElementById(`${scope}-templates-list`).innerHTML = templates.length ? templates.map((t, i) => `
+            <li>
+                <div class="template-info">
+                    <strong>${this.escapeHtml(t.name)}</strong>
+                    ${t.description ? `<span>${this.escapeHtml(t.description)}</span>` : ''}
+                </div>
+                <button class="btn" onclick="app.editTemplate('${scope}', ${i})">Edit</button>
+                <button class="btn btn-danger" onclick="app.deleteTemplate('${scope}', ${i})">Delete</button>
+            </li>
+        `).join('') : '<li class="template-empty">No templates yet.</li>';
+    },
+
+    resetTemplateForm(scope) {
+        this.templateEditing[scope] = null;
+        document.getElementById(`${scope}-template-form`).reset();
+        document.getElementById(`${scope}-template-form-title`).textContent = 'New Template';
+        document.getElementById(`${scope}-template-cancel`).style.display = 'none';
+    },
+
+    editTemplate(scope, index) {
+        const template = this.templates[scope][index];
+        if (!template) return;
+
+        this.templateEditing[scope] = template;
+        document.getElementById(`${scope}-template-name`).value = template.name;
+        document.getElementById(`${scope}-template-description`).value = template.description || '';
+        document.getElementById(`${scope}-template-content`).value = template.content || '';
+        document.getElementById(`${scope}-template-form-title`).textContent = `Edit "${template.name}"`;
+        document.getElementById(`${scope}-template-cancel`).style.display = 'inline-block';
+        document.getElementById(`${scope}-template-name`).focus();
+    },
+
+    async saveTemplate(event, scope) {
+        event.preventDefault();
+
+        const editing = this.templateEditing[scope];
+        const endpoint = this.templateEndpoint(scope);
+        const body = {
+            name: document.getElementById(`${scope}-template-name`).value.trim(),
+            description: document.getElementById(`${scope}-template-description`).value,
+            content: document.getElementById(`${scope}-template-content`).value
+        };
+
+        try {
+            const data = await this.api(editing ? `${endpoint}/${editing.template_id}` : endpoint, {
+                method: editing ? 'PUT' : 'POST',
+                body
+            });
+            this.showSuccess(data.message);
+            await this.loadTemplates(scope);
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    async deleteTemplate(scope, index) {
+        const template = this.templates[scope][index];
+        if (!template || !window.confirm(`Delete the template "${template.name}"?`)) return;
+
+        try {
+            const data = await this.api(`${this.templateEndpoint(scope)}/${template.template_id}`, { method: 'DELETE' });
+            this.showSuccess(data.message);
+            await this.loadTemplates(scope);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // Template picker in the create-page form; hidden when the space has none
+    async loadPageTemplates() {
+        const seq = ++this.templateSeq;
+        const spaceKey = this.currentSpace;
+
+        let data;
+        try {
+            data = await this.api(`/templates/space/${spaceKey}`);
+        } catch (error) {
+            return;   // Creating a blank page still works
+        }
+
+        // Moved on to another form while loading
+        if (seq !== this.templateSeq || this.editingPage) return;
+
+        this.pageTemplates = data.templates || [];
+        if (!this.pageTemplates.length) return;
+
+        const options = scope => this.pageTemplates
+            .map((t, i) => t.scope === scope ? `<option value="${i}">${this.escapeHtml(t.name)}</option>` : '')
+            .join('');
+        const group = (label, html) => html ? `<optgroup label="${this.escapeHtml(label)}">${html}</optgroup>` : '';
+
+        document.getElementById('page-template').innerHTML = '<option value="">Blank page</option>'
+            + group(`${spaceKey} templates`, options('space'))
+            + group('All spaces', options('global'));
+        document.getElementById('page-template-description').textContent = '';
+        document.getElementById('page-template-group').style.display = 'block';
+    },
+
+    // Fill #page-content from the picked template. Text written since the
+    // last pick is only replaced after asking.
+    async applyTemplate() {
+        const select = document.getElementById('page-template');
+        const content = document.getElementById('page-content').value;
+        const applied = this.appliedTemplate;
+
+        if (content.trim() && !(applied && content === applied.content)
+            && !window.confirm('Replace the text in the editor with this template?')) {
+            select.value = applied ? applied.index : '';
+            return;
+        }
+
+        clearTimeout(this.templateTimer);
+        const template = this.pageTemplates[select.value];
+        document.getElementById('page-template-description').textContent = template ? template.description || '' : '';
+
+        if (!template) {
+            document.getElementById('page-content').value = '';
+            this.appliedTemplate = null;
+            this.schedulePreview();
+            this.scheduleDraftSave();
+            return;
+        }
+
+        await this.fillTemplate(select.value);
+    },
+
+    // The server fills in {{title}}, {{author}}, {{date}} and {{space}}
+    async fillTemplate(index) {
+        const template = this.pageTemplates[index];
+        const textarea = document.getElementById('page-content');
+        const before = textarea.value;
+        const params = new URLSearchParams({ title: document.getElementById('page-title').value.trim() });
+
+        try {
+            const data = await this.api(`/templates/apply/${this.currentSpace}/${template.template_id}?${params.toString()}`);
+
+            // Another template was picked, or the text edited, in the meantime
+            if (document.getElementById('page-template').value !== String(index) || textarea.value !== before) return;
+
+            textarea.value = data.content;
+            this.appliedTemplate = { index: String(index), content: data.content };
+            this.schedulePreview();
+            this.scheduleDraftSave();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // Keep {{title}} in step with the title field until the template text is edited
+    scheduleTemplateRefill() {
+        const applied = this.appliedTemplate;
+        if (!applied || this.editingPage) return;
+
+        const template = this.pageTemplates[applied.index];
+        if (!template || !/\{\{\s*title\s*\}\}/i.test(template.content || '')) return;
+        if (document.getElementById('page-content').value !== applied.content) return;
+
+        clearTimeout(this.templateTimer);
+        this.templateTimer = setTimeout(() => this.fillTemplate(applied.index), this.templateDelay);
+    },
+
+    // Pages
+    async showCreatePage(prefillTitle = null, updateUrl = true) {
+        if (!this.currentUser) {
+            this.showLogin();
+            return;
+        }
+
+        if (updateUrl) {
+            this.navigate(`/${this.currentSpace}/new`, true);
+            return;
+        }
+
+        try {
+            await this.loadSpaceAccess(this.currentSpace);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        if (!this.canInSpace('write')) {
+            this.pendingPageTitle = null;
+            this.showError('You do not have write access to this space');
+            this.redirect(`/${this.currentSpace}`);
+            return;
+        }
+
+        this.editingPage = null;
+        this.showSection('edit-page-section');
+        document.getElementById('edit-update-banner').style.display = 'none';
+
+        // Set by "Add Child" on the parent page
+        this.createParent = this.pendingParent;
+        this.pendingParent = null;
+        const parent = this.createParent;
+
+        document.getElementById('edit-space-breadcrumb').textContent = this.currentSpace;
+        this.renderAncestors('edit-ancestors-breadcrumb', parent ? [...parent.ancestors, parent] : []);
+        document.getElementById('edit-page-breadcrumb').textContent = 'New Page';
+        document.getElementById('edit-page-title').textContent = parent ? `Create Page in "${parent.title}"` : 'Create Page';
+        document.getElementById('edit-page-form').reset();
+
+        // Pre-fill title if provided (e.g., from clicking a missing wiki link)
+        prefillTitle = prefillTitle || this.pendingPageTitle;
+        this.pendingPageTitle = null;
+        if (prefillTitle) {
+            document.getElementById('page-title').value = prefillTitle;
+        }
+
+        this.resetEditor();
+        this.startEditing();
+        this.loadPageTemplates();
+    },
+
+    async showPage(slug, updateUrl = true) {
+        if (updateUrl) {
+            this.navigate(`/${this.currentSpace}/${slug}`, true);
+            return;
+        }
+
+        this.currentPage = slug;
+        this.pageVersion = null;
+        this.showSection('page-section');
+        this.showLoading(true);
+        document.getElementById('page-update-banner').style.display = 'none';
+        this.setRealtimeRoom({ room: 'page', space: this.currentSpace, slug, mode: 'viewing' });
+
+        const actionsEl = document.getElementById('page-actions');
+        actionsEl.style.display = 'none';
+        this.hidePageTools();
+        document.getElementById('page-comments').style.display = 'none';
+
+        try {
+            const data = await this.api(`/pages/view/${this.currentSpace}/${slug}`);
+
+            // Old address of a renamed or moved page
+            if (data.redirect) {
+                this.redirect(`/${data.redirect.space_key}/${data.redirect.slug}`);
+                return;
+            }
+
+            const page = data.page;
+            this.pageTitle = page.title;
+            this.pageAncestors = data.ancestors || [];
+
+            this.setSpaceAccess(this.currentSpace, data.access);
+            const canWrite = this.canInSpace('write');
+            document.getElementById('page-edit-btn').style.display = canWrite ? 'inline-block' : 'none';
+            document.getElementById('page-add-child-btn').style.display = canWrite ? 'inline-block' : 'none';
+            document.getElementById('page-rename-btn').style.display = canWrite ? 'inline-block' : 'none';
+            document.getElementById('page-move-btn').style.display = canWrite ? 'inline-block' : 'none';
+            document.getElementById('page-delete-btn').style.display = this.canInSpace('delete_pages') ? 'inline-block' : 'none';
+            this.pageWatching = data.watching || { page: false, space: false };
+            this.renderPageWatch();
+            actionsEl.style.display = 'flex';
+
+            document.getElementById('page-space-breadcrumb').textContent = this.currentSpace;
+            this.renderAncestors('page-ancestors-breadcrumb', this.pageAncestors);
+            document.getElementById('page-title-breadcrumb').textContent = page.title;
+            document.getElementById('page-title-display').textContent = page.title;
+            document.getElementById('page-version').textContent = page.version;
+            this.pageVersion = page.version;
+            document.getElementById('page-updated').textContent = this.formatDate(page.updated_at);
+            this.showOfflineCopy(data.offline, slug);
+            document.getElementById('page-labels-display').innerHTML = this.renderLabels(page.labels, this.currentSpace);
+            this.showContent(page.content_html);
+            this.scrollToHash();
+            this.loadAttachments(slug);
+            this.loadBacklinks(slug);
+            this.loadComments(slug);
+            this.loadTree();
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    // Label a page served from sw.js's cache, and say if an offline edit is waiting
+    showOfflineCopy(offline, slug) {
+        const label = document.getElementById('page-offline-copy');
+        const queued = this.loadOfflineEdits().some(e => e.space === this.currentSpace && e.slug === slug);
+
+        let text = '';
+        if (offline) {
+            text = offline.cached_at ? `Offline copy from ${this.formatDate(offline.cached_at)}` : 'Offline copy';
+        }
+        if (queued) {
+            text += `${text ? ' - your' : 'Your'} edit is waiting to be saved`;
+        }
+
+        label.textContent = text;
+        label.style.display = text ? 'inline' : 'none';
+    },
+
+    // Rendered page content with highlighted code, heading anchors and a
+    // table of contents for long pages
+    showContent(html) {
+        const content = document.getElementById('page-content-display');
+        content.innerHTML = html || '<p>No content</p>';
+        this.highlightCodeBlocks(content);
+
+        const headings = Array.from(content.querySelectorAll('h1[id], h2[id], h3[id], h4[id]'));
+        headings.forEach(heading => {
+            const anchor = document.createElement('a');
+            anchor.className = 'heading-anchor';
+            anchor.href = `#${encodeURIComponent(heading.id)}`;
+            anchor.textContent = '#';
+            anchor.setAttribute('aria-label', 'Link to this section');
+            heading.appendChild(anchor);
+        });
+
+        this.renderToc(headings);
+    },
+
+    renderToc(headings) {
+        const toc = document.getElementById('page-toc');
+        const body = document.getElementById('page-body');
+        const show = headings.length >= this.tocMinHeadings;
+
+        toc.style.display = show ? 'block' : 'none';
+        body.classList.toggle('has-toc', show);
+        if (!show) return;
+
+        // Indent relative to the largest heading used, so a page of h2s starts flush
+        const top = Math.min(...headings.map(h => Number(h.tagName[1])));
+        document.getElementById('page-toc-list').innerHTML = headings.map(heading => {
+            const title = heading.cloneNode(true);
+            title.querySelectorAll('.heading-anchor').forEach(a => a.remove());
+            return `<li class="toc-level-${Number(heading.tagName[1]) - top + 1}">
+                <a href="#${encodeURIComponent(heading.id)}">${this.escapeHtml(title.textContent.trim())}</a>
+            </li>`;
+        }).join('');
+    },
+
+    // Scroll the page content to the heading named by location.hash. Only
+    // the page view is searched: the editor preview can hold the same ids.
+    scrollToHash() {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        if (!id) return;
+
+        const target = document.getElementById('page-content-display').querySelector(`[id="${CSS.escape(id)}"]`);
+        if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    // Breadcrumb links for a page's parents (top level first)
+    renderAncestors(elementId, ancestors) {
+        document.getElementById(elementId).innerHTML = ancestors.map(page =>
+            `<a href="/${this.currentSpace}/${page.slug}">${this.escapeHtml(page.title)}</a> &gt;`
+        ).join(' ');
+    },
+
+    addChildPage() {
+        const page = (this.treePages || []).find(p => p.slug === this.currentPage);
+        this.pendingParent = {
+            page_id: page ? page.page_id : null,
+            slug: this.currentPage,
+            title: this.pageTitle,
+            ancestors: this.pageAncestors || []
+        };
+        this.navigate(`/${this.currentSpace}/new`);
+    },
+
+    // Page tree sidebar
+    setTree(spaceKey, pages) {
+        this.treeSpace = spaceKey;
+        this.treePages = pages || [];
+        this.renderTree();
+    },
+
+    async loadTree(force = false) {
+        const spaceKey = this.currentSpace;
+
+        if (force || this.treeSpace !== spaceKey) {
+            try {
+                const data = await this.api(`/pages/tree/${spaceKey}`);
+                if (this.currentSpace !== spaceKey) return;
+                this.treeSpace = spaceKey;
+                this.treePages = data.pages || [];
+            } catch (error) {
+                document.getElementById('page-tree-list').innerHTML = '';
+                return;
+            }
+        }
+
+        // Open the branch holding the current page
+        this.treeAncestors(this.currentPage).forEach(page => this.treeExpanded.add(page.page_id));
+        this.renderTree();
+    },
+
+    // Indexes into treePages by parent page_id ('' = top level), ordered like
+    // HSWiki::Model::Page->children: position, then title
+    treeChildren() {
+        const ids = new Set(this.treePages.map(page => page.page_id));
+        const children = {};
+
+        this.treePages.forEach((page, index) => {
+            const parent = page.parent_id && ids.has(page.parent_id) ? page.parent_id : '';
+            (children[parent] = children[parent] || []).push(index);
+        });
+
+        const position = page => page.position ?? Number.MAX_SAFE_INTEGER;
+        Object.values(children).forEach(list => list.sort((a, b) => {
+            const pa = this.treePages[a];
+            const pb = this.treePages[b];
+            return position(pa) - position(pb) || pa.title.toLowerCase().localeCompare(pb.title.toLowerCase());
+        }));
+
+        return children;
+    },
+
+    renderTree() {
+        const children = this.treeChildren();
+        const canWrite = this.canInSpace('write');
+
+        const renderNodes = parentId => (children[parentId] || []).map(index => {
+            const page = this.treePages[index];
+            const kids = children[page.page_id] || [];
+            const expanded = this.treeExpanded.has(page.page_id);
+            const toggle = kids.length
+                ? `<button class="tree-toggle" onclick="app.toggleTreeNode(${index})" title="${expanded ? 'Collapse' : 'Expand'}">${expanded ? '&#9662;' : '&#9656;'}</button>`
+                : '<span class="tree-toggle"></span>';
+            const drag = canWrite
+                ? ` draggable="true" ondragstart="app.treeDragStart(event, ${index})" ondragover="app.treeDragOver(event, ${index})"` +
+                  ` ondragleave="app.treeDragLeave(event)" ondrop="app.treeDrop(event, ${index})" ondragend="app.treeDragEnd()"`
+                : '';
+
+            return `
+                <li>
+                    <div class="tree-row${page.slug === this.currentPage ? ' tree-current' : ''}"${drag}>
+                        ${toggle}<a href="/${this.treeSpace}/${page.slug}">${this.escapeHtml(page.title)}</a>
+                    </div>
+                    ${kids.length && expanded ? `<ul>${renderNodes(page.page_id)}</ul>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        document.getElementById('page-tree-list').innerHTML = this.treePages.length
+            ? renderNodes('')
+            : '<li class="tree-empty">No pages yet</li>';
+    },
+
+    // Parents of a page according to the loaded tree, top level first
+    treeAncestors(slug) {
+        const byId = new Map(this.treePages.map(page => [page.page_id, page]));
+        const chain = [];
+        let page = this.treePages.find(p => p.slug === slug);
+        for (let depth = 0; page && page.parent_id && depth < this.treePages.length; depth++) {
+            page = byId.get(page.parent_id);
+            if (page) chain.unshift({ page_id: page.page_id, slug: page.slug, title: page.title });
+        }
+        return chain;
+    },
+
+    toggleTreeNode(index) {
+        const page = this.treePages[index];
+        if (!page) return;
+
+        if (this.treeExpanded.has(page.page_id)) this.treeExpanded.delete(page.page_id);
+        else this.treeExpanded.add(page.page_id);
+
+        localStorage.setItem('hswiki:tree-expanded', JSON.stringify([...this.treeExpanded]));
+        this.renderTree();
+    },
+
+    treeDragStart(event, index) {
+        this.treeDrag = index;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', this.treePages[index].slug);
+        document.getElementById('tree-root-drop').style.display = 'block';
+    },
+
+    treeDragEnd() {
+        this.treeDrag = null;
+        document.getElementById('tree-root-drop').style.display = 'none';
+    },
+
+    // Top quarter of a row drops before it, bottom quarter after, the middle inside
+    treeDropPlacement(event, index) {
+        if (index === -1) return 'root';
+        const rect = event.currentTarget.getBoundingClientRect();
+        const offset = (event.clientY - rect.top) / rect.height;
+        return offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+    },
+
+    // A page cannot go under itself or one of its descendants
+    canDropOnTree(index) {
+        if (this.treeDrag === null) return false;
+        if (index === -1) return true;
+
+        const dragged = this.treePages[this.treeDrag];
+        const byId = new Map(this.treePages.map(page => [page.page_id, page]));
+        let page = this.treePages[index];
+        for (let depth = 0; page && depth <= this.treePages.length; depth++) {
+            if (page.page_id === dragged.page_id) return false;
+            page = page.parent_id ? byId.get(page.parent_id) : null;
+        }
+        return true;
+    },
+
+    treeDragOver(event, index) {
+        if (!this.canDropOnTree(index)) return;
+        event.preventDefault();
+        this.treeDragLeave(event);
+        event.currentTarget.classList.add(`drop-${this.treeDropPlacement(event, index)}`);
+    },
+
+    treeDragLeave(event) {
+        event.currentTarget.classList.remove('drop-before', 'drop-after', 'drop-inside', 'drop-root');
+    },
+
+    async treeDrop(event, index) {
+        event.preventDefault();
+        this.treeDragLeave(event);
+        if (!this.canDropOnTree(index)) return;
+
+        const placement = this.treeDropPlacement(event, index);
+        const dragIndex = this.treeDrag;
+        const dragged = this.treePages[dragIndex];
+        this.treeDragEnd();
+
+        let parent = null;
+        let position;
+        if (placement === 'inside') {
+            parent = this.treePages[index];
+        } else if (placement !== 'root') {
+            // Next to the target, among its siblings
+            const children = this.treeChildren();
+            const parentId = Object.keys(children).find(key => children[key].includes(index));
+            const siblings = children[parentId].filter(i => i !== dragIndex);
+            parent = parentId ? this.treePages.find(page => page.page_id === parentId) : null;
+            position = siblings.indexOf(index) + (placement === 'after' ? 1 : 0);
+        }
+
+        try {
+            const data = await this.api(`/pages/parent/${this.treeSpace}/${dragged.slug}`, {
+                method: 'PUT',
+                body: { parent: parent ? parent.slug : null, position }
+            });
+            if (parent) this.treeExpanded.add(parent.page_id);
+            this.setTree(this.treeSpace, data.pages);
+
+            // Breadcrumbs of the open page may have changed
+            if (this.currentPage) {
+                this.pageAncestors = this.treeAncestors(this.currentPage);
+                this.renderAncestors('page-ancestors-breadcrumb', this.pageAncestors);
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // "Linked from" panel under the page content
+    async loadBacklinks(slug) {
+        const panel = document.getElementById('page-backlinks');
+        panel.style.display = 'none';
+
+        try {
+            const data = await this.api(`/pages/backlinks/${this.currentSpace}/${slug}`);
+            if (this.currentPage !== slug) return;
+
+            const list = document.getElementById('page-backlinks-list');
+            list.innerHTML = data.backlinks.length === 0
+                ? '<li class="backlinks-empty">No other pages link here.</li>'
+                : data.backlinks.map(link => this.pageLinkItem(link)).join('');
+            panel.style.display = 'block';
+        } catch (error) {
+            // The page itself loaded; the panel is optional
+        }
+    },
+
+    // Comments
+    async loadComments(slug = this.currentPage) {
+        const panel = document.getElementById('page-comments');
+        if (slug !== this.currentPage) return;
+
+        try {
+            const data = await this.api(`/comments/${this.currentSpace}/${slug}`);
+            if (this.currentPage !== slug) return;
+
+            this.comments = data.comments || [];
+            this.commentAccess = { comment: !!data.can_comment, moderate: !!data.can_moderate };
+            this.commentForm = null;
+            document.getElementById('page-comments-count').textContent = data.count ? `(${data.count})` : '';
+            document.getElementById('comment-form').style.display = data.can_comment ? 'block' : 'none';
+            document.getElementById('comment-login-hint').style.display = this.currentUser ? 'none' : 'block';
+            this.renderComments();
+            panel.style.display = 'block';
+
+            // Arrived from a mention in the inbox
+            if (window.location.hash === '#page-comments') {
+                panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        } catch (error) {
+            // The page itself loaded (possibly from the offline cache); comments are optional
+            panel.style.display = 'none';
+        }
+    },
+
+    renderComments() {
+        const list = document.getElementById('comments-list');
+        list.innerHTML = this.comments.length
+            ? this.comments.map(comment => this.renderComment(comment)).join('')
+            : '<p class="comments-empty">No comments yet.</p>';
+        this.highlightCodeBlocks(list);
+    },
+
+    renderComment(comment) {
+        const id = comment.comment_id;
+        const form = this.commentForm && this.commentForm.id === id ? this.commentForm.mode : null;
+        const own = !!(this.currentUser && comment.author_id === this.currentUser.user_id);
+        const replies = (comment.replies || []).map(reply => this.renderComment(reply)).join('');
+
+        if (comment.is_deleted) {
+            return `
+                <div class="comment deleted" id="comment-${id}">
+                    <p class="comment-deleted">This comment was deleted.</p>
+                    ${replies ? `<div class="comment-replies">${replies}</div>` : ''}
+                </div>
+            `;
+        }
+
+        const actions = [
+            this.commentAccess.comment ? `<a href="#" onclick="app.openCommentForm('reply', '${id}'); return false;">Reply</a>` : '',
+            own ? `<a href="#" onclick="app.openCommentForm('edit', '${id}'); return false;">Edit</a>` : '',
+            own || this.commentAccess.moderate ? `<a href="#" onclick="app.deleteComment('${id}'); return false;">Delete</a>` : ''
+        ].filter(Boolean).join(' &middot; ');
+
+        return `
+            <div class="comment" id="comment-${id}">
+                <div class="comment-header">
+                    <strong>${this.escapeHtml(comment.author_name || 'Someone')}</strong>
+                    <span class="comment-date">${this.formatDate(comment.created_at)}${comment.edited_at ? ' (edited)' : ''}</span>
+                </div>
+                ${form === 'edit' ? this.commentFormHtml(id, comment.content, 'Save') : `<div class="comment-body wiki-content">${comment.content_html}</div>`}
+                ${actions && !form ? `<div class="comment-actions">${actions}</div>` : ''}
+                ${form === 'reply' ? this.commentFormHtml(id, '', 'Reply') : ''}
+                ${replies ? `<div class="comment-replies">${replies}</div>` : ''}
+            </div>
+        `;
+    },
+
+    commentFormHtml(id, content, label) {
+        return `
+            <form class="comment-form" onsubmit="return app.submitComment(event, '${id}')">
+                <textarea id="comment-form-${id}" rows="3">${this.escapeHtml(content)}</textarea>
+                <button type="submit" class="btn btn-primary">${label}</button>
+                <button type="button" class="btn" onclick="app.closeCommentForm()">Cancel</button>
+            </form>
+        `;
+    },
+
+    openCommentForm(mode, id) {
+        this.commentForm = { mode, id };
+        this.renderComments();
+
+        const textarea = document.getElementById(`comment-form-${id}`);
+        if (textarea) textarea.focus();
+    },
+
+    closeCommentForm() {
+        this.commentForm = null;
+        this.renderComments();
+    },
+
+    // New comment (no id), or the reply/edit form open on comment id
+    async submitComment(event, id = null) {
+        event.preventDefault();
+
+        const form = id ? this.commentForm : null;
+        const textarea = document.getElementById(id ? `comment-form-${id}` : 'comment-content');
+        const content = textarea.value.trim();
+        if (!content) return false;
+
+        const base = `/comments/${this.currentSpace}/${this.currentPage}`;
+
+        try {
+            const data = form && form.mode === 'edit'
+                ? await this.api(`${base}/${id}`, { method: 'PUT', body: { content } })
+                : await this.api(base, { method: 'POST', body: { content, parent_id: id || undefined } });
+
+            if (!id) textarea.value = '';
+            this.showSuccess(data.message);
+            await this.loadComments();
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    async deleteComment(id) {
+        if (!window.confirm('Delete this comment?')) return;
+
+        try {
+            const data = await this.api(`/comments/${this.currentSpace}/${this.currentPage}/${id}`, { method: 'DELETE' });
+            this.showSuccess(data.message);
+            await this.loadComments();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // Attachments panel under the page content; files can be dropped on it
+    async loadAttachments(slug) {
+        const panel = document.getElementById('page-attachments');
+        panel.style.display = 'none';
+
+        try {
+            const data = await this.api(`/attachments/list/${this.currentSpace}/${slug}`);
+            if (this.currentPage !== slug) return;
+
+            this.attachments = data.attachments || [];
+            if (data.max_size) this.attachmentMaxSize = data.max_size;
+            this.renderAttachments();
+
+            const canWrite = this.canInSpace('write');
+            document.getElementById('attachment-upload-btn').style.display = canWrite ? 'inline-block' : 'none';
+            document.getElementById('attachments-drop-hint').style.display = canWrite ? 'block' : 'none';
+
+            // Readers only see the panel when there is something in it
+            panel.style.display = canWrite || this.attachments.length > 0 ? 'block' : 'none';
+        } catch (error) {
+            // The page itself loaded; the panel is optional
+        }
+    },
+
+    renderAttachments() {
+        const list = document.getElementById('page-attachments-list');
+        const canWrite = this.canInSpace('write');
+
+        document.getElementById('page-attachments-count').textContent =
+            this.attachments.length ? `(${this.attachments.length})` : '';
+
+        list.innerHTML = this.attachments.map((file, i) => `
+            <li class="attachment">
+                ${file.is_image
+                    ? `<a href="${file.url}" target="_blank" class="attachment-thumb"><img src="${file.url}" alt="" loading="lazy"></a>`
+                    : '<span class="attachment-thumb attachment-icon">&#128196;</span>'}
+                <div class="attachment-info">
+                    <a href="${file.url}"${file.is_image ? ' target="_blank"' : ' download'}>${this.escapeHtml(file.filename)}</a>
+                    <span class="attachment-meta">${this.formatSize(file.size)} &bull; ${this.formatDate(file.uploaded_at)}</span>
+                </div>
+                <button class="btn" onclick="app.copyAttachmentMarkup(${i})" title="Copy markup to paste into the page">Copy markup</button>
+                ${canWrite ? `<button class="btn btn-danger" onclick="app.deleteAttachment(${i})">Delete</button>` : ''}
+            </li>
+        `).join('');
+    },
+
+    attachmentMarkup(filename) {
+        return `{{attachment:${filename}}}`;
+    },
+
+    async copyAttachmentMarkup(index) {
+        const file = this.attachments[index];
+        if (!file) return;
+
+        const markup = this.attachmentMarkup(file.filename);
+        try {
+            await navigator.clipboard.writeText(markup);
+            this.showSuccess(`Copied ${markup}`);
+        } catch (error) {
+            window.prompt('Copy this markup into the page:', markup);
+        }
+    },
+
+    async deleteAttachment(index) {
+        const file = this.attachments[index];
+        if (!file || !confirm(`Delete ${file.filename}? Pages showing it will mark it missing.`)) return;
+
+        try {
+            await this.api(`/attachments/delete/${this.currentSpace}/${this.currentPage}/${encodeURIComponent(file.filename)}`, {
+                method: 'DELETE'
+            });
+            this.attachments.splice(index, 1);
+            this.renderAttachments();
+            this.showSuccess(`Deleted ${file.filename}`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // Upload one file to a page; resolves to the server's { attachment, markup }
+    uploadAttachment(file, slug) {
+        if (file.size > this.attachmentMaxSize) {
+            return Promise.reject(new Error(`${file.name} is larger than ${this.formatSize(this.attachmentMaxSize)}`));
+        }
+
+        const params = new URLSearchParams({ name: this.attachmentName(file) });
+        return this.api(`/attachments/upload/${this.currentSpace}/${slug}?${params.toString()}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file
+        });
+    },
+
+    // Pasted screenshots all arrive as "image.png"; give them a dated name
+    attachmentName(file) {
+        if (file.name && file.name !== 'image.png') return file.name;
+
+        const stamp = new Date().toISOString().replace(/\..*$/, '').replace(/[-:]/g, '').replace('T', '-');
+        const ext = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+        return `pasted-${stamp}.${ext}`;
+    },
+
+    async uploadToPage(files) {
+        const slug = this.currentPage;
+
+        for (const file of files) {
+            try {
+                const data = await this.uploadAttachment(file, slug);
+                if (this.currentPage !== slug) return;
+                this.attachments = this.attachments
+                    .filter(existing => existing.filename !== data.attachment.filename)
+                    .concat(data.attachment)
+                    .sort((a, b) => a.filename.localeCompare(b.filename));
+                this.renderAttachments();
+                this.showSuccess(`Attached ${data.attachment.filename} - add ${data.markup} to show it in the page`);
+            } catch (error) {
+                this.showError(error.message);
+            }
+        }
+    },
+
+    uploadPickedFiles(input) {
+        const files = Array.from(input.files || []);
+        input.value = '';
+        if (files.length) this.uploadToPage(files);
+    },
+
+    attachmentDragOver(event) {
+        if (!this.canInSpace('write') || !Array.from(event.dataTransfer.types || []).includes('Files')) return;
+        event.preventDefault();
+        event.currentTarget.classList.add('drop-active');
+    },
+
+    attachmentDragLeave(event) {
+        event.currentTarget.classList.remove('drop-active');
+    },
+
+    attachmentDrop(event) {
+        event.currentTarget.classList.remove('drop-active');
+        const files = Array.from(event.dataTransfer.files || []);
+        if (!files.length || !this.canInSpace('write')) return;
+
+        event.preventDefault();
+        this.uploadToPage(files);
+    },
+
+    // <li> linking to a page, naming its space when it is not the current one
+    pageLinkItem(page) {
+        const space = page.space_key !== this.currentSpace
+            ? ` <span class="backlink-space">${this.escapeHtml(page.space_key)}</span>`
+            : '';
+        return `<li><a href="/${page.space_key}/${page.slug}">${this.escapeHtml(page.title)}</a>${space}</li>`;
+    },
+
+    async showLinkReport(spaceKey = this.currentSpace, updateUrl = true) {
+        if (updateUrl) {
+            this.navigate(`/${spaceKey}/_report`, true);
+            return;
+        }
+
+        this.currentSpace = spaceKey;
+        this.currentPage = null;
+        this.linkReport = null;
+        this.showSection('link-report-section');
+        this.showLoading(true);
+
+        try {
+            const spaceData = await this.api(`/spaces/${spaceKey}`);
+            this.setSpaceAccess(spaceKey, spaceData.access);
+            document.getElementById('report-space-breadcrumb').textContent = spaceData.space.name;
+
+            this.linkReport = await this.api(`/pages/report/${spaceKey}`);
+            this.renderLinkReport();
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    renderLinkReport() {
+        const { orphans, wanted } = this.linkReport;
+        const canWrite = this.canInSpace('write');
+
+        document.getElementById('report-wanted-count').textContent = `(${wanted.length})`;
+        document.getElementById('report-wanted').innerHTML = wanted.length === 0
+            ? '<li class="backlinks-empty">Every link points at an existing page.</li>'
+            : wanted.map((entry, index) => `
+                <li>
+                    <strong>${this.escapeHtml(entry.title)}</strong>
+                    ${canWrite ? `<button class="btn" onclick="app.createWantedPage(${index})">Create</button>` : ''}
+                    <div class="report-sources">Linked from:
+                        ${entry.linked_from.map(page => `<a href="/${page.space_key}/${page.slug}">${this.escapeHtml(page.title)}</a>`).join(', ')}
+                    </div>
+                </li>
+            `).join('');
+
+        document.getElementById('report-orphans-count').textContent = `(${orphans.length})`;
+        document.getElementById('report-orphans').innerHTML = orphans.length === 0
+            ? '<li class="backlinks-empty">Every page is linked from somewhere.</li>'
+            : orphans.map(page => `
+                <li>
+                    <a href="/${this.currentSpace}/${page.slug}">${this.escapeHtml(page.title)}</a>
+                    <span class="report-meta">Updated ${this.formatDate(page.updated_at)}</span>
+                </li>
+            `).join('');
+    },
+
+    createWantedPage(index) {
+        const entry = this.linkReport && this.linkReport.wanted[index];
+        if (!entry) return;
+        this.pendingPageTitle = entry.title;
+        this.navigate(`/${this.currentSpace}/new`);
+    },
+
+    editPage() {
+        if (!this.currentUser) {
+            this.showLogin();
+            return;
+        }
+        if (!this.canInSpace('write')) {
+            this.showError('You do not have write access to this space');
+            return;
+        }
+        this.navigate(`/${this.currentSpace}/${this.currentPage}/edit`);
+    },
+
+    async editPageByUrl() {
+        this.showLoading(true);
+        document.getElementById('edit-update-banner').style.display = 'none';
+        this.setRealtimeRoom({ room: 'page', space: this.currentSpace, slug: this.currentPage, mode: 'editing' });
+
+        try {
+            const data = await this.api(`/pages/view/${this.currentSpace}/${this.currentPage}`);
+
+            if (data.redirect) {
+                this.redirect(`/${data.redirect.space_key}/${data.redirect.slug}/edit`);
+                return;
+            }
+
+            const page = data.page;
+
+            this.setSpaceAccess(this.currentSpace, data.access);
+            if (!this.canInSpace('write')) {
+                this.showError('You do not have write access to this space');
+                this.redirect(`/${this.currentSpace}/${this.currentPage}`);
+                return;
+            }
+
+            this.editingPage = page;
+            this.showSection('edit-page-section');
+
+            document.getElementById('edit-space-breadcrumb').textContent = this.currentSpace;
+            this.renderAncestors('edit-ancestors-breadcrumb', data.ancestors || []);
+            document.getElementById('edit-page-breadcrumb').textContent = page.title;
+            document.getElementById('edit-page-title').textContent = 'Edit Page';
+            document.getElementById('page-title').value = page.title;
+            document.getElementById('page-labels').value = (page.labels || []).join(', ');
+            document.getElementById('page-content').value = page.content || '';
+            this.resetEditor();
+            this.startEditing();
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    // Rename, move and delete (shown in #page-actions)
+    hidePageTools() {
+        document.getElementById('rename-page-form').style.display = 'none';
+        document.getElementById('move-page-form').style.display = 'none';
+        document.getElementById('export-page-panel').style.display = 'none';
+    },
+
+    // Export needs only read access, unlike the other page tools
+    showExportPage() {
+        this.hidePageTools();
+
+        const base = `${this.apiBase}/pages/export/${this.currentSpace}/${this.currentPage}`;
+        document.getElementById('export-page-markdown').href = `${base}?format=markdown`;
+        document.getElementById('export-page-html').href = `${base}?format=html`;
+        document.getElementById('export-page-panel').style.display = 'block';
+    },
+
+    async showPageTool(tool) {
+        if (!this.canInSpace('write')) {
+            this.showError('You do not have write access to this space');
+            return;
+        }
+
+        this.hidePageTools();
+
+        if (tool === 'rename') {
+            document.getElementById('rename-page-title').value = this.pageTitle || '';
+            document.getElementById('rename-change-slug').checked = false;
+            document.getElementById('rename-page-slug').value = this.currentPage;
+            document.getElementById('rename-keep-redirect').checked = true;
+            this.renameSlugSuggestion = this.currentPage;
+            this.toggleRenameSlug();
+            document.getElementById('rename-page-form').style.display = 'block';
+            document.getElementById('rename-page-title').focus();
+            return;
+        }
+
+        const select = document.getElementById('move-page-space');
+        select.innerHTML = '<option value="">Loading...</option>';
+        document.getElementById('move-page-slug').value = this.currentPage;
+        document.getElementById('move-page-form').style.display = 'block';
+
+        try {
+            const spaces = await this.loadMoveTargets();
+            select.innerHTML = spaces.length === 0
+                ? '<option value="">No other space you can write to</option>'
+                : spaces.map(space => `<option value="${space.space_key}">${this.escapeHtml(space.name)} (${space.space_key})</option>`).join('');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // Other spaces the user can write to
+    async loadMoveTargets() {
+        const others = (await this.fetchAllSpaces()).filter(space => space.space_key !== this.currentSpace);
+
+        const writable = await Promise.all(others.map(space =>
+            this.api(`/spaces/${space.space_key}`)
+                .then(detail => detail.access && detail.access.write ? space : null)
+                .catch(() => null)
+        ));
+
+        return writable.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    toggleRenameSlug() {
+        const changing = document.getElementById('rename-change-slug').checked;
+        document.getElementById('rename-slug-fields').style.display = changing ? 'block' : 'none';
+        if (changing) this.suggestRenameSlug();
+    },
+
+    // Follow the title until the slug is edited by hand
+    suggestRenameSlug() {
+        const slugEl = document.getElementById('rename-page-slug');
+        if (slugEl.value !== this.renameSlugSuggestion) return;
+
+        const suggestion = this.slugify(document.getElementById('rename-page-title').value);
+        if (!suggestion) return;
+        slugEl.value = suggestion;
+        this.renameSlugSuggestion = suggestion;
+    },
+
+    // Same rules as HSWiki::Wiki->slugify
+    slugify(text) {
+        return text.toLowerCase()
+            .replace(/[^\w\s-]/g, '')
+            .replace(/[\s_]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+
+    // "Page renamed; links updated in 3 pages"
+    linkUpdateMessage(message, count) {
+        if (!count) return message;
+        return `${message}; links updated in ${count} page${count === 1 ? '' : 's'}`;
+    },
+
+    async renamePage(event) {
+        event.preventDefault();
+
+        const body = { title: document.getElementById('rename-page-title').value.trim() };
+        if (document.getElementById('rename-change-slug').checked) {
+            body.slug = document.getElementById('rename-page-slug').value.trim();
+            body.keep_redirect = document.getElementById('rename-keep-redirect').checked;
+        }
+
+        try {
+            const data = await this.api(`/pages/rename/${this.currentSpace}/${this.currentPage}`, {
+                method: 'PUT',
+                body
+            });
+            this.hidePageTools();
+            this.treeSpace = null;
+            this.showSuccess(this.linkUpdateMessage('Page renamed', data.links_updated));
+
+            if (data.page.slug !== this.currentPage) {
+                this.redirect(`/${this.currentSpace}/${data.page.slug}`);
+            } else {
+                this.showPage(this.currentPage, false);
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    async movePage(event) {
+        event.preventDefault();
+
+        const spaceKey = document.getElementById('move-page-space').value;
+        const slug = document.getElementById('move-page-slug').value.trim();
+        if (!spaceKey) {
+            this.showError('Choose a space to move the page to');
+            return false;
+        }
+
+        try {
+            const data = await this.api(`/pages/move/${this.currentSpace}/${this.currentPage}`, {
+                method: 'POST',
+                body: { space_key: spaceKey, slug: slug || undefined }
+            });
+            this.hidePageTools();
+            this.treeSpace = null;
+            this.showSuccess(this.linkUpdateMessage(data.message, data.links_updated));
+            this.navigate(`/${data.space_key}/${data.page.slug}`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+
+        return false;
+    },
+
+    async deletePage() {
+        if (!this.canInSpace('delete_pages')) {
+            this.showError('You do not have permission to delete pages in this space');
+            return;
+        }
+
+        const title = this.pageTitle || this.currentPage;
+        if (!confirm(`Delete "${title}"? Links to it from other pages will become plain text.`)) return;
+
+        try {
+            const data = await this.api(`/pages/delete/${this.currentSpace}/${this.currentPage}`, { method: 'DELETE' });
+            this.treeSpace = null;
+            this.showSuccess(this.linkUpdateMessage(`Page "${title}" deleted`, data.links_updated));
+            this.navigate(`/${this.currentSpace}`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    async savePage(event) {
+        event.preventDefault();
+
+        const title = document.getElementById('page-title').value;
+        const labels = this.parseLabels(document.getElementById('page-labels').value);
+        const content = document.getElementById('page-content').value;
+
+        try {
+            if (this.editingPage) {
+                // Update existing page
+                await this.api(`/pages/edit/${this.currentSpace}/${this.editingPage.slug}`, {
+                    method: 'PUT',
+                    body: { title, labels, content, base_version: this.editingPage.version }
+                });
+                this.finishEditing();
+                this.showSuccess('Page updated!');
+                this.navigate(`/${this.currentSpace}/${this.editingPage.slug}`);
+            } else {
+                // Create new page
+                const parent = this.createParent;
+                const data = await this.api(`/pages/create/${this.currentSpace}`, {
+                    method: 'POST',
+                    body: { title, labels, content, parent: parent ? parent.slug : undefined }
+                });
+                if (parent) this.treeExpanded.add(parent.page_id);
+                this.treeSpace = null;
+                this.finishEditing();
+                this.showSuccess('Page created!');
+                this.navigate(`/${this.currentSpace}/${data.page.slug}`);
+            }
+        } catch (error) {
+            // No connection: queue the save and send it when we are back online
+            if (error.offline) {
+                this.queueOfflineEdit(this.editingPage
+                    ? { kind: 'edit', space: this.currentSpace, slug: this.editingPage.slug, title, labels, content, base_version: this.editingPage.version }
+                    : { kind: 'create', space: this.currentSpace, title, labels, content, parent: this.createParent ? this.createParent.slug : null });
+                this.finishEditing();
+                this.showSuccess('You are offline - the page will be saved when the connection returns');
+                this.navigate(this.editingPage ? `/${this.currentSpace}/${this.editingPage.slug}` : `/${this.currentSpace}`);
+                return false;
+            }
+
+            // Keep the work safe, e.g. when the session has expired
+            this.saveDraft();
+
+            if (error.status === 409 && error.data && error.data.current) {
+                this.showConflict(error.data, { title, content });
+            } else {
+                this.showError(error.message);
+            }
+        }
+
+        return false;
+    },
+
+    async previewPage() {
+        const content = document.getElementById('page-content').value;
+        const previewArea = document.getElementById('preview-area');
+        const previewContent = document.getElementById('preview-content');
+        const seq = ++this.previewSeq;
+
+        try {
+            const data = await this.api('/render', {
+                method: 'POST',
+                body: {
+                    content,
+                    space_key: this.currentSpace,
+                    slug: this.editingPage ? this.editingPage.slug : undefined
+                }
+            });
+
+            // A newer preview request has been sent since this one
+            if (seq !== this.previewSeq) return;
+
+            previewContent.innerHTML = data.html || '<p>No content</p>';
+            this.highlightCodeBlocks(previewContent);
+            previewArea.style.display = 'block';
+        } catch (error) {
+            if (seq === this.previewSeq) this.showError(error.message);
+        }
+    },
+
+    cancelEdit() {
+        if (this.isEditorDirty()) {
+            if (!window.confirm('Discard your unsaved changes?')) return;
+            this.finishEditing();
+        }
+
+        if (this.editingPage) {
+            this.navigate(`/${this.currentSpace}/${this.editingPage.slug}`);
+        } else {
+            this.navigate(`/${this.currentSpace}`);
+        }
+    },
+
+    // Editor
+    // Keyboard shortcuts: key (lowercased) or KeyboardEvent.code -> command
+    editorShortcuts: {
+        'ctrl+b': 'bold',
+        'ctrl+i': 'italic',
+        'ctrl+k': 'link',
+        'ctrl+alt+Digit1': 'h1',
+        'ctrl+alt+Digit2': 'h2',
+        'ctrl+alt+Digit3': 'h3',
+        'ctrl+alt+KeyC': 'code',
+        'ctrl+shift+Digit8': 'bullets',
+        'ctrl+shift+Digit7': 'numbers'
+    },
+
+    initEditor() {
+        const textarea = document.getElementById('page-content');
+        if (!textarea) return;
+
+        textarea.addEventListener('input', () => {
+            this.schedulePreview();
+            this.updateLinkSuggest();
+            this.scheduleDraftSave();
+        });
+        document.getElementById('page-title').addEventListener('input', () => {
+            this.scheduleDraftSave();
+            this.scheduleTemplateRefill();
+        });
+        textarea.addEventListener('keydown', (e) => this.handleEditorKeydown(e));
+        textarea.addEventListener('click', () => this.updateLinkSuggest());
+        textarea.addEventListener('blur', () => this.closeLinkSuggest());
+
+        // Dropped or pasted files are uploaded and linked at the cursor
+        textarea.addEventListener('dragover', (e) => {
+            if (Array.from(e.dataTransfer.types || []).includes('Files')) e.preventDefault();
+        });
+        textarea.addEventListener('drop', (e) => {
+            const files = Array.from(e.dataTransfer.files || []);
+            if (!files.length) return;
+            e.preventDefault();
+            this.insertAttachments(files);
+        });
+        textarea.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData ? e.clipboardData.files : []);
+            if (!files.length) return;
+            e.preventDefault();
+            this.insertAttachments(files);
+        });
+    },
+
+    editorPickedFiles(input) {
+        const files = Array.from(input.files || []);
+        input.value = '';
+        if (files.length) this.insertAttachments(files);
+    },
+
+    // Upload files to the page being edited and insert their markup at the cursor
+    async insertAttachments(files) {
+        const status = document.getElementById('editor-upload-status');
+
+        // Files hang off an existing page; a new page has no id yet
+        if (!this.editingPage) {
+            this.showError('Save the page first, then attach files to it');
+            return;
+        }
+
+        const slug = this.editingPage.slug;
+        const markup = [];
+
+        for (const [i, file] of files.entries()) {
+            status.textContent = `Uploading ${file.name || 'pasted image'}${files.length > 1 ? ` (${i + 1}/${files.length})` : ''}...`;
+            try {
+                const data = await this.uploadAttachment(file, slug);
+                markup.push(data.markup);
+            } catch (error) {
+                this.showError(error.message);
+            }
+        }
+
+        status.textContent = '';
+        if (!markup.length || !this.editingPage || this.editingPage.slug !== slug) return;
+
+        const textarea = document.getElementById('page-content');
+        const text = markup.join('\n');
+        this.replaceEditorRange(textarea.selectionStart, textarea.selectionEnd, text, text.length, text.length);
+        this.scheduleDraftSave();
+    },
+
+    // Called whenever the edit form is (re)filled
+    resetEditor() {
+        clearTimeout(this.previewTimer);
+        this.previewSeq++;
+        document.getElementById('preview-content').innerHTML = '';
+        this.linkPages = null;
+        this.closeLinkSuggest();
+        this.applyPreviewPane();
+
+        // The template picker is only shown for new pages, once loaded
+        clearTimeout(this.templateTimer);
+        this.templateSeq++;
+        this.pageTemplates = [];
+        this.appliedTemplate = null;
+        document.getElementById('page-template-group').style.display = 'none';
+        if (this.previewEnabled) this.previewPage();
+    },
+
+    togglePreviewPane() {
+        this.previewEnabled = !this.previewEnabled;
+        localStorage.setItem('hswiki:editor-preview', this.previewEnabled ? 'on' : 'off');
+        this.applyPreviewPane();
+        if (this.previewEnabled) this.previewPage();
+    },
+
+    applyPreviewPane() {
+        document.getElementById('preview-area').style.display = this.previewEnabled ? 'block' : 'none';
+        document.getElementById('editor-panes').classList.toggle('with-preview', this.previewEnabled);
+        document.getElementById('editor-preview-toggle').classList.toggle('active', this.previewEnabled);
+    },
+
+    schedulePreview() {
+        if (!this.previewEnabled) return;
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.previewPage(), this.previewDelay);
+    },
+
+    handleEditorKeydown(e) {
+        if (this.linkSuggest && this.handleLinkSuggestKey(e)) {
+            e.preventDefault();
+            return;
+        }
+
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const modifiers = 'ctrl+' + (e.altKey ? 'alt+' : '') + (e.shiftKey ? 'shift+' : '');
+        const command = this.editorShortcuts[modifiers + e.key.toLowerCase()]
+            || this.editorShortcuts[modifiers + e.code];
+
+        if (command) {
+            e.preventDefault();
+            this.editorCommand(command);
+        }
+    },
+
+    editorCommand(command) {
+        switch (command) {
+            case 'bold':    return this.wrapSelection('**', '**', 'bold text');
+            case 'italic':  return this.wrapSelection('*', '*', 'italic text');
+            case 'h1':      return this.toggleLinePrefix(() => '# ', /^#{1,6}\s+/);
+            case 'h2':      return this.toggleLinePrefix(() => '## ', /^#{1,6}\s+/);
+            case 'h3':      return this.toggleLinePrefix(() => '### ', /^#{1,6}\s+/);
+            case 'bullets': return this.toggleLinePrefix(() => '- ', /^[-*]\s+/);
+            case 'numbers': return this.toggleLinePrefix(i => `${i + 1}. `, /^\d+\.\s+/);
+            case 'code':    return this.insertCodeBlock();
+            case 'link':    return this.insertWikiLink();
+        }
+    },
+
+    // Replace the textarea's start..end range, keeping native undo where the browser allows it
+    replaceEditorRange(start, end, text, selectStart, selectEnd) {
+        const textarea = document.getElementById('page-content');
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+
+        if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+            textarea.setRangeText(text, start, end, 'end');
+        }
+
+        textarea.setSelectionRange(start + selectStart, start + selectEnd);
+        this.schedulePreview();
+    },
+
+    wrapSelection(before, after, placeholder) {
+        const textarea = document.getElementById('page-content');
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const selected = value.slice(start, end);
+
+        // Already wrapped: unwrap
+        if (value.slice(start - before.length, start) === before
+            && value.slice(end, end + after.length) === after) {
+            this.replaceEditorRange(start - before.length, end + after.length, selected, 0, selected.length);
+            return;
+        }
+
+        const inner = selected || placeholder;
+        this.replaceEditorRange(start, end, before + inner + after,
+            before.length, before.length + inner.length);
+    },
+
+    // Add a prefix to every selected line, or remove it when all lines already have it
+    toggleLinePrefix(prefixFor, existing) {
+        const textarea = document.getElementById('page-content');
+        const { value } = textarea;
+        const start = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+        let end = value.indexOf('\n', Math.max(textarea.selectionEnd - 1, start));
+        if (end === -1) end = value.length;
+
+        const lines = value.slice(start, end).split('\n');
+        const hasPrefix = lines.every((line, i) => line.startsWith(prefixFor(i)));
+
+        const replaced = lines.map((line, i) => {
+            const stripped = line.replace(existing, '');
+            return hasPrefix ? stripped : prefixFor(i) + stripped;
+        }).join('\n');
+
+        this.replaceEditorRange(start, end, replaced, replaced.length, replaced.length);
+    },
+
+    insertCodeBlock() {
+        const textarea = document.getElementById('page-content');
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const code = value.slice(start, end).replace(/\n$/, '');
+
+        // Fences must sit on their own lines
+        const lead = start > 0 && value[start - 1] !== '\n' ? '\n' : '';
+        const trail = end < value.length && value[end] !== '\n' ? '\n' : '';
+        const fence = '```';
+        const block = `${lead}${fence}\n${code}\n${fence}${trail}`;
+
+        // Leave the cursor after the opening fence so a language can be typed
+        const cursor = lead.length + 3;
+        this.replaceEditorRange(start, end, block, cursor, cursor);
+    },
+
+    insertWikiLink() {
+        const textarea = document.getElementById('page-content');
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const selected = value.slice(start, end);
+
+        if (selected) {
+            this.replaceEditorRange(start, end, `[[${selected}]]`, 2, 2 + selected.length);
+        } else {
+            // Select the page title placeholder so it can be typed over
+            this.replaceEditorRange(start, end, '[[Page Title|link text]]', 2, 12);
+        }
+    },
+
+    // Edit conflicts
+    showConflict(data, mine) {
+        const base = data.base || { version: data.base_version, title: mine.title, content: '' };
+        const theirs = data.current;
+
+        const merge = this.mergeThreeWay(base.content || '', mine.content, theirs.content || '');
+
+        // Titles merge like a single line
+        let title = null;
+        if (mine.title === theirs.title || theirs.title === base.title) title = mine.title;
+        else if (mine.title === base.title) title = theirs.title;
+
+        this.conflict = { base, theirs, mine, title, chunks: merge.chunks, autoMerged: merge.autoMerged };
+        this.showSection('conflict-section');
+
+        document.getElementById('conflict-space-breadcrumb').textContent = this.currentSpace;
+        document.getElementById('conflict-page-breadcrumb').textContent = theirs.title;
+
+        const who = theirs.author_name ? this.escapeHtml(theirs.author_name) : 'Someone else';
+        const conflicts = merge.chunks.filter(c => c.type === 'conflict').length;
+        document.getElementById('conflict-summary').innerHTML = `
+            <p><strong>${who}</strong> saved version ${theirs.version} on ${this.formatDate(theirs.updated_at)}
+               while you were editing version ${base.version}.</p>
+            <p>${merge.autoMerged} change${merge.autoMerged === 1 ? '' : 's'} merged automatically,
+               ${conflicts} conflict${conflicts === 1 ? '' : 's'} to resolve.
+               Your text is also kept as a local draft.</p>
+        `;
+
+        this.renderConflict();
+    },
+
+    // Changes from base to side as hunks: base lines [start, end) replaced by lines
+    mergeHunks(baseLines, sideLines) {
+        const hunks = [];
+        let pos = 0;
+        let hunk = null;
+
+        for (const op of this.diffSequences(baseLines, sideLines)) {
+            if (op.type === 'equal') {
+                if (hunk) hunks.push(hunk);
+                hunk = null;
+                pos++;
+                continue;
+            }
+            if (!hunk) hunk = { start: pos, end: pos, lines: [] };
+            if (op.type === 'delete') {
+                pos++;
+                hunk.end = pos;
+            } else {
+                hunk.lines.push(op.value);
+            }
+        }
+        if (hunk) hunks.push(hunk);
+
+        return hunks;
+    },
+
+    // Apply one side's hunks to the base lines [start, end)
+    applyHunks(baseLines, hunks, start, end) {
+        const lines = [];
+        let pos = start;
+        for (const hunk of hunks) {
+            lines.push(...baseLines.slice(pos, hunk.start), ...hunk.lines);
+            pos = hunk.end;
+        }
+        lines.push(...baseLines.slice(pos, end));
+        return lines;
+    },
+
+    // diff3-style merge. Returns { chunks: [{ type: 'stable', lines } |
+    // { type: 'conflict', base, mine, theirs, choice }], autoMerged }
+    mergeThreeWay(baseText, mineText, theirsText) {
+        const base = baseText.split('\n');
+        const mine = mineText.split('\n');
+        const theirs = theirsText.split('\n');
+
+        const hunks = [
+            ...this.mergeHunks(base, mine).map(h => ({ ...h, side: 'mine' })),
+            ...this.mergeHunks(base, theirs).map(h => ({ ...h, side: 'theirs' }))
+        ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+        const chunks = [];
+        const pushStable = (lines) => {
+            if (lines.length === 0) return;
+            const last = chunks[chunks.length - 1];
+            if (last && last.type === 'stable') last.lines.push(...lines);
+            else chunks.push({ type: 'stable', lines });
+        };
+
+        let pos = 0;
+        let autoMerged = 0;
+        let i = 0;
+
+        while (i < hunks.length) {
+            // Group hunks whose base ranges overlap or touch
+            const group = [hunks[i]];
+            let start = hunks[i].start;
+            let end = hunks[i].end;
+            i++;
+            while (i < hunks.length && hunks[i].start <= end) {
+                end = Math.max(end, hunks[i].end);
+                group.push(hunks[i++]);
+            }
+
+            pushStable(base.slice(pos, start));
+            pos = end;
+
+            const mineHunks = group.filter(h => h.side === 'mine');
+            const theirHunks = group.filter(h => h.side === 'theirs');
+            const mineLines = this.applyHunks(base, mineHunks, start, end);
+            const theirLines = this.applyHunks(base, theirHunks, start, end);
+
+            if (theirHunks.length === 0 || mineHunks.length === 0
+                || mineLines.join('\n') === theirLines.join('\n')) {
+                pushStable(theirHunks.length === 0 ? mineLines : theirLines);
+                autoMerged++;
+            } else {
+                chunks.push({
+                    type: 'conflict',
+                    base: base.slice(start, end),
+                    mine: mineLines,
+                    theirs: theirLines,
+                    choice: null
+                });
+            }
+        }
+
+        pushStable(base.slice(pos));
+        return { chunks, autoMerged };
+    },
+
+    renderConflict() {
+        const { chunks, mine, theirs, title } = this.conflict;
+
+        const titleEl = document.getElementById('conflict-title-choice');
+        if (title === null) {
+            titleEl.style.display = 'block';
+            titleEl.innerHTML = `
+                <h3>Title</h3>
+                <label><input type="radio" name="conflict-title" value="mine"
+                    onchange="app.conflict.title = app.conflict.mine.title; app.renderConflictState()">
+                    Mine: ${this.escapeHtml(mine.title)}</label>
+                <label><input type="radio" name="conflict-title" value="theirs"
+                    onchange="app.conflict.title = app.conflict.theirs.title; app.renderConflictState()">
+                    Theirs: ${this.escapeHtml(theirs.title)}</label>
+            `;
+        } else {
+            titleEl.style.display = 'none';
+            titleEl.innerHTML = '';
+        }
+
+        document.getElementById('conflict-chunks').innerHTML = chunks.map((chunk, i) => {
+            if (chunk.type === 'stable') {
+                return `<pre class="merge-stable">${this.escapeHtml(this.collapseMergeLines(chunk.lines))}</pre>`;
+            }
+
+            const column = (label, lines, side) => `
+                <div class="merge-side merge-${side}${chunk.choice === side ? ' chosen' : ''}">
+                    <div class="merge-side-label">${label}</div>
+                    <pre>${this.escapeHtml(lines.join('\n')) || '<em>(removed)</em>'}</pre>
+                </div>
+            `;
+
+            return `
+                <div class="merge-conflict${chunk.choice ? ' resolved' : ''}">
+                    <div class="merge-sides">
+                        ${column('Mine', chunk.mine, 'mine')}
+                        ${column('Base', chunk.base, 'base')}
+                        ${column('Theirs', chunk.theirs, 'theirs')}
+                    </div>
+                    <div class="merge-actions">
+                        <button class="btn" onclick="app.resolveConflict(${i}, 'mine')">Use mine</button>
+                        <button class="btn" onclick="app.resolveConflict(${i}, 'theirs')">Use theirs</button>
+                        <button class="btn" onclick="app.resolveConflict(${i}, 'both')">Use both</button>
+                        <button class="btn" onclick="app.resolveConflict(${i}, 'base')">Use base</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.renderConflictState();
+    },
+
+    // Long unchanged stretches only need a little context
+    collapseMergeLines(lines) {
+        const context = this.diffContextLines;
+        if (lines.length <= context * 2 + 1) return lines.join('\n');
+        return [
+            ...lines.slice(0, context),
+            `... ${lines.length - context * 2} unchanged lines ...`,
+            ...lines.slice(-context)
+        ].join('\n');
+    },
+
+    renderConflictState() {
+        const pending = this.conflict.chunks.filter(c => c.type === 'conflict' && !c.choice).length
+            + (this.conflict.title === null ? 1 : 0);
+
+        const btn = document.getElementById('conflict-continue-btn');
+        btn.disabled = pending > 0;
+        btn.textContent = pending > 0
+            ? `Resolve ${pending} more conflict${pending === 1 ? '' : 's'}`
+            : 'Continue editing merged text';
+    },
+
+    resolveConflict(index, choice) {
+        this.conflict.chunks[index].choice = choice;
+        this.renderConflict();
+    },
+
+    resolveAllConflicts(side) {
+        this.conflict.chunks.forEach(chunk => {
+            if (chunk.type === 'conflict') chunk.choice = side;
+        });
+        if (this.conflict.title === null) this.conflict.title = this.conflict[side].title;
+        this.renderConflict();
+    },
+
+    mergedContent() {
+        return this.conflict.chunks.map(chunk => {
+            if (chunk.type === 'stable') return chunk.lines;
+            if (chunk.choice === 'both') return [...chunk.mine, ...chunk.theirs];
+            return chunk[chunk.choice];
+        }).flat().join('\n');
+    },
+
+    // Load the merged text into the editor, now based on their version
+    applyMerge() {
+        const { theirs, title } = this.conflict;
+        const content = this.mergedContent();
+
+        this.editingPage = theirs;
+        this.conflict = null;
+        this.showSection('edit-page-section');
+
+        document.getElementById('edit-page-breadcrumb').textContent = theirs.title;
+        document.getElementById('page-title').value = title;
+        document.getElementById('page-content').value = content;
+        this.resetEditor();
+
+        // Unsaved relative to their version, so the leave guard and drafts stay active
+        this.editBaseline = { title: theirs.title, labels: (theirs.labels || []).join(', '), content: theirs.content || '' };
+        this.saveDraft();
+        this.showSuccess('Merged - review the text and save again');
+    },
+
+    backToEditor() {
+        this.conflict = null;
+        this.showSection('edit-page-section');
+    },
+
+    // Drafts
+    draftKey() {
+        const slug = this.editingPage ? this.editingPage.slug : 'new';
+        return `hswiki:draft:${this.currentSpace}:${slug}`;
+    },
+
+    editorValues() {
+        return {
+            title: document.getElementById('page-title').value,
+            labels: document.getElementById('page-labels').value,
+            content: document.getElementById('page-content').value
+        };
+    },
+
+    // Remember what was loaded into the form and offer any saved draft
+    startEditing() {
+        clearTimeout(this.draftTimer);
+        this.editBaseline = this.editorValues();
+        this.editorUrl = window.location.pathname + window.location.search;
+        document.getElementById('draft-status').textContent = '';
+        this.offerDraft();
+    },
+
+    // Forget the editor state after a save or an intentional discard
+    finishEditing() {
+        clearTimeout(this.draftTimer);
+        if (this.editBaseline) localStorage.removeItem(this.draftKey());
+        this.editBaseline = null;
+    },
+
+    isEditorDirty() {
+        if (!this.editBaseline) return false;
+        const current = this.editorValues();
+        return current.title !== this.editBaseline.title
+            || current.labels !== this.editBaseline.labels
+            || current.content !== this.editBaseline.content;
+    },
+
+    // Ask before navigating away from unsaved changes; the draft is kept either way
+    confirmLeaveEditor() {
+        if (!this.isEditorDirty()) {
+            this.editBaseline = null;
+            return true;
+        }
+
+        this.saveDraft();
+        if (!window.confirm('You have unsaved changes. Leave this page? Your draft will be kept.')) {
+            return false;
+        }
+
+        clearTimeout(this.draftTimer);
+        this.editBaseline = null;
+        return true;
+    },
+
+    scheduleDraftSave() {
+        if (!this.editBaseline) return;
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.saveDraft(), this.draftDelay);
+    },
+
+    saveDraft() {
+        if (!this.editBaseline) return;
+        clearTimeout(this.draftTimer);
+
+        if (!this.isEditorDirty()) return;
+
+        const draft = {
+            ...this.editorValues(),
+            base_version: this.editingPage ? this.editingPage.version : null,
+            saved_at: Date.now()
+        };
+
+        try {
+            localStorage.setItem(this.draftKey(), JSON.stringify(draft));
+            document.getElementById('draft-status').textContent =
+                `Draft saved ${new Date(draft.saved_at).toLocaleTimeString()}`;
+        } catch (error) {
+            // Storage full or disabled - nothing else we can do here
+        }
+    },
+
+    loadDraft() {
+        try {
+            return JSON.parse(localStorage.getItem(this.draftKey()));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    offerDraft() {
+        const banner = document.getElementById('draft-banner');
+        const draft = this.loadDraft();
+
+        if (!draft || (draft.title === this.editBaseline.title
+                && (draft.labels === undefined || draft.labels === this.editBaseline.labels)
+                && draft.content === this.editBaseline.content)) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        let message = `You have an unsaved draft from ${this.formatDate(draft.saved_at)}.`;
+        if (this.editingPage && draft.base_version && draft.base_version !== this.editingPage.version) {
+            message += ` It was started from version ${draft.base_version}; the page is now at version ${this.editingPage.version}.`;
+        }
+
+        document.getElementById('draft-message').textContent = message;
+        banner.style.display = 'flex';
+    },
+
+    restoreDraft() {
+        const draft = this.loadDraft();
+        document.getElementById('draft-banner').style.display = 'none';
+        if (!draft) return;
+
+        document.getElementById('page-title').value = draft.title;
+        if (draft.labels !== undefined) document.getElementById('page-labels').value = draft.labels;
+        document.getElementById('page-content').value = draft.content;
+
+        // Save against the version the draft started from, so changes made
+        // since then go through the merge view instead of being overwritten
+        if (this.editingPage && draft.base_version && draft.base_version < this.editingPage.version) {
+            this.editingPage.version = draft.base_version;
+        }
+        this.schedulePreview();
+    },
+
+    discardDraft() {
+        localStorage.removeItem(this.draftKey());
+        document.getElementById('draft-banner').style.display = 'none';
+    },
+
+    // Wiki link autocomplete
+    async loadLinkPages() {
+        const spaceKey = this.currentSpace;
+        if (this.linkPages && this.linkPages.spaceKey === spaceKey) {
+            return this.linkPages.pages;
+        }
+
+        const data = await this.api(`/pages/tree/${spaceKey}`);
+        const pages = (data.pages || [])
+            .filter(page => !this.editingPage || page.slug !== this.editingPage.slug)
+            .sort((a, b) => a.title.localeCompare(b.title));
+        this.linkPages = { spaceKey, pages };
+        return pages;
+    },
+
+    // Open, refresh or close the dropdown depending on the text before the cursor
+    async updateLinkSuggest() {
+        const textarea = document.getElementById('page-content');
+        const caret = textarea.selectionStart;
+        const match = textarea.selectionStart === textarea.selectionEnd
+            && textarea.value.slice(0, caret).match(/\[\[([^\[\]|\n]*)$/);
+
+        if (!match) {
+            this.closeLinkSuggest();
+            return;
+        }
+
+        let pages;
+        try {
+            pages = await this.loadLinkPages();
+        } catch (error) {
+            this.closeLinkSuggest();
+            return;
+        }
+
+        // The text may have changed while the page list was loading
+        if (textarea.selectionStart !== caret) return;
+
+        const query = match[1].trim().toLowerCase();
+        const items = pages
+            .map(page => ({ page, pos: page.title.toLowerCase().indexOf(query) }))
+            .filter(item => item.pos !== -1)
+            .sort((a, b) => (a.pos !== 0) - (b.pos !== 0))
+            .slice(0, this.linkSuggestLimit)
+            .map(item => item.page);
+
+        if (items.length === 0) {
+            this.closeLinkSuggest();
+            return;
+        }
+
+        const previous = this.linkSuggest;
+        const index = previous && previous.start === caret - match[1].length
+            ? Math.min(previous.index, items.length - 1)
+            : 0;
+
+        this.linkSuggest = { start: caret - match[1].length, end: caret, query, items, index };
+        this.renderLinkSuggest();
+    },
+
+    renderLinkSuggest() {
+        const textarea = document.getElementById('page-content');
+        const container = document.getElementById('link-suggest');
+        const { items, index, query, start } = this.linkSuggest;
+
+        container.innerHTML = items.map((page, i) => `
+            <li class="link-suggest-item${i === index ? ' active' : ''}" role="option"
+                onmousedown="event.preventDefault(); app.acceptLinkSuggest(${i})">
+                ${this.highlightTerms(page.title, query ? [query] : [])}
+                <span class="link-suggest-slug">${this.escapeHtml(page.slug)}</span>
+            </li>
+        `).join('') + `
+            <li class="link-suggest-hint">Enter to link &bull; Tab to link with custom text &bull; Esc to close</li>
+        `;
+
+        const coords = this.getCaretCoordinates(textarea, start);
+        container.style.left = `${textarea.offsetLeft + coords.left}px`;
+        container.style.top = `${textarea.offsetTop + coords.top + coords.height - textarea.scrollTop}px`;
+        container.style.display = 'block';
+    },
+
+    closeLinkSuggest() {
+        this.linkSuggest = null;
+        const container = document.getElementById('link-suggest');
+        if (container) container.style.display = 'none';
+    },
+
+    // Returns true when the key was consumed by the dropdown
+    handleLinkSuggestKey(e) {
+        const suggest = this.linkSuggest;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                suggest.index = (suggest.index + 1) % suggest.items.length;
+                this.renderLinkSuggest();
+                return true;
+            case 'ArrowUp':
+                suggest.index = (suggest.index - 1 + suggest.items.length) % suggest.items.length;
+                this.renderLinkSuggest();
+                return true;
+            case 'Enter':
+                this.acceptLinkSuggest(suggest.index);
+                return true;
+            case 'Tab':
+                this.acceptLinkSuggest(suggest.index, true);
+                return true;
+            case 'Escape':
+                this.closeLinkSuggest();
+                return true;
+        }
+
+        return false;
+    },
+
+    // Insert [[Title]], or [[Title|Title]] with the link text selected for editing
+    acceptLinkSuggest(i, withText = false) {
+        const textarea = document.getElementById('page-content');
+        const { start, end, items } = this.linkSuggest;
+        const title = items[i].title;
+
+        // Swallow closing brackets that are already there
+        const closing = textarea.value.slice(end, end + 2) === ']]' ? 2 : 0;
+
+        this.closeLinkSuggest();
+
+        if (withText) {
+            const text = `${title}|${title}]]`;
+            this.replaceEditorRange(start, end + closing, text, title.length + 1, title.length * 2 + 1);
+        } else {
+            const text = `${title}]]`;
+            this.replaceEditorRange(start, end + closing, text, text.length, text.length);
+        }
+    },
+
+    // Pixel position of a character in a textarea, measured with an off-screen mirror element
+    getCaretCoordinates(textarea, position) {
+        const style = window.getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+        const marker = document.createElement('span');
+
+        ['boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+         'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+         'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize']
+            .forEach(prop => { mirror.style[prop] = style[prop]; });
+
+        mirror.style.position = 'absolute';
+        mirror.style.visibility = 'hidden';
+        mirror.style.whiteSpace = 'pre-wrap';
+        mirror.style.overflowWrap = 'break-word';
+        mirror.textContent = textarea.value.slice(0, position);
+        marker.textContent = '\u200b';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const coords = {
+            left: marker.offsetLeft,
+            top: marker.offsetTop,
+            height: marker.offsetHeight || parseInt(style.lineHeight) || 20
+        };
+        document.body.removeChild(mirror);
+
+        return coords;
+    },
+
+    // Offline mode. sw.js keeps the app shell and recently viewed pages;
+    // saves made without a connection wait in offlineQueueKey until it returns
+    initOffline() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(() => {
+                // No service worker (e.g. plain http): the app just needs the network
+            });
+        }
+
+        window.addEventListener('online', () => this.setOnline(true));
+        window.addEventListener('offline', () => this.setOnline(false));
+        this.online = navigator.onLine !== false;
+        this.renderOfflineIndicator();
+    },
+
+    setOnline(online) {
+        const reconnected = online && !this.online;
+        this.online = online;
+        this.renderOfflineIndicator();
+        if (reconnected) this.replayOfflineEdits();
+    },
+
+    // Send the signed-in user's queued edits, or just show how many wait
+    resumeOfflineEdits() {
+        this.renderOfflineIndicator();
+        if (this.online) this.replayOfflineEdits();
+    },
+
+    // Queued edits of every user who saved offline in this browser
+    loadOfflineQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.offlineQueueKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // The signed-in user's queued edits. Everyone else's stay parked: they
+    // are only sent once that user signs in again.
+    loadOfflineEdits() {
+        const userId = this.currentUser && this.currentUser.user_id;
+        return userId ? this.loadOfflineQueue().filter(e => e.user_id === userId) : [];
+    },
+
+    // Replace the signed-in user's queued edits, keeping the parked ones
+    storeOfflineEdits(edits) {
+        const userId = this.currentUser && this.currentUser.user_id;
+        const queue = this.loadOfflineQueue()
+            .filter(e => e.user_id !== userId)
+            .concat(userId ? edits : []);
+
+        if (queue.length) {
+            localStorage.setItem(this.offlineQueueKey, JSON.stringify(queue));
+        } else {
+            localStorage.removeItem(this.offlineQueueKey);
+        }
+        this.renderOfflineIndicator();
+    },
+
+    // Queue a save that could not reach the server. Saving the same page
+    // again replaces the queued text but keeps the version it was based on.
+    queueOfflineEdit(edit) {
+        const edits = this.loadOfflineEdits();
+        const queued = edit.slug && edits.find(e => e.space === edit.space && e.slug === edit.slug);
+
+        if (queued) {
+            Object.assign(queued, { title: edit.title, labels: edit.labels, content: edit.content, queued_at: Date.now() });
+        } else {
+            edits.push({
+                ...edit,
+                id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+                user_id: this.currentUser && this.currentUser.user_id,
+                queued_at: Date.now()
+            });
+        }
+
+        this.storeOfflineEdits(edits);
+    },
+
+    // Send queued saves in order through the usual endpoints. A page changed
+    // by someone else in the meantime is not overwritten: the offline text
+    // becomes that page's editor draft and the conflict is listed.
+    async replayOfflineEdits() {
+        if (this.offlineReplaying || !this.loadOfflineEdits().length) return;
+        this.offlineReplaying = true;
+
+        let saved = 0;
+        const problems = [];
+        const userId = this.currentUser.user_id;
+
+        try {
+            for (const edit of this.loadOfflineEdits()) {
+                // Signed out (or in as someone else) part way: park the rest
+                if (!this.currentUser || this.currentUser.user_id !== userId) break;
+
+                try {
+                    if (edit.kind === 'create') {
+                        await this.api(`/pages/create/${edit.space}`, {
+                            method: 'POST',
+                            body: { title: edit.title, labels: edit.labels, content: edit.content, parent: edit.parent || undefined }
+                        });
+                    } else {
+                        await this.api(`/pages/edit/${edit.space}/${edit.slug}`, {
+                            method: 'PUT',
+                            body: {
+                                title: edit.title,
+                                labels: edit.labels,
+                                content: edit.content,
+                                base_version: edit.base_version,
+                                change_summary: 'Edited offline'
+                            }
+                        });
+                    }
+                    saved++;
+                } catch (error) {
+                    // Still no connection: keep this and the rest for later
+                    if (error.offline) break;
+
+                    this.keepOfflineEditAsDraft(edit);
+                    problems.push({ edit, error });
+                }
+
+                this.storeOfflineEdits(this.loadOfflineEdits().filter(e => e.id !== edit.id));
+            }
+        } finally {
+            this.offlineReplaying = false;
+        }
+
+        if (saved) {
+            this.treeSpace = null;
+            this.showSuccess(`Saved ${saved} offline edit${saved === 1 ? '' : 's'}`);
+        }
+        if (problems.length) {
+            this.offlineConflicts = this.offlineConflicts.concat(problems);
+            this.renderOfflineIndicator();
+        }
+    },
+
+    // The draft is what the editor offers next time the page (or a new page
+    // in the space) is opened; base_version lets the save go through the merge view
+    keepOfflineEditAsDraft(edit) {
+        const key = `hswiki:draft:${edit.space}:${edit.kind === 'create' ? 'new' : edit.slug}`;
+        try {
+            localStorage.setItem(key, JSON.stringify({
+                title: edit.title,
+                labels: edit.labels ? edit.labels.join(', ') : undefined,
+                content: edit.content,
+                base_version: edit.base_version || null,
+                saved_at: edit.queued_at
+            }));
+        } catch (error) {
+            // Storage full - the conflict list still names the page
+        }
+    },
+
+    dismissOfflineConflicts() {
+        this.offlineConflicts = [];
+        this.renderOfflineIndicator();
+    },
+
+    renderOfflineIndicator() {
+        const indicator = document.getElementById('offline-indicator');
+        if (!indicator) return;
+
+        const queued = this.loadOfflineEdits().length;
+        const waiting = `${queued} edit${queued === 1 ? '' : 's'}`;
+        let message = '';
+        if (!this.online) {
+            message = 'You are offline. Recently viewed pages are still available'
+                + (queued ? `; ${waiting} will be saved when you reconnect.` : '.');
+        } else if (queued) {
+            message = `${waiting} made offline waiting to be saved.`;
+        }
+
+        document.getElementById('offline-message').textContent = message;
+        document.getElementById('offline-sync-btn').style.display = this.online && queued ? 'inline-block' : 'none';
+        document.getElementById('offline-dismiss-btn').style.display = this.offlineConflicts.length ? 'inline-block' : 'none';
+
+        document.getElementById('offline-conflicts').innerHTML = this.offlineConflicts.map(({ edit, error }) => {
+            const current = error.status === 409 && error.data && error.data.current;
+            const url = edit.kind === 'create'
+                ? `/${encodeURIComponent(edit.space)}/new`
+                : `/${encodeURIComponent(edit.space)}/${encodeURIComponent(edit.slug)}/edit`;
+            const reason = current
+                ? `was changed to version ${current.version} by ${current.author_name || 'someone else'} while you were offline (you edited version ${edit.base_version})`
+                : `could not be saved: ${error.message}`;
+            return `<li><strong>${this.escapeHtml(edit.title)}</strong> ${this.escapeHtml(reason)}. `
+                + `Your text is kept as a draft - <a href="${url}">open the editor</a> to ${current ? 'merge it' : 'try again'}.</li>`;
+        }).join('');
+
+        indicator.style.display = message || this.offlineConflicts.length ? 'flex' : 'none';
+        indicator.classList.toggle('offline', !this.online);
+    },
+
+    // Realtime
+    connectRealtime() {
+        if (!window.WebSocket) return;
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.realtimeRetry = 1000;
+            this.realtimeJoined = null;
+            this.syncRealtimeRoom();
+            this.realtimeTimer = setInterval(() => {
+                this.sendRealtime({ type: 'ping', since: this.realtimeSeq });
+            }, this.realtimeHeartbeat);
+        };
+
+        socket.onmessage = (e) => {
+            let msg;
+            try {
+                msg = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            this.handleRealtimeMessage(msg);
+        };
+
+        socket.onclose = () => {
+            clearInterval(this.realtimeTimer);
+            if (this.socket !== socket) return;
+
+            // Reconnect with backoff; presence is unknown until then
+            this.socket = null;
+            this.renderPresence([]);
+            setTimeout(() => this.connectRealtime(), this.realtimeRetry);
+            this.realtimeRetry = Math.min(this.realtimeRetry * 2, 30000);
+        };
+    },
+
+    // The socket is authenticated by the session cookie at connect time
+    reconnectRealtime() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+        this.connectRealtime();
+    },
+
+    sendRealtime(msg) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(msg));
+            return true;
+        }
+        return false;
+    },
+
+    // Record which room the current view wants; sent once routing settles
+    setRealtimeRoom(room) {
+        this.realtimeRoom = room;
+        clearTimeout(this.realtimeFlush);
+        this.realtimeFlush = setTimeout(() => this.syncRealtimeRoom(), 0);
+    },
+
+    syncRealtimeRoom() {
+        const join = this.realtimeRoom ? JSON.stringify({ type: 'join', ...this.realtimeRoom }) : null;
+        if (join === this.realtimeJoined) return;
+
+        if (this.sendRealtime(join ? JSON.parse(join) : { type: 'leave' })) {
+            this.realtimeJoined = join;
+            this.renderPresence([]);
+        }
+    },
+
+    handleRealtimeMessage(msg) {
+        switch (msg.type) {
+            case 'welcome':
+                this.socketId = msg.id;
+                this.realtimeSeq = Math.max(this.realtimeSeq, msg.seq || 0);
+                break;
+            case 'joined':
+                // Don't replay events from before this view was loaded
+                this.realtimeSeq = Math.max(this.realtimeSeq, msg.seq || 0);
+                break;
+            case 'presence':
+                this.renderPresence(msg.users);
+                break;
+            case 'page_created':
+            case 'page_updated':
+            case 'page_deleted':
+            case 'page_moved':
+                if (msg.seq <= this.realtimeSeq) return;
+                this.realtimeSeq = msg.seq;
+                this.handlePageEvent(msg);
+                break;
+            case 'notification':
+                // Deduplicated by id: replays can arrive after newer page events
+                this.realtimeSeq = Math.max(this.realtimeSeq, msg.seq || 0);
+                this.receiveNotification(msg);
+                break;
+        }
+    },
+
+    handlePageEvent(event) {
+        const room = this.realtimeRoom;
+        if (!room || room.space !== event.space) return;
+
+        if (room.room === 'space') {
+            this.applyPageListEvent(event);
+            return;
+        }
+
+        if (room.slug !== event.slug) return;
+
+        const who = event.author ? this.escapeHtml(event.author) : 'Someone';
+        const moved = event.type === 'page_moved'
+            ? `<a href="/${event.new_space}/${event.new_slug}">${this.escapeHtml(event.new_space)}/${this.escapeHtml(event.new_slug)}</a>`
+            : '';
+
+        if (room.mode === 'editing') {
+            document.getElementById('edit-update-message').innerHTML = event.type === 'page_deleted'
+                ? `${who} deleted this page while you were editing it.`
+                : event.type === 'page_moved'
+                    ? `${who} moved this page to ${moved} while you were editing it.`
+                    : `${who} saved version ${event.version} while you were editing. Saving will ask you to merge the changes.`;
+            document.getElementById('edit-update-banner').style.display = 'flex';
+            return;
+        }
+
+        if (event.type === 'page_deleted') {
+            document.getElementById('page-update-message').innerHTML = `${who} deleted this page.`;
+            document.getElementById('page-reload-btn').style.display = 'none';
+        } else if (event.type === 'page_moved') {
+            document.getElementById('page-update-message').innerHTML = `${who} moved this page to ${moved}.`;
+            document.getElementById('page-reload-btn').style.display = 'none';
+        } else if (this.pageVersion && event.version > this.pageVersion) {
+            document.getElementById('page-update-message').innerHTML =
+                `This page was updated to version ${event.version} by ${who}.`;
+            document.getElementById('page-reload-btn').style.display = 'inline-block';
+        } else {
+            return;
+        }
+        document.getElementById('page-update-banner').style.display = 'flex';
+    },
+
+    // Keep the space's page list current. The list is one sorted, filtered
+    // window of pages, so only pages already in it are updated in place;
+    // anything that adds or removes a page loads the first window again.
+    // A rename arrives as page_moved for the old slug, then page_updated.
+    applyPageListEvent(event) {
+        const view = this.listView;
+        if (!view || view.kind !== 'pages') return;
+
+        if (event.type === 'page_updated') {
+            const existing = view.items.find(page => page.slug === event.slug);
+            if (!existing || existing.version > event.version) return;
+
+            Object.assign(existing, {
+                title: event.title,
+                version: event.version,
+                updated_at: event.updated_at
+            });
+            this.renderPagesList(view.items, event.slug);
+        } else {
+            this.loadList().catch(error => this.showError(error.message));
+        }
+
+        this.loadTree(true);
+    },
+
+    reloadPage() {
+        this.showPage(this.currentPage, false);
+    },
+
+    dismissUpdateBanner(id) {
+        document.getElementById(id).style.display = 'none';
+    },
+
+    // Show who else has this page open; one entry per user, editing wins over viewing
+    renderPresence(users) {
+        const others = new Map();
+        (users || []).forEach(user => {
+            if (user.id === this.socketId) return;
+            const name = user.username || 'Guest';
+            const key = user.username || `guest:${user.id}`;
+            const seen = others.get(key);
+            if (!seen || user.mode === 'editing') others.set(key, { name, mode: user.mode });
+        });
+
+        const html = others.size === 0 ? '' : 'Also here: ' + [...others.values()].map(user => `
+            <span class="presence-user presence-${user.mode}" title="${user.mode}">
+                ${this.escapeHtml(user.name)}${user.mode === 'editing' ? ' (editing)' : ''}
+            </span>
+        `).join('');
+
+        ['page-presence', 'edit-presence', 'space-presence'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.innerHTML = html;
+        });
+    },
+
+    // Versions
+    async showVersions(updateUrl = true) {
+        if (updateUrl) {
+            this.navigate(`/${this.currentSpace}/${this.currentPage}/versions`, true);
+            return;
+        }
+
+        this.showSection('versions-section');
+        this.showLoading(true);
+
+        try {
+            const data = await this.api(`/pages/versions/${this.currentSpace}/${this.currentPage}`);
+            this.setSpaceAccess(this.currentSpace, data.access);
+
+            document.getElementById('versions-space-breadcrumb').textContent = this.currentSpace;
+            document.getElementById('versions-page-breadcrumb').textContent = this.currentPage;
+
+            this.renderVersionsList(data.versions);
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    renderVersionsList(versions) {
+        const container = document.getElementById('versions-list');
+        const compareBtn = document.getElementById('compare-versions-btn');
+
+        this.versions = versions || [];
+        compareBtn.style.display = this.versions.length > 1 ? 'inline-block' : 'none';
+
+        if (!versions || versions.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No version history available.</p></div>';
+            return;
+        }
+
+        // Versions arrive newest first; preselect the latest change
+        container.innerHTML = versions.map((v, i) => `
+            <div class="version-item">
+                <div class="version-compare">
+                    <input type="radio" name="diff-from" value="${v.version}" title="Compare from this version" ${i === 1 ? 'checked' : ''}>
+                    <input type="radio" name="diff-to" value="${v.version}" title="Compare to this version" ${i === 0 ? 'checked' : ''}>
+                </div>
+                <div class="version-info">
+                    <span class="version-number">Version ${v.version}</span>
+                    <span class="version-date">${this.formatDate(v.created_at)}</span>
+                    ${v.change_summary ? `<div class="version-summary">${this.escapeHtml(v.change_summary)}</div>` : ''}
+                </div>
+                <div class="version-actions">
+                    <button class="btn" onclick="app.viewVersion(${v.version})">View</button>
+                    ${i > 0 && this.canInSpace('write') ? `<button class="btn" onclick="app.showRestoreVersion(${v.version})">Restore this version</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    },
+
+    async viewVersion(version) {
+        try {
+            const data = await this.api(`/pages/version/${this.currentSpace}/${this.currentPage}/${version}`);
+            // For now, just show in the page view
+            this.showContent(data.version.content_html || this.escapeHtml(data.version.content));
+            document.getElementById('page-version').textContent = version + ' (historical)';
+            this.showSection('page-section');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    // Restore
+    async showRestoreVersion(version, updateUrl = true) {
+        if (!this.currentUser) {
+            this.showLogin();
+            return;
+        }
+
+        if (updateUrl) {
+            this.navigate(`/${this.currentSpace}/${this.currentPage}/restore/${version}`, true);
+            return;
+        }
+
+        this.restoreTarget = null;
+        this.showSection('restore-section');
+        this.showLoading(true);
+
+        document.getElementById('restore-space-breadcrumb').textContent = this.currentSpace;
+        document.getElementById('restore-page-breadcrumb').textContent = this.currentPage;
+        document.getElementById('restore-summary').innerHTML = '';
+        document.getElementById('restore-preview').innerHTML = '';
+        document.getElementById('restore-confirm-btn').disabled = true;
+
+        try {
+            const [pageData, versionData] = await Promise.all([
+                this.api(`/pages/view/${this.currentSpace}/${this.currentPage}`),
+                this.api(`/pages/version/${this.currentSpace}/${this.currentPage}/${version}`)
+            ]);
+            const page = pageData.page;
+            const target = versionData.version;
+
+            this.setSpaceAccess(this.currentSpace, pageData.access);
+            const canRestore = this.canInSpace('write');
+            if (!canRestore) {
+                this.showError('You do not have write access to this space');
+            }
+
+            this.restoreTarget = { version: target.version, currentVersion: page.version };
+
+            document.getElementById('restore-page-breadcrumb').textContent = page.title;
+            document.getElementById('restore-title').textContent = `Restore "${target.title}" to version ${target.version}`;
+            document.getElementById('restore-summary').innerHTML = `
+                <p>
+                    The page will move from <strong>version ${page.version}</strong> to
+                    <strong>version ${page.version + 1}</strong>, which will contain the content of
+                    <strong>version ${target.version}</strong> (saved ${this.formatDate(target.created_at)}).
+                </p>
+                ${target.title !== page.title ? `<p>The title will change from "${this.escapeHtml(page.title)}" to "${this.escapeHtml(target.title)}".</p>` : ''}
+                <p>No history is lost: version ${page.version} stays available in the page history.
+                    <a href="/${this.currentSpace}/${this.currentPage}/diff/${target.version}..${page.version}">Compare with the current version</a></p>
+            `;
+            const restorePreview = document.getElementById('restore-preview');
+            restorePreview.innerHTML = target.content_html || '<p>No content</p>';
+            this.highlightCodeBlocks(restorePreview);
+            document.getElementById('restore-confirm-btn').disabled = !canRestore || target.version === page.version;
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    async confirmRestoreVersion() {
+        if (!this.restoreTarget) return;
+
+        const { version } = this.restoreTarget;
+        const button = document.getElementById('restore-confirm-btn');
+        button.disabled = true;
+
+        try {
+            const data = await this.api(`/pages/restore/${this.currentSpace}/${this.currentPage}`, {
+                method: 'POST',
+                body: { version }
+            });
+            this.showSuccess(`Page restored to version ${version} (now version ${data.page.version})`);
+            this.navigate(`/${this.currentSpace}/${this.currentPage}`);
+        } catch (error) {
+            button.disabled = false;
+            this.showError(error.message);
+        }
+    },
+
+    // Diff
+    compareSelectedVersions() {
+        const from = document.querySelector('input[name="diff-from"]:checked');
+        const to = document.querySelector('input[name="diff-to"]:checked');
+
+        if (!from || !to) {
+            this.showError('Select two versions to compare');
+            return;
+        }
+        if (from.value === to.value) {
+            this.showError('Select two different versions to compare');
+            return;
+        }
+
+        const versions = [parseInt(from.value), parseInt(to.value)].sort((a, b) => a - b);
+        this.showDiff(versions[0], versions[1]);
+    },
+
+    async showDiff(fromVersion, toVersion, updateUrl = true) {
+        if (updateUrl) {
+            this.navigate(`/${this.currentSpace}/${this.currentPage}/diff/${fromVersion}..${toVersion}`, true);
+            return;
+        }
+
+        this.showSection('diff-section');
+        this.showLoading(true);
+
+        document.getElementById('diff-space-breadcrumb').textContent = this.currentSpace;
+        document.getElementById('diff-page-breadcrumb').textContent = this.currentPage;
+        document.getElementById('diff-output').innerHTML = '';
+
+        try {
+            const [fromData, toData] = await Promise.all([
+                this.api(`/pages/version/${this.currentSpace}/${this.currentPage}/${fromVersion}`),
+                this.api(`/pages/version/${this.currentSpace}/${this.currentPage}/${toVersion}`)
+            ]);
+
+            this.currentDiff = { from: fromData.version, to: toData.version };
+            this.renderDiff();
         } catch (error) {
             this.showError(error.message);
+        } finally {
+            this.showLoading(false);
         }
+    },
 
-        return false;
+    setDiffLayout(layout) {
+        this.diffLayout = layout;
+        localStorage.setItem('hswiki:diff-layout', layout);
+        this.renderDiff();
     },
 
-    async previewPage() {
-        const content = document.getElementById('page-content').value;
-        const previewArea = document.getElementById('preview-area');
-        const previewContent = document.getElementById('preview-content');
+    toggleDiffContext() {
+        this.diffShowAll = !this.diffShowAll;
+        this.renderDiff();
+    },
 
-        try {
-            const data = await this.api('/render', {
-                method: 'POST',
-                body: { content }
-            });
-            previewContent.innerHTML = data.html || '<p>No content</p>';
-            previewArea.style.display = 'block';
-        } catch (error) {
-            this.showError(error.message);
+    renderDiff() {
+        if (!this.currentDiff) return;
+
+        const { from, to } = this.currentDiff;
+        const rows = this.buildDiffRows(from.content || '', to.content || '');
+        const added = rows.filter(r => r.type === 'insert' || r.type === 'change').length;
+        const removed = rows.filter(r => r.type === 'delete' || r.type === 'change').length;
+
+        document.getElementById('diff-from-label').innerHTML = this.renderDiffVersionLabel(from);
+        document.getElementById('diff-to-label').innerHTML = this.renderDiffVersionLabel(to);
+        document.getElementById('diff-stats').innerHTML =
+            `<span class="diff-stat-ins">+${added}</span> <span class="diff-stat-del">&minus;${removed}</span> lines`;
+
+        document.getElementById('diff-layout-split').classList.toggle('active', this.diffLayout === 'split');
+        document.getElementById('diff-layout-unified').classList.toggle('active', this.diffLayout === 'unified');
+        document.getElementById('diff-context-toggle').textContent = this.diffShowAll ? 'Hide unchanged lines' : 'Show unchanged lines';
+
+        let html = '';
+        if (from.title !== to.title) {
+            const words = this.diffWords(from.title || '', to.title || '');
+            html += `<div class="diff-title-change">Title: <span class="diff-del">${words.oldHtml}</span> &rarr; <span class="diff-ins">${words.newHtml}</span></div>`;
+        }
+
+        if (added === 0 && removed === 0) {
+            html += '<div class="empty-state"><p>The content of these versions is identical.</p></div>';
+        } else {
+            const visible = this.diffShowAll ? rows : this.collapseDiffRows(rows);
+            html += this.diffLayout === 'unified'
+                ? this.renderUnifiedDiff(visible)
+                : this.renderSplitDiff(visible);
         }
+
+        document.getElementById('diff-output').innerHTML = html;
     },
 
-    cancelEdit() {
-        if (this.editingPage) {
-            this.navigate(`/${this.currentSpace}/${this.editingPage.slug}`);
+    renderDiffVersionLabel(version) {
+        return `
+            <span class="version-number">Version ${version.version}</span>
+            <span class="version-date">${this.formatDate(version.created_at)}</span>
+            ${version.change_summary ? `<div class="version-summary">${this.escapeHtml(version.change_summary)}</div>` : ''}
+        `;
+    },
+
+    // Longest-common-subsequence diff of two arrays.
+    // Returns [{ type: 'equal'|'delete'|'insert', value }] in document order.
+    diffSequences(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) ops.push({ type: 'equal', value: a[i] });
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const n = midA.length;
+        const m = midB.length;
+
+        if (n * m > this.diffMaxCells) {
+            // Too large for the LCS table - report the middle as replaced
+            midA.forEach(value => ops.push({ type: 'delete', value }));
+            midB.forEach(value => ops.push({ type: 'insert', value }));
         } else {
-            this.navigate(`/${this.currentSpace}`);
+            // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+            const lcs = [];
+            for (let i = 0; i <= n; i++) lcs.push(new Uint32Array(m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[i][j] = midA[i] === midB[j]
+                        ? lcs[i + 1][j + 1] + 1
+                        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (midA[i] === midB[j]) {
+                    ops.push({ type: 'equal', value: midA[i] });
+                    i++;
+                    j++;
+                } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                    ops.push({ type: 'delete', value: midA[i++] });
+                } else {
+                    ops.push({ type: 'insert', value: midB[j++] });
+                }
+            }
+            while (i < n) ops.push({ type: 'delete', value: midA[i++] });
+            while (j < m) ops.push({ type: 'insert', value: midB[j++] });
         }
+
+        for (let i = endA; i < a.length; i++) ops.push({ type: 'equal', value: a[i] });
+
+        return ops;
     },
 
-    // Versions
-    async showVersions(updateUrl = true) {
+    // Line diff with changed lines paired up for word-level highlighting
+    buildDiffRows(oldText, newText) {
+        const ops = this.diffSequences(oldText.split('\n'), newText.split('\n'));
+        const rows = [];
+        let oldNo = 1;
+        let newNo = 1;
+        let i = 0;
+
+        while (i < ops.length) {
+            if (ops[i].type === 'equal') {
+                rows.push({ type: 'equal', oldNo: oldNo++, newNo: newNo++, oldText: ops[i].value, newText: ops[i].value });
+                i++;
+                continue;
+            }
+
+            const deleted = [];
+            const inserted = [];
+            while (i < ops.length && ops[i].type !== 'equal') {
+                (ops[i].type === 'delete' ? deleted : inserted).push(ops[i].value);
+                i++;
+            }
+
+            for (let k = 0; k < Math.max(deleted.length, inserted.length); k++) {
+                const oldLine = deleted[k];
+                const newLine = inserted[k];
+
+                if (oldLine !== undefined && newLine !== undefined) {
+                    rows.push({
+                        type: 'change',
+                        oldNo: oldNo++,
+                        newNo: newNo++,
+                        oldText: oldLine,
+                        newText: newLine,
+                        words: this.diffWords(oldLine, newLine)
+                    });
+                } else if (oldLine !== undefined) {
+                    rows.push({ type: 'delete', oldNo: oldNo++, oldText: oldLine });
+                } else {
+                    rows.push({ type: 'insert', newNo: newNo++, newText: newLine });
+                }
+            }
+        }
+
+        return rows;
+    },
+
+    // Word-level diff of a changed line, returned as highlighted HTML for each side
+    diffWords(oldLine, newLine) {
+        const tokenize = line => line.match(/\s+|\w+|[^\w\s]/g) || [];
+        const ops = this.diffSequences(tokenize(oldLine), tokenize(newLine));
+        let oldHtml = '';
+        let newHtml = '';
+
+        ops.forEach(op => {
+            const text = this.escapeHtml(op.value);
+            if (op.type === 'equal') {
+                oldHtml += text;
+                newHtml += text;
+            } else if (op.type === 'delete') {
+                oldHtml += `<del class="diff-word-del">${text}</del>`;
+            } else {
+                newHtml += `<ins class="diff-word-ins">${text}</ins>`;
+            }
+        });
+
+        return { oldHtml, newHtml };
+    },
+
+    // Replace long runs of unchanged lines with a single "skip" row
+    collapseDiffRows(rows) {
+        const context = this.diffContextLines;
+        const keep = rows.map(() => false);
+
+        rows.forEach((row, i) => {
+            if (row.type === 'equal') return;
+            for (let k = Math.max(0, i - context); k <= Math.min(rows.length - 1, i + context); k++) {
+                keep[k] = true;
+            }
+        });
+
+        const result = [];
+        let skipped = 0;
+        rows.forEach((row, i) => {
+            if (keep[i]) {
+                if (skipped) result.push({ type: 'skip', count: skipped });
+                skipped = 0;
+                result.push(row);
+            } else {
+                skipped++;
+            }
+        });
+        if (skipped) result.push({ type: 'skip', count: skipped });
+
+        return result;
+    },
+
+    renderSplitDiff(rows) {
+        const body = rows.map(row => {
+            if (row.type === 'skip') {
+                return `<tr class="diff-skip"><td colspan="4">&#8943; ${row.count} unchanged line${row.count === 1 ? '' : 's'}</td></tr>`;
+            }
+
+            const oldNo = row.oldNo || '';
+            const newNo = row.newNo || '';
+
+            if (row.type === 'equal') {
+                const text = this.escapeHtml(row.oldText);
+                return `<tr><td class="diff-line-no">${oldNo}</td><td class="diff-text">${text}</td><td class="diff-line-no">${newNo}</td><td class="diff-text">${text}</td></tr>`;
+            }
+            if (row.type === 'change') {
+                return `<tr><td class="diff-line-no">${oldNo}</td><td class="diff-text diff-del">${row.words.oldHtml}</td><td class="diff-line-no">${newNo}</td><td class="diff-text diff-ins">${row.words.newHtml}</td></tr>`;
+            }
+            if (row.type === 'delete') {
+                return `<tr><td class="diff-line-no">${oldNo}</td><td class="diff-text diff-del">${this.escapeHtml(row.oldText)}</td><td class="diff-line-no"></td><td class="diff-text diff-empty"></td></tr>`;
+            }
+            return `<tr><td class="diff-line-no"></td><td class="diff-text diff-empty"></td><td class="diff-line-no">${newNo}</td><td class="diff-text diff-ins">${this.escapeHtml(row.newText)}</td></tr>`;
+        }).join('');
+
+        return `<table class="diff-table diff-split"><tbody>${body}</tbody></table>`;
+    },
+
+    renderUnifiedDiff(rows) {
+        const lines = [];
+        let i = 0;
+
+        while (i < rows.length) {
+            const row = rows[i];
+
+            if (row.type === 'skip') {
+                lines.push(`<tr class="diff-skip"><td colspan="4">&#8943; ${row.count} unchanged line${row.count === 1 ? '' : 's'}</td></tr>`);
+                i++;
+                continue;
+            }
+            if (row.type === 'equal') {
+                lines.push(`<tr><td class="diff-line-no">${row.oldNo}</td><td class="diff-line-no">${row.newNo}</td><td class="diff-marker"></td><td class="diff-text">${this.escapeHtml(row.oldText)}</td></tr>`);
+                i++;
+                continue;
+            }
+
+            // Emit a whole block of changes as removals followed by additions
+            const block = [];
+            while (i < rows.length && rows[i].type !== 'equal' && rows[i].type !== 'skip') {
+                block.push(rows[i++]);
+            }
+            block.filter(r => r.type !== 'insert').forEach(r => {
+                const html = r.type === 'change' ? r.words.oldHtml : this.escapeHtml(r.oldText);
+                lines.push(`<tr><td class="diff-line-no">${r.oldNo}</td><td class="diff-line-no"></td><td class="diff-marker diff-del">-</td><td class="diff-text diff-del">${html}</td></tr>`);
+            });
+            block.filter(r => r.type !== 'delete').forEach(r => {
+                const html = r.type === 'change' ? r.words.newHtml : this.escapeHtml(r.newText);
+                lines.push(`<tr><td class="diff-line-no"></td><td class="diff-line-no">${r.newNo}</td><td class="diff-marker diff-ins">+</td><td class="diff-text diff-ins">${html}</td></tr>`);
+            });
+        }
+
+        return `<table class="diff-table diff-unified"><tbody>${lines.join('')}</tbody></table>`;
+    },
+
+    // Search
+    submitSearch(event) {
+        event.preventDefault();
+
+        const query = document.getElementById('search-input').value.trim();
+        if (query) {
+            this.showSearch(query, this.searchSpace || this.currentSpace || '');
+        }
+
+        return false;
+    },
+
+    filterSearch(spaceKey) {
+        this.showSearch(this.searchQuery, spaceKey);
+    },
+
+    async showSearch(query, spaceKey = '', updateUrl = true) {
         if (updateUrl) {
-            this.navigate(`/${this.currentSpace}/${this.currentPage}/versions`, true);
+            const params = new URLSearchParams({ q: query });
+            if (spaceKey) params.set('space', spaceKey);
+            this.navigate(`/search?${params.toString()}`, true);
+            return;
+        }
+
+        this.searchQuery = query;
+        this.searchSpace = spaceKey;
+        this.currentPage = null;
+        this.showSection('search-section');
+        document.getElementById('search-input').value = query;
+        document.getElementById('search-title').textContent = query ? `Search: ${query}` : 'Search';
+
+        const summary = document.getElementById('search-summary');
+        const container = document.getElementById('search-results');
+        container.innerHTML = '';
+        summary.textContent = '';
+
+        this.loadSearchSpaces(spaceKey);
+
+        if (!query) {
+            summary.textContent = 'Enter a search term in the box above.';
             return;
         }
 
-        this.showSection('versions-section');
         this.showLoading(true);
 
         try {
-            const data = await this.api(`/pages/versions/${this.currentSpace}/${this.currentPage}`);
+            const params = new URLSearchParams({ q: query });
+            if (spaceKey) params.set('space', spaceKey);
+            const data = await this.api(`/search?${params.toString()}`);
 
-            document.getElementById('versions-space-breadcrumb').textContent = this.currentSpace;
-            document.getElementById('versions-page-breadcrumb').textContent = this.currentPage;
+            // Ignore responses that arrive after a newer search started
+            if (query !== this.searchQuery || spaceKey !== this.searchSpace) return;
 
-            this.renderVersionsList(data.versions);
+            summary.textContent = data.total > data.count
+                ? `Showing top ${data.count} of ${data.total} results`
+                : `${data.total} result${data.total === 1 ? '' : 's'}`;
+            this.renderSearchResults(data.results, data.terms);
         } catch (error) {
             this.showError(error.message);
         } finally {
@@ -554,39 +4778,426 @@ const app = {
         }
     },
 
-    renderVersionsList(versions) {
-        const container = document.getElementById('versions-list');
+    async loadSearchSpaces(selected) {
+        const select = document.getElementById('search-space-filter');
 
-        if (!versions || versions.length === 0) {
-            container.innerHTML = '<div class="empty-state"><p>No version history available.</p></div>';
+        try {
+            const spaces = (await this.fetchAllSpaces())
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            select.innerHTML = '<option value="">All spaces</option>' + spaces.map(space => `
+                <option value="${this.escapeHtml(space.space_key)}">${this.escapeHtml(space.name)}</option>
+            `).join('');
+        } catch (error) {
+            // Keep the "All spaces" option only
+        }
+
+        select.value = selected || '';
+    },
+
+    renderSearchResults(results, terms) {
+        const container = document.getElementById('search-results');
+
+        if (!results || results.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No pages matched your search.</p>
+                    ${this.currentUser ? '' : '<p>Login to search private spaces.</p>'}
+                </div>
+            `;
             return;
         }
 
-        container.innerHTML = versions.map(v => `
-            <div class="version-item">
-                <div class="version-info">
-                    <span class="version-number">Version ${v.version}</span>
-                    <span class="version-date">${this.formatDate(v.created_at)}</span>
-                    ${v.change_summary ? `<div class="version-summary">${this.escapeHtml(v.change_summary)}</div>` : ''}
+        container.innerHTML = results.map(result => `
+            <div class="card search-result">
+                <h3><a href="/${result.space_key}/${result.slug}">${this.highlightTerms(result.title, terms)}</a></h3>
+                <p class="search-snippet">${this.highlightTerms(result.snippet || '', terms)}</p>
+                <div class="card-meta">
+                    <a href="/${result.space_key}">${this.escapeHtml(result.space_name)}</a>
+                    &bull; Version ${result.version} &bull; Updated ${this.formatDate(result.updated_at)}
                 </div>
-                <button class="btn" onclick="app.viewVersion(${v.version})">View</button>
             </div>
         `).join('');
     },
 
-    async viewVersion(version) {
+    // Escape text and wrap every occurrence of the search terms in <mark>
+    highlightTerms(text, terms) {
+        if (!text) return '';
+        if (!terms || terms.length === 0) return this.escapeHtml(text);
+
+        const pattern = terms
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .sort((a, b) => b.length - a.length)
+            .join('|');
+        const regex = new RegExp(`(${pattern})`, 'gi');
+
+        return text.split(regex).map((part, i) =>
+            i % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)
+        ).join('');
+    },
+
+    // Keyboard shortcuts. `when` limits a shortcut to the views it makes sense in.
+    shortcutList() {
+        const onPage = () => this.isShowing('page-section') && this.currentPage;
+
+        return [
+            { keys: 'e', label: 'Edit this page', when: onPage, run: () => this.editPage() },
+            { keys: 'h', label: 'View page history', when: onPage,
+              run: () => this.navigate(`/${this.currentSpace}/${this.currentPage}/versions`) },
+            { keys: 'g s', label: 'Go to all spaces', run: () => this.navigate('/') },
+            { keys: '/', label: 'Search pages', run: () => this.focusSearch() },
+            { keys: '?', label: 'Show keyboard shortcuts', run: () => this.showShortcutsHelp() }
+        ];
+    },
+
+    handleShortcut(e) {
+        // Already handled, e.g. Ctrl+K inserting a link in the editor
+        if (e.defaultPrevented) return;
+
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (this.isShowing('command-palette')) {
+                this.closePalette();
+            } else {
+                this.openPalette();
+            }
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            if (this.isShowing('command-palette')) this.closePalette();
+            if (this.isShowing('shortcuts-help')) this.closeShortcutsHelp();
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey || this.isTyping(e.target)) return;
+        if (this.isShowing('command-palette') || this.isShowing('shortcuts-help')) return;
+
+        const keys = this.pendingShortcut ? `${this.pendingShortcut} ${e.key}` : e.key;
+        this.pendingShortcut = null;
+        clearTimeout(this.shortcutTimer);
+
+        const shortcuts = this.shortcutList().filter(s => !s.when || s.when());
+        const shortcut = shortcuts.find(s => s.keys === keys);
+        if (shortcut) {
+            e.preventDefault();
+            shortcut.run();
+            return;
+        }
+
+        // First half of a two-key shortcut: wait a moment for the second
+        if (shortcuts.some(s => s.keys.startsWith(`${e.key} `))) {
+            this.pendingShortcut = e.key;
+            this.shortcutTimer = setTimeout(() => { this.pendingShortcut = null; }, this.shortcutDelay);
+        }
+    },
+
+    // Keys typed into a form field are text, not shortcuts
+    isTyping(target) {
+        return !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+    },
+
+    isShowing(id) {
+        const el = document.getElementById(id);
+        return !!el && el.style.display !== 'none' && el.style.display !== '';
+    },
+
+    focusSearch() {
+        const input = document.getElementById('search-input');
+        input.focus();
+        input.select();
+    },
+
+    showShortcutsHelp() {
+        const rows = [
+            { keys: 'Ctrl K', label: 'Open the command palette (Cmd K on Mac)' },
+            ...this.shortcutList(),
+            { keys: 'Esc', label: 'Close the palette or this list' }
+        ];
+
+        document.getElementById('shortcuts-list').innerHTML = rows.map(row => `
+            <dt>${row.keys.split(' ').map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join(' ')}</dt>
+            <dd>${this.escapeHtml(row.label)}</dd>
+        `).join('');
+        document.getElementById('shortcuts-help').style.display = 'flex';
+    },
+
+    closeShortcutsHelp() {
+        document.getElementById('shortcuts-help').style.display = 'none';
+    },
+
+    // Command palette
+    openPalette() {
+        this.closeShortcutsHelp();
+        const input = document.getElementById('palette-input');
+        input.value = '';
+        document.getElementById('command-palette').style.display = 'flex';
+        input.focus();
+
+        this.filterPalette('');
+        this.loadPaletteIndex().then(() => {
+            if (this.isShowing('command-palette')) this.filterPalette(input.value);
+        });
+    },
+
+    closePalette() {
+        document.getElementById('command-palette').style.display = 'none';
+    },
+
+    // Spaces and page titles the user can see, kept for paletteIndexAge
+    async loadPaletteIndex() {
+        const userId = this.currentUser ? this.currentUser.user_id : null;
+        const index = this.paletteIndex;
+        if (index && index.userId === userId && Date.now() - index.loadedAt < this.paletteIndexAge) return;
+
         try {
-            const data = await this.api(`/pages/version/${this.currentSpace}/${this.currentPage}/${version}`);
-            // For now, just show in the page view
-            document.getElementById('page-content-display').innerHTML = data.version.content_html || data.version.content || '<p>No content</p>';
-            document.getElementById('page-version').textContent = version + ' (historical)';
-            this.showSection('page-section');
+            const data = await this.api('/search/titles');
+            this.paletteIndex = { userId, loadedAt: Date.now(), spaces: data.spaces || [], pages: data.pages || [] };
         } catch (error) {
-            this.showError(error.message);
+            // Offline or failed: keep what we had; commands still work
+        }
+    },
+
+    // Actions for where the user is now
+    paletteCommands() {
+        const space = this.currentSpace;
+        const onPage = this.isShowing('page-section') && this.currentPage;
+        const commands = [];
+
+        if (onPage && this.canInSpace('write')) {
+            commands.push({ label: 'Edit this page', run: () => this.editPage() });
+        }
+        if (onPage) {
+            commands.push({ label: 'View history', run: () => this.navigate(`/${space}/${this.currentPage}/versions`) });
+        }
+        if (space && this.canInSpace('write')) {
+            commands.push({ label: 'New page in this space', run: () => this.navigate(`/${space}/new`) });
+        }
+        if (space && this.canInSpace('admin')) {
+            commands.push({ label: 'Go to space settings', run: () => this.navigate(`/${space}/settings`) });
+        }
+
+        commands.push({ label: 'Go to all spaces', run: () => this.navigate('/') });
+        if (this.currentUser) {
+            commands.push({ label: 'Go to notifications', run: () => this.navigate('/notifications') });
+            commands.push({ label: 'Go to account settings', run: () => this.navigate('/account') });
+        }
+        if (this.isAdmin()) {
+            commands.push({ label: 'Go to administration', run: () => this.navigate('/admin') });
+        }
+        commands.push({ label: 'Show keyboard shortcuts', run: () => this.showShortcutsHelp() });
+
+        return commands.map(command => ({ ...command, kind: 'Action', detail: '' }));
+    },
+
+    // Rank commands, spaces and pages against the query; an empty query
+    // lists the commands and then the spaces
+    filterPalette(query) {
+        query = query.trim();
+        const index = this.paletteIndex || { spaces: [], pages: [] };
+
+        const candidates = [
+            ...this.paletteCommands(),
+            ...index.spaces.map(space => ({
+                kind: 'Space', label: space.name, detail: space.space_key,
+                run: () => this.navigate(`/${space.space_key}`)
+            })),
+            ...(query ? index.pages : []).map(page => ({
+                kind: 'Page', label: page.title, detail: page.space_name,
+                run: () => this.navigate(`/${page.space_key}/${page.slug}`)
+            }))
+        ];
+
+        let items = candidates;
+        if (query) {
+            items = candidates
+                .map(item => ({ ...item, match: this.fuzzyMatch(query, item.label) }))
+                .filter(item => item.match)
+                .sort((a, b) => b.match.score - a.match.score);
+
+            items.push({
+                kind: 'Search', label: `Search for "${query}"`, detail: 'Full text',
+                run: () => this.showSearch(query, '')
+            });
+        }
+
+        this.paletteItems = items.slice(0, this.paletteLimit);
+        this.paletteSelected = 0;
+        this.renderPalette();
+    },
+
+    // Characters of the query in order, not necessarily together. Runs of
+    // adjacent characters and matches at the start of words score higher.
+    // Returns { score, positions } or null.
+    fuzzyMatch(query, text) {
+        const needle = query.toLowerCase();
+        const haystack = (text || '').toLowerCase();
+        const positions = [];
+        let score = 0;
+        let from = 0;
+
+        for (const char of needle) {
+            if (char === ' ') continue;
+            const at = haystack.indexOf(char, from);
+            if (at === -1) return null;
+
+            score += 1;
+            if (positions.length && at === positions[positions.length - 1] + 1) score += 3;
+            if (at === 0 || /[\s\-_/.:]/.test(haystack[at - 1])) score += 2;
+            positions.push(at);
+            from = at + 1;
+        }
+
+        // Prefer the whole query as written, then shorter labels
+        if (haystack.includes(needle)) score += 5;
+        return { score: score - haystack.length / 100, positions };
+    },
+
+    renderPalette() {
+        const list = document.getElementById('palette-results');
+
+        if (this.paletteItems.length === 0) {
+            list.innerHTML = '<li class="palette-empty">Nothing matches</li>';
+            return;
+        }
+
+        list.innerHTML = this.paletteItems.map((item, i) => `
+            <li class="palette-item${i === this.paletteSelected ? ' selected' : ''}" role="option"
+                aria-selected="${i === this.paletteSelected}" onclick="app.runPaletteItem(${i})">
+                <span class="palette-kind">${item.kind}</span>
+                <span class="palette-label">${this.highlightMatch(item.label, item.match)}</span>
+                ${item.detail ? `<span class="palette-detail">${this.escapeHtml(item.detail)}</span>` : ''}
+            </li>
+        `).join('');
+
+        const selected = list.children && list.children[this.paletteSelected];
+        if (selected && selected.scrollIntoView) selected.scrollIntoView({ block: 'nearest' });
+    },
+
+    // Escape text and wrap the characters fuzzyMatch found in <mark>
+    highlightMatch(text, match) {
+        if (!match) return this.escapeHtml(text);
+
+        const positions = new Set(match.positions);
+        return text.split('').map((char, i) =>
+            positions.has(i) ? `<mark>${this.escapeHtml(char)}</mark>` : this.escapeHtml(char)
+        ).join('');
+    },
+
+    paletteKeydown(e) {
+        const count = this.paletteItems.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!count) return;
+            this.paletteSelected = (this.paletteSelected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            this.renderPalette();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runPaletteItem(this.paletteSelected);
         }
     },
 
+    runPaletteItem(index) {
+        const item = this.paletteItems[index];
+        if (!item) return;
+
+        this.closePalette();
+        item.run();
+    },
+
     // Helpers
+    // Syntax highlighting for fenced code. Each language lists its comment,
+    // string and keyword patterns; rules must not use capturing groups.
+    highlightAliases: {
+        js: 'javascript', ts: 'javascript', typescript: 'javascript', json: 'javascript',
+        pl: 'perl', pm: 'perl',
+        py: 'python',
+        sh: 'shell', bash: 'shell', zsh: 'shell'
+    },
+
+    highlightSyntax: {
+        javascript: {
+            comment: /\/\/[^\n]*|\/\*[\s\S]*?\*\//,
+            string: /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`/,
+            keywords: ['const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do',
+                'switch', 'case', 'break', 'continue', 'new', 'class', 'extends', 'import', 'export',
+                'from', 'default', 'async', 'await', 'try', 'catch', 'finally', 'throw', 'typeof',
+                'instanceof', 'in', 'of', 'this', 'null', 'undefined', 'true', 'false', 'yield', 'delete']
+        },
+        perl: {
+            comment: /#[^\n]*/,
+            keywords: ['my', 'our', 'local', 'sub', 'return', 'if', 'elsif', 'else', 'unless', 'for',
+                'foreach', 'while', 'until', 'last', 'next', 'use', 'require', 'package', 'no', 'undef',
+                'defined', 'eval', 'die', 'warn', 'print', 'push', 'pop', 'shift', 'unshift', 'map',
+                'grep', 'sort', 'keys', 'values', 'exists', 'delete', 'scalar', 'ref', 'bless', 'and',
+                'or', 'not', 'eq', 'ne', 'lt', 'gt', 'le', 'ge', 'qw'],
+            variable: /[$@%]\{?\w+(?:::\w+)*\}?/
+        },
+        python: {
+            comment: /#[^\n]*/,
+            string: /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/,
+            keywords: ['def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'in', 'not', 'and',
+                'or', 'is', 'import', 'from', 'as', 'with', 'try', 'except', 'finally', 'raise', 'pass',
+                'break', 'continue', 'lambda', 'yield', 'None', 'True', 'False', 'self', 'global',
+                'nonlocal', 'async', 'await']
+        },
+        shell: {
+            comment: /#[^\n]*/,
+            keywords: ['if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'until',
+                'case', 'esac', 'function', 'return', 'export', 'local', 'echo', 'exit', 'set', 'unset',
+                'source', 'cd'],
+            variable: /\$\{[^}\n]*\}|\$\w+/
+        },
+        sql: {
+            comment: /--[^\n]*|\/\*[\s\S]*?\*\//,
+            string: /'(?:[^']|'')*'/,
+            keywords: ['select', 'from', 'where', 'insert', 'into', 'update', 'set', 'delete', 'create',
+                'table', 'index', 'drop', 'alter', 'and', 'or', 'not', 'null', 'primary', 'key', 'values',
+                'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by', 'order', 'having', 'limit',
+                'as', 'distinct', 'with', 'if', 'exists', 'in', 'is', 'asc', 'desc'],
+            flags: 'i'
+        }
+    },
+
+    // Highlight every <code class="language-x"> under an element
+    highlightCodeBlocks(container) {
+        container.querySelectorAll('pre code[class*="language-"]').forEach(code => {
+            const match = code.className.match(/language-(\w+)/);
+            const html = match ? this.highlightCode(code.textContent, match[1].toLowerCase()) : null;
+            if (html === null) return;
+            code.innerHTML = html;
+            code.classList.add('highlighted');
+        });
+    },
+
+    // Code as HTML with <span class="hl-*"> tokens, or null for an unknown language
+    highlightCode(code, lang) {
+        const syntax = this.highlightSyntax[this.highlightAliases[lang] || lang];
+        if (!syntax) return null;
+
+        const rules = [
+            ['comment', syntax.comment],
+            ['string', syntax.string || /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/],
+            ['variable', syntax.variable],
+            ['number', /\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+            ['keyword', new RegExp(`\\b(?:${syntax.keywords.join('|')})\\b`)]
+        ].filter(([, rule]) => rule);
+        const pattern = new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'g' + (syntax.flags || ''));
+
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(code))) {
+            const index = match.slice(1).findIndex(group => group !== undefined);
+            html += this.escapeHtml(code.slice(last, match.index));
+            html += `<span class="hl-${rules[index][0]}">${this.escapeHtml(match[0])}</span>`;
+            last = pattern.lastIndex;
+        }
+
+        return html + this.escapeHtml(code.slice(last));
+    },
+
     escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
@@ -594,6 +5205,13 @@ const app = {
         return div.innerHTML;
     },
 
+    formatSize(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
     formatDate(timestamp) {
         if (!timestamp) return 'Unknown';
         const date = new Date(typeof timestamp === 'number' ? timestamp : parseInt(timestamp));
@@ -613,23 +5231,33 @@ document.addEventListener('DOMContentLoaded', () => {
         // Handle wiki links (missing pages go to create)
         if (link.classList.contains('wiki-link')) {
             e.preventDefault();
+            // data-space marks [[space:Page]] links into other spaces
+            const space = link.dataset.space || app.currentSpace;
             if (link.classList.contains('wiki-link-missing')) {
-                const suggestedTitle = link.textContent;
-                // Navigate to create page with title in URL
-                app.navigate(`/${app.currentSpace}/new`);
-                // Set title after navigation
-                setTimeout(() => {
-                    document.getElementById('page-title').value = suggestedTitle;
-                }, 100);
+                // Navigate to create page, pre-filled with the link text
+                app.pendingPageTitle = link.textContent;
+                app.navigate(`/${space}/new`);
             } else {
-                app.navigate(`/${app.currentSpace}/${link.dataset.slug}`);
+                app.navigate(`/${space}/${link.dataset.slug}`);
             }
             return;
         }
 
+        // In-page #section links scroll without reloading the view
+        const hash = link.getAttribute('href');
+        if (hash && hash.length > 1 && hash.startsWith('#')) {
+            e.preventDefault();
+            if (window.location.hash !== hash) history.pushState(null, '', hash);
+            app.scrollToHash();
+            return;
+        }
+
+        // Downloads and attachments opened in a new tab load normally
+        if (link.hasAttribute('download') || link.target === '_blank') return;
+
         // Handle internal links (same origin, not external)
         const href = link.getAttribute('href');
-        if (href && href.startsWith('/') && !href.startsWith('//')) {
+        if (href && href.startsWith('/') && !href.startsWith('//') && !href.startsWith('/api/')) {
             e.preventDefault();
             app.navigate(href);
         }
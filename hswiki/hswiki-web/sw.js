@@ -0,0 +1,106 @@
+// HSWiki service worker: keeps the app shell and recently viewed pages
+// available offline. Everything else goes straight to the network.
+
+const SHELL_CACHE = 'hswiki-shell-v1';
+const PAGE_CACHE = 'hswiki-pages-v1';   // app.offlinePageCache clears it on logout
+const SHELL = ['/', '/index.html', '/css/style.css', '/js/app.js', '/manifest.webmanifest', '/icons/icon.svg'];
+
+// Pages kept for offline reading; the least recently viewed go first
+const MAX_PAGES = 50;
+
+// API responses served from PAGE_CACHE when the network is down
+const CACHED_API = [/^\/api\/pages\/view\//, /^\/api\/auth\/me$/];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL))
+            .catch(() => {})
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('hswiki-') && name !== SHELL_CACHE && name !== PAGE_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Every app route is the same index.html
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+        return;
+    }
+
+    // index.html loads its assets relative to the current route
+    const asset = SHELL.find(path => path.length > 1 && url.pathname.endsWith(path));
+    if (asset) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, asset));
+        return;
+    }
+
+    if (CACHED_API.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(apiNetworkFirst(request));
+    }
+});
+
+// Fresh copy when online (and remember it under key), cached copy when not
+async function networkFirst(request, cacheName, key) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Like networkFirst, but an offline answer says so: the JSON gains
+// offline: { cached_at } so the app can label what it shows
+async function apiNetworkFirst(request) {
+    const cache = await caches.open(PAGE_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set('X-HSWiki-Cached-At', String(Date.now()));
+            const body = await response.clone().blob();
+
+            // Re-adding moves the entry to the end of the cache's key order
+            await cache.delete(request);
+            await cache.put(request, new Response(body, { status: response.status, headers }));
+            await trimCache(cache);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (!cached) throw error;
+
+        const data = await cached.json();
+        data.offline = { cached_at: Number(cached.headers.get('X-HSWiki-Cached-At')) || null };
+        return new Response(JSON.stringify(data), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    const pages = keys.filter(request => new URL(request.url).pathname.startsWith('/api/pages/view/'));
+    await Promise.all(pages.slice(0, Math.max(0, pages.length - MAX_PAGES)).map(request => cache.delete(request)));
+}
@@ -116,11 +116,20 @@ sub _constant_time_compare {
     return $diff == 0;
 }
 
+# Password requirements, for clients that check as the user types
+sub password_rules {
+    my ($class) = @_;
+
+    return {
+        min_length => HSWiki::Config->get('security', 'password_min_length') // 8,
+    };
+}
+
 # Validate password strength
 sub validate_password {
     my ($class, $password) = @_;
 
-    my $min_length = HSWiki::Config->get('security', 'password_min_length') // 8;
+    my $min_length = $class->password_rules->{min_length};
 
     my @errors;
 
@@ -251,6 +260,7 @@ HSWiki::Auth - Authentication utilities for HSWiki
 
     # Validate inputs
     my $errors = HSWiki::Auth->validate_password($password);
+    my $rules = HSWiki::Auth->password_rules;   # { min_length => 8 }
     my $error = HSWiki::Auth->validate_email($email);
     my $error = HSWiki::Auth->validate_username($username);
 
@@ -6,6 +6,8 @@ use warnings;
 
 use HSWiki::Model::User;
 use HSWiki::Model::Role;
+use HSWiki::Model::Space;
+use HSWiki::Model::Page;
 use HSWiki::Middleware::Auth;
 use Hypersonic::Response qw(res);
 
@@ -25,7 +27,7 @@ sub register {
     $server->get('/api/admin/users' => $admin_wrap->(sub {
         my ($req) = @_;
         return $class->list_users($req);
-    }), { dynamic => 1 });
+    }), { dynamic => 1, parse_query => 1 });
 
     # GET /api/admin/users/:id - Get user details
     $server->get('/api/admin/users/:id' => $admin_wrap->(sub {
@@ -88,18 +90,47 @@ sub register {
     }), { dynamic => 1 });
 }
 
-# List all users
+# List users, a page at a time
 sub list_users {
     my ($class, $req) = @_;
 
+    my $page = $req->query_param('page') // 1;
+    $page = 1 unless $page =~ /^\d+$/ && $page > 0;
+
+    my $per_page = $req->query_param('per_page') // 25;
+    $per_page = 25 unless $per_page =~ /^\d+$/ && $per_page > 0;
+    $per_page = 100 if $per_page > 100;
+
+    my $filter = lc($req->query_param('q') // '');
+    $filter =~ s/^\s+|\s+$//g;
+
     my $users = HSWiki::Model::User->list_all;
 
+    # Filter on username or email, then sort by username
+    my @matched = sort { lc($a->{username} // '') cmp lc($b->{username} // '') }
+        grep {
+            !length($filter)
+                || index(lc($_->{username} // ''), $filter) >= 0
+                || index(lc($_->{email} // ''), $filter) >= 0
+        } @$users;
+
+    my $total = scalar @matched;
+    my $pages = $total ? int(($total + $per_page - 1) / $per_page) : 1;
+    my $start = ($page - 1) * $per_page;
+    my $end = $start + $per_page - 1;
+    $end = $#matched if $end > $#matched;
+
     # Remove sensitive data
-    my @safe_users = map { HSWiki::Model::User->to_safe($_) } @$users;
+    my @safe_users = map { HSWiki::Model::User->to_safe($_) }
+        $start <= $#matched ? @matched[$start .. $end] : ();
 
     return res->json({
-        users => \@safe_users,
-        count => scalar @safe_users,
+        users    => \@safe_users,
+        count    => scalar @safe_users,
+        total    => $total,
+        page     => $page + 0,
+        per_page => $per_page + 0,
+        pages    => $pages,
     })->finalize;
 }
 
@@ -223,10 +254,12 @@ sub list_roles {
     my ($class, $req) = @_;
 
     my $roles = HSWiki::Model::Role->list_all;
+    $_->{builtin} = HSWiki::Model::Role->is_builtin($_->{role_name}) ? 1 : 0 for @$roles;
 
     return res->json({
-        roles => $roles,
-        count => scalar @$roles,
+        roles       => [ sort { $a->{role_name} cmp $b->{role_name} } @$roles ],
+        count       => scalar @$roles,
+        permissions => HSWiki::Model::Role->all_permissions,
     })->finalize;
 }
 
@@ -240,6 +273,13 @@ sub create_role {
         return res->bad_request('role_name is required')->finalize;
     }
 
+    unless ($data->{role_name} =~ /^[a-z][a-z0-9_-]*$/) {
+        return res->bad_request('Role name can only contain lowercase letters, numbers, hyphens and underscores')->finalize;
+    }
+
+    my $error = $class->_check_permissions($data->{permissions});
+    return res->bad_request($error)->finalize if $error;
+
     # Check if role exists
     if (HSWiki::Model::Role->exists($data->{role_name})) {
         return res->conflict('Role already exists')->finalize;
@@ -258,6 +298,21 @@ sub create_role {
     })->finalize;
 }
 
+# Validate a list of permission strings; returns an error message or nothing
+sub _check_permissions {
+    my ($class, $permissions) = @_;
+
+    return unless defined $permissions;
+    return 'permissions must be an array' unless ref $permissions eq 'ARRAY';
+
+    for my $permission (@$permissions) {
+        return "Unknown permission: " . ($permission // '')
+            unless HSWiki::Model::Role->is_valid_permission($permission);
+    }
+
+    return;
+}
+
 # Update role
 sub update_role {
     my ($class, $req) = @_;
@@ -271,10 +326,13 @@ sub update_role {
     }
 
     # Don't allow modifying built-in roles
-    if ($role->{role_name} =~ /^(admin|editor|viewer)$/) {
+    if (HSWiki::Model::Role->is_builtin($role->{role_name})) {
         return res->bad_request('Cannot modify built-in roles')->finalize;
     }
 
+    my $error = $class->_check_permissions($data->{permissions});
+    return res->bad_request($error)->finalize if $error;
+
     if ($data->{permissions}) {
         HSWiki::Model::Role->update_permissions($role_id, $data->{permissions});
     }
@@ -300,10 +358,16 @@ sub delete_role {
     }
 
     # Don't allow deleting built-in roles
-    if ($role->{role_name} =~ /^(admin|editor|viewer)$/) {
+    if (HSWiki::Model::Role->is_builtin($role->{role_name})) {
         return res->bad_request('Cannot delete built-in roles')->finalize;
     }
 
+    # Don't strand users without a role
+    my @assigned = grep { ($_->{role_id} // '') eq $role_id } @{ HSWiki::Model::User->list_all };
+    if (@assigned) {
+        return res->conflict(scalar(@assigned) . ' user(s) still have this role')->finalize;
+    }
+
     HSWiki::Model::Role->delete($role_id);
 
     return res->json({
@@ -334,15 +398,27 @@ sub init_defaults {
 sub stats {
     my ($class, $req) = @_;
 
-    # Note: These counts would need proper implementation
-    # Simplified here for demonstration
     my $users = HSWiki::Model::User->list_all;
     my $roles = HSWiki::Model::Role->list_all;
 
+    # Users per role, by role name
+    my %role_names = map { $_->{role_id} => $_->{role_name} } @$roles;
+    my %users_by_role = map { $_->{role_name} => 0 } @$roles;
+    for my $user (@$users) {
+        my $name = $role_names{ $user->{role_id} // '' } // 'none';
+        $users_by_role{$name}++;
+    }
+
+    my @recent = (sort { ($b->{created_at} // 0) <=> ($a->{created_at} // 0) } @$users)[0 .. 4];
+
     return res->json({
-        users_count  => scalar @$users,
-        roles_count  => scalar @$roles,
-        active_users => scalar grep { $_->{is_active} } @$users,
+        users_count   => scalar @$users,
+        roles_count   => scalar @$roles,
+        active_users  => scalar grep { $_->{is_active} } @$users,
+        spaces_count  => HSWiki::Model::Space->count_all + 0,
+        pages_count   => HSWiki::Model::Page->count_all + 0,
+        users_by_role => \%users_by_role,
+        recent_users  => [ map { HSWiki::Model::User->to_safe($_) } grep { defined } @recent ],
     })->finalize;
 }
 
@@ -358,8 +434,10 @@ HSWiki::Controller::Admin - Admin controller for HSWiki
 
 All routes require admin role.
 
-    GET /api/admin/users - List all users
-        Returns: { users, count }
+    GET /api/admin/users - List users, sorted by username
+        Query: page? (default 1), per_page? (default 25, max 100),
+               q? (matches username or email)
+        Returns: { users, count, total, page, per_page, pages }
 
     GET /api/admin/users/:id - Get user details
         Returns: { user, role }
@@ -375,23 +453,26 @@ All routes require admin role.
         Returns: { success, message }
 
     GET /api/admin/roles - List all roles
-        Returns: { roles, count }
+        Returns: { roles: [{ ..., builtin }], count,
+                   permissions: all grantable permission strings }
 
     POST /api/admin/roles - Create role
         Body: { role_name, permissions?, description? }
         Returns: { success, message, role }
 
-    PUT /api/admin/roles/:id - Update role permissions
+    PUT /api/admin/roles/:id - Update role permissions (not built-in roles)
         Body: { permissions }
         Returns: { success, message, role }
 
-    DELETE /api/admin/roles/:id - Delete role
+    DELETE /api/admin/roles/:id - Delete role (not built-in, not assigned)
         Returns: { success, message }
 
     POST /api/admin/init - Initialize default data
         Returns: { success, message }
 
     GET /api/admin/stats - System statistics
-        Returns: { users_count, roles_count, active_users }
+        Returns: { users_count, roles_count, active_users, spaces_count,
+                   pages_count, users_by_role: { role_name => count },
+                   recent_users: [5 newest users] }
 
 =cut
@@ -0,0 +1,229 @@
+package HSWiki::Controller::Attachment;
+
+use strict;
+use warnings;
+
+
+use HSWiki::Model::Attachment;
+use HSWiki::Model::Page;
+use HSWiki::Model::Space;
+use HSWiki::Upload;
+use HSWiki::Wiki;
+use HSWiki::Middleware::Auth;
+use HSWiki::Middleware::RBAC;
+use Hypersonic::Response qw(res);
+
+our $VERSION = '0.01';
+
+# Register routes with the server
+sub register {
+    my ($class, $server) = @_;
+
+    # GET /api/attachments/list/:space_key/:slug - Attachments of a page
+    $server->get('/api/attachments/list/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->list($req);
+    }, optional => 1), { dynamic => 1 });
+
+    # POST /api/attachments/upload/:space_key/:slug?name=... - Upload (raw file body)
+    $server->post('/api/attachments/upload/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->upload($req);
+    }), { dynamic => 1, parse_query => 1 });
+
+    # DELETE /api/attachments/delete/:space_key/:slug/:filename - Remove an attachment
+    $server->del('/api/attachments/delete/:space_key/:slug/:filename' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->delete($req);
+    }), { dynamic => 1 });
+
+    # GET /api/attachments/file/:page_id/:filename - File contents
+    $server->get('/api/attachments/file/:page_id/:filename' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->download($req);
+    }, optional => 1), { dynamic => 1 });
+}
+
+# Helper: space and page from :space_key/:slug, checking read access
+sub _get_page {
+    my ($class, $req) = @_;
+
+    my $space = HSWiki::Model::Space->find_by_key($req->param('space_key'));
+    return (undef, undef, res->not_found('Space not found')) unless $space;
+
+    unless (HSWiki::Middleware::RBAC->can_access_space($req, $space->{space_id})) {
+        return (undef, undef, res->forbidden('Access denied to this space'));
+    }
+
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $req->param('slug'));
+    return (undef, undef, res->not_found('Page not found')) unless $page;
+
+    return ($space, $page, undef);
+}
+
+# List a page's attachments
+sub list {
+    my ($class, $req) = @_;
+
+    my ($space, $page, $error) = $class->_get_page($req);
+    return $error if $error;
+
+    my @attachments = map { HSWiki::Model::Attachment->to_response($_) }
+        @{ HSWiki::Model::Attachment->list($page->{page_id}) };
+
+    return res->json({
+        attachments => \@attachments,
+        count       => scalar @attachments,
+        max_size    => HSWiki::Model::Attachment->max_size,
+        access      => HSWiki::Middleware::RBAC->space_access($req, $space->{space_id}),
+    })->finalize;
+}
+
+# Upload a file to a page. The request body is the file itself; the name
+# comes from ?name=. A taken name gets a numeric suffix unless replace=1.
+sub upload {
+    my ($class, $req) = @_;
+
+    my ($space, $page, $error) = $class->_get_page($req);
+    return $error if $error;
+
+    unless (HSWiki::Middleware::RBAC->can_write_space($req, $space->{space_id})) {
+        return res->forbidden('Write access denied')->finalize;
+    }
+
+    my $filename = HSWiki::Model::Attachment->sanitize_filename($req->query_param('name'));
+    unless ($filename) {
+        return res->bad_request('A file name is required')->finalize;
+    }
+
+    my $max_size = HSWiki::Model::Attachment->max_size;
+    my ($status, $message) = HSWiki::Upload->body_error($req,
+        max_size  => $max_size,
+        too_large => sprintf('Files are limited to %.1f MB', $max_size / (1024 * 1024)),
+    );
+    return res->status($status)->json({ error => $message })->finalize if $status;
+
+    my $data = $req->body // '';
+    unless (length $data) {
+        return res->bad_request('The file is empty')->finalize;
+    }
+
+    unless ($req->query_param('replace')) {
+        my @taken = map { $_->{filename} } @{ HSWiki::Model::Attachment->list($page->{page_id}) };
+        $filename = HSWiki::Model::Attachment->unique_filename($filename, \@taken);
+    }
+
+    my $attachment = eval {
+        HSWiki::Model::Attachment->create(
+            space_id    => $space->{space_id},
+            page_id     => $page->{page_id},
+            filename    => $filename,
+            data        => $data,
+            uploaded_by => HSWiki::Middleware::Auth->current_user_id($req),
+        );
+    };
+
+    unless ($attachment) {
+        return res->server_error('Upload failed: ' . ($@ // 'unknown error'))->finalize;
+    }
+
+    # {{attachment:...}} references to this name now resolve
+    HSWiki::Model::Page->refresh_html($space->{space_id}, $page->{page_id});
+
+    return res->status(201)->json({
+        success    => 1,
+        message    => "Attached $filename",
+        attachment => HSWiki::Model::Attachment->to_response($attachment),
+        markup     => HSWiki::Wiki->attachment_markup($filename),
+    })->finalize;
+}
+
+# Remove an attachment from a page
+sub delete {
+    my ($class, $req) = @_;
+
+    my ($space, $page, $error) = $class->_get_page($req);
+    return $error if $error;
+
+    unless (HSWiki::Middleware::RBAC->can_write_space($req, $space->{space_id})) {
+        return res->forbidden('Write access denied')->finalize;
+    }
+
+    my $filename = $req->param('filename');
+    unless (HSWiki::Model::Attachment->find($page->{page_id}, $filename)) {
+        return res->not_found('Attachment not found')->finalize;
+    }
+
+    HSWiki::Model::Attachment->delete($page->{page_id}, $filename);
+
+    # References to the removed file now render as missing
+    HSWiki::Model::Page->refresh_html($space->{space_id}, $page->{page_id});
+
+    return res->json({
+        success => 1,
+        message => "Removed $filename",
+    })->finalize;
+}
+
+# Serve a file, with the same access rules as the page's space
+sub download {
+    my ($class, $req) = @_;
+
+    my $attachment = HSWiki::Model::Attachment->find($req->param('page_id'), $req->param('filename'));
+    return res->not_found('Attachment not found')->finalize unless $attachment;
+
+    unless (HSWiki::Middleware::RBAC->can_access_space($req, $attachment->{space_id})) {
+        return res->forbidden('Access denied to this space')->finalize;
+    }
+
+    my $data = HSWiki::Model::Attachment->read_data($attachment);
+    return res->not_found('Attachment file is missing')->finalize unless defined $data;
+
+    # Only raster images display inline; anything else is a download
+    my $disposition = HSWiki::Model::Attachment->is_image($attachment->{filename}) ? 'inline' : 'attachment';
+
+    return res->header('Content-Type' => HSWiki::Model::Attachment->content_type($attachment->{filename}))
+        ->header('Content-Disposition' => qq{$disposition; filename="$attachment->{filename}"})
+        ->header('X-Content-Type-Options' => 'nosniff')
+        ->header('Cache-Control' => 'private, max-age=300')
+        ->body($data)
+        ->finalize;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Controller::Attachment - Page attachment controller for HSWiki
+
+=head1 ROUTES
+
+    GET /api/attachments/list/:space_key/:slug - Attachments of a page
+        Returns: { attachments, count, max_size, access }
+
+    POST /api/attachments/upload/:space_key/:slug?name=...&replace=1 - Upload a file
+        Requires write access. The request body is the raw file.
+        A name already in use gets a suffix (diagram-2.png) unless replace=1.
+        The page's stored HTML is re-rendered so references to the file resolve.
+        Returns: { success, message, attachment, markup }
+        413 when the file is over the size limit; 400 when fewer bytes
+        arrived than Content-Length announced.
+
+    DELETE /api/attachments/delete/:space_key/:slug/:filename - Remove an attachment
+        Requires write access. The page's stored HTML is re-rendered so
+        references to the file show as missing.
+        Returns: { success, message }
+
+    GET /api/attachments/file/:page_id/:filename - File contents
+        Readable by anyone who can read the page's space. Images are served
+        inline, everything else as a download.
+
+Attachments in list responses look like:
+
+    { filename, content_type, size, is_image, url, uploaded_by, uploaded_at }
+
+and are referenced from page markup as C<{{attachment:filename}}>.
+
+=cut
@@ -47,6 +47,18 @@ sub register {
         return $class->change_password($req);
     }), { dynamic => 1, parse_json => 1, parse_cookies => 1 });
 
+    # GET /api/auth/password-rules - Password requirements
+    $server->get('/api/auth/password-rules' => sub {
+        my ($req) = @_;
+        return $class->password_rules($req);
+    }, { dynamic => 1 });
+
+    # GET /api/auth/api-key - Show current API key
+    $server->get('/api/auth/api-key' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->show_api_key($req);
+    }), { dynamic => 1, parse_cookies => 1 });
+
     # POST /api/auth/api-key - Regenerate API key
     $server->post('/api/auth/api-key' => HSWiki::Middleware::Auth->wrap(sub {
         my ($req) = @_;
@@ -219,7 +231,12 @@ sub change_password {
 
     # Validate new password
     my $password_errors = HSWiki::Auth->validate_password($data->{new_password});
-    return res->bad_request($password_errors->[0])->finalize if $password_errors;
+    if ($password_errors) {
+        return res->status(400)->json({
+            error  => $password_errors->[0],
+            errors => $password_errors,
+        })->finalize;
+    }
 
     # Update password
     HSWiki::Model::User->change_password($user_id, $data->{new_password});
@@ -230,6 +247,31 @@ sub change_password {
     })->finalize;
 }
 
+# Password requirements
+sub password_rules {
+    my ($class, $req) = @_;
+
+    return res->json({
+        rules => HSWiki::Auth->password_rules,
+    })->finalize;
+}
+
+# Show current API key
+sub show_api_key {
+    my ($class, $req) = @_;
+
+    my $user_id = HSWiki::Auth->get_session_value($req, 'user_id');
+    my $user = HSWiki::Model::User->find_by_id($user_id);
+
+    unless ($user) {
+        return res->not_found('User not found')->finalize;
+    }
+
+    return res->json({
+        api_key => $user->{api_key},
+    })->finalize;
+}
+
 # Regenerate API key
 sub regenerate_api_key {
     my ($class, $req) = @_;
@@ -240,7 +282,7 @@ sub regenerate_api_key {
     return res->json({
         success => 1,
         api_key => $new_key,
-        message => 'API key regenerated. Save this key, it will not be shown again.',
+        message => 'API key regenerated. The previous key no longer works.',
     })->finalize;
 }
 
@@ -271,6 +313,13 @@ HSWiki::Controller::Auth - Authentication controller for HSWiki
     PUT /api/auth/password - Change password (requires auth)
         Body: { current_password, new_password }
         Returns: { success, message }
+        400 on a weak password: { error, errors }
+
+    GET /api/auth/password-rules - Password requirements
+        Returns: { rules: { min_length } }
+
+    GET /api/auth/api-key - Show current API key (requires auth)
+        Returns: { api_key }
 
     POST /api/auth/api-key - Regenerate API key (requires auth)
         Returns: { success, api_key, message }
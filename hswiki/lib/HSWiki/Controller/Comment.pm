@@ -0,0 +1,303 @@
+package HSWiki::Controller::Comment;
+
+use strict;
+use warnings;
+
+
+use HSWiki::Model::Comment;
+use HSWiki::Model::Page;
+use HSWiki::Model::Space;
+use HSWiki::Model::User;
+use HSWiki::Model::Notification;
+use HSWiki::Middleware::Auth;
+use HSWiki::Middleware::RBAC;
+use HSWiki::Auth;
+use HSWiki::Realtime;
+use Hypersonic::Response qw(res);
+
+our $VERSION = '0.01';
+
+# Characters of a comment quoted in mention notifications
+use constant EXCERPT_LENGTH => 140;
+
+# Register routes with the server
+sub register {
+    my ($class, $server) = @_;
+
+    # GET /api/comments/:space_key/:slug - A page's comments as threads
+    $server->get('/api/comments/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->list($req);
+    }, optional => 1), { dynamic => 1 });
+
+    # POST /api/comments/:space_key/:slug - Comment on a page or reply to a comment
+    $server->post('/api/comments/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->create($req);
+    }), { dynamic => 1, parse_json => 1 });
+
+    # PUT /api/comments/:space_key/:slug/:comment_id - Edit your own comment
+    $server->put('/api/comments/:space_key/:slug/:comment_id' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->update($req);
+    }), { dynamic => 1, parse_json => 1 });
+
+    # DELETE /api/comments/:space_key/:slug/:comment_id - Delete your own comment, or moderate
+    $server->del('/api/comments/:space_key/:slug/:comment_id' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->delete($req);
+    }), { dynamic => 1 });
+}
+
+# Helper: space and page from :space_key/:slug, checking read access.
+# Returns ($space, $page) or (undef, undef, unfinalized error response).
+sub _get_page {
+    my ($class, $req) = @_;
+
+    my $space = HSWiki::Model::Space->find_by_key($req->param('space_key'));
+    return (undef, undef, res->not_found('Space not found')) unless $space;
+
+    unless (HSWiki::Middleware::RBAC->can_access_space($req, $space->{space_id})) {
+        return (undef, undef, res->forbidden('Access denied to this space'));
+    }
+
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $req->param('slug'));
+    return (undef, undef, res->not_found('Page not found')) unless $page;
+
+    return ($space, $page);
+}
+
+# Helper: the comment text from the JSON body.
+# Returns ($content) or (undef, error message).
+sub _content {
+    my ($class, $data) = @_;
+
+    return (undef, 'Invalid request body') unless ref $data eq 'HASH';
+
+    my $content = $data->{content};
+    return (undef, 'content must be text') if ref $content;
+    $content //= '';
+    $content =~ s/^\s+|\s+$//g;
+
+    return (undef, 'Comment cannot be empty') unless length $content;
+    return (undef, 'Comment must be at most ' . HSWiki::Model::Comment::MAX_LENGTH . ' characters')
+        if length $content > HSWiki::Model::Comment::MAX_LENGTH;
+
+    return ($content);
+}
+
+# Helper: @mentions in the text that name active users.
+# Returns { username => user_id }
+sub _mentioned_users {
+    my ($class, $content) = @_;
+
+    my %users;
+    for my $name (@{ HSWiki::Model::Comment->mentions($content) }) {
+        my $user = HSWiki::Model::User->find_by_username($name);
+        $users{ $user->{username} } = $user->{user_id} if $user && $user->{is_active};
+    }
+
+    return \%users;
+}
+
+# Refresh the count shown in page lists
+sub _update_count {
+    my ($class, $space, $page) = @_;
+
+    return HSWiki::Model::Page->set_comment_count($space->{space_id}, $page->{page_id},
+        HSWiki::Model::Comment->count($page->{page_id}));
+}
+
+# Inbox notifications for newly mentioned users, pushed to their open tabs.
+# Never fails the request that triggered it.
+sub _notify_mentions {
+    my ($class, $req, $space, $page, $user_ids, $content) = @_;
+
+    return unless @$user_ids;
+
+    my $excerpt = $content;
+    $excerpt =~ s/\s+/ /g;
+    $excerpt = substr($excerpt, 0, EXCERPT_LENGTH - 3) . '...' if length $excerpt > EXCERPT_LENGTH;
+
+    eval {
+        my $notifications = HSWiki::Model::Notification->notify_mentions($space,
+            page       => $page,
+            user_ids   => $user_ids,
+            actor_id   => HSWiki::Middleware::Auth->current_user_id($req),
+            actor_name => HSWiki::Auth->get_session_value($req, 'username'),
+            excerpt    => $excerpt,
+        );
+
+        for my $notification (@$notifications) {
+            my $user_id = $notification->{user_id};
+            HSWiki::Realtime->notify_user($user_id,
+                HSWiki::Model::Notification->to_response($notification),
+                HSWiki::Model::Notification->unread_count($user_id));
+        }
+        1;
+    } or warn "Notifying mentioned users failed: $@";
+
+    return;
+}
+
+# List comments as threads, with what the current user may do
+sub list {
+    my ($class, $req) = @_;
+
+    my ($space, $page, $error) = $class->_get_page($req);
+    return $error->finalize if $error;
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my $comments = HSWiki::Model::Comment->thread($page->{page_id});
+
+    return res->json({
+        comments     => [ map { HSWiki::Model::Comment->to_response($_, space_id => $space->{space_id}) } @$comments ],
+        count        => HSWiki::Model::Comment->count($page->{page_id}),
+        can_comment  => $user_id ? 1 : 0,
+        can_moderate => $user_id && HSWiki::Middleware::RBAC->is_space_admin($req, $space->{space_id}) ? 1 : 0,
+    })->finalize;
+}
+
+# Add a comment, or a reply when parent_id is given
+sub create {
+    my ($class, $req) = @_;
+
+    my ($space, $page, $error) = $class->_get_page($req);
+    return $error->finalize if $error;
+
+    my $data = $req->json;
+    my ($content, $invalid) = $class->_content($data);
+    return res->bad_request($invalid)->finalize unless defined $content;
+
+    my $parent_id = $data->{parent_id};
+    if (defined $parent_id) {
+        my $parent = HSWiki::Model::Comment->find($page->{page_id}, $parent_id);
+        return res->bad_request('The comment you are replying to no longer exists')->finalize
+            unless $parent && !$parent->{is_deleted};
+    }
+
+    my $mentioned = $class->_mentioned_users($content);
+    my $comment = HSWiki::Model::Comment->create($page->{page_id},
+        parent_id   => $parent_id,
+        author_id   => HSWiki::Middleware::Auth->current_user_id($req),
+        author_name => HSWiki::Auth->get_session_value($req, 'username'),
+        content     => $content,
+        mentions    => [ sort keys %$mentioned ],
+    );
+
+    my $count = $class->_update_count($space, $page);
+    $class->_notify_mentions($req, $space, $page, [ map { $mentioned->{$_} } sort keys %$mentioned ], $content);
+
+    return res->status(201)->json({
+        success => 1,
+        message => 'Comment added',
+        comment => HSWiki::Model::Comment->to_response($comment, space_id => $space->{space_id}),
+        count   => $count,
+    })->finalize;
+}
+
+# Change the text of your own comment. Only users mentioned for the first
+# time are notified.
+sub update {
+    my ($class, $req) = @_;
+
+    my ($space, $page, $error) = $class->_get_page($req);
+    return $error->finalize if $error;
+
+    my $comment = HSWiki::Model::Comment->find($page->{page_id}, $req->param('comment_id'));
+    return res->not_found('Comment not found')->finalize unless $comment && !$comment->{is_deleted};
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    unless ($comment->{author_id} && $comment->{author_id} eq $user_id) {
+        return res->forbidden('You can only edit your own comments')->finalize;
+    }
+
+    my ($content, $invalid) = $class->_content($req->json);
+    return res->bad_request($invalid)->finalize unless defined $content;
+
+    my $mentioned = $class->_mentioned_users($content);
+    my %before = map { lc($_) => 1 } @{ $comment->{mentions} // [] };
+
+    my $updated = HSWiki::Model::Comment->update($page->{page_id}, $comment->{comment_id},
+        content  => $content,
+        mentions => [ sort keys %$mentioned ],
+    );
+
+    $class->_notify_mentions($req, $space, $page,
+        [ map { $mentioned->{$_} } grep { !$before{lc $_} } sort keys %$mentioned ], $content);
+
+    return res->json({
+        success => 1,
+        message => 'Comment saved',
+        comment => HSWiki::Model::Comment->to_response($updated, space_id => $space->{space_id}),
+    })->finalize;
+}
+
+# Delete a comment: its author, or a space admin moderating
+sub delete {
+    my ($class, $req) = @_;
+
+    my ($space, $page, $error) = $class->_get_page($req);
+    return $error->finalize if $error;
+
+    my $comment = HSWiki::Model::Comment->find($page->{page_id}, $req->param('comment_id'));
+    return res->not_found('Comment not found')->finalize unless $comment && !$comment->{is_deleted};
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my $own = $comment->{author_id} && $comment->{author_id} eq $user_id;
+    unless ($own || HSWiki::Middleware::RBAC->is_space_admin($req, $space->{space_id})) {
+        return res->forbidden('Only the author or a space admin can delete this comment')->finalize;
+    }
+
+    HSWiki::Model::Comment->delete($page->{page_id}, $comment->{comment_id}, $user_id);
+    my $count = $class->_update_count($space, $page);
+
+    return res->json({
+        success => 1,
+        message => 'Comment deleted',
+        count   => $count,
+    })->finalize;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Controller::Comment - Page comments for HSWiki
+
+=head1 ROUTES
+
+Reading comments needs read access to the space (anonymous users can read
+comments in public spaces). Commenting needs a signed-in user with read
+access. Authors edit and delete their own comments; space admins can delete
+any comment.
+
+    GET /api/comments/:space_key/:slug - Comments as threads, oldest first
+        Returns: { comments, count, can_comment, can_moderate }
+
+    POST /api/comments/:space_key/:slug - Add a comment
+        Body: { content, parent_id? (the comment replied to) }
+        Returns: 201 { success, message, comment, count }
+
+    PUT /api/comments/:space_key/:slug/:comment_id - Edit your own comment
+        Body: { content }
+        Returns: { success, message, comment }
+
+    DELETE /api/comments/:space_key/:slug/:comment_id - Delete a comment
+        Returns: { success, message, count }
+
+Comments look like:
+
+    { comment_id, parent_id, author_id, author_name, content, content_html,
+      mentions, is_deleted, edited_at, created_at, updated_at, replies }
+
+C<content> is wiki markup (at most 10000 characters), rendered into
+C<content_html> with the same sanitizer as pages. C<@username> mentions of
+active users are highlighted and put a C<comment_mention> notification in
+their inbox when they can read the space. A deleted comment keeps its place
+(without author or text) while it still has replies. C<count> is the number
+of comments not deleted; page lists show it as C<comment_count>.
+
+=cut
@@ -0,0 +1,194 @@
+package HSWiki::Controller::Notification;
+
+use strict;
+use warnings;
+
+
+use HSWiki::Model::Notification;
+use HSWiki::Model::Watch;
+use HSWiki::Model::Page;
+use HSWiki::Model::Space;
+use HSWiki::Middleware::Auth;
+use HSWiki::Middleware::RBAC;
+use Hypersonic::Response qw(res);
+
+our $VERSION = '0.01';
+
+# Register routes with the server
+sub register {
+    my ($class, $server) = @_;
+
+    # GET /api/notifications?unread=1 - The current user's inbox
+    $server->get('/api/notifications' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->list($req);
+    }), { dynamic => 1, parse_query => 1 });
+
+    # POST /api/notifications/read - Mark notifications read
+    $server->post('/api/notifications/read' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->mark_read($req);
+    }), { dynamic => 1, parse_json => 1 });
+
+    # PUT /api/watch/space/:space_key - Watch or unwatch a space
+    $server->put('/api/watch/space/:space_key' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->watch_space($req);
+    }), { dynamic => 1, parse_json => 1 });
+
+    # PUT /api/watch/page/:space_key/:slug - Watch or unwatch a page
+    $server->put('/api/watch/page/:space_key/:slug' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->watch_page($req);
+    }), { dynamic => 1, parse_json => 1 });
+}
+
+# List notifications, newest first
+sub list {
+    my ($class, $req) = @_;
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my $inbox = HSWiki::Model::Notification->list($user_id,
+        unread_only => $req->query_param('unread') ? 1 : 0);
+
+    my @notifications = map { HSWiki::Model::Notification->to_response($_) }
+        @{ $inbox->{notifications} };
+
+    return res->json({
+        notifications => \@notifications,
+        count         => scalar @notifications,
+        unread        => $inbox->{unread},
+    })->finalize;
+}
+
+# Mark the given notification_ids read, or all of them without ids
+sub mark_read {
+    my ($class, $req) = @_;
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my $data = $req->json // {};
+    my $ids = $data->{ids};
+
+    if (defined $ids) {
+        unless (ref $ids eq 'ARRAY' && !grep { ref || !/^[0-9a-fA-F-]{36}$/ } @$ids) {
+            return res->bad_request('ids must be a list of notification ids')->finalize;
+        }
+    }
+
+    my $marked = HSWiki::Model::Notification->mark_read($user_id, $ids);
+
+    return res->json({
+        success => 1,
+        marked  => $marked,
+        unread  => HSWiki::Model::Notification->unread_count($user_id),
+    })->finalize;
+}
+
+# Helper: space from :space_key, checking read access
+sub _get_space {
+    my ($class, $req) = @_;
+
+    my $space = HSWiki::Model::Space->find_by_key($req->param('space_key'));
+    return (undef, res->not_found('Space not found')) unless $space;
+
+    unless (HSWiki::Middleware::RBAC->can_access_space($req, $space->{space_id})) {
+        return (undef, res->forbidden('Access denied to this space'));
+    }
+
+    return ($space, undef);
+}
+
+# Body { watching: true|false } (default true)
+sub _wants_watch {
+    my ($class, $req) = @_;
+
+    my $data = $req->json // {};
+    return exists $data->{watching} ? ($data->{watching} ? 1 : 0) : 1;
+}
+
+# Watch or unwatch a whole space
+sub watch_space {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error->finalize if $error;
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my $watching = $class->_wants_watch($req);
+
+    if ($watching) {
+        HSWiki::Model::Watch->watch($user_id, 'space', $space->{space_id}, $space->{space_id});
+    } else {
+        HSWiki::Model::Watch->unwatch($user_id, $space->{space_id});
+    }
+
+    return res->json({
+        success  => 1,
+        message  => $watching ? "Watching $space->{name}" : "Stopped watching $space->{name}",
+        watching => $watching,
+    })->finalize;
+}
+
+# Watch or unwatch one page
+sub watch_page {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error->finalize if $error;
+
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $req->param('slug'));
+    return res->not_found('Page not found')->finalize unless $page;
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my $watching = $class->_wants_watch($req);
+
+    if ($watching) {
+        HSWiki::Model::Watch->watch($user_id, 'page', $page->{page_id}, $space->{space_id});
+    } else {
+        HSWiki::Model::Watch->unwatch($user_id, $page->{page_id});
+    }
+
+    return res->json({
+        success  => 1,
+        message  => $watching ? "Watching $page->{title}" : "Stopped watching $page->{title}",
+        watching => $watching,
+    })->finalize;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Controller::Notification - Watches and the notification inbox for HSWiki
+
+=head1 ROUTES
+
+All routes require a signed-in user.
+
+    GET /api/notifications?unread=1 - Newest 50 notifications (unread only with unread=1)
+        Returns: { notifications, count, unread }
+
+    POST /api/notifications/read - Mark notifications read
+        Body: { ids? } - notification_ids; all unread notifications without it
+        Returns: { success, marked, unread }
+
+    PUT /api/watch/space/:space_key - Watch or unwatch a space
+        Body: { watching } (default true). Requires read access.
+        Returns: { success, message, watching }
+
+    PUT /api/watch/page/:space_key/:slug - Watch or unwatch a page
+        Body: { watching } (default true). Requires read access.
+        Returns: { success, message, watching }
+
+Notifications look like:
+
+    { notification_id, type, space_key, slug, title, version, actor_name,
+      change_summary, reason, is_read, created_at }
+
+type is page_updated, page_restored or page_deleted; reason is 'page' or
+'space', whichever the recipient watches. New notifications are also pushed
+over the /ws connection (see HSWiki::Controller::Realtime).
+
+=cut
@@ -154,13 +154,18 @@ sub list_pages {
         return res->forbidden('Access denied')->finalize;
     }
 
+    my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($req->query_param('label'));
+    return res->bad_request($invalid)->finalize unless $labels;
+
     my $pages = HSWiki::Model::Page->list_by_space($space->{space_id});
+    $pages = [ grep { HSWiki::Model::Page->has_labels($_, $labels) } @$pages ] if @$labels;
 
     my @result = map {{
         slug       => $_->{slug},
         title      => $_->{title},
         version    => $_->{version},
         updated_at => $_->{updated_at},
+        labels     => [ sort @{ $_->{labels} // [] } ],
     }} @$pages;
 
     return res->json({
@@ -200,6 +205,7 @@ sub get_page {
         title      => $page->{title},
         version    => $page->{version},
         updated_at => $page->{updated_at},
+        labels     => [ sort @{ $page->{labels} // [] } ],
     };
 
     if ($format eq 'raw' || $format eq 'wiki') {
@@ -237,8 +243,12 @@ sub search {
     my $query = $req->query_param('q');
     my $space_key = $req->query_param('space');
 
-    unless ($query) {
-        return res->bad_request('Query parameter q is required')->finalize;
+    my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($req->query_param('label'));
+    return res->bad_request($invalid)->finalize unless $labels;
+
+    # A label alone lists every page carrying it
+    unless ($query || @$labels) {
+        return res->bad_request('Query parameter q or label is required')->finalize;
     }
 
     my $user_id = _api_user_id($req);
@@ -248,12 +258,13 @@ sub search {
         # Search in specific space
         my $space = HSWiki::Model::Space->find_by_key($space_key);
         if ($space && ($space->{is_public} || HSWiki::Model::Space->can_access($space->{space_id}, $user_id))) {
-            my $pages = HSWiki::Model::Page->search($space->{space_id}, $query);
+            my $pages = HSWiki::Model::Page->search($space->{space_id}, $query, labels => $labels);
             for my $page (@$pages) {
                 push @results, {
                     space_key => $space_key,
                     slug      => $page->{slug},
                     title     => $page->{title},
+                    labels    => [ sort @{ $page->{labels} // [] } ],
                 };
             }
         }
@@ -261,12 +272,13 @@ sub search {
         # Search across accessible spaces
         my $public = HSWiki::Model::Space->list_public;
         for my $space (@$public) {
-            my $pages = HSWiki::Model::Page->search($space->{space_id}, $query);
+            my $pages = HSWiki::Model::Page->search($space->{space_id}, $query, labels => $labels);
             for my $page (@$pages) {
                 push @results, {
                     space_key => $space->{space_key},
                     slug      => $page->{slug},
                     title     => $page->{title},
+                    labels    => [ sort @{ $page->{labels} // [] } ],
                 };
             }
         }
@@ -274,6 +286,7 @@ sub search {
 
     return res->json({
         query   => $query,
+        label   => @$labels ? join(',', @$labels) : undef,
         results => \@results,
         count   => scalar @results,
     })->finalize;
@@ -301,11 +314,18 @@ sub create_page {
     }
 
     my $slug = $data->{slug} // HSWiki::Wiki->slugify($data->{title});
+    $slug .= '-page' if !defined $data->{slug} && HSWiki::Model::Page->reserved_slug($slug);
 
+    if (HSWiki::Model::Page->reserved_slug($slug)) {
+        return res->bad_request("Page slug '$slug' is used by the web interface")->finalize;
+    }
     if (HSWiki::Model::Page->slug_exists($space->{space_id}, $slug)) {
         return res->conflict('Page already exists')->finalize;
     }
 
+    my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($data->{labels});
+    return res->bad_request($invalid)->finalize unless $labels;
+
     my $page = HSWiki::Model::Page->create(
         space_id  => $space->{space_id},
         space_key => $space_key,
@@ -313,6 +333,7 @@ sub create_page {
         slug      => $slug,
         content   => $data->{content} // '',
         author_id => $user_id,
+        labels    => $labels,
     );
 
     return res->status(201)->json({
@@ -321,6 +342,7 @@ sub create_page {
         slug      => $page->{slug},
         title     => $page->{title},
         version   => $page->{version},
+        labels    => $labels,
     })->finalize;
 }
 
@@ -353,6 +375,12 @@ sub update_page {
     $updates{author_id} = $user_id;
     $updates{change_summary} = $data->{change_summary} // 'Updated via API';
 
+    if (exists $data->{labels}) {
+        my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($data->{labels});
+        return res->bad_request($invalid)->finalize unless $labels;
+        $updates{labels} = $labels;
+    }
+
     my $updated = HSWiki::Model::Page->update(
         $space->{space_id},
         $page->{page_id},
@@ -365,6 +393,7 @@ sub update_page {
         slug      => $updated->{slug},
         title     => $updated->{title},
         version   => $updated->{version},
+        labels    => [ sort @{ $updated->{labels} // [] } ],
     })->finalize;
 }
 
@@ -396,27 +425,31 @@ Include the API key in the request header:
         Returns: { space_key, name, description, is_public }
 
     GET /openapi/spaces/:key/pages - List pages in space
-        Returns: { space_key, pages }
+        Query: ?label=optional_label (only pages carrying it; label=a,b for both)
+        Returns: { space_key, pages: [{ slug, title, version, updated_at, labels }] }
 
     GET /openapi/spaces/:key/pages/:slug - Get page content
         Query: ?format=html|raw|both (default: html)
-        Returns: { space_key, slug, title, version, html/content }
+        Returns: { space_key, slug, title, version, labels, html/content }
 
     POST /openapi/pages/render - Render wiki markup
         Body: { content }
         Returns: { html }
 
     GET /openapi/search - Search pages
-        Query: ?q=search_term&space=optional_space_key
-        Returns: { query, results, count }
+        Query: ?q=search_term&space=optional_space_key&label=optional_label
+        q or label is required; with only a label, every page carrying it matches.
+        label=a,b matches pages carrying both
+        Returns: { query, label, results: [{ space_key, slug, title, labels }], count }
 
     POST /openapi/spaces/:key/pages - Create page
-        Body: { title, content?, slug? }
-        Returns: { success, space_key, slug, title, version }
+        Body: { title, content?, slug?, labels? }
+        Returns: { success, space_key, slug, title, version, labels }
 
     PUT /openapi/spaces/:key/pages/:slug - Update page
-        Body: { title?, content?, change_summary? }
-        Returns: { success, space_key, slug, title, version }
+        Body: { title?, content?, labels?, change_summary? }
+        labels replaces the page's labels; leave it out to keep them
+        Returns: { success, space_key, slug, title, version, labels }
 
 =head1 EXAMPLE USAGE
 
@@ -438,4 +471,8 @@ Include the API key in the request header:
     curl -H "X-API-Key: abc123" \
          "http://localhost:5207/openapi/search?q=getting&space=docs"
 
+    # Every runbook in the ops space
+    curl -H "X-API-Key: abc123" \
+         "http://localhost:5207/openapi/spaces/ops/pages?label=runbook"
+
 =cut
@@ -6,8 +6,16 @@ use warnings;
 
 use Cpanel::JSON::XS ();
 use HSWiki::Model::Page;
+use HSWiki::Model::Attachment;
+use HSWiki::Model::Comment;
 use HSWiki::Model::Space;
+use HSWiki::Model::User;
+use HSWiki::Model::Watch;
+use HSWiki::Model::Notification;
 use HSWiki::Wiki;
+use HSWiki::Export;
+use HSWiki::Auth;
+use HSWiki::Realtime;
 use HSWiki::Middleware::Auth;
 use HSWiki::Middleware::RBAC;
 use Hypersonic::Response qw(res);
@@ -21,10 +29,10 @@ sub register {
     # NOTE: For Hypersonic, POST routes with same prefix need shorter paths first
 
     # POST /api/render - Render wiki markup (preview)
-    $server->post('/api/render' => sub {
+    $server->post('/api/render' => HSWiki::Middleware::Auth->wrap(sub {
         my ($req) = @_;
         return $class->render_preview($req);
-    }, { dynamic => 1, parse_json => 1 });
+    }, optional => 1), { dynamic => 1, parse_json => 1 });
 
     # POST /api/spaces/:key/pages - Create page (MUST be before restore route)
     $server->post('/api/spaces/:key/pages' => HSWiki::Middleware::Auth->wrap(sub {
@@ -43,8 +51,20 @@ sub register {
     $server->get('/api/spaces/:key/pages' => HSWiki::Middleware::Auth->wrap(sub {
         my ($req) = @_;
         return $class->list($req);
+    }, optional => 1), { dynamic => 1, parse_query => 1 });
+
+    # GET /api/spaces/:key/tree - Every page with its parent
+    $server->get('/api/spaces/:key/tree' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->tree($req);
     }, optional => 1), { dynamic => 1 });
 
+    # GET /api/spaces/:key/pages/:slug/export?format=markdown|html - Download a page
+    $server->get('/api/spaces/:key/pages/:slug/export' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->export($req);
+    }, optional => 1), { dynamic => 1, parse_query => 1 });
+
     # GET /api/spaces/:key/pages/:slug - Get page
     $server->get('/api/spaces/:key/pages/:slug' => HSWiki::Middleware::Auth->wrap(sub {
         my ($req) = @_;
@@ -74,6 +94,42 @@ sub register {
         my ($req) = @_;
         return $class->delete($req);
     }), { dynamic => 1 });
+
+    # PUT /api/spaces/:key/pages/:slug/parent - Reorder or reparent page
+    $server->put('/api/spaces/:key/pages/:slug/parent' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->reparent($req);
+    }), { dynamic => 1, parse_json => 1 });
+
+    # GET /api/spaces/:key/pages/:slug/backlinks - Pages linking here
+    $server->get('/api/spaces/:key/pages/:slug/backlinks' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->backlinks($req);
+    }, optional => 1), { dynamic => 1 });
+
+    # GET /api/spaces/:key/labels - Labels used in the space, with page counts
+    $server->get('/api/spaces/:key/labels' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->labels($req);
+    }, optional => 1), { dynamic => 1 });
+
+    # GET /api/spaces/:key/link-report - Orphan and wanted pages
+    $server->get('/api/spaces/:key/link-report' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->link_report($req);
+    }, optional => 1), { dynamic => 1 });
+
+    # PUT /api/spaces/:key/pages/:slug/rename - Rename page
+    $server->put('/api/spaces/:key/pages/:slug/rename' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->rename($req);
+    }), { dynamic => 1, parse_json => 1 });
+
+    # POST /api/spaces/:key/pages/:slug/move - Move page to another space
+    $server->post('/api/spaces/:key/pages/:slug/move' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->move($req);
+    }), { dynamic => 1, parse_json => 1 });
 }
 
 # Helper to get space and check access
@@ -93,19 +149,82 @@ sub _get_space {
     return ($space, undef);
 }
 
-# List pages in space
+# List pages in space, a page at a time
 sub list {
     my ($class, $req) = @_;
 
     my ($space, $error) = $class->_get_space($req);
     return $error if $error;
 
-    my $pages = HSWiki::Model::Page->list_by_space($space->{space_id});
+    my $sort = $req->query_param('sort') // 'title';
+    unless (grep { $_ eq $sort } @{ HSWiki::Model::Page->sort_fields }) {
+        return res->bad_request('sort must be one of: ' . join(', ', @{ HSWiki::Model::Page->sort_fields }))->finalize;
+    }
+
+    my $order = $req->query_param('order');
+    if (defined $order && $order !~ /^(asc|desc)$/) {
+        return res->bad_request('order must be asc or desc')->finalize;
+    }
+
+    my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($req->query_param('label'));
+    return res->bad_request($invalid)->finalize unless $labels;
+
+    my $result = HSWiki::Model::Page->paginate($space->{space_id},
+        sort   => $sort,
+        order  => $order,
+        q      => $req->query_param('q'),
+        labels => $labels,
+        limit  => $req->query_param('limit'),
+        cursor => $req->query_param('cursor'),
+    );
+
+    return res->json({
+        space_key   => $space->{space_key},
+        label       => @$labels ? join(',', @$labels) : undef,
+        pages       => $result->{items},
+        count       => scalar @{ $result->{items} },
+        total       => $result->{total},
+        next_cursor => $result->{next_cursor},
+        access      => HSWiki::Middleware::RBAC->space_access($req, $space->{space_id}),
+    })->finalize;
+}
+
+# Download a page as Markdown or a standalone HTML document
+sub export {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
+
+    my $format = $req->query_param('format') // 'markdown';
+    unless ($format eq 'markdown' || $format eq 'html') {
+        return res->bad_request('format must be markdown or html')->finalize;
+    }
+
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $req->param('slug'));
+    return res->not_found('Page not found')->finalize unless $page;
+
+    my ($body, $type, $ext) = $format eq 'html'
+        ? (HSWiki::Export->page_html($page, $space), 'text/html; charset=utf-8', 'html')
+        : (HSWiki::Export->page_markdown($page), 'text/markdown; charset=utf-8', 'md');
+
+    return res->header('Content-Type' => $type)
+        ->header('Content-Disposition' => qq{attachment; filename="$page->{slug}.$ext"})
+        ->body($body)
+        ->finalize;
+}
+
+# Every page in the space with its parent and position (page tree, link autocomplete)
+sub tree {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
 
     return res->json({
         space_key => $space->{space_key},
-        pages     => $pages,
-        count     => scalar @$pages,
+        pages     => HSWiki::Model::Page->list_by_space($space->{space_id}),
+        access    => HSWiki::Middleware::RBAC->space_access($req, $space->{space_id}),
     })->finalize;
 }
 
@@ -131,15 +250,30 @@ sub create {
 
     # Generate or validate slug
     my $slug = $data->{slug} // HSWiki::Wiki->slugify($data->{title});
+    # A title such as "Settings" gets a slug the web UI can still open
+    $slug .= '-page' if !defined $data->{slug} && HSWiki::Model::Page->reserved_slug($slug);
     unless ($slug =~ /^[a-z0-9-]+$/) {
         return res->bad_request('Invalid page slug')->finalize;
     }
+    if (HSWiki::Model::Page->reserved_slug($slug)) {
+        return res->bad_request("Page slug '$slug' is used by the web interface; choose another slug")->finalize;
+    }
 
     # Check if slug exists
     if (HSWiki::Model::Page->slug_exists($space->{space_id}, $slug)) {
         return res->conflict('Page with this slug already exists')->finalize;
     }
 
+    # Optional parent page (by slug)
+    my $parent;
+    if ($data->{parent}) {
+        $parent = HSWiki::Model::Page->find_by_slug($space->{space_id}, $data->{parent});
+        return res->bad_request('Parent page not found')->finalize unless $parent;
+    }
+
+    my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($data->{labels});
+    return res->bad_request($invalid)->finalize unless $labels;
+
     # Create page
     my $page = HSWiki::Model::Page->create(
         space_id  => $space->{space_id},
@@ -148,8 +282,12 @@ sub create {
         slug      => $slug,
         content   => $data->{content} // '',
         author_id => $user_id,
+        parent_id => $parent ? $parent->{page_id} : undef,
+        labels    => $labels,
     );
 
+    $class->_announce($req, 'page_created', $space, $page);
+
     return res->status(201)->json({
         success => 1,
         message => 'Page created',
@@ -168,17 +306,43 @@ sub get {
     my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $slug);
 
     unless ($page) {
+        # Renamed or moved pages leave their old slug behind
+        my $redirect = HSWiki::Model::Page->find_redirect($space->{space_id}, $slug);
+        if ($redirect && HSWiki::Middleware::RBAC->can_access_space($req, $redirect->{space_id})) {
+            return res->json({
+                redirect => {
+                    space_key => $redirect->{space_key},
+                    slug      => $redirect->{page}{slug},
+                    title     => $redirect->{page}{title},
+                },
+            })->finalize;
+        }
         return res->not_found('Page not found')->finalize;
     }
 
     return res->json({
-        page => HSWiki::Model::Page->to_response($page,
+        page      => HSWiki::Model::Page->to_response($page,
             include_content => 1,
             include_html    => 1,
         ),
+        ancestors => HSWiki::Model::Page->ancestors($space->{space_id}, $page),
+        access    => HSWiki::Middleware::RBAC->space_access($req, $space->{space_id}),
+        watching  => $class->_watching($req, $space, $page),
     })->finalize;
 }
 
+# Whether the current user watches this page and its space
+sub _watching {
+    my ($class, $req, $space, $page) = @_;
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+
+    return {
+        page  => HSWiki::Model::Watch->is_watching($user_id, $page->{page_id}),
+        space => HSWiki::Model::Watch->is_watching($user_id, $space->{space_id}),
+    };
+}
+
 # Update page
 sub update {
     my ($class, $req) = @_;
@@ -201,12 +365,29 @@ sub update {
     my $data = $req->json;
     my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
 
+    # Reject saves based on a version that is no longer current
+    if (defined $data->{base_version}) {
+        unless ($data->{base_version} =~ /^\d+$/) {
+            return res->bad_request('base_version must be a version number')->finalize;
+        }
+        if ($data->{base_version} != $page->{version}) {
+            return $class->_conflict($page, $data->{base_version});
+        }
+    }
+
     # Build updates
     my %updates;
     $updates{title} = $data->{title} if exists $data->{title};
     $updates{content} = $data->{content} if exists $data->{content};
     $updates{author_id} = $user_id;
     $updates{change_summary} = $data->{change_summary} if $data->{change_summary};
+    $updates{base_version} = $data->{base_version} if defined $data->{base_version};
+
+    if (exists $data->{labels}) {
+        my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($data->{labels});
+        return res->bad_request($invalid)->finalize unless $labels;
+        $updates{labels} = $labels;
+    }
 
     # Update page
     my $updated = HSWiki::Model::Page->update(
@@ -215,6 +396,16 @@ sub update {
         %updates
     );
 
+    # Another save landed between the check above and this one
+    unless ($updated) {
+        my $current = HSWiki::Model::Page->find_by_id($space->{space_id}, $page->{page_id});
+        return res->not_found('Page not found')->finalize unless $current;
+        return $class->_conflict($current, $data->{base_version});
+    }
+
+    $class->_announce($req, 'page_updated', $space, $updated);
+    $class->_notify_watchers($req, 'page_updated', $space, $updated, $updates{change_summary});
+
     return res->json({
         success => 1,
         message => 'Page updated',
@@ -222,6 +413,64 @@ sub update {
     })->finalize;
 }
 
+# Tell page viewers and the space's page list about a change
+sub _announce {
+    my ($class, $req, $type, $space, $page, %extra) = @_;
+
+    my $username = HSWiki::Auth->get_session_value($req, 'username');
+    HSWiki::Realtime->page_changed($type, $space->{space_key}, $page, $username, %extra);
+}
+
+# Inbox notifications for the watchers of a page and its space, pushed to
+# their open tabs. Never fails the request that triggered it.
+sub _notify_watchers {
+    my ($class, $req, $type, $space, $page, $change_summary) = @_;
+
+    eval {
+        my $notifications = HSWiki::Model::Notification->notify_watchers($space,
+            type           => $type,
+            page           => $page,
+            actor_id       => HSWiki::Middleware::Auth->current_user_id($req),
+            actor_name     => HSWiki::Auth->get_session_value($req, 'username'),
+            change_summary => $change_summary,
+        );
+
+        for my $notification (@$notifications) {
+            my $user_id = $notification->{user_id};
+            HSWiki::Realtime->notify_user($user_id,
+                HSWiki::Model::Notification->to_response($notification),
+                HSWiki::Model::Notification->unread_count($user_id));
+        }
+        1;
+    } or warn "Notifying watchers failed: $@";
+
+    return;
+}
+
+# 409 response carrying the base and current versions for a client-side merge
+sub _conflict {
+    my ($class, $page, $base_version) = @_;
+
+    my $base = HSWiki::Model::Page->get_version($page->{page_id}, $base_version);
+    my $current = HSWiki::Model::Page->to_response($page, include_content => 1);
+
+    if ($page->{author_id}) {
+        my $author = HSWiki::Model::User->find_by_id($page->{author_id});
+        $current->{author_name} = $author->{username} if $author;
+    }
+
+    return res->status(409)->json({
+        error        => "Page was changed by someone else (now at version $page->{version})",
+        base_version => $base_version + 0,
+        base         => $base ? {
+            version => $base->{version},
+            title   => $base->{title},
+            content => $base->{content},
+        } : undef,
+        current      => $current,
+    })->finalize;
+}
+
 # Delete page
 sub delete {
     my ($class, $req) = @_;
@@ -245,13 +494,340 @@ sub delete {
     }
 
     HSWiki::Model::Page->delete($space->{space_id}, $page->{page_id});
+    HSWiki::Model::Attachment->delete_page($page->{page_id});
+    HSWiki::Model::Comment->delete_page($page->{page_id});
+
+    $class->_announce($req, 'page_deleted', $space, $page);
+    $class->_notify_watchers($req, 'page_deleted', $space, $page);
+    HSWiki::Model::Watch->delete_target($page->{page_id});
+
+    # Links to the deleted page become plain text, in every space
+    my $relinked = HSWiki::Model::Page->relink_page($space->{space_id}, $page->{slug}, sub {
+        my ($link) = @_;
+        return $link->{text} // $link->{title};
+    },
+        author_id      => HSWiki::Middleware::Auth->current_user_id($req),
+        change_summary => qq{Removed links to deleted page "$page->{title}"},
+    );
+
+    return res->json({
+        success       => 1,
+        message       => 'Page deleted',
+        links_updated => scalar @$relinked,
+    })->finalize;
+}
+
+# Rename page, optionally changing its slug
+sub rename {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
+
+    unless (HSWiki::Middleware::RBAC->can_write_space($req, $space->{space_id})) {
+        return res->forbidden('Write access denied')->finalize;
+    }
+
+    my $slug = $req->param('slug');
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $slug);
+
+    unless ($page) {
+        return res->not_found('Page not found')->finalize;
+    }
+
+    my $data = $req->json;
+    my $title = $data->{title} // $page->{title};
+    $title =~ s/^\s+|\s+$//g;
+
+    unless (length $title) {
+        return res->bad_request('Page title is required')->finalize;
+    }
+
+    my $new_slug = $data->{slug} || $page->{slug};
+    unless ($new_slug =~ /^[a-z0-9-]+$/) {
+        return res->bad_request('Invalid page slug')->finalize;
+    }
+    if ($new_slug ne $page->{slug} && HSWiki::Model::Page->reserved_slug($new_slug)) {
+        return res->bad_request("Page slug '$new_slug' is used by the web interface; choose another slug")->finalize;
+    }
+
+    if ($new_slug ne $page->{slug} && HSWiki::Model::Page->slug_exists($space->{space_id}, $new_slug)) {
+        return res->conflict('Page with this slug already exists')->finalize;
+    }
+
+    if ($title eq $page->{title} && $new_slug eq $page->{slug}) {
+        return res->bad_request('Nothing to change')->finalize;
+    }
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+
+    my $renamed = HSWiki::Model::Page->rename($space->{space_id}, $page->{page_id},
+        title         => $title,
+        slug          => $new_slug,
+        keep_redirect => $data->{keep_redirect} // 1,
+        author_id     => $user_id,
+    );
+
+    # Point links at the new slug, keeping the space prefix of links from
+    # other spaces; [[Title]] links only work when the title slugifies to it
+    my $links_updated = 0;
+    if ($new_slug ne $page->{slug}) {
+        my $target = HSWiki::Wiki->slugify($title) eq $new_slug ? $title : $new_slug;
+        my $relinked = HSWiki::Model::Page->relink_page($space->{space_id}, $page->{slug}, sub {
+            my ($link) = @_;
+            return HSWiki::Wiki->link_markup($target, $link->{text}, $link->{space_key});
+        },
+            author_id      => $user_id,
+            change_summary => qq{Updated links to renamed page "$title"},
+        );
+        $links_updated = @$relinked;
+    }
+
+    $class->_announce($req, 'page_moved', $space, $page,
+        new_space => $space->{space_key},
+        new_slug  => $renamed->{slug},
+    ) if $new_slug ne $page->{slug};
+    $class->_announce($req, 'page_updated', $space, $renamed);
+
+    return res->json({
+        success       => 1,
+        message       => 'Page renamed',
+        page          => HSWiki::Model::Page->to_response($renamed, include_html => 1),
+        links_updated => $links_updated,
+    })->finalize;
+}
+
+# Move page to another space
+sub move {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
+
+    unless (HSWiki::Middleware::RBAC->can_write_space($req, $space->{space_id})) {
+        return res->forbidden('Write access denied')->finalize;
+    }
+
+    my $slug = $req->param('slug');
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $slug);
+
+    unless ($page) {
+        return res->not_found('Page not found')->finalize;
+    }
+
+    my $data = $req->json;
+
+    unless ($data->{space_key}) {
+        return res->bad_request('Target space_key is required')->finalize;
+    }
+
+    my $target = HSWiki::Model::Space->find_by_key($data->{space_key});
+    unless ($target) {
+        return res->not_found('Target space not found')->finalize;
+    }
+    if ($target->{space_id} eq $space->{space_id}) {
+        return res->bad_request('Page is already in this space')->finalize;
+    }
+    unless (HSWiki::Middleware::RBAC->can_write_space($req, $target->{space_id})) {
+        return res->forbidden('Write access denied to target space')->finalize;
+    }
+
+    my $new_slug = $data->{slug} || $page->{slug};
+    unless ($new_slug =~ /^[a-z0-9-]+$/) {
+        return res->bad_request('Invalid page slug')->finalize;
+    }
+    if (HSWiki::Model::Page->reserved_slug($new_slug)) {
+        return res->bad_request("Page slug '$new_slug' is used by the web interface; choose another slug")->finalize;
+    }
+    if (HSWiki::Model::Page->slug_exists($target->{space_id}, $new_slug)) {
+        return res->conflict('A page with this slug already exists in the target space')->finalize;
+    }
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my ($from, $to) = ($space->{space_key}, $target->{space_key});
+
+    # Links in the moved page that pointed at its old neighbours now cross spaces
+    my $content = HSWiki::Wiki->rewrite_links($page->{content}, sub {
+        my ($link) = @_;
+        return if $link->{space_key};
+        return if $link->{slug} eq $page->{slug};
+        return unless HSWiki::Model::Page->slug_exists($space->{space_id}, $link->{slug});
+        return HSWiki::Wiki->link_markup($link->{title}, $link->{text}, $from);
+    });
+
+    # Attachments go along; access to them now follows the target space
+    HSWiki::Model::Attachment->move_page($page->{page_id}, $target->{space_id});
+
+    my $moved = HSWiki::Model::Page->move($space->{space_id}, $page->{page_id}, $target->{space_id},
+        slug           => $new_slug,
+        content        => $content,
+        author_id      => $user_id,
+        change_summary => "Moved from space $from",
+    );
+
+    my $link_target = HSWiki::Wiki->slugify($moved->{title}) eq $new_slug ? $moved->{title} : $new_slug;
+
+    # Links follow the page: pages in the new space drop the space prefix,
+    # everywhere else (the old space included) links across to it
+    my $relinked = HSWiki::Model::Page->relink_page($space->{space_id}, $page->{slug}, sub {
+        my ($link, $source) = @_;
+        my $space_key = $source->{space_id} eq $target->{space_id} ? undef : $to;
+        return HSWiki::Wiki->link_markup($link_target, $link->{text}, $space_key);
+    },
+        skip_page_id   => $moved->{page_id},
+        author_id      => $user_id,
+        change_summary => qq{Updated links to "$moved->{title}" (moved from $from to $to)},
+    );
+
+    $class->_announce($req, 'page_moved', $space, $page,
+        new_space => $to,
+        new_slug  => $moved->{slug},
+    );
+    $class->_announce($req, 'page_created', $target, $moved);
+
+    return res->json({
+        success       => 1,
+        message       => "Page moved to $target->{name}",
+        space_key     => $to,
+        page          => HSWiki::Model::Page->to_response($moved, include_html => 1),
+        links_updated => scalar @$relinked,
+    })->finalize;
+}
+
+# Move a page within the space's page tree
+sub reparent {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
+
+    unless (HSWiki::Middleware::RBAC->can_write_space($req, $space->{space_id})) {
+        return res->forbidden('Write access denied')->finalize;
+    }
+
+    my $slug = $req->param('slug');
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $slug);
+
+    unless ($page) {
+        return res->not_found('Page not found')->finalize;
+    }
+
+    my $data = $req->json;
+
+    my $position = $data->{position};
+    if (defined $position && $position !~ /^\d+$/) {
+        return res->bad_request('position must be a non-negative number')->finalize;
+    }
+
+    # parent: slug of the new parent, or null for the top level
+    my $parent;
+    if ($data->{parent}) {
+        $parent = HSWiki::Model::Page->find_by_slug($space->{space_id}, $data->{parent});
+        return res->bad_request('Parent page not found')->finalize unless $parent;
+
+        my @chain = ($parent, @{ HSWiki::Model::Page->ancestors($space->{space_id}, $parent) });
+        if (grep { $_->{page_id} eq $page->{page_id} } @chain) {
+            return res->bad_request('A page cannot be moved under itself')->finalize;
+        }
+    }
+
+    HSWiki::Model::Page->set_parent(
+        $space->{space_id},
+        $page->{page_id},
+        $parent ? $parent->{page_id} : undef,
+        $position,
+    );
 
     return res->json({
         success => 1,
-        message => 'Page deleted',
+        message => 'Page moved',
+        pages   => HSWiki::Model::Page->list_by_space($space->{space_id}),
     })->finalize;
 }
 
+# Pages linking to a page ("what links here")
+sub backlinks {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
+
+    my $slug = $req->param('slug');
+    my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $slug);
+
+    unless ($page) {
+        return res->not_found('Page not found')->finalize;
+    }
+
+    my $backlinks = HSWiki::Model::Page->backlinks($space->{space_id}, $page->{slug});
+
+    return res->json({
+        slug      => $page->{slug},
+        backlinks => $class->_readable_pages($req, $space, $backlinks),
+    })->finalize;
+}
+
+# Every label used in a space, with how many pages carry it
+sub labels {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
+
+    return res->json({
+        space_key => $space->{space_key},
+        labels    => HSWiki::Model::Page->labels_in_space($space->{space_id}),
+    })->finalize;
+}
+
+# Orphan and wanted pages in a space
+sub link_report {
+    my ($class, $req) = @_;
+
+    my ($space, $error) = $class->_get_space($req);
+    return $error if $error;
+
+    my $report = HSWiki::Model::Page->link_report($space->{space_id});
+
+    my @wanted;
+    for my $entry (@{ $report->{wanted} }) {
+        my $linked_from = $class->_readable_pages($req, $space, $entry->{linked_from});
+        push @wanted, { %$entry, linked_from => $linked_from } if @$linked_from;
+    }
+
+    return res->json({
+        space_key => $space->{space_key},
+        orphans   => $report->{orphans},
+        wanted    => \@wanted,
+    })->finalize;
+}
+
+# Drop pages in spaces the caller cannot read and tag each with its space_key
+sub _readable_pages {
+    my ($class, $req, $space, $pages) = @_;
+
+    my %spaces = ($space->{space_id} => $space);
+    my @readable;
+
+    for my $page (@$pages) {
+        my $space_id = $page->{space_id};
+        unless (exists $spaces{$space_id}) {
+            my $other = HSWiki::Model::Space->find_by_id($space_id);
+            $spaces{$space_id} = $other && HSWiki::Middleware::RBAC->can_access_space($req, $space_id)
+                ? $other : undef;
+        }
+        my $page_space = $spaces{$space_id} or next;
+
+        push @readable, {
+            space_key => $page_space->{space_key},
+            slug      => $page->{slug},
+            title     => $page->{title},
+        };
+    }
+
+    return \@readable;
+}
+
 # Get page version history
 sub versions {
     my ($class, $req) = @_;
@@ -272,6 +848,7 @@ sub versions {
         page_id  => $page->{page_id},
         slug     => $page->{slug},
         versions => $versions,
+        access   => HSWiki::Middleware::RBAC->space_access($req, $space->{space_id}),
     })->finalize;
 }
 
@@ -338,6 +915,9 @@ sub restore {
         return res->not_found('Version not found')->finalize;
     }
 
+    $class->_announce($req, 'page_updated', $space, $restored);
+    $class->_notify_watchers($req, 'page_restored', $space, $restored, "Restored from version $data->{version}");
+
     return res->json({
         success => 1,
         message => "Page restored to version $data->{version}",
@@ -368,9 +948,24 @@ sub render_preview {
         return res->bad_request('content is required')->finalize;
     }
 
+    # Resolve wiki links against the space being edited, when readable
+    my %render_opts;
+    if (my $space_key = $data->{space_key}) {
+        my $space = HSWiki::Model::Space->find_by_key($space_key);
+        if ($space && HSWiki::Middleware::RBAC->can_access_space($req, $space->{space_id})) {
+            $render_opts{space_id} = $space->{space_id};
+
+            # Attachments resolve against the page being edited
+            if (defined $data->{slug}) {
+                my $page = HSWiki::Model::Page->find_by_slug($space->{space_id}, $data->{slug});
+                $render_opts{page_id} = $page->{page_id} if $page;
+            }
+        }
+    }
+
     my $html;
     eval {
-        $html = HSWiki::Wiki->render_safe($data->{content});
+        $html = HSWiki::Wiki->render_safe($data->{content}, %render_opts);
     };
 
     if ($@) {
@@ -390,25 +985,73 @@ HSWiki::Controller::Page - Page controller for HSWiki
 
 =head1 ROUTES
 
-    GET /api/spaces/:key/pages - List pages in space
-        Returns: { space_key, pages, count }
+    GET /api/spaces/:key/pages - List pages in space, a page at a time
+        Query: sort=title|updated|version, order=asc|desc (updated and version
+               default to desc), q (title or slug filter), label (only pages
+               carrying it; label=a,b for pages carrying both), limit
+               (default 50, max 200), cursor (next_cursor of the previous page)
+        Returns: { space_key, label, pages, count, total, next_cursor, access }
+        next_cursor is null on the last page
+
+    GET /api/spaces/:key/tree - Every page in the space (unpaginated)
+        Returns: { space_key, pages, access }
+
+    GET /api/spaces/:key/pages/:slug/export?format=markdown|html - Download a page
+        markdown: <slug>.md; html: <slug>.html, a standalone document with
+        images embedded (see HSWiki::Export)
 
     POST /api/spaces/:key/pages - Create page (requires write access)
-        Body: { title, content?, slug? }
+        Body: { title, content?, slug?, parent? (slug of the parent page), labels? }
+        The slugs new and settings belong to web UI routes and are refused
+        (rename and move too); a title that slugifies to one gets -page added.
         Returns: { success, message, page }
 
     GET /api/spaces/:key/pages/:slug - Get page
-        Returns: { page }
+        Returns: { page, ancestors: [{ page_id, slug, title }], access,
+                   watching: { page, space } }
+        ancestors runs from the top-level page down to the parent
+        For a renamed or moved page's old slug: { redirect: { space_key, slug, title } }
 
     PUT /api/spaces/:key/pages/:slug - Update page (requires write access)
-        Body: { title?, content?, change_summary? }
+        Body: { title?, content?, labels?, change_summary?, base_version? }
         Returns: { success, message, page }
+        409 when base_version is not the current version:
+            { error, base_version, base: { version, title, content }, current }
 
     DELETE /api/spaces/:key/pages/:slug - Delete page (requires write + page:delete)
-        Returns: { success, message }
+        Links to the page become plain text, in its space and [[key:Title]]
+        links from other spaces; its attachments and comments are removed
+        Returns: { success, message, links_updated }
+
+    PUT /api/spaces/:key/pages/:slug/rename - Rename page (requires write access)
+        Body: { title, slug?, keep_redirect? (default true) }
+        Links to the old slug are rewritten, including [[key:Title]] links
+        from other spaces
+        Returns: { success, message, page, links_updated }
+
+    POST /api/spaces/:key/pages/:slug/move - Move page (requires write on both spaces)
+        Body: { space_key, slug? }
+        Links to the page are rewritten in every space (unprefixed in the new
+        space, [[key:Title]] everywhere else); the old location redirects and
+        attachments move with the page
+        Returns: { success, message, space_key, page, links_updated }
+
+    PUT /api/spaces/:key/pages/:slug/parent - Reorder/reparent (requires write access)
+        Body: { parent: slug|null, position? (index among the new siblings) }
+        Returns: { success, message, pages }
+
+    GET /api/spaces/:key/pages/:slug/backlinks - Pages linking to this page
+        Returns: { slug, backlinks: [{ space_key, slug, title }] }
+
+    GET /api/spaces/:key/labels - Labels used in the space
+        Returns: { space_key, labels: [{ label, count }] }
+
+    GET /api/spaces/:key/link-report - Orphan and wanted pages in the space
+        Returns: { space_key, orphans: [{ page_id, slug, title, version, updated_at }],
+                   wanted: [{ slug, title, linked_from: [{ space_key, slug, title }] }] }
 
     GET /api/spaces/:key/pages/:slug/versions - Get version history
-        Returns: { page_id, slug, versions }
+        Returns: { page_id, slug, versions, access }
 
     GET /api/spaces/:key/pages/:slug/versions/:version - Get specific version
         Returns: { page_id, slug, version }
@@ -418,7 +1061,25 @@ HSWiki::Controller::Page - Page controller for HSWiki
         Returns: { success, message, page }
 
     POST /api/render - Render wiki markup preview
-        Body: { content }
+        Body: { content, space_key?, slug? }
+        Wiki links resolve against space_key when the caller can read it;
+        attachments resolve against the page at slug in that space
         Returns: { html }
 
+Pages in list responses carry parent_id (null at the top level),
+position (order among siblings), labels and comment_count (see
+HSWiki::Controller::Comment).
+
+labels are sent as a list or a comma-separated string. They are stored
+lowercase with spaces turned into dashes: letters, digits, - and _, at most
+50 characters each and 20 per page. Leaving labels out of an update keeps
+the page's labels.
+
+Updates, restores and deletes notify the watchers of the page and its
+space (see HSWiki::Controller::Notification).
+
+access is the caller's access to the space (see
+HSWiki::Middleware::RBAC->space_access):
+{ read, write, admin, delete_pages, delete_space }
+
 =cut
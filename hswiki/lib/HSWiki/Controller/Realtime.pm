@@ -0,0 +1,199 @@
+package HSWiki::Controller::Realtime;
+
+use strict;
+use warnings;
+
+
+use Cpanel::JSON::XS qw(encode_json decode_json);
+use HSWiki::Session;
+use HSWiki::Realtime;
+use HSWiki::Model::Space;
+use HSWiki::Model::Role;
+
+our $VERSION = '0.01';
+
+# Register routes with the server
+sub register {
+    my ($class, $server) = @_;
+
+    # WS /ws - Presence and live page updates
+    $server->websocket('/ws' => sub {
+        my ($ws) = @_;
+        $class->connection($ws);
+    });
+}
+
+# Set up handlers for one WebSocket connection
+sub connection {
+    my ($class, $ws) = @_;
+
+    my ($session_id, $session) = HSWiki::Session->get_by_cookie_header($ws->header('Cookie'));
+
+    my $state = {
+        conn_id   => HSWiki::Session->generate_id,
+        session   => $session,
+        room      => undef,
+        user_room => $session->{user_id} ? HSWiki::Realtime->user_room($session->{user_id}) : undef,
+        who       => { username => $session->{username}, mode => 'viewing' },
+    };
+
+    $ws->on(open => sub {
+        # Signed-in connections always get their own notifications
+        HSWiki::Realtime->room($state->{user_room})->join($ws) if $state->{user_room};
+        my $seq = eval { HSWiki::Realtime->current_seq + 0 } // 0;
+        $ws->send(encode_json({ type => 'welcome', id => $state->{conn_id}, seq => $seq }));
+    });
+
+    $ws->on(message => sub {
+        my ($data) = @_;
+
+        my $msg = eval { decode_json($data) };
+        return unless ref $msg eq 'HASH' && $msg->{type};
+
+        eval { $class->handle_message($ws, $state, $msg); 1 }
+            or $class->_send($ws, { type => 'error', error => 'Realtime service unavailable' });
+    });
+
+    $ws->on(close => sub {
+        eval { $class->_leave_room($ws, $state) };
+        HSWiki::Realtime->room($state->{user_room})->leave($ws) if $state->{user_room};
+    });
+}
+
+# Dispatch a client message
+sub handle_message {
+    my ($class, $ws, $state, $msg) = @_;
+
+    if ($msg->{type} eq 'join') {
+        return $class->_join($ws, $state, $msg);
+    }
+
+    if ($msg->{type} eq 'leave') {
+        return $class->_leave_room($ws, $state);
+    }
+
+    if ($msg->{type} eq 'ping') {
+        # Notifications published by other workers
+        if ($state->{user_room}) {
+            $class->_send($ws, $_) for @{ HSWiki::Realtime->events_since($state->{user_room}, $msg->{since}) };
+        }
+
+        my $room = $state->{room} or return $class->_send($ws, { type => 'pong' });
+
+        HSWiki::Realtime->touch($room, $state->{conn_id}, $state->{who});
+        $class->_send($ws, {
+            type  => 'presence',
+            room  => $room,
+            users => HSWiki::Realtime->presence($room),
+        });
+        $class->_send($ws, $_) for @{ HSWiki::Realtime->events_since($room, $msg->{since}) };
+        return;
+    }
+
+    return $class->_send($ws, { type => 'error', error => "Unknown message type: $msg->{type}" });
+}
+
+# Join a page room ({ room: 'page', space, slug, mode }) or space room ({ room: 'space', space })
+sub _join {
+    my ($class, $ws, $state, $msg) = @_;
+
+    my $space = HSWiki::Model::Space->find_by_key($msg->{space} // '');
+    unless ($space && $class->_can_read($state->{session}, $space)) {
+        return $class->_send($ws, { type => 'error', error => 'Access denied to this space' });
+    }
+
+    my $room;
+    if (($msg->{room} // '') eq 'page') {
+        unless (($msg->{slug} // '') =~ /^[a-z0-9-]+$/) {
+            return $class->_send($ws, { type => 'error', error => 'Invalid page slug' });
+        }
+        $room = HSWiki::Realtime->page_room($space->{space_key}, $msg->{slug});
+    } else {
+        $room = HSWiki::Realtime->space_room($space->{space_key});
+    }
+
+    $state->{who}{mode} = ($msg->{mode} // '') eq 'editing' ? 'editing' : 'viewing';
+
+    if ($state->{room} && $state->{room} eq $room) {
+        # Same room, e.g. switched from viewing to editing
+        HSWiki::Realtime->touch($room, $state->{conn_id}, $state->{who});
+        HSWiki::Realtime->broadcast_presence($room);
+    } else {
+        $class->_leave_room($ws, $state);
+        $state->{room} = $room;
+        HSWiki::Realtime->enter($ws, $room, $state->{conn_id}, $state->{who});
+    }
+
+    return $class->_send($ws, {
+        type => 'joined',
+        room => $room,
+        seq  => HSWiki::Realtime->current_seq + 0,
+    });
+}
+
+sub _leave_room {
+    my ($class, $ws, $state) = @_;
+
+    my $room = delete $state->{room} or return;
+    HSWiki::Realtime->leave($ws, $room, $state->{conn_id});
+}
+
+# Same rules as RBAC->can_access_space, from session data instead of a request
+sub _can_read {
+    my ($class, $session, $space) = @_;
+
+    return 1 if $space->{is_public};
+
+    my $user_id = $session->{user_id} or return 0;
+    return 1 if $session->{role_id} && HSWiki::Model::Role->is_admin($session->{role_id});
+
+    return HSWiki::Model::Space->can_access($space->{space_id}, $user_id);
+}
+
+sub _send {
+    my ($class, $ws, $msg) = @_;
+    $ws->send(encode_json($msg)) if $ws->is_open;
+    return;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Controller::Realtime - WebSocket endpoint for presence and live updates
+
+=head1 ROUTES
+
+    WS /ws - One connection per browser tab, authenticated by the session cookie
+
+=head1 MESSAGES
+
+Client to server:
+
+    { type: 'join', room: 'page', space, slug, mode: 'viewing'|'editing' }
+    { type: 'join', room: 'space', space }
+    { type: 'leave' }
+    { type: 'ping', since }      - heartbeat; since = last event seq seen
+
+Server to client:
+
+    { type: 'welcome', id, seq } - id identifies this connection in presence lists;
+                                   seq = latest event already published
+    { type: 'joined', room, seq }  - seq = latest event already published
+    { type: 'presence', room, users: [{ id, username, mode, seen }] }
+    { type: 'page_created'|'page_updated'|'page_deleted',
+      seq, room, space, slug, title, version, updated_at, author }
+    { type: 'page_moved', ..., new_space, new_slug }
+                                 - renamed or moved; slug is the old slug
+    { type: 'notification', seq, room, notification, unread }
+                                 - a watched page changed (signed-in users only)
+    { type: 'error', error }
+
+A connection is in at most one page or space room; joining another room
+leaves the previous one. Signed-in connections are also in their user's
+room for the whole connection, whichever page or space they are viewing. Clients should ping every 15 seconds to stay listed in
+presence and to receive events published by other workers.
+
+=cut
@@ -0,0 +1,164 @@
+package HSWiki::Controller::Search;
+
+use strict;
+use warnings;
+
+
+use HSWiki::Model::Page;
+use HSWiki::Model::Space;
+use HSWiki::Middleware::Auth;
+use HSWiki::Middleware::RBAC;
+use Hypersonic::Response qw(res);
+
+our $VERSION = '0.01';
+
+# Most page titles returned by titles
+use constant MAX_TITLES => 5000;
+
+# Register routes with the server
+sub register {
+    my ($class, $server) = @_;
+
+    # GET /api/search - Full-text search across accessible spaces
+    $server->get('/api/search' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->search($req);
+    }, optional => 1), { dynamic => 1, parse_query => 1 });
+
+    # GET /api/search/titles - Every space and page title the user can see
+    $server->get('/api/search/titles' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->titles($req);
+    }, optional => 1), { dynamic => 1 });
+}
+
+# Search page titles and content
+sub search {
+    my ($class, $req) = @_;
+
+    my $query = $req->query_param('q') // '';
+    $query =~ s/^\s+|\s+$//g;
+
+    unless (length $query) {
+        return res->bad_request('Query parameter q is required')->finalize;
+    }
+
+    my ($labels, $invalid) = HSWiki::Model::Page->parse_labels($req->query_param('label'));
+    return res->bad_request($invalid)->finalize unless $labels;
+
+    my $limit = $req->query_param('limit') // 50;
+    $limit = 50 unless $limit =~ /^\d+$/ && $limit > 0;
+    $limit = 100 if $limit > 100;
+
+    my @spaces;
+    my $space_key = $req->query_param('space');
+
+    if ($space_key) {
+        # Search in specific space
+        my $space = HSWiki::Model::Space->find_by_key($space_key);
+        unless ($space) {
+            return res->not_found('Space not found')->finalize;
+        }
+        unless (HSWiki::Middleware::RBAC->can_access_space($req, $space->{space_id})) {
+            return res->forbidden('Access denied to this space')->finalize;
+        }
+        @spaces = ($space);
+    } else {
+        # Search across every space the user can see
+        my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+        @spaces = @{ HSWiki::Model::Space->list_accessible($user_id) };
+    }
+
+    my @results;
+    for my $space (@spaces) {
+        my $hits = HSWiki::Model::Page->search_content($space->{space_id}, $query, labels => $labels);
+        for my $hit (@$hits) {
+            push @results, {
+                %$hit,
+                space_key  => $space->{space_key},
+                space_name => $space->{name},
+            };
+        }
+    }
+
+    @results = sort { $b->{score} <=> $a->{score} || lc($a->{title}) cmp lc($b->{title}) } @results;
+    my $total = scalar @results;
+    splice(@results, $limit) if $total > $limit;
+
+    return res->json({
+        query   => $query,
+        terms   => HSWiki::Model::Page->search_terms($query),
+        results => \@results,
+        count   => scalar @results,
+        total   => $total,
+    })->finalize;
+}
+
+# Spaces and page titles across accessible spaces, for matching on the
+# client (the web UI's command palette)
+sub titles {
+    my ($class, $req) = @_;
+
+    my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
+    my $spaces = HSWiki::Model::Space->list_accessible($user_id);
+
+    my @pages;
+    for my $space (@$spaces) {
+        for my $page (@{ HSWiki::Model::Page->list_by_space($space->{space_id}) }) {
+            push @pages, {
+                space_key  => $space->{space_key},
+                space_name => $space->{name},
+                slug       => $page->{slug},
+                title      => $page->{title},
+                updated_at => $page->{updated_at} // 0,
+            };
+        }
+    }
+
+    @pages = sort { $b->{updated_at} <=> $a->{updated_at} } @pages;
+    my $truncated = @pages > MAX_TITLES ? 1 : 0;
+    splice(@pages, MAX_TITLES) if $truncated;
+
+    return res->json({
+        spaces    => [ map { { space_key => $_->{space_key}, name => $_->{name} } } @$spaces ],
+        pages     => \@pages,
+        truncated => $truncated,
+    })->finalize;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Controller::Search - Full-text search controller for HSWiki
+
+=head1 DESCRIPTION
+
+Session-authenticated search used by the web UI. Anonymous users search
+public spaces; logged-in users also search the private spaces they have
+been granted access to.
+
+=head1 ROUTES
+
+    GET /api/search - Search page titles and content
+        Query: ?q=search terms&space=optional_space_key&label=optional_label
+               &limit=optional (max 100)
+        Returns: { query, terms, results, count, total }
+
+Each result contains C<space_key>, C<space_name>, C<slug>, C<title>,
+C<snippet>, C<score>, C<version>, C<updated_at> and C<labels>. With
+C<label>, only pages carrying that label are searched; C<label=a,b> searches
+pages carrying both. Results are ordered
+by score; every query term must appear in the title or the content.
+
+    GET /api/search/titles - Every space and page the user can see
+        Returns: { spaces: [{ space_key, name }],
+                   pages: [{ space_key, space_name, slug, title, updated_at }], truncated }
+
+Pages are the most recently updated first; past 5000 the rest are left out
+and C<truncated> is 1. The web UI matches these on the client for its
+command palette.
+
+=cut
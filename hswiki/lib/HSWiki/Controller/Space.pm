@@ -7,13 +7,26 @@ use warnings;
 use HSWiki::Model::Space;
 use HSWiki::Model::Page;
 use HSWiki::Model::User;
+use HSWiki::Model::Watch;
 use HSWiki::Wiki;
+use HSWiki::Export;
+use HSWiki::Upload;
 use HSWiki::Middleware::Auth;
 use HSWiki::Middleware::RBAC;
 use Hypersonic::Response qw(res);
 
 our $VERSION = '0.01';
 
+# Top-level paths of the web UI (/search, ...). A space with one of these
+# keys could never be opened there.
+my @RESERVED_KEYS = qw(login register search admin account notifications);
+
+# Whether a space key is taken by a web UI route
+sub reserved_key {
+    my ($class, $space_key) = @_;
+    return scalar grep { $_ eq $space_key } @RESERVED_KEYS;
+}
+
 # Register routes with the server
 sub register {
     my ($class, $server) = @_;
@@ -22,7 +35,7 @@ sub register {
     $server->get('/api/spaces' => HSWiki::Middleware::Auth->wrap(sub {
         my ($req) = @_;
         return $class->list($req);
-    }, optional => 1), { dynamic => 1 });
+    }, optional => 1), { dynamic => 1, parse_query => 1 });
 
     # POST /api/spaces - Create space
     $server->post('/api/spaces' => HSWiki::Middleware::Auth->wrap(sub {
@@ -65,36 +78,49 @@ sub register {
         my ($req) = @_;
         return $class->list_permissions($req);
     }), { dynamic => 1 });
+
+    # GET /api/spaces/:key/export - Download the space as a zip archive
+    $server->get('/api/spaces/:key/export' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->export($req);
+    }, optional => 1), { dynamic => 1 });
+
+    # POST /api/spaces/:key/import - Rebuild pages from an export archive (raw zip body)
+    $server->post('/api/spaces/:key/import' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->import_pages($req);
+    }), { dynamic => 1 });
 }
 
-# List spaces
+# List spaces, a page at a time
 sub list {
     my ($class, $req) = @_;
 
     my $user_id = HSWiki::Middleware::Auth->current_user_id($req);
 
-    my @spaces;
-
-    # Get public spaces
-    my $public = HSWiki::Model::Space->list_public;
-    push @spaces, @$public;
-
-    # If logged in, also get user's spaces
-    if ($user_id) {
-        my $user_spaces = HSWiki::Model::Space->list_for_user($user_id);
-        for my $us (@$user_spaces) {
-            # Avoid duplicates (public spaces user also has permission to)
-            my $found = grep { $_->{space_id} eq $us->{space_id} } @spaces;
-            unless ($found) {
-                my $space = HSWiki::Model::Space->find_by_id($us->{space_id});
-                push @spaces, $space if $space;
-            }
-        }
+    my $sort = $req->query_param('sort') // 'name';
+    unless (grep { $_ eq $sort } @{ HSWiki::Model::Space->sort_fields }) {
+        return res->bad_request('sort must be one of: ' . join(', ', @{ HSWiki::Model::Space->sort_fields }))->finalize;
+    }
+
+    my $order = $req->query_param('order');
+    if (defined $order && $order !~ /^(asc|desc)$/) {
+        return res->bad_request('order must be asc or desc')->finalize;
     }
 
+    my $result = HSWiki::Model::Space->paginate_accessible($user_id,
+        sort   => $sort,
+        order  => $order,
+        q      => $req->query_param('q'),
+        limit  => $req->query_param('limit'),
+        cursor => $req->query_param('cursor'),
+    );
+
     return res->json({
-        spaces => \@spaces,
-        count  => scalar @spaces,
+        spaces      => $result->{items},
+        count       => scalar @{ $result->{items} },
+        total       => $result->{total},
+        next_cursor => $result->{next_cursor},
     })->finalize;
 }
 
@@ -126,6 +152,9 @@ sub create {
 
     # Check if key exists
     $space_key //= HSWiki::Wiki->slugify($data->{name});
+    if ($class->reserved_key($space_key)) {
+        return res->bad_request("Space key '$space_key' is used by the web interface; choose another key")->finalize;
+    }
     if (HSWiki::Model::Space->key_exists($space_key)) {
         return res->conflict('Space key already exists')->finalize;
     }
@@ -168,6 +197,77 @@ sub get {
     return res->json({
         space      => $space,
         page_count => $page_count,
+        access     => HSWiki::Middleware::RBAC->space_access($req, $space->{space_id}),
+        watching   => HSWiki::Model::Watch->is_watching(
+            HSWiki::Middleware::Auth->current_user_id($req), $space->{space_id}),
+    })->finalize;
+}
+
+# Download every page of a space as a zip of Markdown files plus manifest.json
+sub export {
+    my ($class, $req) = @_;
+
+    my $space = HSWiki::Model::Space->find_by_key($req->param('key'));
+    return res->not_found('Space not found')->finalize unless $space;
+
+    unless (HSWiki::Middleware::RBAC->can_access_space($req, $space->{space_id})) {
+        return res->forbidden('Access denied to this space')->finalize;
+    }
+
+    my $zip = HSWiki::Export->space_archive($space);
+
+    return res->header('Content-Type' => 'application/zip')
+        ->header('Content-Disposition' => qq{attachment; filename="$space->{space_key}.zip"})
+        ->body($zip)
+        ->finalize;
+}
+
+# Import pages from an export archive (space admins). Pages whose slug is
+# already taken are skipped and reported rather than overwritten.
+sub import_pages {
+    my ($class, $req) = @_;
+
+    my $space = HSWiki::Model::Space->find_by_key($req->param('key'));
+    return res->not_found('Space not found')->finalize unless $space;
+
+    unless (HSWiki::Middleware::RBAC->is_space_admin($req, $space->{space_id})) {
+        return res->forbidden('Space admin access required')->finalize;
+    }
+
+    my $max_size = HSWiki::Export->max_archive_size;
+    my ($status, $message) = HSWiki::Upload->body_error($req,
+        max_size  => $max_size,
+        too_large => sprintf('Archive is too large; imports are limited to %.1f MB', $max_size / (1024 * 1024)),
+    );
+    return res->status($status)->json({ error => $message })->finalize if $status;
+
+    my $zip = $req->body // '';
+    unless (length $zip) {
+        return res->bad_request('Archive is empty')->finalize;
+    }
+
+    my $result = eval {
+        HSWiki::Export->import_archive($space, $zip,
+            author_id => HSWiki::Middleware::Auth->current_user_id($req));
+    };
+    unless ($result) {
+        (my $message = $@ || 'Import failed') =~ s/\n$//;
+        return res->bad_request($message)->finalize;
+    }
+
+    my $imported = scalar @{ $result->{imported} };
+    my $skipped = scalar @{ $result->{skipped} };
+    my $skipped_files = scalar @{ $result->{skipped_attachments} };
+
+    return res->json({
+        success     => 1,
+        message     => "Imported $imported page" . ($imported == 1 ? '' : 's')
+                       . ($skipped ? ", skipped $skipped" : '')
+                       . ($skipped_files ? ", left out $skipped_files attachment" . ($skipped_files == 1 ? '' : 's') : ''),
+        imported    => $result->{imported},
+        skipped     => $result->{skipped},
+        attachments => $result->{attachments},
+        skipped_attachments => $result->{skipped_attachments},
     })->finalize;
 }
 
@@ -188,6 +288,10 @@ sub update {
         return res->forbidden('Admin access required to update space')->finalize;
     }
 
+    if (exists $data->{name} && !(defined $data->{name} && $data->{name} =~ /\S/)) {
+        return res->bad_request('Space name is required')->finalize;
+    }
+
     # Build updates
     my %updates;
     $updates{name} = $data->{name} if exists $data->{name};
@@ -250,8 +354,8 @@ sub grant_permission {
     }
 
     # Validate input
-    unless ($data->{user_id} && $data->{permission}) {
-        return res->bad_request('user_id and permission required')->finalize;
+    unless (($data->{user_id} || $data->{username}) && $data->{permission}) {
+        return res->bad_request('user_id (or username) and permission required')->finalize;
     }
 
     unless ($data->{permission} =~ /^(read|write|admin)$/) {
@@ -259,22 +363,30 @@ sub grant_permission {
     }
 
     # Check user exists
-    my $user = HSWiki::Model::User->find_by_id($data->{user_id});
+    my $user = $data->{user_id}
+        ? HSWiki::Model::User->find_by_id($data->{user_id})
+        : HSWiki::Model::User->find_by_username($data->{username});
     unless ($user) {
         return res->not_found('User not found')->finalize;
     }
 
+    # The owner is always an admin of their space
+    if ($space->{owner_id} && $space->{owner_id} eq $user->{user_id}) {
+        return res->bad_request('Cannot change owner permission')->finalize;
+    }
+
     # Grant permission
     HSWiki::Model::Space->grant_permission(
         $space->{space_id},
-        $data->{user_id},
+        $user->{user_id},
         $data->{permission}
     );
 
     return res->status(201)->json({
         success    => 1,
         message    => 'Permission granted',
-        user_id    => $data->{user_id},
+        user_id    => $user->{user_id},
+        username   => $user->{username},
         permission => $data->{permission},
     })->finalize;
 }
@@ -328,10 +440,24 @@ sub list_permissions {
 
     my $permissions = HSWiki::Model::Space->list_permissions($space->{space_id});
 
+    # Resolve usernames for display
+    my %names;
+    for my $perm (@$permissions) {
+        my $user_id = $perm->{user_id};
+        unless (exists $names{$user_id}) {
+            my $user = HSWiki::Model::User->find_by_id($user_id);
+            $names{$user_id} = $user ? $user->{username} : undef;
+        }
+        $perm->{username} = $names{$user_id};
+    }
+
+    my $owner = $space->{owner_id} ? HSWiki::Model::User->find_by_id($space->{owner_id}) : undef;
+
     return res->json({
-        space_id    => $space->{space_id},
-        owner_id    => $space->{owner_id},
-        permissions => $permissions,
+        space_id       => $space->{space_id},
+        owner_id       => $space->{owner_id},
+        owner_username => $owner ? $owner->{username} : undef,
+        permissions    => [ sort { ($a->{username} // '') cmp ($b->{username} // '') } @$permissions ],
     })->finalize;
 }
 
@@ -345,15 +471,24 @@ HSWiki::Controller::Space - Space controller for HSWiki
 
 =head1 ROUTES
 
-    GET /api/spaces - List accessible spaces
-        Returns: { spaces, count }
+    GET /api/spaces - List accessible spaces, a page at a time
+        Query: sort=name|updated, order=asc|desc, q (name or key filter),
+               limit (default 50, max 200), cursor (next_cursor of the previous page)
+        Returns: { spaces, count, total, next_cursor }
+        next_cursor is null on the last page
 
     POST /api/spaces - Create space (requires auth + space:write)
         Body: { name, description?, space_key?, is_public? }
+        space_key defaults to the slugified name. Keys the web UI uses as
+        top-level paths (login, register, search, admin, account,
+        notifications) are refused.
         Returns: { success, message, space }
 
     GET /api/spaces/:key - Get space details
-        Returns: { space, page_count }
+        Returns: { space, page_count,
+                   access: { read, write, admin, delete_pages, delete_space },
+                   watching }
+        watching is 1 when the caller watches the space
 
     PUT /api/spaces/:key - Update space (requires space admin)
         Body: { name?, description?, is_public? }
@@ -363,13 +498,27 @@ HSWiki::Controller::Space - Space controller for HSWiki
         Returns: { success, message }
 
     POST /api/spaces/:key/permissions - Grant permission (requires space admin)
-        Body: { user_id, permission: "read"|"write"|"admin" }
-        Returns: { success, message, user_id, permission }
+        Body: { user_id | username, permission: "read"|"write"|"admin" }
+        Returns: { success, message, user_id, username, permission }
 
     DELETE /api/spaces/:key/permissions/:user_id - Revoke permission
         Returns: { success, message }
 
     GET /api/spaces/:key/permissions - List permissions
-        Returns: { space_id, owner_id, permissions }
+        Returns: { space_id, owner_id, owner_username,
+                   permissions: [{ user_id, username, permission, granted_at }] }
+
+    GET /api/spaces/:key/export - Download the space as <space_key>.zip
+        Markdown pages, attachments and manifest.json (see HSWiki::Export)
+
+    POST /api/spaces/:key/import - Import an export archive (requires space admin)
+        Body: the zip file itself
+        Pages whose slug already exists are skipped
+        Attachments that are missing from the archive, have an unusable
+        name or exceed the attachment size limit are left out and listed
+        Returns: { success, message, imported: [slug], skipped: [{ slug, reason }],
+                   attachments, skipped_attachments: [{ slug, filename, reason }] }
+        413 when the archive is over import.max_size; 400 when fewer bytes
+        arrived than Content-Length announced.
 
 =cut
@@ -0,0 +1,290 @@
+package HSWiki::Controller::Template;
+
+use strict;
+use warnings;
+
+
+use HSWiki::Model::Template;
+use HSWiki::Model::Space;
+use HSWiki::Middleware::Auth;
+use HSWiki::Middleware::RBAC;
+use HSWiki::Auth;
+use POSIX qw(strftime);
+use Hypersonic::Response qw(res);
+
+our $VERSION = '0.01';
+
+# Longest template name
+use constant MAX_NAME_LENGTH => 100;
+
+# Register routes with the server
+sub register {
+    my ($class, $server) = @_;
+
+    # GET /api/templates/global - Templates offered in every space
+    $server->get('/api/templates/global' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->list($req, 'global');
+    }), { dynamic => 1 });
+
+    # POST /api/templates/global - Create a global template
+    $server->post('/api/templates/global' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->create($req, 'global');
+    }), { dynamic => 1, parse_json => 1 });
+
+    # PUT /api/templates/global/:template_id - Update a global template
+    $server->put('/api/templates/global/:template_id' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->update($req, 'global');
+    }), { dynamic => 1, parse_json => 1 });
+
+    # DELETE /api/templates/global/:template_id - Delete a global template
+    $server->del('/api/templates/global/:template_id' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->delete($req, 'global');
+    }), { dynamic => 1 });
+
+    # GET /api/templates/space/:space_key - A space's templates followed by global ones
+    $server->get('/api/templates/space/:space_key' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->list($req, 'space');
+    }), { dynamic => 1 });
+
+    # POST /api/templates/space/:space_key - Create a template in a space
+    $server->post('/api/templates/space/:space_key' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->create($req, 'space');
+    }), { dynamic => 1, parse_json => 1 });
+
+    # PUT /api/templates/space/:space_key/:template_id - Update a space template
+    $server->put('/api/templates/space/:space_key/:template_id' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->update($req, 'space');
+    }), { dynamic => 1, parse_json => 1 });
+
+    # DELETE /api/templates/space/:space_key/:template_id - Delete a space template
+    $server->del('/api/templates/space/:space_key/:template_id' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->delete($req, 'space');
+    }), { dynamic => 1 });
+
+    # GET /api/templates/apply/:space_key/:template_id?title=... - Content for a new page
+    $server->get('/api/templates/apply/:space_key/:template_id' => HSWiki::Middleware::Auth->wrap(sub {
+        my ($req) = @_;
+        return $class->apply($req);
+    }), { dynamic => 1, parse_query => 1 });
+}
+
+# Helper: resolve the scope a request works on. Returns (scope_id, space)
+# on success or (undef, undef, unfinalized error response).
+# Reading needs space access; managing needs space admin (space templates)
+# or the space:admin permission (global templates).
+sub _scope {
+    my ($class, $req, $kind, $manage) = @_;
+
+    if ($kind eq 'global') {
+        if ($manage && !HSWiki::Middleware::RBAC->has_permission($req, 'space:admin')) {
+            return (undef, undef, res->forbidden("Permission 'space:admin' required"));
+        }
+        return (HSWiki::Model::Template::GLOBAL, undef);
+    }
+
+    my $space = HSWiki::Model::Space->find_by_key($req->param('space_key'));
+    return (undef, undef, res->not_found('Space not found')) unless $space;
+
+    unless (HSWiki::Middleware::RBAC->can_access_space($req, $space->{space_id})) {
+        return (undef, undef, res->forbidden('Access denied to this space'));
+    }
+
+    if ($manage && !HSWiki::Middleware::RBAC->is_space_admin($req, $space->{space_id})) {
+        return (undef, undef, res->forbidden('Only space admins can manage templates'));
+    }
+
+    return ($space->{space_id}, $space);
+}
+
+# Helper: validated name/description/content from the JSON body.
+# With $partial, missing fields are left out instead of required.
+# Returns (\%fields) or (undef, error message).
+sub _fields {
+    my ($class, $data, $partial) = @_;
+
+    return (undef, 'Invalid request body') unless ref $data eq 'HASH';
+
+    my %fields;
+    if (defined $data->{name} || !$partial) {
+        my $name = $data->{name} // '';
+        $name =~ s/^\s+|\s+$//g;
+        return (undef, 'Template name is required') unless length $name;
+        return (undef, 'Template name must be at most ' . MAX_NAME_LENGTH . ' characters')
+            if length $name > MAX_NAME_LENGTH;
+        $fields{name} = $name;
+    }
+
+    for my $field (qw(description content)) {
+        next unless defined $data->{$field};
+        return (undef, "$field must be text") if ref $data->{$field};
+        $fields{$field} = $data->{$field};
+    }
+
+    return (\%fields);
+}
+
+# List templates. For a space: its own, then the global ones, and what the
+# current user may manage.
+sub list {
+    my ($class, $req, $kind) = @_;
+
+    my ($scope_id, $space, $error) = $class->_scope($req, $kind);
+    return $error->finalize if $error;
+
+    my $templates = $space
+        ? HSWiki::Model::Template->list_for_space($scope_id)
+        : HSWiki::Model::Template->list($scope_id);
+
+    return res->json({
+        templates    => [ map { HSWiki::Model::Template->to_response($_) } @$templates ],
+        placeholders => HSWiki::Model::Template->placeholders,
+        can_manage   => {
+            space  => $space && HSWiki::Middleware::RBAC->is_space_admin($req, $space->{space_id}) ? 1 : 0,
+            global => HSWiki::Middleware::RBAC->has_permission($req, 'space:admin') ? 1 : 0,
+        },
+    })->finalize;
+}
+
+# Create a template
+sub create {
+    my ($class, $req, $kind) = @_;
+
+    my ($scope_id, $space, $error) = $class->_scope($req, $kind, 1);
+    return $error->finalize if $error;
+
+    my ($fields, $invalid) = $class->_fields($req->json);
+    return res->bad_request($invalid)->finalize unless $fields;
+
+    my $template = HSWiki::Model::Template->create($scope_id,
+        %$fields,
+        created_by => HSWiki::Middleware::Auth->current_user_id($req),
+    );
+
+    return res->status(201)->json({
+        success  => 1,
+        message  => "Template '$template->{name}' created",
+        template => HSWiki::Model::Template->to_response($template),
+    })->finalize;
+}
+
+# Update a template's name, description or content
+sub update {
+    my ($class, $req, $kind) = @_;
+
+    my ($scope_id, $space, $error) = $class->_scope($req, $kind, 1);
+    return $error->finalize if $error;
+
+    my $template_id = $req->param('template_id');
+    return res->not_found('Template not found')->finalize
+        unless HSWiki::Model::Template->find($scope_id, $template_id);
+
+    my ($fields, $invalid) = $class->_fields($req->json, 1);
+    return res->bad_request($invalid)->finalize unless $fields;
+
+    my $template = HSWiki::Model::Template->update($scope_id, $template_id, $fields);
+
+    return res->json({
+        success  => 1,
+        message  => "Template '$template->{name}' saved",
+        template => HSWiki::Model::Template->to_response($template),
+    })->finalize;
+}
+
+# Delete a template
+sub delete {
+    my ($class, $req, $kind) = @_;
+
+    my ($scope_id, $space, $error) = $class->_scope($req, $kind, 1);
+    return $error->finalize if $error;
+
+    my $template_id = $req->param('template_id');
+    my $template = HSWiki::Model::Template->find($scope_id, $template_id);
+    return res->not_found('Template not found')->finalize unless $template;
+
+    HSWiki::Model::Template->delete($scope_id, $template_id);
+
+    return res->json({
+        success => 1,
+        message => "Template '$template->{name}' deleted",
+    })->finalize;
+}
+
+# A space or global template with its placeholders filled in for a page
+# about to be created in :space_key
+sub apply {
+    my ($class, $req) = @_;
+
+    my ($space_id, $space, $error) = $class->_scope($req, 'space');
+    return $error->finalize if $error;
+
+    my $template_id = $req->param('template_id');
+    my $template = HSWiki::Model::Template->find($space_id, $template_id)
+        // HSWiki::Model::Template->find(HSWiki::Model::Template::GLOBAL, $template_id);
+    return res->not_found('Template not found')->finalize unless $template;
+
+    my $title = $req->query_param('title');
+    my $content = HSWiki::Model::Template->fill($template->{content}, {
+        title  => defined $title && length $title ? $title : undef,
+        author => HSWiki::Auth->get_session_value($req, 'username'),
+        date   => strftime('%Y-%m-%d', localtime),
+        space  => $space->{space_key},
+    });
+
+    return res->json({
+        template => HSWiki::Model::Template->to_response($template),
+        content  => $content,
+    })->finalize;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Controller::Template - Page templates for HSWiki
+
+=head1 ROUTES
+
+All routes require a signed-in user. Space templates need read access to
+list and apply, and space admin to manage. Global templates (offered in
+every space) need the C<space:admin> role permission to manage.
+
+    GET /api/templates/global - Global templates
+    GET /api/templates/space/:space_key - The space's templates, then global ones
+        Returns: { templates, placeholders, can_manage: { space, global } }
+
+    POST /api/templates/global
+    POST /api/templates/space/:space_key - Create a template
+        Body: { name, description?, content? }
+        Returns: 201 { success, message, template }
+
+    PUT /api/templates/global/:template_id
+    PUT /api/templates/space/:space_key/:template_id - Update a template
+        Body: { name?, description?, content? }
+        Returns: { success, message, template }
+
+    DELETE /api/templates/global/:template_id
+    DELETE /api/templates/space/:space_key/:template_id - Delete a template
+        Returns: { success, message }
+
+    GET /api/templates/apply/:space_key/:template_id?title=... - Fill a template
+        Returns: { template, content }
+
+Templates look like:
+
+    { template_id, scope, name, description, content, created_at, updated_at }
+
+scope is 'space' or 'global'. C<apply> fills in C<{{title}}> (from the
+query, left as is when empty), C<{{author}}> (the current user),
+C<{{date}}> (today, YYYY-MM-DD) and C<{{space}}> (the space key).
+
+=cut
@@ -130,10 +130,12 @@ sub insert {
     return $class->execute($query, @values);
 }
 
-# Update helper
+# Update helper. An optional fourth argument makes it a conditional
+# (lightweight transaction) update; check the result with applied().
 # Usage: HSWiki::DB->update('users', { username => $name }, { user_id => $id })
+#        HSWiki::DB->update('pages', { version => 3 }, { ... }, { version => 2 })
 sub update {
-    my ($class, $table, $data, $where) = @_;
+    my ($class, $table, $data, $where, $if) = @_;
 
     my @set_parts;
     my @values;
@@ -156,9 +158,28 @@ sub update {
         join(' AND ', @where_parts)
     );
 
+    if ($if && %$if) {
+        my @if_parts;
+        for my $col (keys %$if) {
+            push @if_parts, "$col = ?";
+            push @values, $if->{$col};
+        }
+        $query .= ' IF ' . join(' AND ', @if_parts);
+    }
+
     return $class->execute($query, @values);
 }
 
+# Whether a conditional statement (UPDATE ... IF) was applied. Cassandra
+# answers those with a row whose [applied] column says so.
+sub applied {
+    my ($class, $result) = @_;
+    return 0 unless $result;
+
+    my $row = _row_to_hash($result->column_names, ($result->rows // [])->[0]);
+    return $row && $row->{'[applied]'} ? 1 : 0;
+}
+
 # Delete helper
 # Usage: HSWiki::DB->delete('users', { user_id => $id })
 sub delete {
@@ -334,6 +355,10 @@ sub init_schema {
                 version INT,
                 created_at TIMESTAMP,
                 updated_at TIMESTAMP,
+                parent_id UUID,
+                position INT,
+                labels SET<TEXT>,
+                comment_count INT,
                 PRIMARY KEY (space_id, page_id)
             )
         },
@@ -361,12 +386,136 @@ sub init_schema {
                 PRIMARY KEY (page_id, version)
             ) WITH CLUSTERING ORDER BY (version DESC)
         },
+        q{
+            CREATE TABLE IF NOT EXISTS page_redirects (
+                space_id UUID,
+                old_slug TEXT,
+                target_space_id UUID,
+                target_slug TEXT,
+                created_at TIMESTAMP,
+                PRIMARY KEY (space_id, old_slug)
+            )
+        },
+        q{
+            CREATE TABLE IF NOT EXISTS page_links (
+                space_id UUID,
+                page_id UUID,
+                target_space_id UUID,
+                target_slug TEXT,
+                PRIMARY KEY ((space_id, page_id), target_space_id, target_slug)
+            )
+        },
+        q{
+            CREATE TABLE IF NOT EXISTS page_backlinks (
+                target_space_id UUID,
+                target_slug TEXT,
+                space_id UUID,
+                page_id UUID,
+                target_title TEXT,
+                PRIMARY KEY (target_space_id, target_slug, space_id, page_id)
+            )
+        },
+        q{
+            CREATE TABLE IF NOT EXISTS attachments (
+                page_id UUID,
+                filename TEXT,
+                space_id UUID,
+                content_type TEXT,
+                size BIGINT,
+                uploaded_by UUID,
+                uploaded_at TIMESTAMP,
+                PRIMARY KEY (page_id, filename)
+            )
+        },
+
+        # Watches and notifications
+        q{
+            CREATE TABLE IF NOT EXISTS watches (
+                target_id UUID,
+                user_id UUID,
+                target_type TEXT,
+                space_id UUID,
+                created_at TIMESTAMP,
+                PRIMARY KEY (target_id, user_id)
+            )
+        },
+        q{
+            CREATE TABLE IF NOT EXISTS notifications (
+                user_id UUID,
+                notification_id UUID,
+                type TEXT,
+                space_key TEXT,
+                slug TEXT,
+                title TEXT,
+                version INT,
+                actor_id UUID,
+                actor_name TEXT,
+                change_summary TEXT,
+                reason TEXT,
+                is_read BOOLEAN,
+                created_at TIMESTAMP,
+                PRIMARY KEY (user_id, notification_id)
+            ) WITH default_time_to_live = 7776000
+        },
+        q{
+            CREATE TABLE IF NOT EXISTS notification_counts (
+                user_id UUID PRIMARY KEY,
+                unread COUNTER
+            )
+        },
+
+        # Page templates (scope_id is a space_id or 'global')
+        q{
+            CREATE TABLE IF NOT EXISTS templates (
+                scope_id TEXT,
+                template_id UUID,
+                name TEXT,
+                description TEXT,
+                content TEXT,
+                created_by UUID,
+                created_at TIMESTAMP,
+                updated_at TIMESTAMP,
+                PRIMARY KEY (scope_id, template_id)
+            )
+        },
+
+        # Page comments (parent_id is the comment replied to)
+        q{
+            CREATE TABLE IF NOT EXISTS comments (
+                page_id UUID,
+                comment_id UUID,
+                parent_id UUID,
+                author_id UUID,
+                author_name TEXT,
+                content TEXT,
+                mentions LIST<TEXT>,
+                is_deleted BOOLEAN,
+                deleted_by UUID,
+                created_at TIMESTAMP,
+                updated_at TIMESTAMP,
+                edited_at TIMESTAMP,
+                PRIMARY KEY (page_id, comment_id)
+            )
+        },
     );
 
     for my $table_ddl (@tables) {
         $class->execute($table_ddl);
     }
 
+    # Columns added to existing tables; ALTER fails once a column exists
+    my @columns = (
+        [ pages => 'parent_id UUID' ],
+        [ pages => 'position INT' ],
+        [ pages => 'labels SET<TEXT>' ],
+        [ pages => 'comment_count INT' ],
+    );
+
+    for my $column (@columns) {
+        my ($table, $definition) = @$column;
+        eval { $class->execute("ALTER TABLE $table ADD $definition") };
+    }
+
     return 1;
 }
 
@@ -426,6 +575,10 @@ HSWiki::DB - Cassandra database wrapper for HSWiki
         { user_id => $id }
     );
 
+    # Conditional update
+    my $result = HSWiki::DB->update('pages', { version => 5 }, { space_id => $s, page_id => $p }, { version => 4 });
+    my $ok = HSWiki::DB->applied($result);
+
     # Delete
     HSWiki::DB->delete('users', { user_id => $id });
 
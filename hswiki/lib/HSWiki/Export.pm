@@ -0,0 +1,400 @@
+package HSWiki::Export;
+
+use strict;
+use warnings;
+
+
+use Cpanel::JSON::XS ();
+use Encode qw(encode_utf8 decode_utf8);
+use HTML::Entities qw(encode_entities);
+use IO::Compress::Zip qw($ZipError);
+use IO::Uncompress::Unzip qw($UnzipError);
+use MIME::Base64 qw(encode_base64);
+use POSIX qw(strftime);
+use HSWiki::Config;
+use HSWiki::Wiki;
+use HSWiki::Model::Page;
+use HSWiki::Model::Attachment;
+use HSWiki::Model::User;
+
+our $VERSION = '0.01';
+
+our $FORMAT = 'hswiki-space';
+our $FORMAT_VERSION = 1;
+
+my $JSON = Cpanel::JSON::XS->new->utf8->canonical->pretty;
+
+# Largest archive accepted for import, and the most it may unpack to
+sub max_archive_size {
+    my ($class) = @_;
+    return HSWiki::Config->get('import', 'max_size') // 50 * 1024 * 1024;
+}
+
+sub max_unpacked_size {
+    my ($class) = @_;
+    return $class->max_archive_size * 4;
+}
+
+# A page as Markdown (UTF-8 bytes)
+sub page_markdown {
+    my ($class, $page) = @_;
+    return encode_utf8(HSWiki::Wiki->to_markdown($page->{content}));
+}
+
+# A page as a standalone HTML document (UTF-8 bytes). Links to other pages
+# point at sibling .html files and images are embedded, so the file works
+# offline.
+sub page_html {
+    my ($class, $page, $space) = @_;
+
+    my $body = HSWiki::Model::Page->to_response($page, include_html => 1)->{content_html} // '';
+
+    $body =~ s{<a href="#" class="([^"]*wiki-link[^"]*)"( data-space="([^"]*)")? data-slug="([^"]*)"}{
+        my $href = defined $3 ? "../$3/$4.html" : "$4.html";
+        qq{<a href="$href" class="$1"};
+    }ge;
+
+    $body =~ s{<img src="/api/attachments/file/[^/"]+/([^"]+)"}{
+        qq{<img src="} . $class->_data_uri($page->{page_id}, $1) . '"';
+    }ge;
+
+    my $title = encode_entities($page->{title});
+    my $meta = encode_entities(sprintf('%s - version %d - updated %s',
+        $space->{name}, $page->{version} // 1, _date($page->{updated_at})));
+
+    return encode_utf8(<<"HTML");
+<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="generator" content="HSWiki">
+<title>$title</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; line-height: 1.6; color: #2c3e50; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+.export-meta { color: #7f8c8d; font-size: 0.9rem; }
+pre { background: #f4f4f4; padding: 1rem; border-radius: 4px; overflow-x: auto; }
+img { max-width: 100%; }
+.wiki-link-missing, .attachment-missing { color: #c0392b; }
+</style>
+</head>
+<body>
+<h1>$title</h1>
+<p class="export-meta">$meta</p>
+$body
+</body>
+</html>
+HTML
+}
+
+# data: URI for an attachment, or its server URL when the file is unreadable
+sub _data_uri {
+    my ($class, $page_id, $escaped_name) = @_;
+
+    (my $filename = $escaped_name) =~ s/%([0-9A-Fa-f]{2})/chr hex $1/ge;
+    my $attachment = HSWiki::Model::Attachment->find($page_id, $filename);
+    my $data = $attachment ? HSWiki::Model::Attachment->read_data($attachment) : undef;
+
+    return HSWiki::Model::Attachment->url($page_id, $filename) unless defined $data;
+
+    return 'data:' . HSWiki::Model::Attachment->content_type($filename) . ';base64,'
+        . encode_base64($data, '');
+}
+
+# Every page of a space as a zip: manifest.json, pages/<slug>.md and
+# attachments/<slug>/<file>. Pages are listed parents first.
+sub space_archive {
+    my ($class, $space) = @_;
+
+    my $pages = HSWiki::Model::Page->list_by_space($space->{space_id});
+    my %by_id = map { $_->{page_id} => $_ } @$pages;
+    my (%authors, @entries, @files);
+
+    my $walk;
+    $walk = sub {
+        my ($parent_id) = @_;
+        for my $summary (@{ HSWiki::Model::Page->children($space->{space_id}, $parent_id, $pages) }) {
+            my $page = HSWiki::Model::Page->find_by_id($space->{space_id}, $summary->{page_id}) or next;
+            my $slug = $page->{slug};
+
+            push @files, [ "pages/$slug.md", $class->page_markdown($page) ];
+
+            my @attachments;
+            for my $attachment (@{ HSWiki::Model::Attachment->list($page->{page_id}) }) {
+                my $data = HSWiki::Model::Attachment->read_data($attachment);
+                next unless defined $data;
+                push @files, [ "attachments/$slug/$attachment->{filename}", $data ];
+                push @attachments, $attachment->{filename};
+            }
+
+            if ($page->{author_id} && !exists $authors{ $page->{author_id} }) {
+                my $user = HSWiki::Model::User->find_by_id($page->{author_id});
+                $authors{ $page->{author_id} } = $user ? $user->{username} : undef;
+            }
+
+            my $parent = $page->{parent_id} ? $by_id{ $page->{parent_id} } : undef;
+
+            push @entries, {
+                slug        => $slug,
+                title       => $page->{title},
+                file        => "pages/$slug.md",
+                version     => $page->{version},
+                created_at  => $page->{created_at},
+                updated_at  => $page->{updated_at},
+                author      => $page->{author_id} ? $authors{ $page->{author_id} } : undef,
+                parent      => $parent ? $parent->{slug} : undef,
+                labels      => [ sort @{ $page->{labels} // [] } ],
+                attachments => \@attachments,
+            };
+
+            $walk->($page->{page_id});
+        }
+    };
+    $walk->(undef);
+
+    my $manifest = {
+        format         => $FORMAT,
+        format_version => $FORMAT_VERSION,
+        exported_at    => time() * 1000,
+        space          => {
+            space_key   => $space->{space_key},
+            name        => $space->{name},
+            description => $space->{description},
+        },
+        pages          => \@entries,
+    };
+
+    return $class->build_archive($manifest, \@files);
+}
+
+# Zip a manifest and [name, bytes] files
+sub build_archive {
+    my ($class, $manifest, $files) = @_;
+
+    my $out = '';
+    my $zip = IO::Compress::Zip->new(\$out, Name => 'manifest.json', Efs => 1)
+        or die "Cannot create archive: $ZipError\n";
+    $zip->print($JSON->encode($manifest));
+
+    for my $file (@$files) {
+        $zip->newStream(Name => $file->[0], Efs => 1);
+        $zip->print($file->[1]);
+    }
+    $zip->close;
+
+    return $out;
+}
+
+# Unpack an archive into (manifest, { name => bytes }); dies with a message
+# suitable for the user when it is not one of ours
+sub read_archive {
+    my ($class, $bytes) = @_;
+
+    my $unzip = IO::Uncompress::Unzip->new(\$bytes, Transparent => 0)
+        or die "Not a zip archive\n";
+
+    my (%files, $total);
+    my $status;
+    for ($status = 1; $status > 0; $status = $unzip->nextStream) {
+        my $header = $unzip->getHeaderInfo or die "Not a zip archive\n";
+        my $name = $header->{Name};
+        my ($data, $buffer) = ('', '');
+
+        while (($status = $unzip->read($buffer)) > 0) {
+            $data .= $buffer;
+            $total += length $buffer;
+            die "Archive unpacks to more than the allowed size\n" if $total > $class->max_unpacked_size;
+        }
+        last if $status < 0;
+
+        $files{$name} = $data unless $name =~ m{/$};
+    }
+    die "Corrupt archive: $UnzipError\n" if $status < 0;
+
+    my $manifest = eval { $JSON->decode($files{'manifest.json'} // '') };
+    unless ($manifest && ref $manifest eq 'HASH' && ($manifest->{format} // '') eq $FORMAT) {
+        die "manifest.json is missing or is not an HSWiki space export\n";
+    }
+    if (($manifest->{format_version} // 0) > $FORMAT_VERSION) {
+        die "Archive format version $manifest->{format_version} is newer than this server understands\n";
+    }
+    unless (ref $manifest->{pages} eq 'ARRAY') {
+        die "manifest.json lists no pages\n";
+    }
+
+    return ($manifest, \%files);
+}
+
+# Why an attachment listed in the manifest cannot be imported, or undef
+# when it can. $data is the file from the archive (undef when missing).
+sub attachment_problem {
+    my ($class, $name, $data) = @_;
+
+    return 'missing from the archive' unless defined $data;
+    return 'not a usable file name' unless HSWiki::Model::Attachment->sanitize_filename($name);
+
+    my $max_size = HSWiki::Model::Attachment->max_size;
+    return sprintf('larger than the %.1f MB attachment limit', $max_size / (1024 * 1024))
+        if length $data > $max_size;
+
+    return;
+}
+
+# Rebuild pages from an archive into a space. Slugs already in use are
+# skipped; parents are restored when they come first in the manifest (as
+# exports list them) or already exist in the space.
+# Returns { imported => [slugs], skipped => [{ slug, reason }], attachments => n,
+#           skipped_attachments => [{ slug, filename, reason }] }
+sub import_archive {
+    my ($class, $space, $bytes, %opts) = @_;
+
+    my ($manifest, $files) = $class->read_archive($bytes);
+    my $space_id = $space->{space_id};
+    my (@imported, @skipped, @skipped_attachments, %page_ids);
+    my $attachments = 0;
+
+    for my $entry (@{ $manifest->{pages} }) {
+        next unless ref $entry eq 'HASH';
+        my $slug = $entry->{slug} // '';
+
+        unless (length $slug && HSWiki::Wiki->slugify($slug) eq $slug) {
+            push @skipped, { slug => $slug, reason => 'invalid slug' };
+            next;
+        }
+        if (HSWiki::Model::Page->reserved_slug($slug)) {
+            push @skipped, { slug => $slug, reason => 'the slug is used by the web interface' };
+            next;
+        }
+        if (HSWiki::Model::Page->slug_exists($space_id, $slug)) {
+            push @skipped, { slug => $slug, reason => 'a page with this slug already exists' };
+            next;
+        }
+
+        my $file = $entry->{file} // "pages/$slug.md";
+        unless (defined $files->{$file}) {
+            push @skipped, { slug => $slug, reason => "$file is missing from the archive" };
+            next;
+        }
+
+        my $content = eval { decode_utf8($files->{$file}, Encode::FB_CROAK) };
+        unless (defined $content) {
+            push @skipped, { slug => $slug, reason => "$file is not UTF-8 text" };
+            next;
+        }
+
+        my $parent_id;
+        if (my $parent = $entry->{parent}) {
+            $parent_id = $page_ids{$parent};
+            unless ($parent_id) {
+                my $existing = HSWiki::Model::Page->find_by_slug($space_id, $parent);
+                $parent_id = $existing->{page_id} if $existing;
+            }
+        }
+
+        # Archives from before labels have none; invalid ones are not imported
+        my ($labels) = HSWiki::Model::Page->parse_labels($entry->{labels});
+
+        my $page = HSWiki::Model::Page->create(
+            space_id       => $space_id,
+            slug           => $slug,
+            title          => length($entry->{title} // '') ? $entry->{title} : $slug,
+            content        => $content,
+            author_id      => $opts{author_id},
+            parent_id      => $parent_id,
+            labels         => $labels // [],
+            change_summary => sprintf('Imported (was version %d, last updated %s)',
+                $entry->{version} // 1, _date($entry->{updated_at})),
+        );
+        $page_ids{$slug} = $page->{page_id};
+        push @imported, $slug;
+
+        my $attached = 0;
+        for my $name (@{ ref $entry->{attachments} eq 'ARRAY' ? $entry->{attachments} : [] }) {
+            my $data = $files->{"attachments/$slug/$name"};
+            if (my $problem = $class->attachment_problem($name, $data)) {
+                push @skipped_attachments, { slug => $slug, filename => $name, reason => $problem };
+                next;
+            }
+            my $filename = HSWiki::Model::Attachment->sanitize_filename($name);
+
+            HSWiki::Model::Attachment->create(
+                space_id    => $space_id,
+                page_id     => $page->{page_id},
+                filename    => $filename,
+                data        => $data,
+                uploaded_by => $opts{author_id},
+            );
+            $attached++;
+        }
+
+        # The page was rendered before its attachments existed
+        HSWiki::Model::Page->refresh_html($space_id, $page->{page_id}) if $attached;
+        $attachments += $attached;
+    }
+
+    return {
+        imported    => \@imported,
+        skipped     => \@skipped,
+        attachments => $attachments,
+        skipped_attachments => \@skipped_attachments,
+    };
+}
+
+# Timestamp (ms) as a UTC date for summaries
+sub _date {
+    my ($ms) = @_;
+    return 'unknown' unless $ms && $ms =~ /^\d+$/;
+    return strftime('%Y-%m-%d %H:%M UTC', gmtime($ms / 1000));
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Export - Page and space export, and space import
+
+=head1 SYNOPSIS
+
+    use HSWiki::Export;
+
+    my $markdown = HSWiki::Export->page_markdown($page);
+    my $html     = HSWiki::Export->page_html($page, $space);
+    my $zip      = HSWiki::Export->space_archive($space);
+
+    my $result = HSWiki::Export->import_archive($space, $zip, author_id => $user_id);
+    # { imported => ['home', ...], skipped => [{ slug, reason }], attachments => 3,
+    #   skipped_attachments => [{ slug, filename, reason }] }
+
+=head1 ARCHIVE FORMAT
+
+    manifest.json                  format, format_version, exported_at,
+                                   space { space_key, name, description },
+                                   pages [{ slug, title, file, version,
+                                            created_at, updated_at, author,
+                                            parent, labels, attachments }]
+    pages/<slug>.md                page content as Markdown
+    attachments/<slug>/<filename>  attached files
+
+Page files are the page content passed through
+L<HSWiki::Wiki/to_markdown>. Outside ``` code blocks it rewrites the wiki
+forms that have a Markdown equivalent:
+
+    = Heading =      # Heading        (up to six levels)
+    '''bold'''       **bold**
+    ''italic''       *italic*
+    * item           - item
+
+Everything else is left as written, so other Markdown tools show it as
+plain text:
+
+    [[Page]], [[Page|text]], [[space:Page]]   wiki links
+    {{attachment:file}}                         attachment references
+    # item                                      numbered list items (read as
+                                                headings in Markdown)
+
+HSWiki accepts both forms, so an archive imported into another space or
+server renders the same as the original. Imported pages start a new history
+at version 1; the change summary records the original version.
+
+=cut
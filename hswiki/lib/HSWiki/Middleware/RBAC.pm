@@ -105,6 +105,23 @@ sub is_space_admin {
     return HSWiki::Model::Space->is_admin($space_id, $user_id);
 }
 
+# Summarize the current user's access to a space (for the client UI).
+# Mirrors the checks the space and page controllers make.
+sub space_access {
+    my ($class, $req, $space_id) = @_;
+
+    my $write = $class->can_write_space($req, $space_id) ? 1 : 0;
+    my $admin = $class->is_space_admin($req, $space_id) ? 1 : 0;
+
+    return {
+        read         => $class->can_access_space($req, $space_id) ? 1 : 0,
+        write        => $write,
+        admin        => $admin,
+        delete_pages => $write && $class->has_permission($req, 'page:delete') ? 1 : 0,
+        delete_space => $admin || $class->has_permission($req, 'space:delete') ? 1 : 0,
+    };
+}
+
 # Middleware that requires space read access
 sub require_space_access {
     my ($class, $space_key_param) = @_;
@@ -243,6 +260,10 @@ HSWiki::Middleware::RBAC - Role-based access control middleware for HSWiki
     if (HSWiki::Middleware::RBAC->can_write_space($req, $space_id)) { ... }
     if (HSWiki::Middleware::RBAC->is_space_admin($req, $space_id)) { ... }
 
+    # Everything at once, e.g.
+    # { read => 1, write => 1, admin => 0, delete_pages => 0, delete_space => 0 }
+    my $access = HSWiki::Middleware::RBAC->space_access($req, $space_id);
+
     # Middleware usage
     $server->post('/api/spaces/:key/pages' => HSWiki::Middleware::RBAC->wrap(sub {
         my ($req) = @_;
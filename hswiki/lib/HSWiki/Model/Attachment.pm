@@ -0,0 +1,266 @@
+package HSWiki::Model::Attachment;
+
+use strict;
+use warnings;
+
+
+use HSWiki::DB;
+use HSWiki::Config;
+use File::Path qw(make_path remove_tree);
+use File::Spec;
+
+our $VERSION = '0.01';
+
+# Shown inline with <img>; everything else (SVG included) is a download
+my %IMAGE_TYPES = (
+    png  => 'image/png',
+    jpg  => 'image/jpeg',
+    jpeg => 'image/jpeg',
+    gif  => 'image/gif',
+    webp => 'image/webp',
+);
+
+my %CONTENT_TYPES = (
+    %IMAGE_TYPES,
+    pdf  => 'application/pdf',
+    txt  => 'text/plain',
+    csv  => 'text/csv',
+    json => 'application/json',
+    zip  => 'application/zip',
+);
+
+# Directory holding every page's attachments
+sub root {
+    my ($class) = @_;
+    return HSWiki::Config->get('attachments', 'path') // 'data/attachments';
+}
+
+# Largest accepted upload in bytes
+sub max_size {
+    my ($class) = @_;
+    return HSWiki::Config->get('attachments', 'max_size') // 10 * 1024 * 1024;
+}
+
+# Directory for one page's files
+sub page_dir {
+    my ($class, $page_id) = @_;
+    return File::Spec->catdir($class->root, $page_id);
+}
+
+# Path of a stored file
+sub file_path {
+    my ($class, $page_id, $filename) = @_;
+    return File::Spec->catfile($class->page_dir($page_id), $filename);
+}
+
+# Reduce an uploaded name to a safe file name: no directories, no leading
+# dot, only letters, digits, dot, dash and underscore
+sub sanitize_filename {
+    my ($class, $name) = @_;
+
+    $name //= '';
+    $name =~ s{.*[/\\]}{};
+    $name =~ s/\s+/-/g;
+    $name =~ s/[^\w.-]+/-/g;
+    $name =~ s/-{2,}/-/g;
+    $name =~ s/-+\././g;
+    $name =~ s/^[.-]+//;
+    $name = substr($name, -200) if length $name > 200;
+
+    return length $name ? $name : undef;
+}
+
+# Lowercase extension of a file name, or ''
+sub extension {
+    my ($class, $filename) = @_;
+    return $filename =~ /\.([A-Za-z0-9]+)$/ ? lc $1 : '';
+}
+
+# Whether a file is shown inline with <img>
+sub is_image {
+    my ($class, $filename) = @_;
+    return exists $IMAGE_TYPES{ $class->extension($filename) } ? 1 : 0;
+}
+
+# Content type served for a file: known extensions win over what the
+# browser claimed at upload, so a renamed file cannot become HTML
+sub content_type {
+    my ($class, $filename) = @_;
+    return $CONTENT_TYPES{ $class->extension($filename) } // 'application/octet-stream';
+}
+
+# First free name: report.pdf, report-2.pdf, report-3.pdf...
+sub unique_filename {
+    my ($class, $filename, $taken) = @_;
+
+    my %taken = map { $_ => 1 } @$taken;
+    return $filename unless $taken{$filename};
+
+    my ($stem, $ext) = $filename =~ /^(.*?)((?:\.[^.]+)?)$/;
+    my $n = 2;
+    $n++ while $taken{"$stem-$n$ext"};
+
+    return "$stem-$n$ext";
+}
+
+# Store a file and its metadata; an existing file of the same name is replaced
+sub create {
+    my ($class, %args) = @_;
+
+    my $dir = $class->page_dir($args{page_id});
+    make_path($dir) unless -d $dir;
+
+    my $path = $class->file_path($args{page_id}, $args{filename});
+    open my $fh, '>:raw', "$path.tmp" or die "Cannot write $path: $!";
+    print {$fh} $args{data};
+    close $fh or die "Cannot write $path: $!";
+    rename "$path.tmp", $path or die "Cannot write $path: $!";
+
+    my $attachment = {
+        page_id      => $args{page_id},
+        filename     => $args{filename},
+        space_id     => $args{space_id},
+        content_type => $class->content_type($args{filename}),
+        size         => length $args{data},
+        uploaded_by  => $args{uploaded_by},
+        uploaded_at  => time() * 1000,
+    };
+
+    HSWiki::DB->insert('attachments', $attachment);
+
+    return $attachment;
+}
+
+# Find one attachment of a page
+sub find {
+    my ($class, $page_id, $filename) = @_;
+
+    return HSWiki::DB->fetch_one(
+        "SELECT * FROM attachments WHERE page_id = ? AND filename = ?",
+        $page_id, $filename
+    );
+}
+
+# All attachments of a page, by file name
+sub list {
+    my ($class, $page_id) = @_;
+
+    return HSWiki::DB->fetch_all(
+        "SELECT * FROM attachments WHERE page_id = ?",
+        $page_id
+    );
+}
+
+# File contents, or undef when the file is gone from disk
+sub read_data {
+    my ($class, $attachment) = @_;
+
+    my $path = $class->file_path($attachment->{page_id}, $attachment->{filename});
+    open my $fh, '<:raw', $path or return;
+    local $/;
+    my $data = <$fh>;
+    close $fh;
+
+    return $data;
+}
+
+# Remove one attachment
+sub delete {
+    my ($class, $page_id, $filename) = @_;
+
+    HSWiki::DB->delete('attachments', {
+        page_id  => $page_id,
+        filename => $filename,
+    });
+    unlink $class->file_path($page_id, $filename);
+
+    return 1;
+}
+
+# Remove every attachment of a deleted page
+sub delete_page {
+    my ($class, $page_id) = @_;
+
+    HSWiki::DB->execute("DELETE FROM attachments WHERE page_id = ?", $page_id);
+    remove_tree($class->page_dir($page_id));
+
+    return 1;
+}
+
+# Files stay put when a page moves (they are stored by page_id);
+# only the space used for access checks changes
+sub move_page {
+    my ($class, $page_id, $space_id) = @_;
+
+    for my $attachment (@{ $class->list($page_id) }) {
+        HSWiki::DB->update('attachments', { space_id => $space_id }, {
+            page_id  => $page_id,
+            filename => $attachment->{filename},
+        });
+    }
+
+    return 1;
+}
+
+# Format attachment for API response
+sub to_response {
+    my ($class, $attachment) = @_;
+
+    return unless $attachment;
+
+    return {
+        filename     => $attachment->{filename},
+        content_type => $attachment->{content_type},
+        size         => $attachment->{size},
+        is_image     => $class->is_image($attachment->{filename}),
+        url          => $class->url($attachment->{page_id}, $attachment->{filename}),
+        uploaded_by  => $attachment->{uploaded_by},
+        uploaded_at  => $attachment->{uploaded_at},
+    };
+}
+
+# Download URL of a file
+sub url {
+    my ($class, $page_id, $filename) = @_;
+
+    my $name = $filename;
+    $name =~ s/([^\w.-])/sprintf('%%%02X', ord $1)/ge;
+
+    return "/api/attachments/file/$page_id/$name";
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Model::Attachment - Files attached to wiki pages
+
+=head1 SYNOPSIS
+
+    use HSWiki::Model::Attachment;
+
+    my $name = HSWiki::Model::Attachment->sanitize_filename('My Screenshot.png');
+    $name = HSWiki::Model::Attachment->unique_filename($name,
+        [ map { $_->{filename} } @{ HSWiki::Model::Attachment->list($page_id) } ]);
+
+    my $attachment = HSWiki::Model::Attachment->create(
+        space_id    => $space_id,
+        page_id     => $page_id,
+        filename    => $name,
+        data        => $bytes,
+        uploaded_by => $user_id,
+    );
+
+    my $bytes = HSWiki::Model::Attachment->read_data($attachment);
+    HSWiki::Model::Attachment->delete($page_id, $name);
+
+=head1 DESCRIPTION
+
+Metadata lives in the C<attachments> table; the files themselves are kept on
+the local filesystem under C<attachments.path> (default C<data/attachments>),
+one directory per page_id. Uploads larger than C<attachments.max_size>
+(default 10 MB) are refused by the controller.
+
+=cut
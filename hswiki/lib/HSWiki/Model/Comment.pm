@@ -0,0 +1,267 @@
+package HSWiki::Model::Comment;
+
+use strict;
+use warnings;
+
+
+use HSWiki::DB;
+use HSWiki::Wiki;
+use Data::UUID;
+
+our $VERSION = '0.01';
+
+my $UUID = Data::UUID->new;
+
+# Longest comment, in characters
+use constant MAX_LENGTH => 10000;
+
+# @username, not part of an email address or a longer word
+my $MENTION = qr/(?<![\w@.\-])\@([A-Za-z0-9_-]{3,32})(?![\w-])/;
+
+# Add a comment (or, with parent_id, a reply) to a page
+sub create {
+    my ($class, $page_id, %args) = @_;
+
+    my $now = time() * 1000;
+    my $comment = {
+        page_id     => $page_id,
+        comment_id  => $UUID->create_str,
+        parent_id   => $args{parent_id},
+        author_id   => $args{author_id},
+        author_name => $args{author_name},
+        content     => $args{content},
+        mentions    => $args{mentions} // [],
+        is_deleted  => 0,
+        created_at  => $now,
+        updated_at  => $now,
+    };
+
+    HSWiki::DB->insert('comments', $comment);
+
+    return $comment;
+}
+
+# Find one comment on a page
+sub find {
+    my ($class, $page_id, $comment_id) = @_;
+
+    return unless $comment_id && $comment_id =~ /^[0-9a-fA-F-]{36}$/;
+
+    return HSWiki::DB->fetch_one(
+        "SELECT * FROM comments WHERE page_id = ? AND comment_id = ?",
+        $page_id, $comment_id
+    );
+}
+
+# Every comment on a page, oldest first
+sub list {
+    my ($class, $page_id) = @_;
+
+    my $rows = HSWiki::DB->fetch_all(
+        "SELECT * FROM comments WHERE page_id = ?",
+        $page_id
+    );
+
+    return [ sort { $a->{created_at} <=> $b->{created_at} } @$rows ];
+}
+
+# Comments as a tree: top-level comments, each with its replies (oldest
+# first). Deleted comments stay as placeholders only while replies below
+# them are still there.
+sub thread {
+    my ($class, $page_id) = @_;
+
+    my $comments = $class->list($page_id);
+
+    my %replies;
+    push @{ $replies{ $_->{parent_id} // '' } }, $_ for @$comments;
+
+    my $build;
+    $build = sub {
+        my ($parent_id) = @_;
+        my @nodes;
+        for my $comment (@{ $replies{$parent_id} // [] }) {
+            my $children = $build->($comment->{comment_id});
+            next if $comment->{is_deleted} && !@$children;
+            push @nodes, { %$comment, replies => $children };
+        }
+        return \@nodes;
+    };
+
+    my $tree = $build->('');
+    undef $build;
+
+    return $tree;
+}
+
+# Comments on a page that have not been deleted
+sub count {
+    my ($class, $page_id) = @_;
+
+    my $rows = HSWiki::DB->fetch_all(
+        "SELECT comment_id, is_deleted FROM comments WHERE page_id = ?",
+        $page_id
+    );
+
+    return scalar grep { !$_->{is_deleted} } @$rows;
+}
+
+# Change the text of a comment
+sub update {
+    my ($class, $page_id, $comment_id, %args) = @_;
+
+    my $now = time() * 1000;
+
+    HSWiki::DB->update('comments', {
+        content    => $args{content},
+        mentions   => $args{mentions} // [],
+        updated_at => $now,
+        edited_at  => $now,
+    }, {
+        page_id    => $page_id,
+        comment_id => $comment_id,
+    });
+
+    return $class->find($page_id, $comment_id);
+}
+
+# Delete a comment. Its text goes; the row stays so replies keep their place.
+sub delete {
+    my ($class, $page_id, $comment_id, $deleted_by) = @_;
+
+    HSWiki::DB->update('comments', {
+        content    => '',
+        mentions   => [],
+        is_deleted => 1,
+        deleted_by => $deleted_by,
+        updated_at => time() * 1000,
+    }, {
+        page_id    => $page_id,
+        comment_id => $comment_id,
+    });
+
+    return 1;
+}
+
+# Remove every comment on a deleted page
+sub delete_page {
+    my ($class, $page_id) = @_;
+
+    HSWiki::DB->execute("DELETE FROM comments WHERE page_id = ?", $page_id);
+
+    return 1;
+}
+
+# Usernames mentioned as @username, in order of first appearance
+sub mentions {
+    my ($class, $content) = @_;
+
+    my (%seen, @names);
+    while (($content // '') =~ /$MENTION/g) {
+        push @names, $1 unless $seen{ lc $1 }++;
+    }
+
+    return \@names;
+}
+
+# Comment markup as sanitized HTML, with the known @mentions (outside
+# links and code) wrapped in <span class="mention">
+sub render {
+    my ($class, $content, %opts) = @_;
+
+    my $html = HSWiki::Wiki->render_safe($content,
+        space_id => $opts{space_id},
+        page_id  => $opts{page_id},
+    );
+
+    my %known = map { lc($_) => 1 } @{ $opts{mentions} // [] };
+    return $html unless %known;
+
+    my $skip = 0;
+    my @parts = split /(<[^>]*>)/, $html;
+    for my $part (@parts) {
+        if ($part =~ m{^<(/?)(a|code|pre)\b}i) {
+            $skip += $1 ? -1 : 1;
+            $skip = 0 if $skip < 0;
+            next;
+        }
+        next if $skip || $part =~ /^</;
+
+        $part =~ s/$MENTION/$known{lc $1} ? qq{<span class="mention">\@$1<\/span>} : "\@$1"/ge;
+    }
+
+    return join '', @parts;
+}
+
+# Format comment for API response; %opts has space_id for rendering
+sub to_response {
+    my ($class, $comment, %opts) = @_;
+
+    return unless $comment;
+
+    my $deleted = $comment->{is_deleted} ? 1 : 0;
+
+    return {
+        comment_id   => $comment->{comment_id},
+        parent_id    => $comment->{parent_id},
+        author_id    => $deleted ? undef : $comment->{author_id},
+        author_name  => $deleted ? undef : $comment->{author_name},
+        content      => $deleted ? '' : $comment->{content},
+        content_html => $deleted ? '' : $class->render($comment->{content},
+            space_id => $opts{space_id},
+            page_id  => $comment->{page_id},
+            mentions => $comment->{mentions},
+        ),
+        mentions     => [ @{ $comment->{mentions} // [] } ],
+        is_deleted   => $deleted,
+        edited_at    => $comment->{edited_at},
+        created_at   => $comment->{created_at},
+        updated_at   => $comment->{updated_at},
+        ($comment->{replies}
+            ? (replies => [ map { $class->to_response($_, %opts) } @{ $comment->{replies} } ])
+            : ()),
+    };
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Model::Comment - Threaded discussion on wiki pages
+
+=head1 SYNOPSIS
+
+    use HSWiki::Model::Comment;
+
+    my $comment = HSWiki::Model::Comment->create($page_id,
+        author_id   => $user_id,
+        author_name => 'alice',
+        content     => 'Should this mention the read replicas? @bob',
+        mentions    => ['bob'],
+    );
+
+    my $reply = HSWiki::Model::Comment->create($page_id,
+        parent_id   => $comment->{comment_id},
+        author_id   => $other_id,
+        author_name => 'bob',
+        content     => 'Added a section on them.',
+    );
+
+    my $tree = HSWiki::Model::Comment->thread($page_id);
+    # [ { comment_id, content, ..., replies => [ { ..., replies => [] } ] } ]
+
+    my $names = HSWiki::Model::Comment->mentions('Thanks @bob and @carol');
+    # ['bob', 'carol']
+
+=head1 DESCRIPTION
+
+Comments belong to a page (by page_id, so they follow it to another
+space) and may reply to another comment through C<parent_id>. Content is
+wiki markup rendered with C<HSWiki::Wiki-E<gt>render_safe>; C<mentions> holds
+the usernames of existing users mentioned in it, which C<render>
+highlights. Deleting keeps the row as a placeholder so replies stay in
+place; C<thread> leaves out deleted comments without replies.
+
+=cut
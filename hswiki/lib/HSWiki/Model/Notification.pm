@@ -0,0 +1,286 @@
+package HSWiki::Model::Notification;
+
+use strict;
+use warnings;
+
+
+use HSWiki::DB;
+use HSWiki::Model::Watch;
+use HSWiki::Model::Space;
+use HSWiki::Model::User;
+use HSWiki::Model::Role;
+use Data::UUID;
+
+our $VERSION = '0.01';
+
+my $UUID = Data::UUID->new;
+
+# Most recent notifications returned by list
+use constant LIST_LIMIT => 50;
+
+# Record a change for everyone watching the page or its space, except the
+# person who made it and watchers who can no longer read the space.
+# %change: type, page, actor_id, actor_name, version, change_summary
+# Returns the notifications created.
+sub notify_watchers {
+    my ($class, $space, %change) = @_;
+
+    my $page = $change{page};
+    my %reason;
+    $reason{$_} = 'space' for @{ HSWiki::Model::Watch->watchers($space->{space_id}) };
+    $reason{$_} = 'page' for @{ HSWiki::Model::Watch->watchers($page->{page_id}) };
+    delete $reason{ $change{actor_id} } if $change{actor_id};
+
+    my @created;
+    for my $user_id (sort keys %reason) {
+        next unless $class->_can_read($space, $user_id);
+
+        push @created, $class->create(
+            user_id        => $user_id,
+            type           => $change{type},
+            space_key      => $space->{space_key},
+            slug           => $page->{slug},
+            title          => $page->{title},
+            version        => $change{version} // $page->{version},
+            actor_id       => $change{actor_id},
+            actor_name     => $change{actor_name},
+            change_summary => $change{change_summary} // '',
+            reason         => $reason{$user_id},
+        );
+    }
+
+    return \@created;
+}
+
+# Tell users mentioned in a comment, except its author and users who cannot
+# read the space. %mention: page, user_ids, actor_id, actor_name, excerpt
+# Returns the notifications created.
+sub notify_mentions {
+    my ($class, $space, %mention) = @_;
+
+    my $page = $mention{page};
+    my %seen;
+
+    my @created;
+    for my $user_id (grep { !$seen{$_}++ } @{ $mention{user_ids} }) {
+        next if $mention{actor_id} && $user_id eq $mention{actor_id};
+        next unless $class->_can_read($space, $user_id);
+
+        push @created, $class->create(
+            user_id        => $user_id,
+            type           => 'comment_mention',
+            space_key      => $space->{space_key},
+            slug           => $page->{slug},
+            title          => $page->{title},
+            version        => $page->{version},
+            actor_id       => $mention{actor_id},
+            actor_name     => $mention{actor_name},
+            change_summary => $mention{excerpt} // '',
+            reason         => 'mention',
+        );
+    }
+
+    return \@created;
+}
+
+# Watchers lose notifications along with access to a private space
+sub _can_read {
+    my ($class, $space, $user_id) = @_;
+
+    return 1 if $space->{is_public};
+
+    my $user = HSWiki::Model::User->find_by_id($user_id);
+    return 0 unless $user && $user->{is_active};
+    return 1 if $user->{role_id} && HSWiki::Model::Role->is_admin($user->{role_id});
+
+    return HSWiki::Model::Space->can_access($space->{space_id}, $user_id);
+}
+
+# Store one notification, counted as unread
+sub create {
+    my ($class, %args) = @_;
+
+    my $notification = {
+        %args,
+        notification_id => $UUID->create_str,
+        is_read         => 0,
+        created_at      => time() * 1000,
+    };
+
+    HSWiki::DB->insert('notifications', $notification);
+    $class->_add_unread($args{user_id}, 1);
+
+    return $notification;
+}
+
+# Move a user's unread counter up or down (Cassandra counters can only be
+# incremented, never set)
+sub _add_unread {
+    my ($class, $user_id, $delta) = @_;
+
+    return unless $delta;
+
+    my $op = $delta > 0 ? '+' : '-';
+    HSWiki::DB->execute(
+        "UPDATE notification_counts SET unread = unread $op ? WHERE user_id = ?",
+        abs($delta), $user_id
+    );
+
+    return;
+}
+
+# A user's notifications, newest first (at most LIST_LIMIT), and how many
+# are unread in total. Options: unread_only
+sub list {
+    my ($class, $user_id, %opts) = @_;
+
+    my $rows = HSWiki::DB->fetch_all(
+        "SELECT * FROM notifications WHERE user_id = ?",
+        $user_id
+    );
+
+    my @unread = grep { !$_->{is_read} } @$rows;
+    my @items = sort { $b->{created_at} <=> $a->{created_at} } ($opts{unread_only} ? @unread : @$rows);
+    splice @items, LIST_LIMIT if @items > LIST_LIMIT;
+
+    # Notifications expire without touching the counter; the whole inbox is
+    # at hand here, so put it right
+    $class->_add_unread($user_id, @unread - $class->_unread_counter($user_id));
+
+    return {
+        notifications => \@items,
+        unread        => scalar @unread,
+    };
+}
+
+# The counter as stored; it can drift below zero until the next list
+sub _unread_counter {
+    my ($class, $user_id) = @_;
+
+    my $row = HSWiki::DB->fetch_one(
+        "SELECT unread FROM notification_counts WHERE user_id = ?",
+        $user_id
+    );
+
+    return $row ? ($row->{unread} // 0) + 0 : 0;
+}
+
+# Number of unread notifications, from the per-user counter
+sub unread_count {
+    my ($class, $user_id) = @_;
+
+    my $unread = $class->_unread_counter($user_id);
+    return $unread > 0 ? $unread : 0;
+}
+
+# Whether one of a user's notifications exists and is still unread
+sub _is_unread {
+    my ($class, $user_id, $notification_id) = @_;
+
+    my $row = HSWiki::DB->fetch_one(
+        "SELECT is_read FROM notifications WHERE user_id = ? AND notification_id = ?",
+        $user_id, $notification_id
+    );
+
+    return $row && !$row->{is_read};
+}
+
+# Mark some (notification_ids) or, without ids, all of a user's notifications
+# read. Returns how many were unread until now.
+sub mark_read {
+    my ($class, $user_id, $ids) = @_;
+
+    my @marked;
+    if ($ids) {
+        my %seen;
+        @marked = grep { !$seen{lc $_}++ && $class->_is_unread($user_id, $_) } @$ids;
+    } else {
+        @marked = map { $_->{notification_id} }
+            grep { !$_->{is_read} }
+            @{ HSWiki::DB->fetch_all("SELECT notification_id, is_read FROM notifications WHERE user_id = ?", $user_id) };
+    }
+
+    for my $id (@marked) {
+        HSWiki::DB->update('notifications', { is_read => 1 }, {
+            user_id         => $user_id,
+            notification_id => $id,
+        });
+    }
+
+    # Marking everything read leaves nothing unread, whatever the counter said
+    $class->_add_unread($user_id, $ids ? -@marked : -$class->_unread_counter($user_id));
+
+    return scalar @marked;
+}
+
+# Format notification for API response
+sub to_response {
+    my ($class, $notification) = @_;
+
+    return unless $notification;
+
+    return {
+        notification_id => $notification->{notification_id},
+        type            => $notification->{type},
+        space_key       => $notification->{space_key},
+        slug            => $notification->{slug},
+        title           => $notification->{title},
+        version         => $notification->{version},
+        actor_name      => $notification->{actor_name},
+        change_summary  => $notification->{change_summary},
+        reason          => $notification->{reason},
+        is_read         => $notification->{is_read} ? 1 : 0,
+        created_at      => $notification->{created_at},
+    };
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Model::Notification - Inbox entries for watched page changes
+
+=head1 SYNOPSIS
+
+    use HSWiki::Model::Notification;
+
+    # After a save, restore or delete
+    my $created = HSWiki::Model::Notification->notify_watchers($space,
+        type           => 'page_updated',
+        page           => $page,
+        actor_id       => $user_id,
+        actor_name     => 'alice',
+        change_summary => 'Fixed the restart steps',
+    );
+
+    # After a comment mentions @bob
+    HSWiki::Model::Notification->notify_mentions($space,
+        page       => $page,
+        user_ids   => [$bob_id],
+        actor_id   => $user_id,
+        actor_name => 'alice',
+        excerpt    => 'Can you check the failover steps, @bob?',
+    );
+
+    my $inbox = HSWiki::Model::Notification->list($user_id);
+    # { notifications => [...], unread => 3 }
+
+    HSWiki::Model::Notification->mark_read($user_id, [$notification_id]);
+    HSWiki::Model::Notification->mark_read($user_id);   # everything
+
+=head1 DESCRIPTION
+
+Types are C<page_updated>, C<page_restored>, C<page_deleted> and
+C<comment_mention> (from C<notify_mentions>, with the start of the comment
+as C<change_summary>). C<reason> says whether the recipient watches the
+page itself or its space, or was C<mention>ed. Rows
+expire after 90 days (the table's default TTL).
+
+C<unread_count> reads a per-user counter (C<notification_counts>) kept up
+by C<create> and C<mark_read>, so the inbox badge and pushed notifications
+never scan the inbox. Expired notifications are not subtracted; C<list>
+reads the whole inbox anyway and corrects the counter.
+
+=cut
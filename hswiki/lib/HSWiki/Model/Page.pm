@@ -6,12 +6,27 @@ use warnings;
 
 use HSWiki::DB;
 use HSWiki::Wiki;
+use HSWiki::Pager;
 use Data::UUID;
 
 our $VERSION = '0.01';
 
 my $UUID = Data::UUID->new;
 
+# Sort orders for paginate; updated and version default to newest first
+my %SORTS = (
+    title   => { key => sub { lc($_[0]{title} // '') } },
+    updated => { key => sub { $_[0]{updated_at} // 0 }, numeric => 1, desc => 1 },
+    version => { key => sub { $_[0]{version} // 0 }, numeric => 1, desc => 1 },
+);
+
+# Page slugs the web UI routes itself (/:space_key/new, /:space_key/settings)
+my @RESERVED_SLUGS = qw(new settings);
+
+# Labels: lowercase letters, digits, - and _; a page has at most MAX_LABELS
+use constant MAX_LABELS       => 20;
+use constant MAX_LABEL_LENGTH => 50;
+
 # Create a new page
 sub create {
     my ($class, %args) = @_;
@@ -26,6 +41,7 @@ sub create {
     my $content_html = HSWiki::Wiki->render_safe(
         $args{content},
         space_id => $args{space_id},
+        page_id  => $page_id,
     );
 
     my $page = {
@@ -39,6 +55,9 @@ sub create {
         version      => 1,
         created_at   => $now,
         updated_at   => $now,
+        parent_id    => $args{parent_id},
+        position     => $class->next_position($args{space_id}, $args{parent_id}),
+        labels       => $args{labels} // [],
     };
 
     # Insert into main pages table
@@ -54,6 +73,11 @@ sub create {
         updated_at => $now,
     });
 
+    # A real page now owns this slug
+    $class->delete_redirect($args{space_id}, $slug);
+
+    $class->record_links($args{space_id}, $page_id, $page->{content});
+
     # Create initial version in history
     HSWiki::DB->insert('page_versions', {
         page_id        => $page_id,
@@ -63,7 +87,7 @@ sub create {
         content_html   => $content_html,
         author_id      => $args{author_id},
         created_at     => $now,
-        change_summary => 'Initial version',
+        change_summary => $args{change_summary} // 'Initial version',
     });
 
     return $page;
@@ -104,7 +128,9 @@ sub slug_exists {
     return defined $row;
 }
 
-# Update page (creates new version)
+# Update page (creates new version). With base_version the save only goes
+# through while the page is still at that version, checked by Cassandra
+# in the same write; returns nothing when another save got there first.
 sub update {
     my ($class, $space_id, $page_id, %updates) = @_;
 
@@ -117,20 +143,23 @@ sub update {
 
     # Re-render content if changed (with space context for link resolution)
     my $content = $updates{content} // $current->{content};
-    my $content_html = HSWiki::Wiki->render_safe($content, space_id => $space_id);
+    my $content_html = HSWiki::Wiki->render_safe($content, space_id => $space_id, page_id => $page_id);
 
     # Update main page
-    HSWiki::DB->update('pages', {
+    my $result = HSWiki::DB->update('pages', {
         title        => $updates{title} // $current->{title},
         content      => $content,
         content_html => $content_html,
         author_id    => $updates{author_id} // $current->{author_id},
         version      => $new_version,
         updated_at   => $now,
+        labels       => $updates{labels} // $current->{labels} // [],
     }, {
         space_id => $space_id,
         page_id  => $page_id,
-    });
+    }, defined $updates{base_version} ? { version => $updates{base_version} } : undef);
+
+    return if defined $updates{base_version} && !HSWiki::DB->applied($result);
 
     # Update slug lookup
     HSWiki::DB->update('pages_by_slug', {
@@ -154,9 +183,29 @@ sub update {
         change_summary => $updates{change_summary} // '',
     });
 
+    $class->record_links($space_id, $page_id, $content);
+
     return $class->find_by_id($space_id, $page_id);
 }
 
+# Re-render a page's stored HTML without a new version, for changes that
+# alter how it renders but not its content (an attachment added or removed)
+sub refresh_html {
+    my ($class, $space_id, $page_id) = @_;
+
+    my $page = $class->find_by_id($space_id, $page_id);
+    return unless $page;
+
+    my $content_html = HSWiki::Wiki->render_safe($page->{content}, space_id => $space_id, page_id => $page_id);
+
+    HSWiki::DB->update('pages', { content_html => $content_html }, {
+        space_id => $space_id,
+        page_id  => $page_id,
+    });
+
+    return $content_html;
+}
+
 # Delete page
 sub delete {
     my ($class, $space_id, $page_id) = @_;
@@ -176,24 +225,589 @@ sub delete {
         page_slug => $page->{slug},
     });
 
+    # Its links no longer count; links to it now point at a wanted page
+    $class->clear_links($space_id, $page_id);
+
+    # Children move up to the deleted page's parent
+    $class->_adopt_children($space_id, $page);
+
     # Note: Not deleting version history for audit purposes
     # Could add a purge method to delete versions too
 
     return 1;
 }
 
-# List pages in a space
+# Rename a page (new version); a slug change leaves a redirect behind
+# unless keep_redirect is false
+sub rename {
+    my ($class, $space_id, $page_id, %args) = @_;
+
+    my $current = $class->find_by_id($space_id, $page_id);
+    return unless $current;
+
+    my $title = $args{title} // $current->{title};
+    my $slug = $args{slug} // $current->{slug};
+
+    if ($slug ne $current->{slug}) {
+        $class->_change_slug($current, $space_id, $slug);
+        $class->add_redirect($space_id, $current->{slug}, $space_id, $slug)
+            if $args{keep_redirect} // 1;
+    }
+
+    my $summary = $title ne $current->{title}
+        ? qq{Renamed from "$current->{title}"}
+        : "Moved from /$current->{slug}";
+
+    return $class->update($space_id, $page_id,
+        title          => $title,
+        author_id      => $args{author_id},
+        change_summary => $args{change_summary} // $summary,
+    );
+}
+
+# Move a page into another space, keeping its id and history.
+# The old location redirects to the new one.
+sub move {
+    my ($class, $space_id, $page_id, $target_space_id, %args) = @_;
+
+    my $current = $class->find_by_id($space_id, $page_id);
+    return unless $current;
+
+    my $slug = $args{slug} // $current->{slug};
+
+    # Children stay behind; the page starts at the top level of its new space
+    HSWiki::DB->insert('pages', {
+        %$current,
+        space_id  => $target_space_id,
+        slug      => $slug,
+        parent_id => undef,
+        position  => $class->next_position($target_space_id, undef),
+    });
+
+    HSWiki::DB->insert('pages_by_slug', {
+        space_id   => $target_space_id,
+        page_slug  => $slug,
+        page_id    => $page_id,
+        title      => $current->{title},
+        version    => $current->{version},
+        updated_at => $current->{updated_at},
+    });
+    $class->delete_redirect($target_space_id, $slug);
+
+    $class->delete($space_id, $page_id);
+    $class->add_redirect($space_id, $current->{slug}, $target_space_id, $slug);
+
+    # Record the move and re-render links against the new space
+    return $class->update($target_space_id, $page_id,
+        content        => $args{content},
+        author_id      => $args{author_id},
+        change_summary => $args{change_summary} // 'Moved from another space',
+    );
+}
+
+# Point a page at a new slug within its space
+sub _change_slug {
+    my ($class, $page, $space_id, $slug) = @_;
+
+    HSWiki::DB->update('pages', { slug => $slug }, {
+        space_id => $space_id,
+        page_id  => $page->{page_id},
+    });
+
+    HSWiki::DB->delete('pages_by_slug', {
+        space_id  => $space_id,
+        page_slug => $page->{slug},
+    });
+
+    HSWiki::DB->insert('pages_by_slug', {
+        space_id   => $space_id,
+        page_slug  => $slug,
+        page_id    => $page->{page_id},
+        title      => $page->{title},
+        version    => $page->{version},
+        updated_at => $page->{updated_at},
+    });
+
+    $class->delete_redirect($space_id, $slug);
+}
+
+# Remember that an old slug now lives elsewhere
+sub add_redirect {
+    my ($class, $space_id, $old_slug, $target_space_id, $target_slug) = @_;
+
+    return if $space_id eq $target_space_id && $old_slug eq $target_slug;
+
+    HSWiki::DB->insert('page_redirects', {
+        space_id        => $space_id,
+        old_slug        => $old_slug,
+        target_space_id => $target_space_id,
+        target_slug     => $target_slug,
+        created_at      => time() * 1000,
+    });
+}
+
+# Forget a redirect
+sub delete_redirect {
+    my ($class, $space_id, $old_slug) = @_;
+
+    HSWiki::DB->delete('page_redirects', {
+        space_id => $space_id,
+        old_slug => $old_slug,
+    });
+}
+
+# Follow redirects from an old slug to the page that replaced it.
+# Returns { page, space_id, space_key, is_public } or nothing.
+sub find_redirect {
+    my ($class, $space_id, $slug) = @_;
+
+    # Chains form when a page is renamed or moved more than once
+    for (1 .. 5) {
+        my $row = HSWiki::DB->fetch_one(
+            "SELECT target_space_id, target_slug FROM page_redirects WHERE space_id = ? AND old_slug = ?",
+            $space_id, $slug
+        );
+        return unless $row;
+
+        ($space_id, $slug) = ($row->{target_space_id}, $row->{target_slug});
+
+        if (my $page = $class->find_by_slug($space_id, $slug)) {
+            require HSWiki::Model::Space;
+            my $space = HSWiki::Model::Space->find_by_id($space_id);
+            return unless $space;
+
+            return {
+                page      => $page,
+                space_id  => $space_id,
+                space_key => $space->{space_key},
+                is_public => $space->{is_public},
+            };
+        }
+    }
+
+    return;
+}
+
+# Rewrite [[links]] in every page of a space (see HSWiki::Wiki->rewrite_links).
+# Each changed page gets a new version; returns the updated pages.
+sub relink {
+    my ($class, $space_id, $callback, %opts) = @_;
+
+    my @updated;
+    for my $summary (@{ $class->list_by_space($space_id) }) {
+        next if $opts{skip_page_id} && $summary->{page_id} eq $opts{skip_page_id};
+
+        my $page = $class->find_by_id($space_id, $summary->{page_id}) or next;
+        my ($content, $count) = HSWiki::Wiki->rewrite_links($page->{content}, $callback);
+        next unless $count;
+
+        push @updated, $class->update($space_id, $page->{page_id},
+            content        => $content,
+            author_id      => $opts{author_id},
+            change_summary => $opts{change_summary} // 'Updated links',
+        );
+    }
+
+    return \@updated;
+}
+
+# Rewrite the [[links]] that point at one page, wherever they are: plain
+# links in its own space and [[key:Title]] links from every other space
+# (found through the backlink index). The callback gets the link and the
+# page holding it. Each changed page gets a new version; returns the
+# updated pages.
+sub relink_page {
+    my ($class, $space_id, $slug, $callback, %opts) = @_;
+
+    my @sources = map { [ $space_id, $_->{page_id} ] } @{ $class->list_by_space($space_id) };
+    push @sources, map { [ $_->{space_id}, $_->{page_id} ] } grep { $_->{space_id} ne $space_id } @{
+        HSWiki::DB->fetch_all(
+            "SELECT space_id, page_id FROM page_backlinks WHERE target_space_id = ? AND target_slug = ?",
+            $space_id, $slug
+        )
+    };
+
+    my @updated;
+    for my $source (@sources) {
+        my ($source_space_id, $page_id) = @$source;
+        next if $opts{skip_page_id} && $page_id eq $opts{skip_page_id};
+
+        my $page = $class->find_by_id($source_space_id, $page_id) or next;
+        my ($content, $count) = HSWiki::Wiki->rewrite_links($page->{content}, sub {
+            my ($link) = @_;
+            return unless $link->{slug} eq $slug && ($link->{space_id} // $source_space_id) eq $space_id;
+            return $callback->($link, $page);
+        });
+        next unless $count;
+
+        push @updated, $class->update($source_space_id, $page_id,
+            content        => $content,
+            author_id      => $opts{author_id},
+            change_summary => $opts{change_summary} // 'Updated links',
+        );
+    }
+
+    return \@updated;
+}
+
+# Store a page's outgoing links and the reverse (backlink) index
+sub record_links {
+    my ($class, $space_id, $page_id, $content) = @_;
+
+    $class->clear_links($space_id, $page_id);
+
+    for my $link (@{ HSWiki::Wiki->links($content) }) {
+        my $target_space_id = $link->{space_id} // $space_id;
+
+        HSWiki::DB->insert('page_links', {
+            space_id        => $space_id,
+            page_id         => $page_id,
+            target_space_id => $target_space_id,
+            target_slug     => $link->{slug},
+        });
+
+        HSWiki::DB->insert('page_backlinks', {
+            target_space_id => $target_space_id,
+            target_slug     => $link->{slug},
+            space_id        => $space_id,
+            page_id         => $page_id,
+            target_title    => $link->{title},
+        });
+    }
+}
+
+# Forget a page's outgoing links
+sub clear_links {
+    my ($class, $space_id, $page_id) = @_;
+
+    my $links = HSWiki::DB->fetch_all(
+        "SELECT target_space_id, target_slug FROM page_links WHERE space_id = ? AND page_id = ?",
+        $space_id, $page_id
+    );
+
+    for my $link (@$links) {
+        HSWiki::DB->delete('page_backlinks', {
+            target_space_id => $link->{target_space_id},
+            target_slug     => $link->{target_slug},
+            space_id        => $space_id,
+            page_id         => $page_id,
+        });
+    }
+
+    HSWiki::DB->delete('page_links', {
+        space_id => $space_id,
+        page_id  => $page_id,
+    });
+}
+
+# Pages that link to a slug: [{ space_id, page_id, slug, title }], by title
+sub backlinks {
+    my ($class, $space_id, $slug) = @_;
+
+    my $rows = HSWiki::DB->fetch_all(
+        "SELECT space_id, page_id FROM page_backlinks WHERE target_space_id = ? AND target_slug = ?",
+        $space_id, $slug
+    );
+
+    my @pages;
+    for my $row (@$rows) {
+        my $page = $class->find_by_id($row->{space_id}, $row->{page_id}) or next;
+        next if $row->{space_id} eq $space_id && $page->{slug} eq $slug;
+
+        push @pages, {
+            space_id => $row->{space_id},
+            page_id  => $page->{page_id},
+            slug     => $page->{slug},
+            title    => $page->{title},
+        };
+    }
+
+    return [ sort { lc($a->{title}) cmp lc($b->{title}) } @pages ];
+}
+
+# Orphan pages (nothing else links to them) and wanted pages (linked
+# but missing) for a space.
+# Returns { orphans => [page], wanted => [{ slug, title, linked_from => [page] }] }
+sub link_report {
+    my ($class, $space_id) = @_;
+
+    my %pages = map { $_->{slug} => $_ } @{ $class->list_by_space($space_id) };
+
+    my $links = HSWiki::DB->fetch_all(
+        "SELECT target_slug, target_title, space_id, page_id FROM page_backlinks WHERE target_space_id = ?",
+        $space_id
+    );
+
+    my %incoming;
+    for my $link (@$links) {
+        my $target = $pages{ $link->{target_slug} };
+        next if $target && $link->{space_id} eq $space_id && $link->{page_id} eq $target->{page_id};
+        push @{ $incoming{ $link->{target_slug} } }, $link;
+    }
+
+    my @orphans = sort { lc($a->{title}) cmp lc($b->{title}) }
+        grep { !$incoming{ $_->{slug} } } values %pages;
+
+    my (%source, @wanted);
+    for my $slug (sort keys %incoming) {
+        next if $pages{$slug};
+        # Old slugs of renamed or moved pages still resolve
+        next if $class->find_redirect($space_id, $slug);
+
+        my @linked_from;
+        for my $link (@{ $incoming{$slug} }) {
+            my $key = "$link->{space_id}:$link->{page_id}";
+            $source{$key} //= $class->find_by_id($link->{space_id}, $link->{page_id});
+            my $page = $source{$key} or next;
+            push @linked_from, {
+                space_id => $link->{space_id},
+                page_id  => $page->{page_id},
+                slug     => $page->{slug},
+                title    => $page->{title},
+            };
+        }
+        next unless @linked_from;
+
+        push @wanted, {
+            slug        => $slug,
+            title       => $incoming{$slug}[0]{target_title} // $slug,
+            linked_from => \@linked_from,
+        };
+    }
+
+    return {
+        orphans => \@orphans,
+        wanted  => \@wanted,
+    };
+}
+
+# Turn labels from a request (a list, or a comma-separated string) into a
+# sorted list of unique labels. "Run Book" becomes run-book and a leading #
+# is dropped. Returns (\@labels) or (undef, error message).
+sub parse_labels {
+    my ($class, $input) = @_;
+
+    return ([]) unless defined $input;
+    return (undef, 'labels must be a list of labels') if ref $input && ref $input ne 'ARRAY';
+    my @raw = ref $input ? @$input : split /,/, $input;
+
+    my %labels;
+    for my $label (@raw) {
+        return (undef, 'labels must be a list of labels') if !defined $label || ref $label;
+
+        $label = lc $label;
+        $label =~ s/^\s+|\s+$//g;
+        $label =~ s/^#//;
+        $label =~ s/\s+/-/g;
+        next unless length $label;
+
+        unless ($label =~ /^[a-z0-9][a-z0-9_-]*$/ && length $label <= MAX_LABEL_LENGTH) {
+            return (undef, "Invalid label '$label': use letters, digits, - and _ (at most " . MAX_LABEL_LENGTH . ' characters)');
+        }
+        $labels{$label} = 1;
+    }
+
+    return (undef, 'A page can have at most ' . MAX_LABELS . ' labels') if keys %labels > MAX_LABELS;
+
+    return ([ sort keys %labels ]);
+}
+
+# Whether a page slug is taken by a web UI route
+sub reserved_slug {
+    my ($class, $slug) = @_;
+    return scalar grep { $_ eq $slug } @RESERVED_SLUGS;
+}
+
+# Whether a page (row with a labels column) carries a label
+sub has_label {
+    my ($class, $page, $label) = @_;
+    return scalar grep { $_ eq $label } @{ $page->{labels} // [] };
+}
+
+# Whether a page carries every one of a list of labels
+sub has_labels {
+    my ($class, $page, $labels) = @_;
+    return !grep { !$class->has_label($page, $_) } @{ $labels // [] };
+}
+
+# Every label used in a space with how many pages carry it, by label
+sub labels_in_space {
+    my ($class, $space_id) = @_;
+
+    my %count;
+    for my $page (@{ $class->list_by_space($space_id) }) {
+        $count{$_}++ for @{ $page->{labels} // [] };
+    }
+
+    return [ map { { label => $_, count => $count{$_} } } sort keys %count ];
+}
+
+# Store how many comments a page has, for page lists (see HSWiki::Model::Comment)
+sub set_comment_count {
+    my ($class, $space_id, $page_id, $count) = @_;
+
+    HSWiki::DB->update('pages', { comment_count => $count }, {
+        space_id => $space_id,
+        page_id  => $page_id,
+    });
+
+    return $count;
+}
+
+# List pages in a space (all of them unless a limit is given)
 sub list_by_space {
     my ($class, $space_id, %opts) = @_;
 
-    my $limit = $opts{limit} // 100;
+    my $query = "SELECT page_id, slug, title, version, updated_at, parent_id, position, labels, comment_count FROM pages WHERE space_id = ?";
 
-    return HSWiki::DB->fetch_all(
-        "SELECT page_id, slug, title, version, updated_at FROM pages WHERE space_id = ?",
-        $space_id
+    return HSWiki::DB->fetch_all("$query LIMIT ?", $space_id, $opts{limit} + 0)
+        if $opts{limit};
+
+    return HSWiki::DB->fetch_all($query, $space_id);
+}
+
+# Sort orders accepted by paginate
+sub sort_fields { [ sort keys %SORTS ] }
+
+# One page of a space's pages, sorted and optionally filtered by title/slug
+# and by labels (pages carrying all of them).
+# Options: sort (title|updated|version), order (asc|desc), q, labels, limit, cursor
+# Returns { items, next_cursor, total } (see HSWiki::Pager)
+sub paginate {
+    my ($class, $space_id, %opts) = @_;
+
+    my $sort = $SORTS{ $opts{sort} // '' } ? $opts{sort} : 'title';
+    my $filter = lc($opts{q} // '');
+    $filter =~ s/^\s+|\s+$//g;
+    my $labels = $opts{labels} // [];
+
+    # Stream the partition in Cassandra pages, keeping only matches
+    my @pages;
+    HSWiki::DB->each_page(
+        "SELECT page_id, slug, title, version, updated_at, parent_id, position, labels, comment_count FROM pages WHERE space_id = ?",
+        [$space_id],
+        500,
+        sub {
+            my $result = shift;
+            my $columns = $result->column_names;
+            for my $row (@{ $result->rows // [] }) {
+                my $page = { map { $columns->[$_] => $row->[$_] } 0 .. $#$columns };
+                next if length $filter
+                    && index(lc($page->{title} // ''), $filter) < 0
+                    && index($page->{slug} // '', $filter) < 0;
+                next if @$labels && !$class->has_labels($page, $labels);
+                $page->{labels} //= [];
+                $page->{comment_count} //= 0;
+                push @pages, $page;
+            }
+        }
+    );
+
+    my $desc = defined $opts{order} ? $opts{order} eq 'desc' : $SORTS{$sort}{desc};
+
+    return HSWiki::Pager->paginate(\@pages,
+        %{ $SORTS{$sort} },
+        desc   => $desc,
+        id     => 'page_id',
+        limit  => $opts{limit},
+        cursor => $opts{cursor},
     );
 }
 
+# Sibling order: position, then title (pages from before the tree have no position)
+sub _by_position {
+    return ($a->{position} // 1e9) <=> ($b->{position} // 1e9)
+        || lc($a->{title} // '') cmp lc($b->{title} // '');
+}
+
+# Children of a parent (undef = top level), in order. Pages whose parent
+# no longer exists count as top level.
+sub children {
+    my ($class, $space_id, $parent_id, $pages) = @_;
+
+    $pages //= $class->list_by_space($space_id);
+    my %exists = map { $_->{page_id} => 1 } @$pages;
+
+    my @children = grep {
+        my $parent = $_->{parent_id} && $exists{ $_->{parent_id} } ? $_->{parent_id} : '';
+        $parent eq ($parent_id // '');
+    } @$pages;
+
+    return [ sort _by_position @children ];
+}
+
+# Position for a page appended under a parent
+sub next_position {
+    my ($class, $space_id, $parent_id) = @_;
+
+    my $last = 0;
+    for my $page (@{ $class->children($space_id, $parent_id) }) {
+        $last = $page->{position} + 1 if defined $page->{position} && $page->{position} >= $last;
+    }
+
+    return $last;
+}
+
+# Parent chain of a page, top level first: [{ page_id, slug, title }]
+sub ancestors {
+    my ($class, $space_id, $page) = @_;
+
+    my (@chain, %seen);
+    my $parent_id = $page->{parent_id};
+
+    while ($parent_id && !$seen{$parent_id}++ && @chain < 50) {
+        my $parent = $class->find_by_id($space_id, $parent_id) or last;
+        unshift @chain, {
+            page_id => $parent->{page_id},
+            slug    => $parent->{slug},
+            title   => $parent->{title},
+        };
+        $parent_id = $parent->{parent_id};
+    }
+
+    return \@chain;
+}
+
+# Place a page under a parent (undef = top level) at a position among
+# its new siblings, renumbering them. Not a content change, so no new version.
+sub set_parent {
+    my ($class, $space_id, $page_id, $parent_id, $position) = @_;
+
+    my $pages = $class->list_by_space($space_id);
+    my @siblings = grep { $_->{page_id} ne $page_id } @{ $class->children($space_id, $parent_id, $pages) };
+
+    $position = @siblings if !defined $position || $position > @siblings;
+    $position = 0 if $position < 0;
+    splice @siblings, $position, 0, { page_id => $page_id, moving => 1 };
+
+    for my $i (0 .. $#siblings) {
+        my $sibling = $siblings[$i];
+        next if !$sibling->{moving} && defined $sibling->{position} && $sibling->{position} == $i;
+
+        HSWiki::DB->update('pages', {
+            position => $i,
+            ($sibling->{moving} ? (parent_id => $parent_id) : ()),
+        }, {
+            space_id => $space_id,
+            page_id  => $sibling->{page_id},
+        });
+    }
+
+    return $class->find_by_id($space_id, $page_id);
+}
+
+# Hand a removed page's children to its parent, after the existing siblings
+sub _adopt_children {
+    my ($class, $space_id, $page) = @_;
+
+    my @orphans = grep { ($_->{parent_id} // '') eq $page->{page_id} }
+        @{ $class->list_by_space($space_id) };
+
+    for my $child (sort _by_position @orphans) {
+        $class->set_parent($space_id, $child->{page_id}, $page->{parent_id});
+    }
+}
+
 # Get page version history
 sub get_versions {
     my ($class, $page_id, %opts) = @_;
@@ -232,7 +846,8 @@ sub restore_version {
     );
 }
 
-# Search pages by title (simple LIKE search)
+# Search pages by title (simple LIKE search). Options: labels - only pages
+# carrying all of them; the query may then be empty to match every such page.
 sub search {
     my ($class, $space_id, $query, %opts) = @_;
 
@@ -244,7 +859,8 @@ sub search {
     my $all_pages = $class->list_by_space($space_id);
 
     for my $page (@$all_pages) {
-        if ($page->{title} =~ /$query/i) {
+        next unless $class->has_labels($page, $opts{labels});
+        if (!defined $query || !length $query || $page->{title} =~ /$query/i) {
             push @pages, $page;
         }
     }
@@ -252,6 +868,92 @@ sub search {
     return \@pages;
 }
 
+# Split a search query into unique lowercase terms
+sub search_terms {
+    my ($class, $query) = @_;
+
+    my %seen;
+    return [ grep { length && !$seen{$_}++ } map { lc } split /\s+/, $query // '' ];
+}
+
+# Full-text search over titles and content, ranked by relevance
+# Every term must appear in the title or the body; title hits weigh more.
+# Options: labels - only pages carrying all of them
+sub search_content {
+    my ($class, $space_id, $query, %opts) = @_;
+
+    my $terms = $class->search_terms($query);
+    return [] unless @$terms;
+
+    my $phrase = join ' ', @$terms;
+
+    my $pages = HSWiki::DB->fetch_all(
+        "SELECT page_id, slug, title, content, version, updated_at, labels FROM pages WHERE space_id = ?",
+        $space_id
+    );
+
+    my @hits;
+    PAGE: for my $page (@$pages) {
+        next PAGE unless $class->has_labels($page, $opts{labels});
+
+        my $title = lc($page->{title} // '');
+        my $body  = lc($page->{content} // '');
+        my $score = 0;
+
+        for my $term (@$terms) {
+            my $re = quotemeta $term;
+            my $in_title = () = $title =~ /$re/g;
+            my $in_body  = () = $body =~ /$re/g;
+
+            next PAGE unless $in_title || $in_body;
+
+            $score += 10 if $in_title;
+            $score += 5  if $title =~ /\b$re\b/;
+            $score += $in_body > 10 ? 10 : $in_body;
+        }
+
+        # Phrase bonuses
+        $score += 100 if $title eq $phrase;
+        $score += 30  if @$terms > 1 && index($title, $phrase) >= 0;
+        $score += 5   if @$terms > 1 && index($body, $phrase) >= 0;
+
+        push @hits, {
+            page_id    => $page->{page_id},
+            slug       => $page->{slug},
+            title      => $page->{title},
+            version    => $page->{version},
+            updated_at => $page->{updated_at},
+            labels     => $page->{labels} // [],
+            score      => $score,
+            snippet    => _snippet($page->{content}, $terms),
+        };
+    }
+
+    return [ sort { $b->{score} <=> $a->{score} || lc($a->{title}) cmp lc($b->{title}) } @hits ];
+}
+
+# Plain-text excerpt around the earliest matching term
+sub _snippet {
+    my ($content, $terms, $length) = @_;
+    $length //= 160;
+
+    my $text = HSWiki::Wiki->plain_text($content);
+    my $lc_text = lc $text;
+
+    my $pos;
+    for my $term (@$terms) {
+        my $i = index($lc_text, $term);
+        $pos = $i if $i >= 0 && (!defined $pos || $i < $pos);
+    }
+
+    my $start = ($pos // 0) > 60 ? $pos - 60 : 0;
+    my $snippet = substr($text, $start, $length);
+    $snippet = "...$snippet" if $start > 0;
+    $snippet .= '...' if $start + $length < length $text;
+
+    return $snippet;
+}
+
 # Get page count for a space
 sub count_by_space {
     my ($class, $space_id) = @_;
@@ -264,6 +966,14 @@ sub count_by_space {
     return $row ? $row->{count} : 0;
 }
 
+# Count pages in all spaces
+sub count_all {
+    my ($class) = @_;
+
+    my $row = HSWiki::DB->fetch_one("SELECT COUNT(*) as count FROM pages");
+    return $row ? $row->{count} : 0;
+}
+
 # Convert page to API response format
 sub to_response {
     my ($class, $page, %opts) = @_;
@@ -271,13 +981,17 @@ sub to_response {
     return unless $page;
 
     my $response = {
-        page_id    => $page->{page_id},
-        slug       => $page->{slug},
-        title      => $page->{title},
-        version    => $page->{version},
-        author_id  => $page->{author_id},
-        created_at => $page->{created_at},
-        updated_at => $page->{updated_at},
+        page_id       => $page->{page_id},
+        slug          => $page->{slug},
+        title         => $page->{title},
+        version       => $page->{version},
+        author_id     => $page->{author_id},
+        created_at    => $page->{created_at},
+        updated_at    => $page->{updated_at},
+        parent_id     => $page->{parent_id},
+        position      => $page->{position},
+        labels        => [ sort @{ $page->{labels} // [] } ],
+        comment_count => $page->{comment_count} // 0,
     };
 
     # Include content based on options
@@ -289,6 +1003,7 @@ sub to_response {
         $response->{content_html} = HSWiki::Wiki->render_safe(
             $page->{content},
             space_id => $page->{space_id},
+            page_id  => $page->{page_id},
         );
     }
 
@@ -323,10 +1038,15 @@ HSWiki::Model::Page - Page model for HSWiki
     # Update page
     HSWiki::Model::Page->update($space_id, $page_id,
         content        => $new_content,
+        labels         => ['howto', 'onboarding'],
         author_id      => $user_id,
         change_summary => 'Updated introduction',
     );
 
+    # Only if nobody saved since version 4 (returns nothing otherwise)
+    my $saved = HSWiki::Model::Page->update($space_id, $page_id,
+        content => $new_content, author_id => $user_id, base_version => 4);
+
     # Version history
     my $versions = HSWiki::Model::Page->get_versions($page_id);
     my $old = HSWiki::Model::Page->get_version($page_id, 2);
@@ -334,6 +1054,33 @@ HSWiki::Model::Page - Page model for HSWiki
 
     # List and search
     my $pages = HSWiki::Model::Page->list_by_space($space_id);
+    my $page = HSWiki::Model::Page->paginate($space_id,
+        sort => 'updated', q => 'guide', limit => 50, cursor => $cursor);
+    my $tagged = HSWiki::Model::Page->paginate($space_id, labels => ['runbook', 'db']);
     my $results = HSWiki::Model::Page->search($space_id, 'getting');
+    my $runbooks = HSWiki::Model::Page->search($space_id, '', labels => ['runbook']);
+    my $labels = HSWiki::Model::Page->labels_in_space($space_id);   # [{ label, count }]
+    my $ranked = HSWiki::Model::Page->search_content($space_id, 'getting started');
+
+    # Rename and move; old slugs redirect to the new location
+    HSWiki::Model::Page->rename($space_id, $page_id,
+        title => 'First Steps', slug => 'first-steps', author_id => $user_id);
+    HSWiki::Model::Page->move($space_id, $page_id, $other_space_id, author_id => $user_id);
+    my $redirect = HSWiki::Model::Page->find_redirect($space_id, 'getting-started');
+
+    # Page tree
+    my $children = HSWiki::Model::Page->children($space_id, $parent_id);   # undef = top level
+    my $chain = HSWiki::Model::Page->ancestors($space_id, $page);
+    HSWiki::Model::Page->set_parent($space_id, $page_id, $parent_id, $position);
+
+    # Link graph, kept up to date on every save
+    my $incoming = HSWiki::Model::Page->backlinks($space_id, 'getting-started');
+    my $report = HSWiki::Model::Page->link_report($space_id);   # { orphans, wanted }
+
+    # Rewrite [[links]] across a space, or every link to one page
+    my $changed = HSWiki::Model::Page->relink($space_id, sub { ... },
+        author_id => $user_id, change_summary => 'Updated links');
+    my $changed = HSWiki::Model::Page->relink_page($space_id, 'getting-started',
+        sub { my ($link, $page) = @_; ... }, author_id => $user_id);
 
 =cut
@@ -32,6 +32,30 @@ my %DEFAULT_ROLES = (
     },
 );
 
+# Names of the roles created by init_defaults (cannot be edited or deleted)
+sub builtin_names {
+    my ($class) = @_;
+    return sort keys %DEFAULT_ROLES;
+}
+
+# Check if a role name is built in
+sub is_builtin {
+    my ($class, $role_name) = @_;
+    return defined $role_name && exists $DEFAULT_ROLES{$role_name};
+}
+
+# Every permission string a role can be granted
+sub all_permissions {
+    my ($class) = @_;
+    return [ @{ $DEFAULT_ROLES{admin}{permissions} } ];
+}
+
+# Check if a permission string is known
+sub is_valid_permission {
+    my ($class, $permission) = @_;
+    return defined $permission && grep { $_ eq $permission } @{ $class->all_permissions };
+}
+
 # Create a new role
 sub create {
     my ($class, %args) = @_;
@@ -227,6 +251,10 @@ HSWiki::Model::Role - Role model for HSWiki
     # Check permissions
     if (HSWiki::Model::Role->has_permission($role_id, 'page:write')) { ... }
 
+    # Permission strings for role editors
+    my $all = HSWiki::Model::Role->all_permissions;   # ['user:read', ...]
+    HSWiki::Model::Role->is_builtin('editor');         # 1
+
     # Get role IDs
     my $viewer_id = HSWiki::Model::Role->default_role_id;
     my $admin_id = HSWiki::Model::Role->admin_role_id;
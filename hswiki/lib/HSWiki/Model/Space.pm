@@ -6,6 +6,7 @@ use warnings;
 
 use HSWiki::DB;
 use HSWiki::Wiki;
+use HSWiki::Pager;
 use Data::UUID;
 
 our $VERSION = '0.01';
@@ -142,7 +143,7 @@ sub list_public {
     my $limit = $opts{limit} // 100;
 
     return HSWiki::DB->fetch_all(
-        "SELECT space_id, space_key, name, description, owner_id, created_at
+        "SELECT space_id, space_key, name, description, is_public, owner_id, created_at, updated_at
          FROM spaces WHERE is_public = ? ALLOW FILTERING",
         1
     );
@@ -158,6 +159,71 @@ sub list_for_user {
     );
 }
 
+# List spaces visible to a user: public spaces plus those they hold a permission on
+sub list_accessible {
+    my ($class, $user_id) = @_;
+
+    my @spaces = @{ $class->list_public };
+
+    if ($user_id) {
+        my $user_spaces = $class->list_for_user($user_id);
+        for my $us (@$user_spaces) {
+            # Avoid duplicates (public spaces user also has permission to)
+            my $found = grep { $_->{space_id} eq $us->{space_id} } @spaces;
+            unless ($found) {
+                my $space = $class->find_by_id($us->{space_id});
+                push @spaces, $space if $space;
+            }
+        }
+    }
+
+    return \@spaces;
+}
+
+# Sort orders for paginate_accessible; updated defaults to newest first
+my %SORTS = (
+    name    => { key => sub { lc($_[0]{name} // '') } },
+    updated => { key => sub { $_[0]{updated_at} // $_[0]{created_at} // 0 }, numeric => 1, desc => 1 },
+);
+
+# Sort orders accepted by paginate_accessible
+sub sort_fields { [ sort keys %SORTS ] }
+
+# One page of the spaces visible to a user, sorted and optionally filtered
+# by name or key. Options: sort (name|updated), order (asc|desc), q, limit, cursor
+# Returns { items, next_cursor, total } (see HSWiki::Pager)
+sub paginate_accessible {
+    my ($class, $user_id, %opts) = @_;
+
+    my $sort = $SORTS{ $opts{sort} // '' } ? $opts{sort} : 'name';
+    my $filter = lc($opts{q} // '');
+    $filter =~ s/^\s+|\s+$//g;
+
+    my @spaces = grep {
+        !length $filter
+            || index(lc($_->{name} // ''), $filter) >= 0
+            || index($_->{space_key} // '', $filter) >= 0
+    } @{ $class->list_accessible($user_id) };
+
+    my $desc = defined $opts{order} ? $opts{order} eq 'desc' : $SORTS{$sort}{desc};
+
+    return HSWiki::Pager->paginate(\@spaces,
+        %{ $SORTS{$sort} },
+        desc   => $desc,
+        id     => 'space_id',
+        limit  => $opts{limit},
+        cursor => $opts{cursor},
+    );
+}
+
+# Count all spaces
+sub count_all {
+    my ($class) = @_;
+
+    my $row = HSWiki::DB->fetch_one("SELECT COUNT(*) as count FROM spaces");
+    return $row ? $row->{count} : 0;
+}
+
 # Grant permission to user for a space
 sub grant_permission {
     my ($class, $space_id, $user_id, $permission) = @_;
@@ -300,6 +366,9 @@ HSWiki::Model::Space - Space model for HSWiki
     # List spaces
     my $public = HSWiki::Model::Space->list_public;
     my $user_spaces = HSWiki::Model::Space->list_for_user($user_id);
+    my $visible = HSWiki::Model::Space->list_accessible($user_id);
+    my $page = HSWiki::Model::Space->paginate_accessible($user_id,
+        sort => 'updated', q => 'docs', limit => 50, cursor => $cursor);
 
     # Permissions
     HSWiki::Model::Space->grant_permission($space_id, $user_id, 'write');
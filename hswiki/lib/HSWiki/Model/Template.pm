@@ -0,0 +1,172 @@
+package HSWiki::Model::Template;
+
+use strict;
+use warnings;
+
+
+use HSWiki::DB;
+use Data::UUID;
+
+our $VERSION = '0.01';
+
+my $UUID = Data::UUID->new;
+
+# scope_id of templates offered in every space
+use constant GLOBAL => 'global';
+
+# Placeholders filled in when a page is created from a template
+my @PLACEHOLDERS = qw(title author date space);
+
+# Names of the supported {{placeholders}}
+sub placeholders {
+    my ($class) = @_;
+    return [@PLACEHOLDERS];
+}
+
+# Create a template in a space (scope_id = space_id) or globally (GLOBAL)
+sub create {
+    my ($class, $scope_id, %args) = @_;
+
+    my $now = time() * 1000;
+    my $template = {
+        scope_id    => $scope_id,
+        template_id => $UUID->create_str,
+        name        => $args{name},
+        description => $args{description} // '',
+        content     => $args{content} // '',
+        created_by  => $args{created_by},
+        created_at  => $now,
+        updated_at  => $now,
+    };
+
+    HSWiki::DB->insert('templates', $template);
+
+    return $template;
+}
+
+# Find one template in a scope
+sub find {
+    my ($class, $scope_id, $template_id) = @_;
+
+    return unless $template_id && $template_id =~ /^[0-9a-fA-F-]{36}$/;
+
+    return HSWiki::DB->fetch_one(
+        "SELECT * FROM templates WHERE scope_id = ? AND template_id = ?",
+        $scope_id, $template_id
+    );
+}
+
+# Templates in one scope, by name
+sub list {
+    my ($class, $scope_id) = @_;
+
+    my $rows = HSWiki::DB->fetch_all(
+        "SELECT * FROM templates WHERE scope_id = ?",
+        $scope_id
+    );
+
+    return [ sort { lc $a->{name} cmp lc $b->{name} } @$rows ];
+}
+
+# Templates offered when creating a page in a space: its own, then global ones
+sub list_for_space {
+    my ($class, $space_id) = @_;
+    return [ @{ $class->list($space_id) }, @{ $class->list(GLOBAL) } ];
+}
+
+# Change name, description and/or content
+sub update {
+    my ($class, $scope_id, $template_id, $changes) = @_;
+
+    my %fields = map { $_ => $changes->{$_} }
+        grep { defined $changes->{$_} } qw(name description content);
+    $fields{updated_at} = time() * 1000;
+
+    HSWiki::DB->update('templates', \%fields, {
+        scope_id    => $scope_id,
+        template_id => $template_id,
+    });
+
+    return $class->find($scope_id, $template_id);
+}
+
+# Delete a template
+sub delete {
+    my ($class, $scope_id, $template_id) = @_;
+
+    HSWiki::DB->delete('templates', {
+        scope_id    => $scope_id,
+        template_id => $template_id,
+    });
+
+    return 1;
+}
+
+# Replace {{placeholder}} with values from \%vars. Unknown placeholders and
+# ones without a value are left as they are.
+sub fill {
+    my ($class, $content, $vars) = @_;
+
+    return '' unless defined $content;
+
+    my %known = map { $_ => 1 } @PLACEHOLDERS;
+    $content =~ s/\{\{\s*(\w+)\s*\}\}/
+        $known{lc $1} && defined $vars->{lc $1} ? $vars->{lc $1} : "{{$1}}"/ge;
+
+    return $content;
+}
+
+# Format template for API response
+sub to_response {
+    my ($class, $template) = @_;
+
+    return unless $template;
+
+    return {
+        template_id => $template->{template_id},
+        scope       => $template->{scope_id} eq GLOBAL ? 'global' : 'space',
+        name        => $template->{name},
+        description => $template->{description},
+        content     => $template->{content},
+        created_at  => $template->{created_at},
+        updated_at  => $template->{updated_at},
+    };
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Model::Template - Starting content for new pages
+
+=head1 SYNOPSIS
+
+    use HSWiki::Model::Template;
+
+    my $template = HSWiki::Model::Template->create($space_id,
+        name        => 'Incident postmortem',
+        description => 'Timeline, impact and follow-ups',
+        content     => "= {{title}} =\n\nWritten by {{author}} on {{date}}\n",
+        created_by  => $user_id,
+    );
+
+    # Offered in the create-page picker: the space's own, then global ones
+    my $templates = HSWiki::Model::Template->list_for_space($space_id);
+
+    my $content = HSWiki::Model::Template->fill($template->{content}, {
+        title  => 'Database failover',
+        author => 'alice',
+        date   => '2026-10-19',
+    });
+
+=head1 DESCRIPTION
+
+Templates belong to a space (C<scope_id> is its space_id) or to every space
+(C<scope_id> is C<GLOBAL>). The supported placeholders are C<{{title}}>,
+C<{{author}}>, C<{{date}}> (YYYY-MM-DD) and C<{{space}}> (the space key).
+The editor fills them in when a template is picked; C<fill> does the same
+on the server.
+
+=cut
@@ -229,7 +229,10 @@ sub list_all {
         $limit,
         sub {
             my $result = shift;
-            push @users, @{ $result->rows // [] };
+            my $columns = $result->column_names;
+            for my $row (@{ $result->rows // [] }) {
+                push @users, { map { $columns->[$_] => $row->[$_] } 0 .. $#$columns };
+            }
         }
     );
 
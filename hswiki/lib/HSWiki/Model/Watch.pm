@@ -0,0 +1,98 @@
+package HSWiki::Model::Watch;
+
+use strict;
+use warnings;
+
+
+use HSWiki::DB;
+
+our $VERSION = '0.01';
+
+# Start watching a page (by page_id) or a space (by space_id)
+sub watch {
+    my ($class, $user_id, $target_type, $target_id, $space_id) = @_;
+
+    HSWiki::DB->insert('watches', {
+        target_id   => $target_id,
+        user_id     => $user_id,
+        target_type => $target_type,
+        space_id    => $space_id,
+        created_at  => time() * 1000,
+    });
+
+    return 1;
+}
+
+# Stop watching
+sub unwatch {
+    my ($class, $user_id, $target_id) = @_;
+
+    HSWiki::DB->delete('watches', {
+        target_id => $target_id,
+        user_id   => $user_id,
+    });
+
+    return 1;
+}
+
+# Whether a user watches a page or space
+sub is_watching {
+    my ($class, $user_id, $target_id) = @_;
+
+    return 0 unless $user_id && $target_id;
+
+    my $row = HSWiki::DB->fetch_one(
+        "SELECT user_id FROM watches WHERE target_id = ? AND user_id = ?",
+        $target_id, $user_id
+    );
+
+    return $row ? 1 : 0;
+}
+
+# user_ids watching a page or space
+sub watchers {
+    my ($class, $target_id) = @_;
+
+    my $rows = HSWiki::DB->fetch_all(
+        "SELECT user_id FROM watches WHERE target_id = ?",
+        $target_id
+    );
+
+    return [ map { $_->{user_id} } @$rows ];
+}
+
+# Forget everyone watching a deleted page or space
+sub delete_target {
+    my ($class, $target_id) = @_;
+
+    HSWiki::DB->execute("DELETE FROM watches WHERE target_id = ?", $target_id);
+
+    return 1;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Model::Watch - Users watching pages and spaces for changes
+
+=head1 SYNOPSIS
+
+    use HSWiki::Model::Watch;
+
+    HSWiki::Model::Watch->watch($user_id, 'page', $page->{page_id}, $space_id);
+    HSWiki::Model::Watch->watch($user_id, 'space', $space_id, $space_id);
+
+    my $user_ids = HSWiki::Model::Watch->watchers($page->{page_id});
+
+    HSWiki::Model::Watch->unwatch($user_id, $page->{page_id});
+
+=head1 DESCRIPTION
+
+A watch is keyed by the id of what is watched, so a page keeps its
+watchers when it is renamed or moved. See L<HSWiki::Model::Notification>
+for what watchers receive.
+
+=cut
@@ -0,0 +1,110 @@
+package HSWiki::Pager;
+
+use strict;
+use warnings;
+
+
+use Encode qw(encode_utf8 decode_utf8);
+use MIME::Base64 qw(encode_base64url decode_base64url);
+
+our $VERSION = '0.01';
+
+my $DEFAULT_LIMIT = 50;
+my $MAX_LIMIT = 200;
+
+# Clamp a requested page size
+sub limit {
+    my ($class, $limit) = @_;
+
+    return $DEFAULT_LIMIT unless defined $limit && $limit =~ /^\d+$/ && $limit > 0;
+    return $limit > $MAX_LIMIT ? $MAX_LIMIT : $limit + 0;
+}
+
+# One page of a sorted list, continuing after a cursor.
+# Options:
+#   key     => sub { $item } returning the sort value
+#   numeric => compare sort values as numbers
+#   desc    => sort descending
+#   id      => field that breaks ties (unique per item)
+#   limit   => page size (see limit)
+#   cursor  => next_cursor from the previous page
+# Returns { items, next_cursor, total }; next_cursor is undef on the last page
+sub paginate {
+    my ($class, $items, %opts) = @_;
+
+    my $numeric = $opts{numeric};
+    my $dir = $opts{desc} ? -1 : 1;
+    my $id = $opts{id};
+
+    my $cmp = sub {
+        my ($x, $y) = @_;
+        my $by_value = $numeric ? $x->[0] <=> $y->[0] : $x->[0] cmp $y->[0];
+        return $dir * $by_value || $x->[1] cmp $y->[1];
+    };
+
+    my @keyed = sort { $cmp->($a, $b) }
+        map { [ $opts{key}->($_) // ($numeric ? 0 : ''), $_->{$id} // '', $_ ] } @$items;
+    my $total = @keyed;
+
+    # Keyset: everything strictly after the last item of the previous page,
+    # so pages stay consistent when items are added or removed in between
+    if (my $after = $class->decode_cursor($opts{cursor})) {
+        $after->[0] = 0 if $numeric && $after->[0] !~ /^-?\d+(?:\.\d+)?$/;
+        @keyed = grep { $cmp->($_, $after) > 0 } @keyed;
+    }
+
+    my @page = splice @keyed, 0, $class->limit($opts{limit});
+
+    return {
+        items       => [ map { $_->[2] } @page ],
+        next_cursor => @keyed ? $class->encode_cursor($page[-1]) : undef,
+        total       => $total,
+    };
+}
+
+# Opaque, URL-safe cursor from [sort value, id]
+sub encode_cursor {
+    my ($class, $keyed) = @_;
+    return encode_base64url(encode_utf8("$keyed->[0]\t$keyed->[1]"));
+}
+
+# [sort value, id] from a cursor, or nothing if it is missing or malformed
+sub decode_cursor {
+    my ($class, $cursor) = @_;
+
+    return unless defined $cursor && $cursor =~ /^[A-Za-z0-9_-]+$/;
+
+    my $text = eval { decode_utf8(decode_base64url($cursor), Encode::FB_CROAK) };
+    return unless defined $text && $text =~ /^(.*)\t([^\t]*)$/s;
+
+    return [ $1, $2 ];
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Pager - Cursor pagination for sorted lists
+
+=head1 SYNOPSIS
+
+    use HSWiki::Pager;
+
+    my $page = HSWiki::Pager->paginate(\@pages,
+        key    => sub { lc $_[0]{title} },
+        id     => 'page_id',
+        limit  => 50,
+        cursor => $req->query_param('cursor'),
+    );
+    # { items => [...], next_cursor => 'dGl0bGUJNDI', total => 230 }
+
+=head1 DESCRIPTION
+
+Cassandra can only page through a partition in clustering order, so lists
+sorted by title, date or version are read in full (streamed with
+HSWiki::DB->each_page) and paged here. Cursors name the last item returned
+(its sort value and id) rather than an offset.
+
+=cut
@@ -0,0 +1,262 @@
+package HSWiki::Realtime;
+
+use strict;
+use warnings;
+
+
+use Cpanel::JSON::XS qw(encode_json decode_json);
+use Hypersonic::WebSocket::Room;
+use HSWiki::Config;
+
+our $VERSION = '0.01';
+
+# Presence entries not refreshed by a heartbeat within this many seconds are dropped
+use constant PRESENCE_TTL => 45;
+
+# Events kept per room for connections served by other workers
+use constant EVENT_BACKLOG => 50;
+use constant EVENT_TTL     => 3600;
+
+# Redis connection
+my $REDIS;
+
+# Rooms for the connections handled by this worker
+my %ROOMS;
+
+# Get Redis connection
+sub _redis {
+    my ($class) = @_;
+
+    unless ($REDIS) {
+        require Redis;
+        my $config = HSWiki::Config->redis;
+        $REDIS = Redis->new(
+            server    => $config->{server},
+            reconnect => 60,
+            every     => 1000,
+        );
+    }
+
+    return $REDIS;
+}
+
+# Room names
+sub page_room {
+    my ($class, $space_key, $slug) = @_;
+    return "page:$space_key:$slug";
+}
+
+sub space_room {
+    my ($class, $space_key) = @_;
+    return "space:$space_key";
+}
+
+# Every signed-in connection of a user, for notifications
+sub user_room {
+    my ($class, $user_id) = @_;
+    return "user:$user_id";
+}
+
+# Get (or create) this worker's room object
+sub room {
+    my ($class, $name) = @_;
+    return $ROOMS{$name} //= Hypersonic::WebSocket::Room->new($name);
+}
+
+# Redis key prefixes
+sub _presence_key {
+    my ($class, $name) = @_;
+    return "hswiki:presence:$name";
+}
+
+sub _events_key {
+    my ($class, $name) = @_;
+    return "hswiki:events:$name";
+}
+
+# Add a connection to a room and record who it is
+sub enter {
+    my ($class, $ws, $name, $conn_id, $who) = @_;
+
+    $class->room($name)->join($ws);
+    $class->touch($name, $conn_id, $who);
+    $class->broadcast_presence($name);
+}
+
+# Remove a connection from a room
+sub leave {
+    my ($class, $ws, $name, $conn_id) = @_;
+
+    $class->room($name)->leave($ws);
+    $class->_redis->hdel($class->_presence_key($name), $conn_id);
+    $class->broadcast_presence($name);
+}
+
+# Refresh a connection's presence entry (called on join and every heartbeat)
+sub touch {
+    my ($class, $name, $conn_id, $who) = @_;
+
+    my $key = $class->_presence_key($name);
+    my $redis = $class->_redis;
+
+    $redis->hset($key, $conn_id, encode_json({
+        id       => $conn_id,
+        username => $who->{username},
+        mode     => $who->{mode} // 'viewing',
+        seen     => time(),
+    }));
+    $redis->expire($key, PRESENCE_TTL * 2);
+}
+
+# Everyone currently in a room, across all workers
+sub presence {
+    my ($class, $name) = @_;
+
+    my $key = $class->_presence_key($name);
+    my $redis = $class->_redis;
+    my %entries = $redis->hgetall($key);
+    my $cutoff = time() - PRESENCE_TTL;
+
+    my @users;
+    for my $conn_id (keys %entries) {
+        my $entry = eval { decode_json($entries{$conn_id}) };
+        if (!$entry || $entry->{seen} < $cutoff) {
+            $redis->hdel($key, $conn_id);
+            next;
+        }
+        push @users, $entry;
+    }
+
+    return [ sort { ($a->{username} // '') cmp ($b->{username} // '') } @users ];
+}
+
+sub broadcast_presence {
+    my ($class, $name) = @_;
+
+    $class->room($name)->broadcast(encode_json({
+        type  => 'presence',
+        room  => $name,
+        users => $class->presence($name),
+    }));
+}
+
+# Send an event to a room. Connections on this worker get it immediately;
+# the others pick it up from the backlog on their next heartbeat.
+sub publish {
+    my ($class, $name, $event) = @_;
+
+    my $redis = $class->_redis;
+    my $key = $class->_events_key($name);
+
+    $event->{seq} = $redis->incr('hswiki:events:seq');
+    $event->{room} = $name;
+    my $json = encode_json($event);
+
+    $redis->rpush($key, $json);
+    $redis->ltrim($key, -(EVENT_BACKLOG), -1);
+    $redis->expire($key, EVENT_TTL);
+
+    $class->room($name)->broadcast($json);
+
+    return $event;
+}
+
+# Sequence number of the most recent event (any room)
+sub current_seq {
+    my ($class) = @_;
+    return $class->_redis->get('hswiki:events:seq') // 0;
+}
+
+# Events published to a room after the given sequence number
+sub events_since {
+    my ($class, $name, $seq) = @_;
+
+    my @events = map { eval { decode_json($_) } || () }
+        $class->_redis->lrange($class->_events_key($name), 0, -1);
+
+    return [ grep { $_->{seq} > ($seq // 0) } @events ];
+}
+
+# Announce a page change to the page's room and its space's room.
+# %extra adds fields to the event (page_moved carries new_space/new_slug).
+# Never fails the request that triggered it.
+sub page_changed {
+    my ($class, $type, $space_key, $page, $username, %extra) = @_;
+
+    my $event = {
+        type       => $type,
+        space      => $space_key,
+        slug       => $page->{slug},
+        title      => $page->{title},
+        version    => $page->{version},
+        updated_at => $page->{updated_at},
+        author     => $username,
+        %extra,
+    };
+
+    eval {
+        $class->publish($class->page_room($space_key, $page->{slug}), { %$event });
+        $class->publish($class->space_room($space_key), { %$event });
+        1;
+    } or warn "Realtime publish failed: $@";
+
+    return;
+}
+
+# Push a new notification to its recipient's open tabs, with their
+# unread count. Never fails the request that triggered it.
+sub notify_user {
+    my ($class, $user_id, $notification, $unread) = @_;
+
+    eval {
+        $class->publish($class->user_room($user_id), {
+            type         => 'notification',
+            notification => $notification,
+            unread       => $unread,
+        });
+        1;
+    } or warn "Realtime publish failed: $@";
+
+    return;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Realtime - WebSocket rooms, presence and page events for HSWiki
+
+=head1 SYNOPSIS
+
+    use HSWiki::Realtime;
+
+    my $room = HSWiki::Realtime->page_room('docs', 'getting-started');
+
+    # Connection joins a room
+    HSWiki::Realtime->enter($ws, $room, $conn_id, { username => 'alice', mode => 'editing' });
+
+    # Who is here (all workers)
+    my $users = HSWiki::Realtime->presence($room);
+
+    # After a save
+    HSWiki::Realtime->page_changed('page_updated', 'docs', $page, 'alice');
+
+    # A watcher's inbox changed
+    HSWiki::Realtime->notify_user($user_id, $notification, $unread);
+
+=head1 DESCRIPTION
+
+Hypersonic rooms only span the connections of one worker process, so
+presence and events are also written to Redis. Events are delivered at
+once to connections on the publishing worker and replayed from a short
+per-room backlog when other connections send their heartbeat.
+
+=head1 REDIS KEYS
+
+    hswiki:presence:{room}  - hash of connection id => { id, username, mode, seen }
+    hswiki:events:{room}    - list of the last 50 events (JSON)
+    hswiki:events:seq       - global event sequence counter
+
+=cut
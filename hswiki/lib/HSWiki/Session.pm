@@ -92,6 +92,28 @@ sub get {
     my $config = HSWiki::Config->session;
     my $signed_cookie = $req->cookie($config->{cookie_name});
 
+    return $class->_load($signed_cookie);
+}
+
+# Get session data from a raw Cookie header (e.g. a WebSocket upgrade)
+sub get_by_cookie_header {
+    my ($class, $header) = @_;
+
+    my $config = HSWiki::Config->session;
+    my $name = $config->{cookie_name};
+
+    for my $pair (split /;\s*/, $header // '') {
+        my ($key, $value) = split /=/, $pair, 2;
+        return $class->_load($value) if defined $value && $key eq $name;
+    }
+
+    return (undef, {});
+}
+
+# Load session data for a signed cookie value
+sub _load {
+    my ($class, $signed_cookie) = @_;
+
     if ($signed_cookie) {
         my $session_id = $class->verify($signed_cookie);
         if ($session_id) {
@@ -241,6 +263,9 @@ backend storage. Sessions are shared across all Hypersonic workers.
         return $res;
     }
 
+    # Outside a regular request (WebSocket upgrade), from the Cookie header
+    my ($session_id, $data) = HSWiki::Session->get_by_cookie_header($ws->header('Cookie'));
+
 =head1 REDIS KEYS
 
 Sessions are stored with the key pattern: C<hswiki:session:{session_id}>
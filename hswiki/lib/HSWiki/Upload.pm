@@ -0,0 +1,79 @@
+package HSWiki::Upload;
+
+use strict;
+use warnings;
+
+
+use HSWiki::Model::Attachment;
+use HSWiki::Export;
+
+our $VERSION = '0.01';
+
+# Room for the request line and headers in front of an upload
+use constant HEADER_ROOM => 64 * 1024;
+
+# Receive buffer the server needs. Hypersonic reads each request in a
+# single recv into a buffer of max_request_size bytes, so it has to hold
+# the largest upload we accept (attachment or import archive) plus its
+# headers.
+sub max_request_size {
+    my ($class) = @_;
+
+    my $largest = HSWiki::Model::Attachment->max_size;
+    my $archive = HSWiki::Export->max_archive_size;
+    $largest = $archive if $archive > $largest;
+
+    return $largest + HEADER_ROOM;
+}
+
+# Check a raw upload body against its Content-Length and a size limit.
+# Returns (status, message) when it must be refused, or an empty list when
+# the whole body arrived. A body shorter than Content-Length was cut off
+# on the way in and must never be stored.
+sub body_error {
+    my ($class, $req, %opts) = @_;
+
+    my $max_size = $opts{max_size};
+    my $too_large = $opts{too_large} // 'Upload is too large';
+
+    my $body = $req->body // '';
+    my ($declared) = ($req->header('Content-Length') // '') =~ /^\s*(\d+)\s*$/;
+
+    return (413, $too_large)
+        if (defined $declared && $declared > $max_size) || length $body > $max_size;
+
+    return (400, 'The upload did not arrive complete; please try again')
+        if defined $declared && length $body < $declared;
+
+    return;
+}
+
+1;
+
+__END__
+
+=head1 NAME
+
+HSWiki::Upload - Size checks for raw request body uploads
+
+=head1 SYNOPSIS
+
+    use HSWiki::Upload;
+
+    my $server = Hypersonic->new(max_request_size => HSWiki::Upload->max_request_size);
+
+    my ($status, $message) = HSWiki::Upload->body_error($req,
+        max_size  => HSWiki::Model::Attachment->max_size,
+        too_large => 'Files are limited to 10.0 MB',
+    );
+    return res->status($status)->json({ error => $message })->finalize if $status;
+
+=head1 DESCRIPTION
+
+Attachments and space import archives are uploaded as the raw request
+body. The server only sees as much of a request as fits its receive buffer
+and arrives in one read, so a body can come in shorter than its
+C<Content-Length>. C<body_error> refuses those (400) along with bodies over
+the limit (413) instead of letting a truncated file through.
+
+=cut
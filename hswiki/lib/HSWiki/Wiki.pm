@@ -5,21 +5,25 @@ use warnings;
 
 
 use Text::WikiFormat ();
-use HTML::Entities qw(encode_entities);
+use HTML::Entities qw(encode_entities decode_entities);
 
 our $VERSION = '0.01';
 
 # Current space_id for link resolution (set during render)
 my $_current_space_id;
 
+# Current page_id for attachment resolution (set during render)
+my $_current_page_id;
+
 # Render wiki markup to HTML
 sub render {
     my ($class, $content, %opts) = @_;
 
     return '' unless defined $content;
 
-    # Store space_id for link resolution
+    # Store space_id for link resolution, page_id for attachments
     $_current_space_id = $opts{space_id};
+    $_current_page_id = $opts{page_id};
 
     # Pre-process custom syntax before Text::WikiFormat
     $content = _preprocess($content, %opts);
@@ -41,12 +45,16 @@ sub render {
 # Placeholder for wiki links during Text::WikiFormat processing
 my @_wiki_links;
 
+# Placeholder for attachments during Text::WikiFormat processing
+my @_attachments;
+
 # Pre-process custom wiki syntax
 sub _preprocess {
     my ($content, %opts) = @_;
 
-    # Reset wiki links array
+    # Reset wiki links and attachments arrays
     @_wiki_links = ();
+    @_attachments = ();
 
     # Convert ```code``` blocks to wiki code format
     $content =~ s/```(\w*)\n(.*?)```/_format_code_block($1, $2)/ges;
@@ -70,9 +78,20 @@ sub _preprocess {
     # to prevent Text::WikiFormat from processing them
     $content =~ s/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/_store_wiki_link($1, $2)/ge;
 
+    # Same for attachments {{attachment:file.png}} or {{attachment:file.pdf|Text}}
+    $content =~ s/\{\{attachment:([^}|]+)(?:\|([^}]+))?\}\}/_store_attachment($1, $2)/ge;
+
     return $content;
 }
 
+# Store attachment reference and return placeholder
+sub _store_attachment {
+    my ($filename, $text) = @_;
+    my $index = scalar @_attachments;
+    push @_attachments, { filename => $filename, text => $text };
+    return "ATTACHMENT_PLACEHOLDER_${index}_END";
+}
+
 # Store wiki link and return placeholder
 sub _store_wiki_link {
     my ($target, $text) = @_;
@@ -81,38 +100,86 @@ sub _store_wiki_link {
     return "WIKILINK_PLACEHOLDER_${index}_END";
 }
 
+# Whether links may show what a space holds. Rendered HTML is stored and
+# shown to every reader of the page, so only the page's own space and
+# public spaces are looked into.
+sub _can_resolve_in {
+    my ($space_id, $is_public) = @_;
+    return 1 if $is_public;
+    return defined $_current_space_id && $space_id eq $_current_space_id;
+}
+
+# Split a link target into (space, title). "docs:Getting Started" points
+# at a page in another space, but only when a space with that key exists.
+sub _split_target {
+    my ($target) = @_;
+
+    if ($target =~ /^([a-z0-9-]+):(\S.*)$/) {
+        my ($space_key, $title) = ($1, $2);
+        require HSWiki::Model::Space;
+        my $space = HSWiki::Model::Space->find_by_key($space_key);
+        return ($space, $title) if $space;
+    }
+
+    return (undef, $target);
+}
+
 # Format wiki link with page title resolution
 sub _format_link {
     my ($target, $text) = @_;
-    my $slug = _slugify($target);
+    my ($space, $title) = _split_target($target);
+    my $slug = _slugify($title);
+    my $space_id = $space ? $space->{space_id} : $_current_space_id;
+    my $space_key = $space ? $space->{space_key} : undef;
     my $css_class = 'wiki-link';
     my $display_text;
+    my $page;
+
+    # A private space of someone else's: keep the link as written, without
+    # telling whether the page exists
+    my $hidden = $space && !_can_resolve_in($space->{space_id}, $space->{is_public});
+
+    # Resolve the page, following rename/move redirects
+    if ($space_id && !$hidden) {
+        require HSWiki::Model::Page;
+        $page = HSWiki::Model::Page->find_by_slug($space_id, $slug);
+        unless ($page) {
+            my $redirect = HSWiki::Model::Page->find_redirect($space_id, $slug);
+            if ($redirect && !_can_resolve_in($redirect->{space_id}, $redirect->{is_public})) {
+                # Moved into a private space
+                $hidden = 1;
+            }
+            elsif ($redirect) {
+                $page = $redirect->{page};
+                $slug = $page->{slug};
+                $space_key = $redirect->{space_id} eq ($_current_space_id // '') ? undef : $redirect->{space_key};
+            }
+        }
+    }
 
     # If custom text provided, always use it
     if (defined $text && $text ne '') {
         $display_text = $text;
     }
-    # Otherwise, try to resolve page title from database
-    elsif ($_current_space_id) {
-        require HSWiki::Model::Page;
-        my $page = HSWiki::Model::Page->find_by_slug($_current_space_id, $slug);
-        if ($page) {
-            $display_text = $page->{title};
-        } else {
-            # Page doesn't exist - use original text and mark as missing
-            $display_text = $target;
-            $css_class = 'wiki-link wiki-link-missing';
-        }
+    elsif ($hidden) {
+        $display_text = $target;
+    }
+    elsif ($page) {
+        $display_text = $page->{title};
     }
     else {
-        # No space context - use original text
-        $display_text = $target;
+        # No page or no space context - use original text
+        $display_text = $title;
     }
 
-    # Generate link with data-slug for JavaScript navigation
+    # Page doesn't exist - mark as missing
+    $css_class = 'wiki-link wiki-link-missing' if $space_id && !$page && !$hidden;
+
+    # Generate link with data-slug (and data-space for other spaces) for JavaScript navigation
     my $escaped_text = encode_entities($display_text);
     my $escaped_slug = encode_entities($slug);
-    return qq{<a href="#" class="$css_class" data-slug="$escaped_slug">$escaped_text</a>};
+    my $space_attr = $space_key ? ' data-space="' . encode_entities($space_key) . '"' : '';
+    return qq{<a href="#" class="$css_class"$space_attr data-slug="$escaped_slug">$escaped_text</a>};
 }
 
 # Format code block
@@ -138,12 +205,45 @@ sub _postprocess {
     # Restore wiki link placeholders with actual HTML links
     $html =~ s/WIKILINK_PLACEHOLDER_(\d+)_END/_restore_wiki_link($1)/ge;
 
+    # Restore attachment placeholders with images or download links
+    $html =~ s/ATTACHMENT_PLACEHOLDER_(\d+)_END/_restore_attachment($1)/ge;
+
+    # Give headings anchor ids for the table of contents and #links
+    my %seen_ids;
+    $html =~ s{<h([1-6])>(.*?)</h\1>}{_format_heading($1, $2, \%seen_ids)}ges;
+
     # Auto-link URLs (but not already linked ones)
     $html =~ s{(?<![">])(https?://[^\s<>"]+)}{<a href="$1" rel="nofollow">$1</a>}g;
 
     return $html;
 }
 
+# Heading with an id from its text: "Getting Started" becomes h-getting-started.
+# Repeated headings get -2, -3... in document order, so ids stay stable as
+# long as the headings above them do.
+sub _format_heading {
+    my ($level, $inner, $seen) = @_;
+
+    my $base = __PACKAGE__->heading_id($inner);
+    my ($id, $n) = ($base, 1);
+    $id = "$base-" . ++$n while $seen->{$id};
+    $seen->{$id} = 1;
+
+    return qq{<h$level id="$id">$inner</h$level>};
+}
+
+# Anchor id for a heading's text (HTML allowed)
+sub heading_id {
+    my ($class, $text) = @_;
+
+    $text //= '';
+    $text =~ s/<[^>]*>//g;
+    $text = decode_entities($text);
+    my $slug = _slugify($text);
+
+    return 'h-' . (length $slug ? $slug : 'section');
+}
+
 # Restore wiki link from placeholder
 sub _restore_wiki_link {
     my ($index) = @_;
@@ -152,6 +252,39 @@ sub _restore_wiki_link {
     return _format_link($link->{target}, $link->{text});
 }
 
+# Restore attachment from placeholder
+sub _restore_attachment {
+    my ($index) = @_;
+    return '' unless defined $_attachments[$index];
+    my $ref = $_attachments[$index];
+    return _format_attachment($ref->{filename}, $ref->{text});
+}
+
+# Format attachment: <img> for images, a download link otherwise.
+# Files not attached to the page being rendered are marked missing.
+sub _format_attachment {
+    my ($filename, $text) = @_;
+
+    require HSWiki::Model::Attachment;
+    my $model = 'HSWiki::Model::Attachment';
+
+    $filename =~ s/^\s+|\s+$//g;
+    my $label = encode_entities(defined $text && $text ne '' ? $text : $filename);
+    my $attachment = $_current_page_id ? $model->find($_current_page_id, $filename) : undef;
+
+    unless ($attachment) {
+        return qq{<span class="attachment-missing" title="No such attachment">$label</span>};
+    }
+
+    my $url = encode_entities($model->url($_current_page_id, $filename));
+
+    if ($model->is_image($filename)) {
+        return qq{<img src="$url" alt="$label" class="wiki-image" loading="lazy">};
+    }
+
+    return qq{<a href="$url" class="attachment-link" download>$label</a>};
+}
+
 # Convert text to URL-safe slug
 sub _slugify {
     my ($text) = @_;
@@ -170,26 +303,135 @@ sub slugify {
     return _slugify($text);
 }
 
-# Extract text preview from content (first N characters)
-sub preview {
-    my ($class, $content, $length) = @_;
-    $length //= 200;
+# Rewrite [[links]] outside code blocks. The callback gets
+# { target, text, space_key, title, slug } for each link and returns
+# replacement markup, or undef to leave the link alone.
+# In list context also returns the number of links replaced.
+sub rewrite_links {
+    my ($class, $content, $callback) = @_;
+
+    return $content unless defined $content;
+
+    my $count = 0;
+    my @parts = split /(```.*?```)/s, $content;
+
+    for my $part (@parts) {
+        next if $part =~ /^```/;
+        $part =~ s{\[\[([^\]|]+)(?:\|([^\]]+))?\]\]}{
+            my ($target, $text) = ($1, $2);
+            my $replacement = $callback->($class->parse_link($target, $text));
+            defined $replacement ? do { $count++; $replacement } : "[[$target" . (defined $text ? "|$text" : '') . ']]';
+        }ge;
+    }
+
+    my $rewritten = join '', @parts;
+    return wantarray ? ($rewritten, $count) : $rewritten;
+}
+
+# Describe one link: { target, text, space_key, space_id, title, slug }
+# space_key/space_id are only set for links into another space
+sub parse_link {
+    my ($class, $target, $text) = @_;
+
+    my ($space, $title) = _split_target($target);
+
+    return {
+        target    => $target,
+        text      => $text,
+        space_key => $space ? $space->{space_key} : undef,
+        space_id  => $space ? $space->{space_id} : undef,
+        title     => $title,
+        slug      => _slugify($title),
+    };
+}
+
+# Outgoing links in markup (outside code blocks), one per target page
+sub links {
+    my ($class, $content) = @_;
+
+    my (%seen, @links);
+    $class->rewrite_links($content, sub {
+        my ($link) = @_;
+        my $key = ($link->{space_id} // '') . ":$link->{slug}";
+        push @links, $link if length $link->{slug} && !$seen{$key}++;
+        return;
+    });
+
+    return \@links;
+}
+
+# Build link markup: [[space:target|text]]
+sub link_markup {
+    my ($class, $target, $text, $space_key) = @_;
+
+    my $markup = defined $space_key ? "$space_key:$target" : $target;
+    $markup .= "|$text" if defined $text && $text ne '';
+    return "[[$markup]]";
+}
+
+# Build attachment markup: {{attachment:file|text}}
+sub attachment_markup {
+    my ($class, $filename, $text) = @_;
+
+    my $markup = "attachment:$filename";
+    $markup .= "|$text" if defined $text && $text ne '';
+    return "{{$markup}}";
+}
+
+# Rewrite wiki-only syntax (= headers =, '''bold''', ''italic'', * lists)
+# as Markdown, outside code blocks. [[links]] and {{attachment:...}} are kept,
+# so the result still renders the same when imported back.
+sub to_markdown {
+    my ($class, $content) = @_;
+
+    return '' unless defined $content;
+
+    my @parts = split /(```.*?```)/s, $content;
+
+    for my $part (@parts) {
+        next if $part =~ /^```/;
+        $part =~ s/^(={1,6})\s*(.+?)\s*=+[ \t]*$/('#' x length $1) . " $2"/gem;
+        $part =~ s/'''(.+?)'''/**$1**/g;
+        $part =~ s/''(.+?)''/*$1*/g;
+        $part =~ s/^\*[ \t]+/- /gm;
+    }
+
+    return join '', @parts;
+}
+
+# Strip wiki markup, leaving whitespace-collapsed plain text
+sub plain_text {
+    my ($class, $content) = @_;
 
     return '' unless defined $content;
 
-    # Strip wiki markup
     my $text = $content;
     $text =~ s/'''(.+?)'''/$1/g;    # bold
     $text =~ s/''(.+?)''/$1/g;       # italic
+    $text =~ s/\*\*(.+?)\*\*/$1/g;   # markdown bold
+    $text =~ s/(?<!\*)\*([^*\n]+)\*(?!\*)/$1/g;  # markdown italic
     $text =~ s/={1,6}\s*(.+?)\s*={1,6}/$1/g;  # headers
     $text =~ s/\[\[(.+?)(?:\|.+?)?\]\]/$1/g;  # links
+    $text =~ s/\{\{attachment:([^}|]+)(?:\|([^}]+))?\}\}/$2 \/\/ $1/ge;  # attachments
     $text =~ s/```.*?```//gs;         # code blocks
     $text =~ s/[*#]+\s*//g;           # list markers
 
-    # Trim and truncate
+    # Trim and collapse whitespace
     $text =~ s/^\s+|\s+$//g;
     $text =~ s/\s+/ /g;
 
+    return $text;
+}
+
+# Extract text preview from content (first N characters)
+sub preview {
+    my ($class, $content, $length) = @_;
+    $length //= 200;
+
+    return '' unless defined $content;
+
+    my $text = $class->plain_text($content);
+
     if (length($text) > $length) {
         $text = substr($text, 0, $length);
         $text =~ s/\s+\S*$/.../;
@@ -245,6 +487,10 @@ HSWiki::Wiki - Wiki markup rendering for HSWiki
     # Render with base URL for links
     my $html = HSWiki::Wiki->render($content, base_url => '/wiki/myspace');
 
+    # Resolve links and attachments of a stored page
+    my $html = HSWiki::Wiki->render($content,
+        space_id => $page->{space_id}, page_id => $page->{page_id});
+
     # Render and sanitize (safe for display)
     my $html = HSWiki::Wiki->render_safe($content);
 
@@ -254,12 +500,35 @@ HSWiki::Wiki - Wiki markup rendering for HSWiki
     # Extract text preview
     my $preview = HSWiki::Wiki->preview($content, 100);
 
+    # Strip markup entirely (search snippets)
+    my $text = HSWiki::Wiki->plain_text($content);
+
+    # Pages this markup links to
+    my $links = HSWiki::Wiki->links($content);   # [{ slug, title, space_id, ... }]
+
+    # Point links at a renamed page
+    my $updated = HSWiki::Wiki->rewrite_links($content, sub {
+        my ($link) = @_;
+        return unless $link->{slug} eq 'old-name';
+        return HSWiki::Wiki->link_markup('New Name', $link->{text});
+    });
+
+    # Markdown for export
+    my $markdown = HSWiki::Wiki->to_markdown($content);
+
+    # Anchor id of a heading (rendered headings carry it as their id)
+    my $id = HSWiki::Wiki->heading_id('Getting Started');  # "h-getting-started"
+
+    # Markup for an uploaded file
+    my $markup = HSWiki::Wiki->attachment_markup('diagram.png');  # {{attachment:diagram.png}}
+
 =head1 WIKI SYNTAX
 
     # Headers
     = Header 1 =
     == Header 2 ==
     ### Markdown-style headers work too
+    (each gets an anchor id, "== Setup ==" -> id="h-setup", for #h-setup links)
 
     # Emphasis
     '''bold text'''
@@ -269,6 +538,13 @@ HSWiki::Wiki - Wiki markup rendering for HSWiki
     # Links
     [[PageName]]
     [[PageName|Display Text]]
+    [[space-key:PageName]]     (page in another space; only public spaces
+                                are resolved, links into private ones keep
+                                their text and are never marked missing)
+
+    # Attachments of the page (images show inline, other files as download links)
+    {{attachment:diagram.png}}
+    {{attachment:report.pdf|Quarterly report}}
 
     # Lists
     * Unordered item
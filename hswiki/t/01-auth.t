@@ -1,7 +1,7 @@
 #!/usr/bin/env perl
 use strict;
 use warnings;
-use Test::More tests => 14;
+use Test::More tests => 15;
 
 use lib 'lib';
 
@@ -38,6 +38,9 @@ is(ref($errors), 'ARRAY', 'Errors returned as array');
 my $ok_errors = HSWiki::Auth->validate_password('validpassword123');
 ok(!$ok_errors, 'Valid password passes');
 
+my $rules = HSWiki::Auth->password_rules;
+ok($rules->{min_length} > length('short'), 'Password rules report the minimum length');
+
 # Test username validation
 my $username_error = HSWiki::Auth->validate_username('ab');
 ok($username_error, 'Short username fails');
@@ -10,7 +10,7 @@ eval { require Text::WikiFormat };
 if ($@) {
     plan skip_all => 'Text::WikiFormat not installed';
 } else {
-    plan tests => 12;
+    plan tests => 23;
 }
 
 use_ok('HSWiki::Wiki');
@@ -56,4 +56,36 @@ my $safe = HSWiki::Wiki->sanitize_html($unsafe);
 unlike($safe, qr/<script>/, 'Script tags removed');
 like($safe, qr/Normal text/, 'Safe text preserved');
 
+# Test link rewriting (code blocks are left alone)
+my ($rewritten, $count) = HSWiki::Wiki->rewrite_links(
+    "See [[Old Name]] and [[Old Name|the old page]] or [[Other]].\n```\n[[Old Name]]\n```",
+    sub {
+        my ($link) = @_;
+        return unless $link->{slug} eq 'old-name';
+        return HSWiki::Wiki->link_markup('New Name', $link->{text});
+    },
+);
+is($count, 2, 'Two links rewritten');
+like($rewritten, qr/See \[\[New Name\]\] and \[\[New Name\|the old page\]\] or \[\[Other\]\]/, 'Links point at the new name');
+like($rewritten, qr/```\n\[\[Old Name\]\]\n```/, 'Links inside code blocks untouched');
+
+# Outgoing links, one per target
+my $links = HSWiki::Wiki->links("[[Home]], [[home|again]] and [[Setup Guide]]\n```\n[[Hidden]]\n```");
+is_deeply([ map { $_->{slug} } @$links ], ['home', 'setup-guide'], 'Links listed once, code blocks skipped');
+
+# Attachment markup
+is(HSWiki::Wiki->attachment_markup('diagram.png'), '{{attachment:diagram.png}}', 'Attachment markup');
+is(HSWiki::Wiki->plain_text('See {{attachment:report.pdf|the report}}'), 'See the report', 'Attachments reduce to their text');
+
+# Heading anchors
+is(HSWiki::Wiki->heading_id('Getting <em>Started</em> &amp; more'), 'h-getting-started-more', 'Heading id from text');
+is(HSWiki::Wiki->heading_id('!!!'), 'h-section', 'Heading id never empty');
+my $anchored = HSWiki::Wiki->render("== Setup ==\n\n== Setup ==");
+like($anchored, qr/<h2 id="h-setup">.*<h2 id="h-setup-2">/s, 'Repeated headings get distinct ids');
+
+# Markdown export
+is(HSWiki::Wiki->to_markdown("== Setup ==\n'''Note:''' see ''this''\n* one\n* two [[Home]]"),
+    "## Setup\n**Note:** see *this*\n- one\n- two [[Home]]", 'Wiki syntax becomes Markdown');
+is(HSWiki::Wiki->to_markdown("```\n= kept =\n```"), "```\n= kept =\n```", 'Code blocks left alone');
+
 done_testing();
@@ -30,10 +30,16 @@ if ($@) {
     exit;
 }
 
-plan tests => 8;
+plan tests => 11;
 
 use_ok('HSWiki::Model::Role');
 
+# Permission catalogue
+ok(HSWiki::Model::Role->is_valid_permission('space:admin'), 'space:admin is a known permission');
+ok(!HSWiki::Model::Role->is_valid_permission('space:own'), 'Unknown permission rejected');
+ok(HSWiki::Model::Role->is_builtin('viewer') && !HSWiki::Model::Role->is_builtin('moderator'),
+   'Built-in roles recognised');
+
 # Test init_defaults
 ok(HSWiki::Model::Role->init_defaults, 'Default roles initialized');
 
@@ -0,0 +1,35 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More tests => 9;
+
+use lib 'lib';
+
+use_ok('HSWiki::Pager');
+
+my @items = map { { id => $_, title => "Page $_", version => $_ % 3 } } 1 .. 7;
+
+# Page through by title
+my $first = HSWiki::Pager->paginate(\@items, key => sub { $_[0]{title} }, id => 'id', limit => 3);
+is_deeply([ map { $_->{id} } @{ $first->{items} } ], [1, 2, 3], 'First page in title order');
+is($first->{total}, 7, 'Total counts every item');
+ok($first->{next_cursor}, 'Cursor for the next page');
+
+my $second = HSWiki::Pager->paginate(\@items,
+    key => sub { $_[0]{title} }, id => 'id', limit => 3, cursor => $first->{next_cursor});
+is_deeply([ map { $_->{id} } @{ $second->{items} } ], [4, 5, 6], 'Second page continues after the cursor');
+
+my $last = HSWiki::Pager->paginate(\@items,
+    key => sub { $_[0]{title} }, id => 'id', limit => 3, cursor => $second->{next_cursor});
+ok(!defined $last->{next_cursor}, 'No cursor after the last page');
+
+# Numeric, descending, ties broken by id
+my $by_version = HSWiki::Pager->paginate(\@items,
+    key => sub { $_[0]{version} }, numeric => 1, desc => 1, id => 'id', limit => 10);
+is_deeply([ map { $_->{id} } @{ $by_version->{items} } ], [2, 5, 1, 4, 7, 3, 6], 'Numeric descending order');
+
+# Limits and bad cursors
+is(HSWiki::Pager->limit(10_000), 200, 'Page size is capped');
+ok(!HSWiki::Pager->decode_cursor('not a cursor!'), 'Malformed cursor ignored');
+
+done_testing();
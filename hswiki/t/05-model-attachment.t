@@ -0,0 +1,25 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More tests => 10;
+
+use lib 'lib';
+
+use_ok('HSWiki::Model::Attachment');
+
+my $model = 'HSWiki::Model::Attachment';
+
+# File names
+is($model->sanitize_filename('My Screenshot (1).png'), 'My-Screenshot-1.png', 'Spaces and symbols become dashes');
+is($model->sanitize_filename('../../etc/passwd'), 'passwd', 'Directories stripped');
+is($model->sanitize_filename('.htaccess'), 'htaccess', 'No hidden files');
+is($model->sanitize_filename('///'), undef, 'Nothing left is no name');
+
+# Name clashes
+is($model->unique_filename('a.png', ['b.png']), 'a.png', 'Free name kept');
+is($model->unique_filename('a.png', ['a.png', 'a-2.png']), 'a-3.png', 'Taken name gets a suffix');
+
+# Types
+ok($model->is_image('photo.JPG'), 'JPEG is an image');
+ok(!$model->is_image('drawing.svg'), 'SVG is not shown inline');
+is($model->content_type('page.html'), 'application/octet-stream', 'Unknown types are served as binary');
@@ -0,0 +1,38 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More tests => 10;
+
+use lib 'lib';
+
+use_ok('HSWiki::Export');
+
+# Archives round-trip
+my $manifest = {
+    format         => 'hswiki-space',
+    format_version => 1,
+    pages          => [{ slug => 'home', title => 'Home', file => 'pages/home.md' }],
+};
+my $zip = HSWiki::Export->build_archive($manifest, [
+    [ 'pages/home.md', "# Welcome\n" ],
+    [ 'attachments/home/logo.png', "\x89PNG\r\n" ],
+]);
+
+my ($read, $files) = HSWiki::Export->read_archive($zip);
+is_deeply($read->{pages}, $manifest->{pages}, 'Manifest read back');
+is($files->{'pages/home.md'}, "# Welcome\n", 'Page file read back');
+is($files->{'attachments/home/logo.png'}, "\x89PNG\r\n", 'Binary attachment read back');
+
+# Anything else is refused
+eval { HSWiki::Export->read_archive('not a zip') };
+like($@, qr/Not a zip archive/, 'Non-zip refused');
+
+eval { HSWiki::Export->read_archive(HSWiki::Export->build_archive({ format => 'other' }, [])) };
+like($@, qr/not an HSWiki space export/, 'Foreign manifest refused');
+
+# Attachments an import has to leave out, and why
+is(HSWiki::Export->attachment_problem('logo.png', "\x89PNG\r\n"), undef, 'Usable attachment accepted');
+is(HSWiki::Export->attachment_problem('logo.png', undef), 'missing from the archive', 'Missing file reported');
+is(HSWiki::Export->attachment_problem('...', 'data'), 'not a usable file name', 'Unusable name reported');
+like(HSWiki::Export->attachment_problem('big.bin', 'x' x (HSWiki::Model::Attachment->max_size + 1)),
+    qr/larger than the .* attachment limit/, 'Oversized file reported');
@@ -0,0 +1,20 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More tests => 7;
+
+use lib 'lib';
+
+use_ok('HSWiki::Model::Template');
+
+my $model = 'HSWiki::Model::Template';
+my %vars = (title => 'DB failover', author => 'alice', date => '2026-10-19', space => 'ops');
+
+# Placeholders
+is($model->fill('= {{title}} =', \%vars), '= DB failover =', 'Title filled in');
+is($model->fill('By {{ author }} on {{DATE}}', \%vars), 'By alice on 2026-10-19', 'Spaces and case ignored');
+is($model->fill('{{owner}} in {{space}}', \%vars), '{{owner}} in ops', 'Unknown placeholders kept');
+is($model->fill('= {{title}} =', { author => 'alice' }), '= {{title}} =', 'Placeholders without a value kept');
+is($model->fill(undef, \%vars), '', 'No content is empty');
+
+is_deeply($model->placeholders, [qw(title author date space)], 'Supported placeholders');
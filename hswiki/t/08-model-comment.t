@@ -0,0 +1,31 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More tests => 7;
+
+use lib 'lib';
+
+use_ok('HSWiki::Model::Comment');
+
+my $model = 'HSWiki::Model::Comment';
+
+# Mentions
+is_deeply($model->mentions('Thanks @bob and @carol-ops!'), ['bob', 'carol-ops'], 'Mentions found in order');
+is_deeply($model->mentions('@bob, ping @Bob again'), ['bob'], 'Repeated mentions listed once');
+is_deeply($model->mentions('Mail alice@example.com'), [], 'Email addresses are not mentions');
+is_deeply($model->mentions('@al is too short'), [], 'Names shorter than a username ignored');
+is_deeply($model->mentions(undef), [], 'No content, no mentions');
+
+# Deleted comments keep their place but lose author and text
+my $response = $model->to_response({
+    page_id     => 'p1',
+    comment_id  => 'c1',
+    author_id   => 'u1',
+    author_name => 'alice',
+    content     => 'Gone',
+    mentions    => [],
+    is_deleted  => 1,
+    replies     => [],
+});
+is_deeply([ @$response{qw(author_name content content_html is_deleted replies)} ], [undef, '', '', 1, []],
+    'Deleted comment is a placeholder');
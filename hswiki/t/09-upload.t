@@ -0,0 +1,45 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More tests => 9;
+
+use lib 'lib';
+
+use_ok('HSWiki::Upload');
+
+# Just enough of a Hypersonic request for body_error
+{
+    package Local::Request;
+    sub new { my ($class, %args) = @_; return bless { %args }, $class }
+    sub body { $_[0]{body} }
+    sub header { my ($self, $name) = @_; return $self->{headers}{lc $name} }
+}
+
+sub request {
+    my ($body, $length) = @_;
+    return Local::Request->new(body => $body, headers => { 'content-length' => $length });
+}
+
+my $upload = 'HSWiki::Upload';
+my $max = 64 * 1024;
+my $file = 'x' x (20 * 1024);
+
+ok(!$upload->body_error(request($file, length $file), max_size => $max), 'A complete 20 KB upload is accepted');
+ok(!$upload->body_error(request($file, undef), max_size => $max), 'No Content-Length goes by the body');
+
+# Hypersonic reads a request in one recv of max_request_size (8 KB by
+# default), which cuts a bigger body short
+my @cut = $upload->body_error(request(substr($file, 0, 8192 - 200), length $file), max_size => $max);
+is($cut[0], 400, 'A body shorter than Content-Length is refused');
+
+my @declared = $upload->body_error(request(substr($file, 0, 1024), $max + 1),
+    max_size => $max, too_large => 'Files are limited to 0.1 MB');
+is_deeply(\@declared, [413, 'Files are limited to 0.1 MB'], 'Content-Length over the limit is refused as too large');
+
+my @big = $upload->body_error(request('x' x ($max + 1), undef), max_size => $max);
+is($big[0], 413, 'A body over the limit is refused');
+
+# The server buffer holds the largest attachment or archive and its headers
+cmp_ok($upload->max_request_size, '>', HSWiki::Model::Attachment->max_size, 'Request buffer fits the largest attachment');
+cmp_ok($upload->max_request_size, '>', HSWiki::Export->max_archive_size, 'Request buffer fits the largest import archive');
+cmp_ok($upload->max_request_size, '>', 8192, 'Request buffer is above the 8 KB default');
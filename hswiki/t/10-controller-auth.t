@@ -15,5 +15,7 @@ can_ok('HSWiki::Controller::Auth', 'login');
 can_ok('HSWiki::Controller::Auth', 'logout');
 can_ok('HSWiki::Controller::Auth', 'me');
 can_ok('HSWiki::Controller::Auth', 'change_password');
+can_ok('HSWiki::Controller::Auth', 'password_rules');
+can_ok('HSWiki::Controller::Auth', 'show_api_key');
 
 done_testing();
@@ -17,5 +17,14 @@ can_ok('HSWiki::Controller::Space', 'update');
 can_ok('HSWiki::Controller::Space', 'delete');
 can_ok('HSWiki::Controller::Space', 'grant_permission');
 can_ok('HSWiki::Controller::Space', 'revoke_permission');
+can_ok('HSWiki::Controller::Space', 'export');
+can_ok('HSWiki::Controller::Space', 'import_pages');
+
+# Keys that would be hidden behind a web UI route
+ok(HSWiki::Controller::Space->reserved_key('search'), 'search is reserved');
+ok(HSWiki::Controller::Space->reserved_key('admin'), 'admin is reserved');
+ok(HSWiki::Controller::Space->reserved_key('account'), 'account is reserved');
+ok(HSWiki::Controller::Space->reserved_key('notifications'), 'notifications is reserved');
+ok(!HSWiki::Controller::Space->reserved_key('docs'), 'Ordinary keys are free');
 
 done_testing();
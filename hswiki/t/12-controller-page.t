@@ -11,6 +11,8 @@ use_ok('HSWiki::Controller::Page');
 # Test that controller can be loaded
 can_ok('HSWiki::Controller::Page', 'register');
 can_ok('HSWiki::Controller::Page', 'list');
+can_ok('HSWiki::Controller::Page', 'tree');
+can_ok('HSWiki::Controller::Page', 'export');
 can_ok('HSWiki::Controller::Page', 'create');
 can_ok('HSWiki::Controller::Page', 'get');
 can_ok('HSWiki::Controller::Page', 'update');
@@ -18,5 +20,11 @@ can_ok('HSWiki::Controller::Page', 'delete');
 can_ok('HSWiki::Controller::Page', 'versions');
 can_ok('HSWiki::Controller::Page', 'get_version');
 can_ok('HSWiki::Controller::Page', 'restore');
+can_ok('HSWiki::Controller::Page', 'rename');
+can_ok('HSWiki::Controller::Page', 'move');
+can_ok('HSWiki::Controller::Page', 'backlinks');
+can_ok('HSWiki::Controller::Page', 'link_report');
+can_ok('HSWiki::Controller::Page', 'reparent');
+can_ok('HSWiki::Controller::Page', 'labels');
 
 done_testing();
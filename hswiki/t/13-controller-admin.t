@@ -16,5 +16,8 @@ can_ok('HSWiki::Controller::Admin', 'update_user');
 can_ok('HSWiki::Controller::Admin', 'deactivate_user');
 can_ok('HSWiki::Controller::Admin', 'list_roles');
 can_ok('HSWiki::Controller::Admin', 'create_role');
+can_ok('HSWiki::Controller::Admin', 'update_role');
+can_ok('HSWiki::Controller::Admin', 'delete_role');
+can_ok('HSWiki::Controller::Admin', 'stats');
 
 done_testing();
@@ -0,0 +1,22 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More;
+
+use lib 'lib';
+
+# Load modules
+use_ok('HSWiki::Controller::Search');
+
+# Test that controller can be loaded
+can_ok('HSWiki::Controller::Search', 'register');
+can_ok('HSWiki::Controller::Search', 'search');
+can_ok('HSWiki::Controller::Search', 'titles');
+
+# Search helpers on the page model
+can_ok('HSWiki::Model::Page', 'search_terms');
+can_ok('HSWiki::Model::Page', 'search_content');
+is_deeply(HSWiki::Model::Page->search_terms('  Deploy  deploy Runbook '), ['deploy', 'runbook'],
+    'Search terms are lowercased and deduplicated');
+
+done_testing();
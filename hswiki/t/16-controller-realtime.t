@@ -0,0 +1,23 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More;
+
+use lib 'lib';
+
+# Load modules
+use_ok('HSWiki::Controller::Realtime');
+
+# Test that controller can be loaded
+can_ok('HSWiki::Controller::Realtime', 'register');
+can_ok('HSWiki::Controller::Realtime', 'connection');
+can_ok('HSWiki::Controller::Realtime', 'handle_message');
+
+# Room and event helpers
+can_ok('HSWiki::Realtime', qw(enter leave touch presence publish current_seq events_since page_changed));
+is(HSWiki::Realtime->page_room('docs', 'intro'), 'page:docs:intro', 'Page room name');
+is(HSWiki::Realtime->space_room('docs'), 'space:docs', 'Space room name');
+is(HSWiki::Realtime->user_room('u-1'), 'user:u-1', 'User room name');
+can_ok('HSWiki::Realtime', 'notify_user');
+
+done_testing();
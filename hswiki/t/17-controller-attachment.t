@@ -0,0 +1,18 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More;
+
+use lib 'lib';
+
+# Load modules
+use_ok('HSWiki::Controller::Attachment');
+
+# Test that controller can be loaded
+can_ok('HSWiki::Controller::Attachment', 'register');
+can_ok('HSWiki::Controller::Attachment', 'list');
+can_ok('HSWiki::Controller::Attachment', 'upload');
+can_ok('HSWiki::Controller::Attachment', 'delete');
+can_ok('HSWiki::Controller::Attachment', 'download');
+
+done_testing();
@@ -0,0 +1,23 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More;
+
+use lib 'lib';
+
+# Load modules
+use_ok('HSWiki::Controller::Notification');
+
+# Test that controller can be loaded
+can_ok('HSWiki::Controller::Notification', 'register');
+can_ok('HSWiki::Controller::Notification', 'list');
+can_ok('HSWiki::Controller::Notification', 'mark_read');
+can_ok('HSWiki::Controller::Notification', 'watch_space');
+can_ok('HSWiki::Controller::Notification', 'watch_page');
+
+# Models behind it
+can_ok('HSWiki::Model::Watch', qw(watch unwatch is_watching watchers delete_target));
+can_ok('HSWiki::Model::Notification', qw(notify_watchers create list unread_count mark_read to_response));
+ok(!HSWiki::Model::Watch->is_watching(undef, 'page-id'), 'Anonymous users watch nothing');
+
+done_testing();
@@ -0,0 +1,22 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More;
+
+use lib 'lib';
+
+# Load modules
+use_ok('HSWiki::Controller::Template');
+
+# Test that controller can be loaded
+can_ok('HSWiki::Controller::Template', 'register');
+can_ok('HSWiki::Controller::Template', 'list');
+can_ok('HSWiki::Controller::Template', 'create');
+can_ok('HSWiki::Controller::Template', 'update');
+can_ok('HSWiki::Controller::Template', 'delete');
+can_ok('HSWiki::Controller::Template', 'apply');
+
+# Model behind it
+can_ok('HSWiki::Model::Template', qw(create find list list_for_space update delete fill to_response));
+
+done_testing();
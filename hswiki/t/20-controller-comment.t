@@ -0,0 +1,23 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More;
+
+use lib 'lib';
+
+# Load modules
+use_ok('HSWiki::Controller::Comment');
+
+# Test that controller can be loaded
+can_ok('HSWiki::Controller::Comment', 'register');
+can_ok('HSWiki::Controller::Comment', 'list');
+can_ok('HSWiki::Controller::Comment', 'create');
+can_ok('HSWiki::Controller::Comment', 'update');
+can_ok('HSWiki::Controller::Comment', 'delete');
+
+# Models behind it
+can_ok('HSWiki::Model::Comment', qw(create find list thread count update delete delete_page mentions render to_response));
+can_ok('HSWiki::Model::Page', 'set_comment_count');
+can_ok('HSWiki::Model::Notification', 'notify_mentions');
+
+done_testing();
@@ -0,0 +1,59 @@
+#!/usr/bin/env perl
+use strict;
+use warnings;
+use Test::More tests => 19;
+
+use lib 'lib';
+
+use_ok('HSWiki::Model::Page');
+can_ok('HSWiki::Model::Page', 'refresh_html');
+
+my $model = 'HSWiki::Model::Page';
+
+# Labels
+is_deeply([$model->parse_labels(['Runbook', ' #deprecated ', 'runbook'])], [['deprecated', 'runbook']], 'Labels lowercased, deduplicated and sorted');
+is_deeply([$model->parse_labels('On Call, db')], [['db', 'on-call']], 'Comma-separated labels; spaces become dashes');
+is_deeply([$model->parse_labels(undef)], [[]], 'No labels');
+ok(!($model->parse_labels(['a/b']))[0], 'Slashes are not allowed');
+ok(!($model->parse_labels([map { "l$_" } 1 .. 21]))[0], 'At most 20 labels');
+ok($model->has_label({ labels => ['runbook'] }, 'runbook'), 'Page carries a label');
+ok(!$model->has_label({ labels => undef }, 'runbook'), 'Pages without labels carry none');
+
+# Slugs the web UI routes under a space
+ok($model->reserved_slug('settings'), 'settings is reserved');
+ok($model->reserved_slug('new'), 'new is reserved');
+ok(!$model->reserved_slug('settings-page'), 'Other slugs are free');
+
+# Filtering on several labels matches pages carrying all of them
+my $page = { labels => ['db', 'runbook'] };
+ok($model->has_labels($page, ['runbook', 'db']), 'Page carries every label');
+ok(!$model->has_labels($page, ['runbook', 'deprecated']), 'One missing label is no match');
+ok($model->has_labels($page, []), 'No labels to match is a match');
+
+# Links to a renamed page are found in its own space and, through the
+# backlink index, in other spaces
+{
+    my %pages = (
+        'docs:home'  => { space_id => 'docs', page_id => 'home',  content => '[[Setup]] and [[ops:Runbook]]' },
+        'docs:setup' => { space_id => 'docs', page_id => 'setup', content => 'See [[Runbook|the runbook]]' },
+        'ops:index'  => { space_id => 'ops',  page_id => 'index', content => '[[Runbook]] and [[docs:Runbook]]' },
+    );
+    my %saved;
+
+    no warnings qw(redefine once);
+    local *HSWiki::Model::Page::list_by_space = sub { [ map { { page_id => $_->{page_id} } } grep { $_->{space_id} eq $_[1] } values %pages ] };
+    local *HSWiki::Model::Page::find_by_id = sub { $pages{"$_[1]:$_[2]"} };
+    local *HSWiki::Model::Page::update = sub { my (undef, $space_id, $page_id, %args) = @_; $saved{"$space_id:$page_id"} = $args{content} };
+    local *HSWiki::DB::fetch_all = sub { [ { space_id => 'docs', page_id => 'home' } ] };
+    local *HSWiki::Wiki::_split_target = sub { $_[0] =~ /^(\w+):(.+)$/ ? ({ space_id => $1, space_key => $1 }, $2) : (undef, $_[0]) };
+
+    my $updated = $model->relink_page('ops', 'runbook', sub {
+        my ($link) = @_;
+        return HSWiki::Wiki->link_markup('Playbook', $link->{text}, $link->{space_key});
+    });
+
+    is(scalar @$updated, 2, 'Pages linking to the page are updated');
+    is($saved{'docs:home'}, '[[Setup]] and [[ops:Playbook]]', 'Links from another space keep their prefix');
+    is($saved{'ops:index'}, '[[Playbook]] and [[docs:Runbook]]', 'Plain links in its own space are rewritten');
+    ok(!exists $saved{'docs:setup'}, 'A same-named page in another space is left alone');
+}